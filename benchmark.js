@@ -0,0 +1,268 @@
+// Prompt Library render benchmark
+// Loads the app in a frame against a separate "bench" library seeded with N
+// generated prompts, then times renders, updates, searches and scrolling
+// through the User Timing measures the app records.
+(function(){
+	const LIBRARY_NAME = 'bench';
+	const LIBRARY = 'promptLibrary-' + LIBRARY_NAME;
+	const APP_URL = 'index.html?library=' + LIBRARY_NAME;
+	const MODELS = ['gpt-4o', 'gpt-4.1', 'claude-sonnet-4-5', 'gemini-2.5-pro', 'mistral-large'];
+	const TAGS = ['writing', 'code', 'summary', 'research', 'email', 'translation', 'review', 'marketing'];
+	const WORDS = ('summarize the following text in plain language for a busy reader list key points ' +
+		'explain each step write a short email reply translate into german review this code for bugs ' +
+		'suggest better names keep the tone friendly and concise use bullet points cite your sources').split(' ');
+	const SEARCHES = ['summary', 'model:gpt-4o', 'rating:>=4', 'tag:code tokens:<100', ''];
+
+	const form = document.getElementById('bench-form');
+	const countInput = document.getElementById('bench-count');
+	const runBtn = document.getElementById('bench-run');
+	const clearBtn = document.getElementById('bench-clear');
+	const statusEl = document.getElementById('bench-status');
+	const resultsBody = document.querySelector('#bench-results tbody');
+	const frame = document.getElementById('bench-frame');
+
+	const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+	/**
+	 * Small seeded PRNG, so runs with the same N use the same library
+	 * @param {number} seed - Seed
+	 * @returns {Function} () => number in [0, 1)
+	 */
+	const seededRandom = (seed) => () => {
+		seed = (seed + 0x6D2B79F5) | 0;
+		let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+		t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+
+	/**
+	 * Generate valid schema v6 prompt records
+	 * @param {number} count - Number of prompts
+	 * @returns {Array} Prompt records
+	 */
+	const syntheticPrompts = (count) => {
+		const random = seededRandom(count);
+		const pick = (list) => list[Math.floor(random() * list.length)];
+		const start = Date.parse('2026-01-01T00:00:00Z');
+		return Array.from({ length: count }, (_, i) => {
+			const words = Array.from({ length: 20 + Math.floor(random() * 80) }, () => pick(WORDS));
+			const content = words.join(' ') + (i % 4 === 0 ? '\n\nText: {{input}}' : '');
+			const title = 'Prompt ' + (i + 1) + ': ' + words.slice(0, 4).join(' ');
+			const model = pick(MODELS);
+			const createdAt = new Date(start + i * 60000).toISOString();
+			const tokens = Math.round(content.length / 4);
+			const tokenEstimate = { min: Math.round(tokens * 0.85), max: Math.round(tokens * 1.15), confidence: 'medium' };
+			const runs = Array.from({ length: Math.floor(random() * 4) }, (_, r) => ({
+				id: 'bench-' + (i + 1) + '-run-' + (r + 1),
+				rev: 1,
+				model,
+				input: content,
+				output: pick(WORDS) + ' ' + pick(WORDS),
+				rating: 1 + Math.floor(random() * 5),
+				verdict: '',
+				createdAt: new Date(start + i * 60000 + (r + 1) * 1000).toISOString()
+			}));
+			const rated = runs.map(r => r.rating);
+			return {
+				schemaVersion: 6,
+				id: 'bench-' + (i + 1),
+				title,
+				content,
+				userRating: rated.length ? Math.round(rated.reduce((a, b) => a + b, 0) / rated.length) : 0,
+				metadata: { model, createdAt, updatedAt: createdAt, tokenEstimate },
+				revisions: [{ rev: 1, title, model, content, tokenEstimate, createdAt }],
+				runs,
+				variantName: 'Original',
+				variants: [],
+				snippetName: null,
+				notes: i % 3 === 0 ? [{ id: start + i, text: 'Generated note ' + (i + 1), updatedAt: start + i }] : [],
+				tags: [...new Set([pick(TAGS), pick(TAGS)])],
+				collectionId: null,
+				archivedAt: null,
+				trashedAt: null
+			};
+		});
+	};
+
+	const loadFrame = (url) => new Promise(resolve => {
+		frame.addEventListener('load', resolve, { once: true });
+		frame.src = url;
+	});
+
+	// Drop everything the bench library stored; the frame is unloaded first so IndexedDB is not blocked
+	const resetLibrary = async () => {
+		await loadFrame('about:blank');
+		const keys = [];
+		for (let i = 0; i < localStorage.length; i++) {
+			const key = localStorage.key(i);
+			if (key && key.startsWith(LIBRARY + '.')) keys.push(key);
+		}
+		keys.forEach(key => localStorage.removeItem(key));
+		await new Promise(resolve => {
+			const request = indexedDB.deleteDatabase(LIBRARY);
+			request.onsuccess = request.onerror = request.onblocked = resolve;
+		});
+	};
+
+	const appWindow = () => frame.contentWindow;
+	const measures = (name) => appWindow().performance.getEntriesByName(name, 'measure');
+	const mountedCards = () => appWindow().document.querySelectorAll('#prompt-list .prompt-card');
+
+	const waitFor = async (check, timeout = 60000) => {
+		const deadline = Date.now() + timeout;
+		while (!check()) {
+			if (Date.now() > deadline) throw new Error('Timed out waiting for the app');
+			await wait(50);
+		}
+	};
+
+	// Wait until the app stops rendering, e.g. after token counts are refreshed
+	const settle = async () => {
+		let seen = -1;
+		while (seen !== measures('renderPrompts').length) {
+			seen = measures('renderPrompts').length;
+			await wait(1000);
+		}
+	};
+
+	const median = (values) => {
+		const sorted = [...values].sort((a, b) => a - b);
+		const mid = Math.floor(sorted.length / 2);
+		return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+	};
+
+	const addResult = (step, samples) => {
+		const row = document.createElement('tr');
+		const cells = samples.length
+			? [step, samples.length, median(samples).toFixed(1), Math.max(...samples).toFixed(1), mountedCards().length]
+			: [step, 0, '-', '-', mountedCards().length];
+		cells.forEach((value, i) => {
+			const cell = document.createElement(i === 0 ? 'th' : 'td');
+			if (i === 0) cell.scope = 'row';
+			cell.textContent = String(value);
+			row.appendChild(cell);
+		});
+		resultsBody.appendChild(row);
+	};
+
+	/**
+	 * Run an action and return the new measures it produced
+	 * @param {string} name - Measure name
+	 * @param {Function} action - Possibly async action
+	 * @returns {Promise<number[]>} Durations of the new measures
+	 */
+	const timed = async (name, action) => {
+		const before = measures(name).length;
+		await action();
+		return measures(name).slice(before).map(m => m.duration);
+	};
+
+	const benchUpdates = async () => {
+		const render = [];
+		const total = [];
+		for (let i = 0; i < 10; i++) {
+			const card = mountedCards()[i % Math.max(1, mountedCards().length)];
+			const id = card.dataset.id;
+			const star = card.querySelector('.star-btn[data-star="' + (i % 5 + 1) + '"]');
+			star.click();
+			const runForm = appWindow().document.querySelector('.run-form[data-id="' + id + '"]');
+			if (!runForm) break;
+			runForm.querySelector('[name="output"]').value = 'Benchmark output ' + (i + 1);
+			render.push(...await timed('renderPrompts', () => {
+				const started = performance.now();
+				runForm.requestSubmit();
+				total.push(performance.now() - started);
+			}));
+			appWindow().document.querySelector('.prompt-card[data-id="' + id + '"] [data-action="toggle-runs"]')?.click();
+		}
+		addResult('Log a rated run · render', render);
+		addResult('Log a rated run · total', total);
+
+		const noteRender = [];
+		for (let i = 0; i < 5; i++) {
+			const noteForm = mountedCards()[i]?.querySelector('.add-note-form');
+			if (!noteForm) break;
+			noteForm.querySelector('input[name="note"]').value = 'Benchmark note ' + (i + 1);
+			noteRender.push(...await timed('renderPrompts', () => noteForm.requestSubmit()));
+		}
+		addResult('Add a note · render', noteRender);
+	};
+
+	const benchSearch = async () => {
+		const input = appWindow().document.getElementById('search-input');
+		const samples = [];
+		for (const query of SEARCHES) {
+			samples.push(...await timed('renderPrompts', async () => {
+				const before = measures('renderPrompts').length;
+				input.value = query;
+				input.dispatchEvent(new (appWindow().Event)('input'));
+				await waitFor(() => measures('renderPrompts').length > before);
+			}));
+		}
+		addResult('Search · render', samples);
+	};
+
+	const benchScroll = async () => {
+		const win = appWindow();
+		const samples = [];
+		for (let i = 1; i <= 20; i++) {
+			samples.push(...await timed('mountCards', async () => {
+				win.scrollTo(0, i * win.innerHeight);
+				await wait(60);
+			}));
+		}
+		win.scrollTo(0, 0);
+		addResult('Scroll one screen · mount', samples);
+	};
+
+	const runBenchmark = async (count) => {
+		resultsBody.innerHTML = '';
+		statusEl.textContent = 'Generating ' + count + ' prompts…';
+		await resetLibrary();
+		try {
+			localStorage.setItem(LIBRARY + '.prompts', JSON.stringify(syntheticPrompts(count)));
+		} catch (e) {
+			throw new Error('Could not store ' + count + ' prompts (' + e.message + '). Try fewer.');
+		}
+
+		statusEl.textContent = 'Loading the app…';
+		const loadStarted = performance.now();
+		await loadFrame(APP_URL);
+		await waitFor(() => measures('renderPrompts').length > 0);
+		const [first] = measures('renderPrompts');
+		addResult('Initial render', [first.duration]);
+		addResult('Page load to first render', [first.startTime + first.duration + (appWindow().performance.timeOrigin - performance.timeOrigin) - loadStarted]);
+		await settle();
+
+		statusEl.textContent = 'Timing updates…';
+		await benchUpdates();
+		statusEl.textContent = 'Timing searches…';
+		await benchSearch();
+		statusEl.textContent = 'Timing scrolling…';
+		await benchScroll();
+		statusEl.textContent = 'Done: ' + count + ' prompts, ' + mountedCards().length + ' cards mounted at the top of the list.';
+	};
+
+	form.addEventListener('submit', async (e) => {
+		e.preventDefault();
+		const count = Math.floor(Number(countInput.value));
+		if (!Number.isFinite(count) || count < 1) return;
+		runBtn.disabled = true;
+		clearBtn.disabled = true;
+		try {
+			await runBenchmark(count);
+		} catch (err) {
+			console.error('Benchmark failed', err);
+			statusEl.textContent = 'Benchmark failed: ' + err.message;
+		} finally {
+			runBtn.disabled = false;
+			clearBtn.disabled = false;
+		}
+	});
+
+	clearBtn.addEventListener('click', async () => {
+		await resetLibrary();
+		resultsBody.innerHTML = '';
+		statusEl.textContent = 'Benchmark data deleted.';
+	});
+})();
@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+// Prompt Library command-line tool
+// Lists, searches, validates and merges JSON export files with the same core
+// (core.js) the app uses, so a file merged here matches an import in the app.
+// Run `node cli.js help` for the commands.
+'use strict';
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseArgs } = require('node:util');
+const {
+	SORT_KEYS, isTrashed, isArchived, promptComparator, formatTokenEstimate, tokenizerFor,
+	loadedTokenizer, loadVocabulary, isEncryptedExport, decryptExport, readExport, createLibrary, computeStats
+} = require('./core.js');
+
+const PASSPHRASE_ENV = 'PROMPT_LIBRARY_PASSPHRASE';
+const VOCAB_DIR = path.join(__dirname, 'vocab');
+const CONFLICT_ACTIONS = ['keep', 'replace', 'both', 'merge'];
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  list <file>             Prompts in an export, newest first (trashed ones only with --all)
+  search <file> <query>   Prompts matching a library query, e.g. "summary tag:email rating:>=4"
+  validate <file>...      Check exports against the schema; exits with 1 when a record is invalid
+  stats <file>            Library statistics, as shown in the analytics dashboard
+  merge <base> <other>    Import <other> into <base> and print the merged export
+
+Options:
+  --json                  Print JSON (list, search, stats)
+  --all                   list: include trashed prompts
+  --sort <key>            list, search: ${SORT_KEYS.join(', ')} (default created)
+  --dir <asc|desc>        list, search: sort direction (default desc)
+  --on-conflict <action>  merge: what to do with prompts in both files:
+                          ${CONFLICT_ACTIONS.join(', ')} (default keep, as in the import wizard)
+  -o, --out <file>        merge: write the result to a file instead of stdout
+
+Encrypted exports are opened with the passphrase in ${PASSPHRASE_ENV}.`;
+
+/**
+ * Error that ends the program with a message and exit code, without a stack trace
+ * @param {string} message - Shown as "error: message"
+ * @param {number} [code] - 2 for bad usage or unreadable files
+ * @returns {Error}
+ */
+const failure = (message, code = 2) => Object.assign(new Error(message), { exitCode: code });
+
+/**
+ * Read and parse an export file, decrypting it when needed
+ * @param {string} file - Path
+ * @returns {Promise<Object>} Parsed export payload (not yet migrated)
+ */
+const readExportFile = async (file) => {
+	let text;
+	try { text = fs.readFileSync(file, 'utf8'); }
+	catch (e) { throw failure(file + ': ' + (e.code === 'ENOENT' ? 'no such file' : e.message)); }
+	let data;
+	try { data = JSON.parse(text); }
+	catch (e) { throw failure(file + ': invalid JSON: ' + e.message); }
+	if (!isEncryptedExport(data)) return data;
+	const passphrase = process.env[PASSPHRASE_ENV];
+	if (!passphrase) throw failure(file + ' is encrypted; set ' + PASSPHRASE_ENV + ' to its passphrase');
+	try { data = JSON.parse(await decryptExport(data, passphrase)); }
+	catch (e) { throw failure(file + ': ' + e.message); }
+	return data;
+};
+
+/**
+ * Read an export and upgrade it to the current version
+ * @param {string} file - Path
+ * @returns {Promise<Object>} readExport() result
+ */
+const loadExport = async (file) => {
+	const data = await readExportFile(file);
+	try { return readExport(data); }
+	catch (e) { throw failure(file + ': invalid export format: ' + e.message); }
+};
+
+// "#3 (id 17) "Title": reason; reason"
+const describeRejected = (r) => '#' + (r.index + 1) + (r.id !== undefined ? ' (id ' + r.id + ')' : '') +
+	(r.title ? ' "' + r.title + '"' : '') + ': ' + r.errors.join('; ');
+
+const warnRejected = (file, rejected) => {
+	if (!rejected.length) return;
+	console.error('warning: ' + file + ': skipped ' + rejected.length + ' invalid prompt' + (rejected.length === 1 ? '' : 's') + ' (see `validate`)');
+};
+
+/**
+ * One line per prompt: id, title, model, rating, tokens, tags and state
+ * @param {Object} p - Prompt record
+ * @returns {string}
+ */
+const promptLine = (p) => {
+	const state = isTrashed(p) ? ' (trashed)' : isArchived(p) ? ' (archived)' : '';
+	const details = [
+		p.metadata.model,
+		p.userRating ? '★ ' + p.userRating : 'unrated',
+		formatTokenEstimate(p.metadata.tokenEstimate) + ' tokens',
+		...p.tags.map(t => '#' + t)
+	];
+	return p.id + '  ' + p.title + state + '  ·  ' + details.join(' · ');
+};
+
+const sortOptions = (values) => {
+	const sort = values.sort || 'created';
+	const dir = values.dir || 'desc';
+	if (!SORT_KEYS.includes(sort)) throw failure('--sort must be one of ' + SORT_KEYS.join(', '));
+	if (dir !== 'asc' && dir !== 'desc') throw failure('--dir must be asc or desc');
+	return { sort, dir };
+};
+
+const printPrompts = (prompts, values) => {
+	if (values.json) console.log(JSON.stringify(prompts, null, 2));
+	else prompts.forEach(p => console.log(promptLine(p)));
+};
+
+/**
+ * Make token counts exact for the models in a set of prompts, where vocab/ has the vocabulary
+ * @param {Array} prompts - Prompt records
+ */
+const loadVocabularies = (prompts) => {
+	const models = new Set(prompts.flatMap(p => [p.metadata.model, ...p.variants.map(v => v.model)]));
+	models.forEach(model => {
+		const tokenizer = tokenizerFor(model);
+		if (!tokenizer || loadedTokenizer(tokenizer.id)) return;
+		const file = path.join(VOCAB_DIR, tokenizer.id + '.json');
+		if (fs.existsSync(file)) loadVocabulary(tokenizer, JSON.parse(fs.readFileSync(file, 'utf8')));
+	});
+};
+
+const formatStats = (stats) => {
+	const lines = [
+		'Prompts: ' + stats.totalPrompts + ' (' + stats.ratedPrompts + ' rated, ' + stats.unratedPrompts + ' unrated)',
+		'Average rating: ' + stats.averageRating,
+		'Most used model: ' + (stats.mostUsedModel || '-')
+	];
+	if (stats.ratingByModel.length) {
+		lines.push('', 'By model:');
+		stats.ratingByModel.forEach(m => lines.push('  ' + m.model + ': ' + m.total + ' prompt' + (m.total === 1 ? '' : 's') +
+			(m.meanRating === null ? ', unrated' : ', ★ ' + m.meanRating + ' mean of rated')));
+	}
+	lines.push('', 'Tokens:');
+	stats.tokenHistogram.forEach(b => lines.push('  ' + (b.max === null ? b.min + '+' : b.min + '-' + (b.max - 1)) + ': ' + b.count));
+	if (stats.mostEffective.length) {
+		lines.push('', 'Best rated:');
+		stats.mostEffective.forEach(p => lines.push('  ★ ' + p.rating + '  ' + p.id + '  ' + p.title));
+	}
+	if (stats.needsAttention.length) {
+		lines.push('', 'Unrated, oldest first:');
+		stats.needsAttention.forEach(p => lines.push('  ' + p.id + '  ' + p.title));
+	}
+	return lines.join('\n');
+};
+
+const COMMANDS = {
+	async list(files, values) {
+		if (files.length !== 1) throw failure('list takes one file');
+		const { accepted, rejected } = await loadExport(files[0]);
+		warnRejected(files[0], rejected);
+		const { sort, dir } = sortOptions(values);
+		printPrompts(accepted.filter(p => values.all || !isTrashed(p)).sort(promptComparator(sort, dir)), values);
+	},
+
+	async search(args, values) {
+		if (args.length !== 2) throw failure('search takes a file and a query');
+		const [file, query] = args;
+		const { data, accepted, rejected } = await loadExport(file);
+		warnRejected(file, rejected);
+		const library = createLibrary({ prompts: accepted, collections: data.collections });
+		let found;
+		try { found = library.search(query, sortOptions(values)); }
+		catch (e) { throw failure('invalid query: ' + e.message); }
+		printPrompts(found, values);
+	},
+
+	async validate(files) {
+		if (!files.length) throw failure('validate takes one or more files');
+		let invalid = 0;
+		for (const file of files) {
+			let result;
+			try { result = await loadExport(file); }
+			catch (e) {
+				console.log(e.message);
+				invalid++;
+				continue;
+			}
+			const { originalVersion, accepted, rejected } = result;
+			const upgraded = originalVersion !== result.data.version ? ' (version ' + originalVersion + ', upgraded to ' + result.data.version + ')' : '';
+			console.log(file + ': ' + accepted.length + ' valid, ' + rejected.length + ' invalid' + upgraded);
+			rejected.forEach(r => console.log('  ' + describeRejected(r)));
+			if (rejected.length) invalid++;
+		}
+		if (invalid) throw failure(invalid + ' of ' + files.length + ' file' + (files.length === 1 ? '' : 's') + ' did not validate', 1);
+	},
+
+	async stats(files, values) {
+		if (files.length !== 1) throw failure('stats takes one file');
+		const { accepted, rejected } = await loadExport(files[0]);
+		warnRejected(files[0], rejected);
+		const stats = computeStats(accepted);
+		console.log(values.json ? JSON.stringify(stats, null, 2) : formatStats(stats));
+	},
+
+	async merge(files, values) {
+		if (files.length !== 2) throw failure('merge takes a base file and a file to merge into it');
+		const action = values['on-conflict'] || 'keep';
+		if (!CONFLICT_ACTIONS.includes(action)) throw failure('--on-conflict must be one of ' + CONFLICT_ACTIONS.join(', '));
+		const base = await loadExport(files[0]);
+		warnRejected(files[0], base.rejected);
+		const other = await readExportFile(files[1]);
+		const library = createLibrary({ prompts: base.accepted, collections: base.data.collections });
+		// Merged prompts get a new revision, counted like the app would once its tokenizer loaded
+		if (action === 'merge') loadVocabularies([...base.accepted, ...(Array.isArray(other?.prompts) ? other.prompts : [])].filter(p => p && p.metadata && Array.isArray(p.variants)));
+		let s;
+		try { s = library.import(other, { action }); }
+		catch (e) { throw failure(files[1] + ': invalid export format: ' + e.message); }
+		warnRejected(files[1], s.rejected);
+		const text = JSON.stringify(library.toExport(), null, 2) + '\n';
+		if (values.out) fs.writeFileSync(values.out, text);
+		else process.stdout.write(text);
+		console.error('Merged: ' + s.added + ' added, ' + s.replaced + ' replaced, ' + s.merged + ' merged, ' + s.keptBoth + ' kept both, ' +
+			s.skipped + ' skipped, ' + s.unchanged + ' unchanged' + (s.renamedSnippets ? ', ' + s.renamedSnippets + ' snippets renamed' : '') + '.');
+	}
+};
+
+/**
+ * Run the tool
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+const main = async (argv) => {
+	let parsed;
+	try {
+		parsed = parseArgs({
+			args: argv,
+			allowPositionals: true,
+			options: {
+				json: { type: 'boolean' },
+				all: { type: 'boolean' },
+				sort: { type: 'string' },
+				dir: { type: 'string' },
+				'on-conflict': { type: 'string' },
+				out: { type: 'string', short: 'o' },
+				help: { type: 'boolean', short: 'h' }
+			}
+		});
+	} catch (e) {
+		console.error('error: ' + e.message + '\n\n' + USAGE);
+		return 2;
+	}
+	const [command, ...args] = parsed.positionals;
+	if (!command || command === 'help' || parsed.values.help) {
+		console.log(USAGE);
+		return 0;
+	}
+	if (!Object.hasOwn(COMMANDS, command)) {
+		console.error('error: unknown command "' + command + '"\n\n' + USAGE);
+		return 2;
+	}
+	try {
+		await COMMANDS[command](args, parsed.values);
+		return 0;
+	} catch (e) {
+		if (!e.exitCode) throw e;
+		console.error('error: ' + e.message);
+		return e.exitCode;
+	}
+};
+
+// Anything else is a bug or an environment problem (e.g. an unwritable --out); report it without a stack trace
+main(process.argv.slice(2)).then(code => { process.exitCode = code; }).catch(err => {
+	console.error('error: ' + err.message);
+	process.exitCode = 1;
+});
@@ -0,0 +1,2820 @@
+// Prompt Library core
+// Prompt records and everything done with them that needs neither the DOM
+// nor browser storage: token counts, validation and migration, search,
+// merging and stats. script.js builds the app on top of it; cli.js and the
+// tests load it in Node. As a plain script it defines window.PromptLibrary.
+(function(root, factory){
+	const core = factory();
+	if (typeof module === 'object' && module.exports) module.exports = core;
+	else root.PromptLibrary = core;
+})(globalThis, function(){
+	// ===== METADATA TRACKING SYSTEM =====
+
+	/**
+	 * Estimate token count from text
+	 * @param {string} text - The text to estimate tokens for
+	 * @param {boolean} isCode - Whether the text is code
+	 * @returns {Object} Token estimate with min, max, and confidence
+	 */
+	const estimateTokens = (text, isCode = false) => {
+		if (typeof text !== 'string') {
+			throw new Error('Text must be a string');
+		}
+
+		const words = text.trim().split(/\s+/).filter(Boolean);
+		const wordCount = words.length;
+		const charCount = text.length;
+
+		// Base calculation
+		let min = Math.round(0.75 * wordCount);
+		let max = Math.round(0.25 * charCount);
+
+		// Apply code multiplier
+		if (isCode) {
+			min = Math.round(min * 1.3);
+			max = Math.round(max * 1.3);
+		}
+
+		return { min, max, confidence: confidenceFor((min + max) / 2) };
+	};
+
+	/**
+	 * Confidence level for a heuristic estimate of the given size
+	 * @param {number} avgTokens - Midpoint of the estimate
+	 * @returns {string} 'high', 'medium' or 'low'
+	 */
+	const confidenceFor = (avgTokens) => {
+		if (avgTokens < 1000) return 'high';
+		if (avgTokens <= 5000) return 'medium';
+		return 'low';
+	};
+
+	/**
+	 * Validate ISO 8601 date string
+	 * @param {string} dateString - Date string to validate
+	 * @returns {boolean} Whether the date is valid
+	 */
+	const isValidISODate = (dateString) => {
+		if (typeof dateString !== 'string') return false;
+		const date = new Date(dateString);
+		return date instanceof Date && !isNaN(date.getTime()) && dateString === date.toISOString();
+	};
+
+	/**
+	 * Track model metadata for a prompt
+	 * @param {string} modelName - Name of the AI model
+	 * @param {string} content - The prompt content
+	 * @returns {Object} Metadata object with model (canonical id when registered), timestamps, and token estimate
+	 */
+	const trackModel = (modelName, content) => {
+		// Validate model name
+		if (typeof modelName !== 'string' || modelName.trim().length === 0) {
+			throw new Error('Model name must be a non-empty string');
+		}
+		if (modelName.length > 100) {
+			throw new Error('Model name must not exceed 100 characters');
+		}
+
+		// Validate content
+		if (typeof content !== 'string') {
+			throw new Error('Content must be a string');
+		}
+
+		const now = new Date().toISOString();
+		const tokenEstimate = countTokens(content, modelName);
+
+		return {
+			model: canonicalModel(modelName),
+			createdAt: now,
+			updatedAt: now,
+			tokenEstimate
+		};
+	};
+
+	/**
+	 * Update timestamps in metadata
+	 * @param {Object} metadata - Existing metadata object
+	 * @returns {Object} Updated metadata object
+	 */
+	const updateTimestamps = (metadata) => {
+		if (!metadata || typeof metadata !== 'object') {
+			throw new Error('Metadata must be a valid object');
+		}
+
+		if (!metadata.createdAt || !isValidISODate(metadata.createdAt)) {
+			throw new Error('Invalid createdAt timestamp in metadata');
+		}
+
+		const now = new Date().toISOString();
+		const createdDate = new Date(metadata.createdAt);
+		const updatedDate = new Date(now);
+
+		if (updatedDate < createdDate) {
+			throw new Error('updatedAt must be greater than or equal to createdAt');
+		}
+
+		return {
+			...metadata,
+			updatedAt: now
+		};
+	};
+
+	// ===== END METADATA TRACKING SYSTEM =====
+
+	// ===== TOKENIZER SYSTEM =====
+	// Counting only: loading a vocabulary is up to the caller (see loadVocabulary).
+
+	/**
+	 * Known tokenizers, matched in order against a normalised model name
+	 * (see modelKey). `exactFor` narrows which of the matched models the
+	 * vocabulary is exact for; the rest get an approximate count.
+	 */
+	const TOKENIZERS = [
+		{ id: 'o200k_base', models: /^(gpt-4o|chatgpt-4o|gpt-4\.[15]|gpt-5|o[134](-|$))/ },
+		{ id: 'cl100k_base', models: /^(gpt-4|gpt-3\.5|text-embedding-(3|ada))/ },
+		{ id: 'claude', models: /^claude/, exactFor: /^claude-(instant|[12])\b/, normalize: 'NFKC' }
+	];
+
+	const HEURISTIC_TOKENIZER = 'heuristic';
+	// Longest run of bytes merged in one go; keeps pathological input (a long
+	// unbroken blob) from going quadratic at the cost of a token or two.
+	const MAX_PIECE_BYTES = 2048;
+
+	const loadedTokenizers = new Map();
+	const utf8 = new TextEncoder();
+
+	const modelKey = (modelName) => String(modelName || '').trim().toLowerCase().replace(/\s+/g, '-');
+
+	/**
+	 * Find the tokenizer definition for a model: the registry's choice if it
+	 * names one, otherwise the first TOKENIZERS pattern matching the model
+	 * @param {string} modelName - Model name as entered by the user
+	 * @returns {Object|null} Entry of TOKENIZERS, or null for unknown models
+	 */
+	const tokenizerFor = (modelName) => {
+		const entry = resolveModel(modelName);
+		if (entry && entry.tokenizer) return TOKENIZERS.find(t => t.id === entry.tokenizer) || null;
+		const key = modelKey(entry ? entry.id : modelName);
+		return TOKENIZERS.find(t => t.models.test(key)) || null;
+	};
+
+	/**
+	 * Expand js-tiktoken's compressed rank list into a Map keyed by the token's
+	 * bytes as a binary string (one char per byte, as atob returns them)
+	 * @param {string} bpeRanks - Lines of "! <offset> <base64 token> ..."
+	 * @returns {Map<string, number>} Token bytes to rank
+	 */
+	const parseRanks = (bpeRanks) => {
+		const ranks = new Map();
+		bpeRanks.split('\n').forEach(line => {
+			if (!line) return;
+			const [, offset, ...tokens] = line.split(' ');
+			const first = Number.parseInt(offset, 10);
+			tokens.forEach((token, i) => ranks.set(atob(token), first + i));
+		});
+		return ranks;
+	};
+
+	const toBinary = (bytes) => {
+		let out = '';
+		for (let i = 0; i < bytes.length; i++) out += String.fromCharCode(bytes[i]);
+		return out;
+	};
+
+	/**
+	 * Count the tokens a pre-split piece encodes to, merging the lowest-ranked
+	 * adjacent pair first exactly as tiktoken does
+	 * @param {string} piece - Binary string of UTF-8 bytes
+	 * @param {Map<string, number>} ranks - Vocabulary
+	 * @returns {number} Token count
+	 */
+	const bytePairCount = (piece, ranks) => {
+		if (piece.length <= 1 || ranks.has(piece)) return 1;
+		// Token i spans bounds[i]..bounds[i + 1]; pairRanks[i] ranks tokens i and i + 1 merged
+		const bounds = [];
+		for (let i = 0; i <= piece.length; i++) bounds.push(i);
+		const rankAt = (i) => {
+			if (i + 2 >= bounds.length) return Infinity;
+			const rank = ranks.get(piece.slice(bounds[i], bounds[i + 2]));
+			return rank === undefined ? Infinity : rank;
+		};
+		const pairRanks = bounds.map((_, i) => rankAt(i));
+		while (bounds.length > 2) {
+			let min = Infinity;
+			let at = -1;
+			for (let i = 0; i < pairRanks.length; i++) {
+				if (pairRanks[i] < min) { min = pairRanks[i]; at = i; }
+			}
+			if (at < 0) break;
+			bounds.splice(at + 1, 1);
+			pairRanks.splice(at + 1, 1);
+			pairRanks[at] = rankAt(at);
+			if (at > 0) pairRanks[at - 1] = rankAt(at - 1);
+		}
+		return bounds.length - 1;
+	};
+
+	/**
+	 * Build a counting encoder from a vocabulary file. Special tokens are
+	 * counted as the ordinary text they are made of.
+	 * @param {Object} tokenizer - Entry of TOKENIZERS
+	 * @param {Object} vocab - { pat_str, bpe_ranks }
+	 * @returns {Object} { id, count(text) }
+	 */
+	const createEncoder = (tokenizer, vocab) => {
+		const ranks = parseRanks(vocab.bpe_ranks);
+		const pattern = new RegExp(vocab.pat_str, 'gu');
+		const count = (text) => {
+			const source = tokenizer.normalize ? text.normalize(tokenizer.normalize) : text;
+			let total = 0;
+			for (const match of source.matchAll(pattern)) {
+				const bytes = utf8.encode(match[0]);
+				for (let i = 0; i < bytes.length; i += MAX_PIECE_BYTES) {
+					total += bytePairCount(toBinary(bytes.subarray(i, i + MAX_PIECE_BYTES)), ranks);
+				}
+			}
+			return total;
+		};
+		return { id: tokenizer.id, count };
+	};
+
+	/**
+	 * Count with a tokenizer's vocabulary from now on
+	 * @param {Object} tokenizer - Entry of TOKENIZERS
+	 * @param {Object} vocab - Parsed vocab/<id>.json: { pat_str, bpe_ranks }
+	 * @returns {Object} The encoder
+	 */
+	const loadVocabulary = (tokenizer, vocab) => {
+		const encoder = createEncoder(tokenizer, vocab);
+		loadedTokenizers.set(tokenizer.id, encoder);
+		return encoder;
+	};
+
+	const loadedTokenizer = (id) => loadedTokenizers.get(id) || null;
+
+	// Fenced blocks (``` or ~~~); an unclosed fence runs to the end of the text
+	const FENCE_RE = /^ {0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:^ {0,3}\1[ \t]*$|(?![\s\S]))/gm;
+	const CODE_LINE_RE = /[;{}]\s*$|^\s*(import|export|from|def|class|function|const|let|var|return|if|for|while|public|private|#include|SELECT|<\/?[a-z][\w-]*[\s>])\b|=>|:=/;
+
+	/**
+	 * Split text into prose and code. Fenced blocks are code; unfenced text
+	 * counts as code when most of its lines look like source.
+	 * @param {string} text - Prompt text
+	 * @returns {Object} { prose: string, code: string }
+	 */
+	const splitCode = (text) => {
+		const fenced = [];
+		const prose = text.replace(FENCE_RE, (block) => { fenced.push(block); return '\n'; });
+		const lines = prose.split('\n').filter(l => l.trim());
+		const codeLines = lines.filter(l => CODE_LINE_RE.test(l)).length;
+		if (lines.length >= 3 && codeLines / lines.length >= 0.5) {
+			return { prose: '', code: [...fenced, prose].join('\n') };
+		}
+		return { prose, code: fenced.join('\n') };
+	};
+
+	/**
+	 * Count tokens for a prompt's text with the tokenizer of its model. Falls
+	 * back to the word/character heuristic, weighting detected code higher,
+	 * when the model is unknown or its vocabulary has not loaded yet.
+	 * @param {string} text - Text to count
+	 * @param {string} modelName - Model the text is meant for
+	 * @returns {Object} TokenEstimate; exact counts carry `count` and min === max
+	 */
+	const countTokens = (text, modelName) => {
+		if (typeof text !== 'string') {
+			throw new Error('Text must be a string');
+		}
+		const tokenizer = tokenizerFor(modelName);
+		const encoder = tokenizer && loadedTokenizers.get(tokenizer.id);
+		if (encoder) {
+			const count = encoder.count(text);
+			const exact = !tokenizer.exactFor || tokenizer.exactFor.test(modelKey(canonicalModel(modelName)));
+			return exact
+				? { min: count, max: count, confidence: 'high', count, tokenizer: encoder.id }
+				: { min: count, max: count, confidence: 'medium', count, tokenizer: encoder.id, approximate: true };
+		}
+		const { prose, code } = splitCode(text);
+		const a = estimateTokens(prose, false);
+		const b = estimateTokens(code, true);
+		const min = a.min + b.min;
+		const max = a.max + b.max;
+		return { min, max, confidence: confidenceFor((min + max) / 2), tokenizer: HEURISTIC_TOKENIZER };
+	};
+
+	/**
+	 * Short display form of an estimate: "123", "≈123" or "100-150"
+	 * @param {Object} est - TokenEstimate
+	 * @returns {string}
+	 */
+	const formatTokenEstimate = (est) => {
+		if (Number.isInteger(est.count)) return (est.approximate ? '≈' : '') + est.count.toLocaleString('en-US');
+		return `${est.min}-${est.max}`;
+	};
+
+	const sameEstimate = (a, b) => !!a && !!b && a.min === b.min && a.max === b.max &&
+		a.confidence === b.confidence && a.count === b.count && a.tokenizer === b.tokenizer &&
+		!!a.approximate === !!b.approximate;
+
+	// ===== END TOKENIZER SYSTEM =====
+
+	// ===== MODEL REGISTRY =====
+
+	/**
+	 * Registry entry. Prices are USD per million tokens and only as current as
+	 * the user keeps them; every field is editable from the Models dialog.
+	 * @typedef {Object} ModelInfo
+	 * @property {string} id - Canonical id stored on prompts, e.g. 'gpt-4o'
+	 * @property {string} name - Display name
+	 * @property {string} provider
+	 * @property {string[]} aliases - Other spellings that resolve to this id
+	 * @property {number} contextWindow - Tokens, 0 when unknown
+	 * @property {number} inputPrice - USD per 1M input tokens
+	 * @property {number} outputPrice - USD per 1M output tokens
+	 * @property {string} [tokenizer] - TOKENIZERS id or 'heuristic'; guessed from the id when absent
+	 */
+	const DEFAULT_MODELS = [
+		{ id: 'gpt-4o', name: 'GPT-4o', provider: 'OpenAI', aliases: ['chatgpt-4o'], contextWindow: 128000, inputPrice: 2.5, outputPrice: 10, tokenizer: 'o200k_base' },
+		{ id: 'gpt-4o-mini', name: 'GPT-4o mini', provider: 'OpenAI', aliases: [], contextWindow: 128000, inputPrice: 0.15, outputPrice: 0.6, tokenizer: 'o200k_base' },
+		{ id: 'gpt-4.1', name: 'GPT-4.1', provider: 'OpenAI', aliases: [], contextWindow: 1047576, inputPrice: 2, outputPrice: 8, tokenizer: 'o200k_base' },
+		{ id: 'gpt-4-turbo', name: 'GPT-4 Turbo', provider: 'OpenAI', aliases: [], contextWindow: 128000, inputPrice: 10, outputPrice: 30, tokenizer: 'cl100k_base' },
+		{ id: 'gpt-4', name: 'GPT-4', provider: 'OpenAI', aliases: [], contextWindow: 8192, inputPrice: 30, outputPrice: 60, tokenizer: 'cl100k_base' },
+		{ id: 'gpt-3.5-turbo', name: 'GPT-3.5 Turbo', provider: 'OpenAI', aliases: ['gpt-3.5', 'chatgpt'], contextWindow: 16385, inputPrice: 0.5, outputPrice: 1.5, tokenizer: 'cl100k_base' },
+		{ id: 'o3-mini', name: 'o3-mini', provider: 'OpenAI', aliases: [], contextWindow: 200000, inputPrice: 1.1, outputPrice: 4.4, tokenizer: 'o200k_base' },
+		{ id: 'claude-opus-4-1', name: 'Claude Opus 4.1', provider: 'Anthropic', aliases: ['claude-opus'], contextWindow: 200000, inputPrice: 15, outputPrice: 75, tokenizer: 'claude' },
+		{ id: 'claude-sonnet-4-5', name: 'Claude Sonnet 4.5', provider: 'Anthropic', aliases: ['claude-sonnet', 'sonnet-4.5'], contextWindow: 200000, inputPrice: 3, outputPrice: 15, tokenizer: 'claude' },
+		{ id: 'claude-haiku-4-5', name: 'Claude Haiku 4.5', provider: 'Anthropic', aliases: ['claude-haiku'], contextWindow: 200000, inputPrice: 1, outputPrice: 5, tokenizer: 'claude' },
+		{ id: 'gemini-2.5-pro', name: 'Gemini 2.5 Pro', provider: 'Google', aliases: [], contextWindow: 1048576, inputPrice: 1.25, outputPrice: 10 },
+		{ id: 'gemini-2.5-flash', name: 'Gemini 2.5 Flash', provider: 'Google', aliases: [], contextWindow: 1048576, inputPrice: 0.3, outputPrice: 2.5 },
+		{ id: 'mistral-large', name: 'Mistral Large', provider: 'Mistral', aliases: [], contextWindow: 128000, inputPrice: 2, outputPrice: 6 }
+	];
+
+	// The app keeps an editable registry in storage; everywhere else the defaults apply
+	let modelSource = () => DEFAULT_MODELS;
+	let indexedModels = null;
+	let modelIndex = null;
+
+	/**
+	 * Set where model lookups read the registry from
+	 * @param {Function} source - () => ModelInfo[]; a different array than last time rebuilds the lookup index
+	 */
+	const setModelSource = (source) => {
+		modelSource = source;
+		modelIndex = null;
+	};
+
+	// Spelling-insensitive lookup key: "GPT 4", "gpt-4" and "gpt4" all match
+	const looseModelKey = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+	/**
+	 * Look up a model by id, display name or alias, ignoring case and punctuation
+	 * @param {string} name - Model name as typed or stored
+	 * @returns {ModelInfo|null} Registry entry, or null for unregistered models
+	 */
+	const resolveModel = (name) => {
+		const models = modelSource();
+		if (!modelIndex || indexedModels !== models) {
+			indexedModels = models;
+			modelIndex = new Map();
+			// Ids win over names and aliases of other models
+			models.forEach(m => [m.name, ...(m.aliases || [])].forEach(n => {
+				const key = looseModelKey(n);
+				if (key && !modelIndex.has(key)) modelIndex.set(key, m);
+			}));
+			models.forEach(m => modelIndex.set(looseModelKey(m.id), m));
+		}
+		return modelIndex.get(looseModelKey(name)) || null;
+	};
+
+	/**
+	 * Canonical id for a model name; unregistered names are kept as typed
+	 * @param {string} name - Model name
+	 * @returns {string} Canonical id or the trimmed name
+	 */
+	const canonicalModel = (name) => {
+		const entry = resolveModel(name);
+		return entry ? entry.id : String(name || '').trim();
+	};
+
+	/**
+	 * Rewrite prompts' metadata.model to canonical ids in place. Revisions
+	 * are append-only and keep the name they were saved with.
+	 * @param {Array} prompts - Prompt records
+	 * @returns {number} Number of prompts changed
+	 */
+	const canonicalizeModels = (prompts) => {
+		let changed = 0;
+		prompts.forEach(p => {
+			if (!p.metadata || typeof p.metadata.model !== 'string') return;
+			const id = canonicalModel(p.metadata.model);
+			if (id && id !== p.metadata.model) {
+				p.metadata = { ...p.metadata, model: id };
+				changed++;
+			}
+		});
+		return changed;
+	};
+
+	// ===== END MODEL REGISTRY =====
+
+	// ===== PROVIDER ADAPTERS =====
+	// Sending a rendered prompt to a model provider with fetch. Nothing here
+	// stores the configs; the app keeps them (PROVIDER MANAGER in script.js).
+
+	/**
+	 * Where and how to send runs. An empty models list serves any model.
+	 * @typedef {Object} ProviderConfig
+	 * @property {string} id
+	 * @property {string} name - Display name, recorded on runs
+	 * @property {string} type - PROVIDER_ADAPTERS key
+	 * @property {string} baseUrl - e.g. 'https://api.openai.com/v1' or 'http://localhost:11434/v1'
+	 * @property {string} apiKey - Sent as a bearer token when set
+	 * @property {string[]} models - Model ids or names this provider serves
+	 *
+	 * A provider adapter turns a rendered prompt into a completion, calling
+	 * onText with each streamed piece of text as it arrives.
+	 * @typedef {Object} ProviderAdapter
+	 * @property {string} label
+	 * @property {function(ProviderConfig, {model: string, input: string}, {onText: Function, signal: AbortSignal}): Promise<{text: string, usage: ?{promptTokens: ?number, completionTokens: ?number}}>} run
+	 */
+
+	// Counts from an OpenAI-style usage object, null when absent
+	const readUsage = (usage) => {
+		if (!usage || typeof usage !== 'object') return null;
+		const count = (value) => (Number.isInteger(value) && value >= 0 ? value : null);
+		return { promptTokens: count(usage.prompt_tokens), completionTokens: count(usage.completion_tokens) };
+	};
+
+	// Message from an error response body, which may or may not be JSON
+	const readErrorResponse = async (response) => {
+		const text = await response.text().catch(() => '');
+		let message = text.trim().slice(0, 300);
+		try {
+			const { error } = JSON.parse(text);
+			message = (typeof error === 'string' ? error : error?.message) || message;
+		} catch (e) { /* not JSON */ }
+		return new Error(response.status + ' ' + (response.statusText || 'error') + (message ? ': ' + message : ''));
+	};
+
+	/**
+	 * Read a server-sent event stream, calling onData with each data payload
+	 * @param {ReadableStream} body - Response body
+	 * @param {Function} onData - (data: string) => void; throwing stops the stream
+	 */
+	const readEventStream = async (body, onData) => {
+		const reader = body.getReader();
+		const decoder = new TextDecoder();
+		let buffer = '';
+		const flush = (chunk) => {
+			buffer += chunk;
+			const lines = buffer.split(/\r?\n/);
+			buffer = lines.pop();
+			lines.forEach(line => {
+				if (line.startsWith('data:')) onData(line.slice(5).trim());
+			});
+		};
+		try {
+			for (;;) {
+				const { done, value } = await reader.read();
+				if (done) break;
+				flush(decoder.decode(value, { stream: true }));
+			}
+			flush(decoder.decode() + '\n');
+		} catch (err) {
+			reader.cancel().catch(() => {});
+			throw err;
+		}
+	};
+
+	/** @type {Object<string, ProviderAdapter>} */
+	const PROVIDER_ADAPTERS = {
+		// Chat completions as served by OpenAI, Ollama, llama.cpp, vLLM, LM Studio and others
+		'openai-compatible': {
+			label: 'OpenAI-compatible',
+			async run(config, { model, input }, { onText, signal }) {
+				const headers = { 'Content-Type': 'application/json' };
+				if (config.apiKey) headers.Authorization = 'Bearer ' + config.apiKey;
+				const response = await fetch(config.baseUrl.replace(/\/+$/, '') + '/chat/completions', {
+					method: 'POST',
+					headers,
+					signal,
+					body: JSON.stringify({
+						model,
+						messages: [{ role: 'user', content: input }],
+						stream: true,
+						stream_options: { include_usage: true }
+					})
+				});
+				if (!response.ok) throw await readErrorResponse(response);
+				// Servers that ignore stream: true answer with a single JSON completion
+				if (!response.body || !/text\/event-stream/.test(response.headers.get('content-type') || '')) {
+					const data = await response.json();
+					const text = data.choices?.[0]?.message?.content || '';
+					if (text) onText(text);
+					return { text, usage: readUsage(data.usage) };
+				}
+				let text = '';
+				let usage = null;
+				await readEventStream(response.body, (data) => {
+					if (!data || data === '[DONE]') return;
+					let chunk;
+					try { chunk = JSON.parse(data); } catch (e) { return; }
+					if (chunk.error) throw new Error(chunk.error.message || String(chunk.error));
+					const piece = chunk.choices?.[0]?.delta?.content;
+					if (piece) {
+						text += piece;
+						onText(piece);
+					}
+					if (chunk.usage) usage = readUsage(chunk.usage);
+				});
+				return { text, usage };
+			}
+		}
+	};
+
+	// ===== END PROVIDER ADAPTERS =====
+
+	// ===== REVISION HISTORY SYSTEM =====
+
+	/**
+	 * Create a revision snapshot of a prompt's editable fields.
+	 * Revisions are append-only: once stored they are never modified.
+	 * @param {Object} prompt - Prompt the revision will belong to
+	 * @param {Object} fields - Revision fields { title, model, content }
+	 * @param {Object} [extra] - Additional revision fields (e.g. restoredFrom)
+	 * @returns {Object} Revision object
+	 */
+	const createRevision = (prompt, fields, extra = {}) => {
+		const revisions = Array.isArray(prompt.revisions) ? prompt.revisions : [];
+		const last = revisions[revisions.length - 1];
+		return {
+			rev: last ? last.rev + 1 : 1,
+			title: fields.title,
+			model: fields.model,
+			content: fields.content,
+			tokenEstimate: countTokens(fields.content, fields.model),
+			createdAt: new Date().toISOString(),
+			...extra
+		};
+	};
+
+	/**
+	 * Seed the revision list of prompts saved before history existed
+	 * @param {Object} prompt - Prompt to patch in place
+	 * @returns {Array} The prompt's revisions
+	 */
+	const ensureRevisions = (prompt) => {
+		if (Array.isArray(prompt.revisions) && prompt.revisions.length) return prompt.revisions;
+		const content = prompt.content || '';
+		prompt.revisions = [{
+			rev: 1,
+			title: prompt.title || '',
+			model: prompt.metadata?.model || '',
+			content,
+			tokenEstimate: prompt.metadata?.tokenEstimate || countTokens(content, prompt.metadata?.model),
+			createdAt: prompt.metadata?.createdAt || new Date(Number(prompt.id) || Date.now()).toISOString()
+		}];
+		return prompt.revisions;
+	};
+
+	// Texts further apart than this many edits are shown as replaced outright;
+	// searching further costs time quadratic in their length for little insight
+	const DIFF_EDIT_LIMIT = 1000;
+
+	/**
+	 * Diff two token lists that share no prefix or suffix: find where the
+	 * shortest edit path crosses its middle (Myers' bisection, linear space)
+	 * and diff both halves
+	 * @param {string[]} a - Original tokens
+	 * @param {string[]} b - Changed tokens
+	 * @param {Array<Object>} out - Parts are appended here
+	 */
+	const bisectDiff = (a, b, out) => {
+		const n = a.length;
+		const m = b.length;
+		const maxD = Math.ceil((n + m) / 2);
+		const offset = maxD;
+		// Furthest x reached on each diagonal k = x - y, from the start (forward) and from the end (backward)
+		const forward = new Array(2 * maxD + 2).fill(-1);
+		const backward = new Array(2 * maxD + 2).fill(-1);
+		forward[offset + 1] = 0;
+		backward[offset + 1] = 0;
+		const delta = n - m;
+		// With an odd delta the paths meet on a forward step, otherwise on a backward one
+		const checkForward = delta % 2 !== 0;
+		// Diagonals that ran off the grid need no further steps
+		let forwardStart = 0, forwardEnd = 0, backwardStart = 0, backwardEnd = 0;
+		for (let d = 0; d < Math.min(maxD, DIFF_EDIT_LIMIT); d++) {
+			for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+				let x = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]) ? forward[offset + k + 1] : forward[offset + k - 1] + 1;
+				let y = x - k;
+				while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+				forward[offset + k] = x;
+				if (x > n) forwardEnd += 2;
+				else if (y > m) forwardStart += 2;
+				else if (checkForward) {
+					const reached = backward[offset + delta - k];
+					if (reached !== undefined && reached !== -1 && x >= n - reached) {
+						diffInto(a.slice(0, x), b.slice(0, y), out);
+						diffInto(a.slice(x), b.slice(y), out);
+						return;
+					}
+				}
+			}
+			for (let k = -d + backwardStart; k <= d - backwardEnd; k += 2) {
+				let x = k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1]) ? backward[offset + k + 1] : backward[offset + k - 1] + 1;
+				let y = x - k;
+				while (x < n && y < m && a[n - x - 1] === b[m - y - 1]) { x++; y++; }
+				backward[offset + k] = x;
+				if (x > n) backwardEnd += 2;
+				else if (y > m) backwardStart += 2;
+				else if (!checkForward) {
+					const fx = forward[offset + delta - k];
+					if (fx !== undefined && fx !== -1 && fx >= n - x) {
+						const fy = fx - (delta - k);
+						diffInto(a.slice(0, fx), b.slice(0, fy), out);
+						diffInto(a.slice(fx), b.slice(fy), out);
+						return;
+					}
+				}
+			}
+		}
+		// Nothing in common, or too far apart to search
+		a.forEach(text => out.push({ type: 'del', text }));
+		b.forEach(text => out.push({ type: 'add', text }));
+	};
+
+	/**
+	 * Append the diff of two token lists to `out`
+	 * @param {string[]} a - Original tokens
+	 * @param {string[]} b - Changed tokens
+	 * @param {Array<Object>} out - Parts are appended here
+	 */
+	const diffInto = (a, b, out) => {
+		// Shared ends are common in prompt edits and cost nothing to match
+		let prefix = 0;
+		while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+		let suffix = 0;
+		while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+		for (let i = 0; i < prefix; i++) out.push({ type: 'same', text: a[i] });
+		const midA = a.slice(prefix, a.length - suffix);
+		const midB = b.slice(prefix, b.length - suffix);
+		if (!midA.length) midB.forEach(text => out.push({ type: 'add', text }));
+		else if (!midB.length) midA.forEach(text => out.push({ type: 'del', text }));
+		else bisectDiff(midA, midB, out);
+		for (let i = a.length - suffix; i < a.length; i++) out.push({ type: 'same', text: a[i] });
+	};
+
+	/**
+	 * Diff two token lists along a shortest edit script (Myers), in memory
+	 * linear in their length
+	 * @param {string[]} a - Original tokens
+	 * @param {string[]} b - Changed tokens
+	 * @returns {Array<Object>} Ordered list of { type: 'same'|'add'|'del', text }
+	 */
+	const diffSequences = (a, b) => {
+		const out = [];
+		diffInto(a, b, out);
+		return out;
+	};
+
+	/**
+	 * Compute a line-level diff between two texts
+	 * @param {string} oldText - Original text
+	 * @param {string} newText - Changed text
+	 * @returns {Array<Object>} Ordered list of { type: 'same'|'add'|'del', text }
+	 */
+	const diffLines = (oldText, newText) => diffSequences(String(oldText).split('\n'), String(newText).split('\n'));
+
+	/**
+	 * Compute a word-level diff; whitespace is kept so the parts join back
+	 * into the original texts, and runs of the same type are merged
+	 * @param {string} oldText - Original text
+	 * @param {string} newText - Changed text
+	 * @returns {Array<Object>} Ordered list of { type: 'same'|'add'|'del', text }
+	 */
+	const diffWords = (oldText, newText) => {
+		const words = (text) => String(text).split(/(\s+)/).filter(Boolean);
+		return diffSequences(words(oldText), words(newText)).reduce((out, part) => {
+			const last = out[out.length - 1];
+			if (last && last.type === part.type) last.text += part.text;
+			else out.push({ ...part });
+			return out;
+		}, []);
+	};
+
+	// ===== END REVISION HISTORY SYSTEM =====
+
+	// ===== TEMPLATE VARIABLES SYSTEM =====
+	const TEMPLATE_TYPES = ['text', 'multiline', 'enum'];
+
+	// {{name}}, {{name=default}}, {{name:multiline}}, {{tone:enum(formal|casual)=casual}}
+	const TEMPLATE_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*(?::\s*([a-z]+)\s*(?:\(([^)]*)\))?)?\s*(?:=([^}]*))?\}\}/g;
+
+	/**
+	 * Detect template variables in prompt content
+	 * @param {string} content - Prompt content
+	 * @returns {Array<Object>} Unique variables in order of appearance: { name, type, options, defaultValue }
+	 */
+	const parseTemplateVariables = (content) => {
+		if (typeof content !== 'string') {
+			throw new Error('Content must be a string');
+		}
+		const vars = new Map();
+		for (const match of content.matchAll(TEMPLATE_PATTERN)) {
+			const [, name, rawType, rawOptions, rawDefault] = match;
+			if (vars.has(name)) continue;
+			const options = rawOptions ? rawOptions.split('|').map(o => o.trim()).filter(Boolean) : [];
+			let type = TEMPLATE_TYPES.includes(rawType) ? rawType : 'text';
+			if (type === 'enum' && !options.length) type = 'text';
+			let defaultValue = typeof rawDefault === 'string' ? rawDefault.trim() : '';
+			if (type === 'enum' && !options.includes(defaultValue)) defaultValue = options[0];
+			vars.set(name, { name, type, options, defaultValue });
+		}
+		return [...vars.values()];
+	};
+
+	/**
+	 * Substitute template variables with values (falling back to defaults)
+	 * @param {string} content - Prompt content
+	 * @param {Object} values - Map of variable name to value
+	 * @returns {string} Rendered prompt
+	 */
+	const renderTemplate = (content, values = {}) => {
+		const defaults = Object.fromEntries(parseTemplateVariables(content).map(v => [v.name, v.defaultValue]));
+		return content.replace(TEMPLATE_PATTERN, (match, name) => {
+			const value = values[name];
+			if (typeof value === 'string' && value !== '') return value;
+			// Leave unfilled placeholders visible rather than silently dropping them
+			return defaults[name] || match;
+		});
+	};
+
+	// ===== END TEMPLATE VARIABLES SYSTEM =====
+
+	// ===== INCLUDES SYSTEM =====
+	// A prompt with a snippetName can be pulled into others with {{> name}}.
+	// Includes are stored as written and expanded wherever the text is used.
+	const INCLUDE_PATTERN = /\{\{>\s*([A-Za-z0-9][\w-]*)\s*\}\}/g;
+	const SNIPPET_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+	const SNIPPET_NAME_LIMIT = 60;
+	const MAX_INCLUDE_DEPTH = 10;
+
+	// "House Style" becomes "house-style"
+	const normalizeSnippetName = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, '-');
+	const hasIncludes = (content) => typeof content === 'string' && content.includes('{{>');
+
+	/**
+	 * Snippet names a text includes directly
+	 * @param {string} content - Prompt content
+	 * @returns {string[]} Unique names in order of appearance
+	 */
+	const includedNames = (content) => (hasIncludes(content)
+		? [...new Set([...content.matchAll(INCLUDE_PATTERN)].map(m => m[1].toLowerCase()))]
+		: []);
+
+	/**
+	 * Includable prompts by snippet name; trashed prompts cannot be included
+	 * @param {Array} prompts - Prompt records
+	 * @returns {Map<string, Object>}
+	 */
+	const snippetIndex = (prompts) => new Map(prompts.filter(p => p.snippetName && !isTrashed(p)).map(p => [p.snippetName, p]));
+
+	/**
+	 * Prompts that include each snippet directly
+	 * @param {Array} prompts - Prompt records
+	 * @returns {Map<string, Object[]>} Snippet name to including prompts
+	 */
+	const snippetUsage = (prompts) => {
+		const usage = new Map();
+		prompts.forEach(p => {
+			if (isTrashed(p)) return;
+			new Set([p.content, ...(p.variants || []).map(v => v.content)].flatMap(includedNames)).forEach(name => {
+				if (!usage.has(name)) usage.set(name, []);
+				usage.get(name).push(p);
+			});
+		});
+		return usage;
+	};
+
+	/**
+	 * Expand {{> name}} includes recursively. Missing snippets and includes
+	 * that would loop are left in place and reported.
+	 * @param {string} content - Text to expand
+	 * @param {Map<string, Object>} snippets - snippetIndex() of the library
+	 * @param {string[]} [trail] - Snippets being expanded, outermost first
+	 * @returns {{text: string, includes: string[], missing: string[], cycles: string[][]}}
+	 */
+	const expandIncludes = (content, snippets, trail = []) => {
+		const result = { text: String(content), includes: [], missing: [], cycles: [] };
+		if (!hasIncludes(content)) return result;
+		const note = (list, name) => { if (!list.includes(name)) list.push(name); };
+		result.text = result.text.replace(INCLUDE_PATTERN, (match, rawName) => {
+			const name = rawName.toLowerCase();
+			const snippet = snippets.get(name);
+			if (!snippet) {
+				note(result.missing, name);
+				return match;
+			}
+			if (trail.includes(name) || trail.length >= MAX_INCLUDE_DEPTH) {
+				result.cycles.push([...trail.slice(trail.indexOf(name)), name]);
+				return match;
+			}
+			note(result.includes, name);
+			const inner = expandIncludes(snippet.content, snippets, [...trail, name]);
+			inner.includes.forEach(n => note(result.includes, n));
+			inner.missing.forEach(n => note(result.missing, n));
+			result.cycles.push(...inner.cycles);
+			return inner.text;
+		});
+		return result;
+	};
+
+	// Expand a prompt's own content; a snippet including itself counts as a cycle
+	const expandPrompt = (p, snippets, content = p.content) => expandIncludes(content, snippets, p.snippetName ? [p.snippetName] : []);
+
+	/**
+	 * Check a snippet name for a prompt
+	 * @param {string} name - Name as typed, '' for none
+	 * @param {Array} prompts - Prompt records
+	 * @param {Object|null} self - Prompt the name is for
+	 * @returns {Object} { name: string|null, error?: string }
+	 */
+	const checkSnippetName = (name, prompts, self) => {
+		const normalized = normalizeSnippetName(name);
+		if (!normalized) return { name: null };
+		if (normalized.length > SNIPPET_NAME_LIMIT) return { name: normalized, error: 'Snippet names must not exceed ' + SNIPPET_NAME_LIMIT + ' characters' };
+		if (!SNIPPET_NAME_PATTERN.test(normalized)) return { name: normalized, error: 'Snippet names may only use letters, digits, "-" and "_"' };
+		const owner = prompts.find(p => p.snippetName === normalized && (!self || String(p.id) !== String(self.id)));
+		if (owner) return { name: normalized, error: 'The snippet name "' + normalized + "\" is already used by '" + owner.title + "'" };
+		return { name: normalized };
+	};
+
+	/**
+	 * Give later prompts a numbered name where snippet names clash, e.g. after an import.
+	 * Includes in incoming prompts follow the renamed incoming snippets, so an
+	 * imported set keeps including its own snippets rather than the library's.
+	 * @param {Array} prompts - Prompt records, existing ones first
+	 * @param {Set} [incoming] - Records that came with the import
+	 * @returns {Object} { prompts, renamed } with changed records copied
+	 */
+	const dedupeSnippetNames = (prompts, incoming = new Set()) => {
+		const taken = new Set();
+		const renames = new Map();
+		const named = prompts.map(p => {
+			if (!p.snippetName) return p;
+			let name = p.snippetName;
+			for (let n = 2; taken.has(name); n++) name = p.snippetName.slice(0, SNIPPET_NAME_LIMIT - String(n).length - 1) + '-' + n;
+			taken.add(name);
+			if (name === p.snippetName) return p;
+			if (incoming.has(p)) renames.set(p.snippetName, name);
+			return { ...p, snippetName: name };
+		});
+		const follow = (content) => content.replace(INCLUDE_PATTERN, (match, name) => {
+			const renamed = renames.get(normalizeSnippetName(name));
+			return renamed ? '{{> ' + renamed + '}}' : match;
+		});
+		return {
+			prompts: named.map((p, i) => {
+				if (!renames.size || !incoming.has(prompts[i])) return p;
+				if (!hasIncludes(p.content) && !(p.variants || []).some(v => hasIncludes(v.content))) return p;
+				const content = follow(p.content);
+				const revisions = (p.revisions || []).map((r, n, all) => n === all.length - 1 && r.content === p.content ? { ...r, content } : r);
+				return { ...p, content, revisions, variants: (p.variants || []).map(v => ({ ...v, content: follow(v.content) })) };
+			}),
+			renamed: named.filter((p, i) => p !== prompts[i]).length
+		};
+	};
+
+	// ===== END INCLUDES SYSTEM =====
+
+	// ===== PROMPT LINTER =====
+	// Rule based checks for common prompt problems. Everything here is a plain
+	// function of its arguments; the app stores the rule settings (LINT RULES MANAGER in script.js).
+	const LINT_SEVERITIES = ['error', 'warning', 'info'];
+	const DEFAULT_VAGUE_WORDS = ['some', 'a few', 'several', 'many', 'various', 'a lot', 'a bit', 'a little', 'somewhat', 'etc'];
+
+	/**
+	 * @typedef {Object} LintFinding
+	 * @property {string} rule - Rule id
+	 * @property {string} severity - 'error', 'warning' or 'info'
+	 * @property {string} message - What is wrong and how to fix it
+	 * @property {number} [line] - 1-based line the finding points at
+	 */
+
+	/**
+	 * @typedef {Object} LintContext
+	 * @property {string} [modelName] - Display name of the prompt's model
+	 * @property {number} [tokens] - Token count of the text
+	 * @property {number} [contextWindow] - Model context window, 0 when unknown
+	 * @property {number} [contextWarnShare] - Share of the window that counts as long
+	 * @property {number} [expectedOutputTokens] - Room to leave for the answer
+	 * @property {boolean} [isSnippet] - Snippets are fragments and need no output format
+	 */
+
+	// 1-based line of a character offset
+	const lineAt = (text, index) => text.slice(0, index).split('\n').length;
+
+	// Text outside ``` fences and `inline code`, same length so offsets still line up
+	const proseOnly = (text) => text
+		.replace(/^```[^\n]*\n[\s\S]*?^```[^\n]*$/gm, (m) => m.replace(/[^\n]/g, ' '))
+		.replace(/`[^`\n]*`/g, (m) => ' '.repeat(m.length));
+
+	// Sentences and list items, lowercased, with leading bullets and trailing punctuation removed
+	const instructionsOf = (text) => proseOnly(text)
+		.split(/(?<=[.!?])\s+|\n+/)
+		.map(s => s.trim().toLowerCase().replace(/^(?:[-*•]|\d+[.)])\s+/, '').replace(/[\s.!?;:,]+$/, ''))
+		.filter(Boolean);
+
+	const NEGATION = /^(?:please\s+)?(?:do not|don't|never|avoid)\s+(.+)$/;
+	const stripPoliteness = (s) => s.replace(/^(?:please\s+|always\s+|you (?:must|should)\s+)+/, '');
+	const OPPOSITES = [
+		[/\b(?:be|keep (?:it|the answer|answers)|stay) (?:concise|brief|short)\b/, /\b(?:be|make it) (?:detailed|thorough|exhaustive|verbose)\b|\bin (?:great |full )?detail\b/],
+		[/\b(?:be formal|formal (?:tone|language|style))\b/, /\b(?:be (?:casual|informal)|(?:casual|informal) (?:tone|language|style))\b/]
+	];
+	const OUTPUT_FORMAT = /\b(?:format(?:ted)?|json|yaml|xml|csv|markdown|table|bullet(?:ed)? points?|bulleted|numbered|list|heading|headings|sections?|schema|template|respond (?:with|in|using|only)|reply (?:with|in)|return (?:only|a|an|the|just)|output|answer (?:with|in)|(?:in|under|at most|no more than) (?:\d+|one|two|three|four|five|a single) (?:words?|sentences?|paragraphs?|lines?|bullets?))\b/i;
+
+	/**
+	 * Lint rules. check returns findings without a severity; the configured
+	 * severity is added by lintPrompt.
+	 * @type {Array<{id: string, label: string, severity: string, description: string, check: Function}>}
+	 */
+	const LINT_RULES = [
+		{
+			id: 'unfilled-placeholder',
+			label: 'Unfilled placeholders',
+			severity: 'warning',
+			description: 'Leftovers like [insert topic], <your text here>, TODO, {{}} or includes that could not be expanded',
+			check: (text) => {
+				const findings = [];
+				const patterns = [
+					[/\[(?:insert|your|add|enter|fill in|placeholder)\b[^\]\n]{0,60}\]/gi, (m) => m + ' looks like an unfilled placeholder; replace it or make it a {{variable}}'],
+					[/<(?:insert|your|add|enter|fill in)\b[^>\n]{0,60}>/gi, (m) => m + ' looks like an unfilled placeholder; replace it or make it a {{variable}}'],
+					[/\b(?:TODO|TBD|FIXME|XXX)\b/g, (m) => m + ' marks unfinished text'],
+					[/\{\{\s*\}\}/g, () => 'Empty {{}} placeholder; give it a name'],
+					[INCLUDE_PATTERN, (m) => m + ' could not be expanded; check the snippet name or remove the include']
+				];
+				patterns.forEach(([pattern, message]) => {
+					for (const m of text.matchAll(pattern)) findings.push({ message: message(m[0]), line: lineAt(text, m.index) });
+				});
+				return findings;
+			}
+		},
+		{
+			id: 'output-format',
+			label: 'Missing output format',
+			severity: 'warning',
+			description: 'The prompt never says what the answer should look like',
+			check: (text, context) => (context.isSnippet || OUTPUT_FORMAT.test(proseOnly(text))
+				? []
+				: [{ message: 'No output format: say what the answer should look like, e.g. "Respond with a bulleted list" or "Return JSON with a title field"' }])
+		},
+		{
+			id: 'contradiction',
+			label: 'Contradictory instructions',
+			severity: 'warning',
+			description: 'An instruction and its negation, or opposites like "be concise" and "in detail"',
+			check: (text) => {
+				const findings = [];
+				const instructions = instructionsOf(text);
+				const positives = new Set(instructions.filter(s => !NEGATION.test(s)).map(stripPoliteness));
+				instructions.forEach(s => {
+					const negated = s.match(NEGATION);
+					if (negated && positives.has(stripPoliteness(negated[1]))) findings.push({ message: '"' + s + '" contradicts "' + stripPoliteness(negated[1]) + '"' });
+				});
+				const positive = instructions.filter(s => !NEGATION.test(s)).join('\n');
+				OPPOSITES.forEach(([a, b]) => {
+					const first = positive.match(a);
+					const second = positive.match(b);
+					if (first && second) findings.push({ message: '"' + first[0] + '" contradicts "' + second[0] + '"; keep one' });
+				});
+				return findings;
+			}
+		},
+		{
+			id: 'duplicate-instruction',
+			label: 'Duplicated instructions',
+			severity: 'info',
+			description: 'The same sentence or list item appears more than once',
+			check: (text) => {
+				const counts = new Map();
+				instructionsOf(text).filter(s => s.split(/\s+/).length >= 3).forEach(s => counts.set(s, (counts.get(s) || 0) + 1));
+				return [...counts].filter(([, n]) => n > 1).map(([s, n]) => ({ message: '"' + s + '" appears ' + n + ' times; say it once' }));
+			}
+		},
+		{
+			id: 'context-length',
+			label: 'Long for the model',
+			severity: 'warning',
+			description: "Uses a large share of the model's context window (the share is set under Models)",
+			check: (text, context) => {
+				const { tokens = 0, contextWindow = 0, contextWarnShare = 0.5, expectedOutputTokens = 0 } = context;
+				if (!contextWindow || !tokens) return [];
+				const name = context.modelName || 'the model';
+				if (tokens + expectedOutputTokens > contextWindow) {
+					return [{ message: 'About ' + tokens.toLocaleString('en-US') + ' tokens leaves no room for a ' + expectedOutputTokens + '-token answer in ' + name + "'s " + contextWindow.toLocaleString('en-US') + '-token context; shorten it or pick a larger model' }];
+				}
+				if (tokens / contextWindow > contextWarnShare) {
+					return [{ message: 'Uses ' + Math.round(tokens / contextWindow * 100) + '% of ' + name + "'s context window; long prompts cost more and leave less room for input" }];
+				}
+				return [];
+			}
+		},
+		{
+			id: 'vague-quantifier',
+			label: 'Vague quantifiers',
+			severity: 'info',
+			description: 'Words like "some" or "a few" where a number would be clearer',
+			options: { words: DEFAULT_VAGUE_WORDS },
+			check: (text, context, options) => {
+				const prose = proseOnly(text);
+				return (options.words || []).flatMap(word => {
+					const escaped = word.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+					if (!escaped) return [];
+					const matches = [...prose.matchAll(new RegExp('\\b' + escaped + '\\b', 'gi'))];
+					if (!matches.length) return [];
+					return [{
+						message: 'Vague quantifier "' + word.trim() + '"' + (matches.length > 1 ? ' (' + matches.length + '×)' : '') + '; give a number or range instead',
+						line: lineAt(text, matches[0].index)
+					}];
+				});
+			}
+		},
+		{
+			id: 'code-fence',
+			label: 'Unbalanced code fences',
+			severity: 'error',
+			description: 'A ``` fence is opened but never closed',
+			check: (text) => {
+				const fences = [...text.matchAll(/^\s*```/gm)];
+				return fences.length % 2
+					? [{ message: 'This code fence is never closed; add a closing ```', line: lineAt(text, fences[fences.length - 1].index) }]
+					: [];
+			}
+		},
+		{
+			id: 'quotes',
+			label: 'Unbalanced quotes',
+			severity: 'warning',
+			description: 'An odd number of " or mismatched “ ” outside code',
+			check: (text) => {
+				const prose = proseOnly(text);
+				const findings = [];
+				const straight = [...prose.matchAll(/"/g)];
+				if (straight.length % 2) findings.push({ message: 'Odd number of " marks (' + straight.length + '); close the quoted text', line: lineAt(text, straight[straight.length - 1].index) });
+				const opening = (prose.match(/“/g) || []).length;
+				const closing = (prose.match(/”/g) || []).length;
+				if (opening !== closing) findings.push({ message: opening + ' “ but ' + closing + ' ”; close the quoted text' });
+				return findings;
+			}
+		}
+	];
+
+	/**
+	 * Lint a prompt text
+	 * @param {string} text - Prompt content, includes already expanded
+	 * @param {LintContext} [context] - Facts about the prompt the text cannot tell
+	 * @param {Object} [settings] - Rule id to { enabled?, severity?, ...options }
+	 * @returns {LintFinding[]} Findings, most severe first
+	 */
+	const lintPrompt = (text, context = {}, settings = {}) => {
+		const source = String(text || '');
+		const findings = [];
+		LINT_RULES.forEach(rule => {
+			const config = settings[rule.id] || {};
+			if (config.enabled === false) return;
+			const severity = LINT_SEVERITIES.includes(config.severity) ? config.severity : rule.severity;
+			rule.check(source, context, { ...rule.options, ...config }).forEach(f => findings.push({ rule: rule.id, severity, ...f }));
+		});
+		return findings.sort((a, b) => LINT_SEVERITIES.indexOf(a.severity) - LINT_SEVERITIES.indexOf(b.severity));
+	};
+
+	/**
+	 * Lint context for a prompt's model from the registry and model settings
+	 * @param {string} modelName - Model as stored or typed
+	 * @param {number} tokens - Token count of the expanded text
+	 * @param {boolean} isSnippet - Whether the prompt is a snippet
+	 * @param {Object} [modelSettings] - { contextWarnShare, expectedOutputTokens } as set under Models
+	 * @returns {LintContext}
+	 */
+	const lintContextFor = (modelName, tokens, isSnippet, modelSettings = {}) => {
+		const model = resolveModel(modelName);
+		const { contextWarnShare, expectedOutputTokens } = modelSettings;
+		return { modelName: model ? model.name : modelName, tokens, contextWindow: model ? model.contextWindow : 0, contextWarnShare, expectedOutputTokens, isSnippet };
+	};
+
+	/**
+	 * Count findings by severity, e.g. "1 error, 2 warnings"
+	 * @param {LintFinding[]} findings - Findings
+	 * @returns {string} Summary, '' when there are none
+	 */
+	const formatLintSummary = (findings) => LINT_SEVERITIES
+		.map(severity => [severity, findings.filter(f => f.severity === severity).length])
+		.filter(([, n]) => n)
+		.map(([severity, n]) => n + ' ' + (severity === 'info' ? 'info' : severity + (n === 1 ? '' : 's')))
+		.join(', ');
+
+	// ===== END PROMPT LINTER =====
+
+	// ===== TAGS & COLLECTIONS SYSTEM =====
+	const UNFILED = '__unfiled';
+
+	/**
+	 * Normalise a tag: lowercase, no leading '#', whitespace collapsed to '-'
+	 * @param {string} tag - Raw tag text
+	 * @returns {string} Normalised tag ('' when nothing usable remains)
+	 */
+	const normalizeTag = (tag) => String(tag || '').trim().replace(/^#+/, '').trim().toLowerCase().replace(/\s+/g, '-').slice(0, 40);
+
+	/**
+	 * Parse a comma separated tag list into unique normalised tags
+	 * @param {string|Array} input - "a, b, #c" or an array of raw tags
+	 * @returns {string[]} Unique normalised tags
+	 */
+	const parseTags = (input) => {
+		const raw = Array.isArray(input) ? input : String(input || '').split(',');
+		return [...new Set(raw.map(normalizeTag).filter(Boolean))];
+	};
+
+	/**
+	 * Count tag usage across prompts
+	 * @param {Array} prompts - Prompt records
+	 * @returns {Array<Object>} { tag, count } sorted by count then name
+	 */
+	const collectTags = (prompts) => {
+		const counts = new Map();
+		prompts.forEach(p => (Array.isArray(p.tags) ? p.tags : []).forEach(t => counts.set(t, (counts.get(t) || 0) + 1)));
+		return [...counts].map(([tag, count]) => ({ tag, count }))
+			.sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+	};
+
+	/**
+	 * Build a nested tree from the flat collection list
+	 * @param {Array} collections - { id, name, parentId } records
+	 * @returns {Array<Object>} Root nodes: { ...collection, children: [] }, sorted by name
+	 */
+	const buildCollectionTree = (collections) => {
+		const nodes = new Map(collections.map(c => [String(c.id), { ...c, children: [] }]));
+		const roots = [];
+		nodes.forEach(node => {
+			const parent = node.parentId != null ? nodes.get(String(node.parentId)) : null;
+			// Orphans (missing parent) are shown at the top level
+			if (parent && parent !== node) parent.children.push(node);
+			else roots.push(node);
+		});
+		const sortNodes = (list) => {
+			list.sort((a, b) => a.name.localeCompare(b.name));
+			list.forEach(n => sortNodes(n.children));
+			return list;
+		};
+		return sortNodes(roots);
+	};
+
+	/**
+	 * Collect a collection id and all of its descendants' ids
+	 * @param {Array} collections - Flat collection list
+	 * @param {string} id - Root collection id
+	 * @returns {Set<string>} Ids in the subtree (including id itself)
+	 */
+	const collectionSubtree = (collections, id) => {
+		const ids = new Set([String(id)]);
+		let grew = true;
+		while (grew) {
+			grew = false;
+			collections.forEach(c => {
+				if (c.parentId != null && ids.has(String(c.parentId)) && !ids.has(String(c.id))) {
+					ids.add(String(c.id));
+					grew = true;
+				}
+			});
+		}
+		return ids;
+	};
+
+	/**
+	 * Human readable path of a collection, e.g. "Work / Marketing"
+	 * @param {Array} collections - Flat collection list
+	 * @param {string} id - Collection id
+	 * @returns {string} Path, '' when the collection does not exist
+	 */
+	const collectionPath = (collections, id) => {
+		const byId = new Map(collections.map(c => [String(c.id), c]));
+		const names = [];
+		const seen = new Set();
+		let node = byId.get(String(id));
+		while (node && !seen.has(node)) {
+			seen.add(node);
+			names.unshift(node.name);
+			node = node.parentId != null ? byId.get(String(node.parentId)) : null;
+		}
+		return names.join(' / ');
+	};
+
+	/**
+	 * Find or create the collection for a "Parent / Child" path
+	 * @param {Array} collections - Flat collection list; new collections are appended
+	 * @param {string} path - Names separated by "/", matched case-insensitively
+	 * @returns {string|null} Collection id, null for an empty path
+	 */
+	const collectionIdForPath = (collections, path) => {
+		const names = String(path || '').split('/').map(n => n.trim().slice(0, 60)).filter(Boolean);
+		let parentId = null;
+		names.forEach(name => {
+			let node = collections.find(c => (c.parentId ?? null) === parentId && c.name.toLowerCase() === name.toLowerCase());
+			if (!node) {
+				let id = Date.now();
+				while (collections.some(c => String(c.id) === String(id))) id++;
+				node = { id: String(id), name, parentId };
+				collections.push(node);
+			}
+			parentId = String(node.id);
+		});
+		return parentId;
+	};
+
+	/**
+	 * Build a predicate selecting the prompts shown for a collection view
+	 * @param {Array} collections - Flat collection list
+	 * @param {string} scope - '' (all), UNFILED, or a collection id (includes sub-collections)
+	 * @returns {Function} prompt => boolean
+	 */
+	const collectionScope = (collections, scope) => {
+		if (!scope) return () => true;
+		const known = new Set(collections.map(c => String(c.id)));
+		// Prompts pointing at a collection that no longer exists count as unfiled
+		const isUnfiled = (p) => p.collectionId == null || !known.has(String(p.collectionId));
+		if (scope === UNFILED) return isUnfiled;
+		const ids = collectionSubtree(collections, scope);
+		return (p) => !isUnfiled(p) && ids.has(String(p.collectionId));
+	};
+
+	// ===== END TAGS & COLLECTIONS SYSTEM =====
+
+	// ===== ARCHIVE & TRASH SYSTEM =====
+	// Special sidebar scopes, next to '' (all prompts) and UNFILED
+	const ARCHIVE_VIEW = '__archive';
+	const TRASH_VIEW = '__trash';
+
+	const isArchived = (p) => !!p.archivedAt;
+	const isTrashed = (p) => !!p.trashedAt;
+
+	/**
+	 * Filter for the prompts a sidebar scope shows. Trashed prompts only appear
+	 * in the trash; archived ones only in the archive or when searching.
+	 * @param {Array} collections - Collection list
+	 * @param {string} scope - '', UNFILED, ARCHIVE_VIEW, TRASH_VIEW or a collection id
+	 * @param {boolean} searching - Whether a search query is active
+	 * @returns {Function} Predicate (prompt) => boolean
+	 */
+	const viewScope = (collections, scope, searching) => {
+		if (scope === TRASH_VIEW) return isTrashed;
+		if (scope === ARCHIVE_VIEW) return (p) => !isTrashed(p) && isArchived(p);
+		const inCollection = collectionScope(collections, scope);
+		return (p) => !isTrashed(p) && (searching || !isArchived(p)) && inCollection(p);
+	};
+
+	/**
+	 * Days until a trashed prompt is purged
+	 * @param {Object} p - Trashed prompt
+	 * @param {number} retentionDays - 0 keeps trash forever
+	 * @param {number} [now] - Current time in ms
+	 * @returns {number|null} Whole days left, null when never purged
+	 */
+	const daysUntilPurge = (p, retentionDays, now = Date.now()) => {
+		if (!retentionDays || !p.trashedAt) return null;
+		const left = new Date(p.trashedAt).getTime() + retentionDays * 86400000 - now;
+		return Math.max(0, Math.ceil(left / 86400000));
+	};
+
+	/**
+	 * Pick trashed prompts older than the retention period
+	 * @param {Array} prompts - Prompt list
+	 * @param {number} retentionDays - 0 keeps trash forever
+	 * @param {number} [now] - Current time in ms
+	 * @returns {Array} Prompts to purge
+	 */
+	const selectExpiredTrash = (prompts, retentionDays, now = Date.now()) => {
+		if (!retentionDays) return [];
+		return prompts.filter(p => isTrashed(p) && now - new Date(p.trashedAt).getTime() > retentionDays * 86400000);
+	};
+
+	// ===== END ARCHIVE & TRASH SYSTEM =====
+
+	// ===== RUN LOG SYSTEM =====
+	// Each prompt logs its runs; the card rating is an aggregate of them.
+	// userRating is kept as the rounded mean so search, sort and stats work unchanged.
+	const RUN_TEXT_LIMIT = 20000;
+	const TREND_WINDOW = 3;
+	const TREND_THRESHOLD = 0.5;
+
+	const isRunRating = (value) => Number.isInteger(value) && value >= 1 && value <= 5;
+	const meanOf = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+	const byRunTime = (a, b) => String(a.createdAt).localeCompare(String(b.createdAt));
+
+	/**
+	 * Rated runs in time order
+	 * @param {Object} p - Prompt
+	 * @param {string|null} [variant] - Variant id, null for the prompt's own content; all runs when omitted
+	 * @returns {Array} Runs
+	 */
+	const ratedRuns = (p, variant) => (Array.isArray(p.runs) ? p.runs : [])
+		.filter(r => isRunRating(r.rating) && (variant === undefined || (r.variant || null) === variant))
+		.sort(byRunTime);
+
+	/**
+	 * Aggregate rating from a prompt's run log
+	 * @param {Object} p - Prompt
+	 * @param {string|null} [variant] - Variant id; the prompt's own content by default
+	 * @returns {{mean: number|null, count: number, trend: 'up'|'down'|'flat'|null}}
+	 *   Trend compares the last TREND_WINDOW rated runs with the ones before them
+	 */
+	const ratingSummary = (p, variant = null) => {
+		const ratings = ratedRuns(p, variant).map(r => r.rating);
+		if (!ratings.length) return { mean: null, count: 0, trend: null };
+		const mean = meanOf(ratings);
+		if (ratings.length < 2) return { mean, count: 1, trend: null };
+		const recent = Math.min(TREND_WINDOW, Math.floor(ratings.length / 2));
+		const delta = meanOf(ratings.slice(-recent)) - meanOf(ratings.slice(0, -recent));
+		const trend = delta >= TREND_THRESHOLD ? 'up' : delta <= -TREND_THRESHOLD ? 'down' : 'flat';
+		return { mean, count: ratings.length, trend };
+	};
+
+	/**
+	 * Mean rating of a prompt's runs grouped by a run field
+	 * @param {Object} p - Prompt
+	 * @param {string} field - 'model', 'rev' or 'variant'
+	 * @param {string|null} [variant] - Only runs of this variant; all runs when omitted
+	 * @returns {Array<{key: string, mean: number, count: number}>} Groups in first-run order
+	 */
+	const ratingBreakdown = (p, field, variant) => {
+		const groups = new Map();
+		ratedRuns(p, variant).forEach(r => {
+			const key = String(r[field] ?? '?');
+			if (!groups.has(key)) groups.set(key, []);
+			groups.get(key).push(r.rating);
+		});
+		return [...groups].map(([key, ratings]) => ({ key, mean: meanOf(ratings), count: ratings.length }));
+	};
+
+	const TREND_ARROWS = { up: '↗', down: '↘', flat: '→' };
+
+	const isTokenCount = (value) => value === null || (Number.isInteger(value) && value >= 0);
+	const isRunUsage = (usage) => !!usage && typeof usage === 'object' &&
+		isTokenCount(usage.promptTokens) && isTokenCount(usage.completionTokens) &&
+		!!usage.estimate && Number.isFinite(usage.estimate.min) && Number.isFinite(usage.estimate.max);
+
+	/**
+	 * "412 in / 96 out tokens · estimated 380-450 (within)"
+	 * @param {RunUsage} usage - Usage recorded on a run
+	 * @returns {string} Summary comparing reported input tokens with the estimate
+	 */
+	const formatRunUsage = (usage) => {
+		const { promptTokens, completionTokens, estimate } = usage;
+		const reported = [promptTokens === null ? null : promptTokens + ' in', completionTokens === null ? null : completionTokens + ' out'].filter(Boolean);
+		// The word and character heuristics can cross over on very short texts
+		const low = Math.min(estimate.min, estimate.max);
+		const high = Math.max(estimate.min, estimate.max);
+		const range = low === high ? String(low) : low + '-' + high;
+		if (!reported.length) return 'No usage reported · estimated ' + range;
+		const fit = promptTokens === null ? ''
+			: promptTokens < low ? ' (below)' : promptTokens > high ? ' (above)' : ' (within)';
+		return reported.join(' / ') + ' tokens · estimated ' + range + fit;
+	};
+
+	// "★ 4.3 · 6 runs ↗", or "No rated runs"
+	const formatRatingSummary = ({ mean, count, trend }) => (mean === null
+		? 'No rated runs'
+		: '★ ' + mean.toFixed(1) + ' · ' + count + (count === 1 ? ' run' : ' runs') + (trend ? ' ' + TREND_ARROWS[trend] : ''));
+
+	// Keep the derived userRating in line with the runs of the prompt's own content
+	const syncUserRating = (p) => {
+		const { mean } = ratingSummary(p);
+		p.userRating = mean === null ? 0 : Math.round(mean);
+		return p;
+	};
+
+	/**
+	 * Build a run log entry against the prompt's current revision
+	 * @param {Object} prompt - Prompt being run
+	 * @param {Object} fields - { input, model, output, rating, verdict, variant?, provider?, usage? }
+	 * @returns {Object} Run entry
+	 */
+	const createRun = (prompt, fields) => {
+		const runs = Array.isArray(prompt.runs) ? prompt.runs : [];
+		const revisions = Array.isArray(prompt.revisions) ? prompt.revisions : [];
+		const clip = (text) => String(text || '').slice(0, RUN_TEXT_LIMIT);
+		return {
+			// Ids only need to be unique within the prompt
+			id: Math.max(Date.now(), ...runs.map(r => Number(r.id) + 1 || 0)),
+			rev: revisions.length ? revisions[revisions.length - 1].rev : null,
+			model: canonicalModel(String(fields.model || prompt.metadata?.model || '').trim()) || 'unknown',
+			input: clip(fields.input),
+			output: clip(fields.output),
+			rating: isRunRating(fields.rating) ? fields.rating : null,
+			verdict: clip(fields.verdict).trim(),
+			createdAt: new Date().toISOString(),
+			...(fields.variant ? { variant: String(fields.variant) } : {}),
+			...(fields.provider ? { provider: String(fields.provider) } : {}),
+			...(isRunUsage(fields.usage) ? { usage: fields.usage } : {})
+		};
+	};
+
+	// ===== END RUN LOG SYSTEM =====
+
+	// ===== VARIANTS SYSTEM =====
+	// A prompt's own content is its default variant, named by variantName;
+	// alternatives live in prompt.variants. Runs of an alternative carry its id.
+	const DEFAULT_VARIANT_NAME = 'Original';
+	const VARIANT_NAME_LIMIT = 60;
+
+	/**
+	 * Every variant of a prompt, the default first
+	 * @param {Object} p - Prompt
+	 * @returns {Array<{id: string|null, name: string, content: string, model: string, tokenEstimate: Object}>}
+	 */
+	const variantList = (p) => [
+		{ id: null, name: p.variantName || DEFAULT_VARIANT_NAME, content: p.content || '', model: p.metadata?.model || '', tokenEstimate: p.metadata?.tokenEstimate },
+		...(Array.isArray(p.variants) ? p.variants : [])
+	];
+
+	// Variant by id; null or '' is the default
+	const findVariant = (p, id) => variantList(p).find(v => v.id === (id || null)) || null;
+
+	/**
+	 * Validate and normalise a variant from the variants form
+	 * @param {Object} input - { name, model, content }
+	 * @param {Object} p - Prompt the variant belongs to
+	 * @param {Object|null} previous - Variant being edited
+	 * @returns {Object} { variant?: Object, errors: string[] }
+	 */
+	const normalizeVariant = (input, p, previous) => {
+		const errors = [];
+		const name = String(input.name || '').trim();
+		const content = String(input.content || '').trim();
+		const model = canonicalModel(String(input.model || '').trim() || p.metadata?.model || '');
+		if (!name) errors.push('Name is required');
+		else if (name.length > VARIANT_NAME_LIMIT) errors.push('Name must not exceed ' + VARIANT_NAME_LIMIT + ' characters');
+		else if (variantList(p).some(v => (!previous || v.id !== previous.id) && v.name.toLowerCase() === name.toLowerCase())) errors.push('"' + name + '" is already a variant of this prompt');
+		if (!content) errors.push('Content is required');
+		if (!model) errors.push('Model is required');
+		else if (model.length > 100) errors.push('Model must not exceed 100 characters');
+		if (errors.length) return { errors };
+		const now = new Date().toISOString();
+		return {
+			variant: {
+				id: previous ? previous.id : 'variant-' + Date.now().toString(36),
+				name,
+				content,
+				model,
+				tokenEstimate: countTokens(content, model),
+				createdAt: previous ? previous.createdAt : now,
+				updatedAt: now
+			},
+			errors
+		};
+	};
+
+	/**
+	 * Swap an alternative with the prompt's own content in place: the
+	 * alternative's slot keeps the old default, and runs follow their text
+	 * @param {Object} p - Prompt
+	 * @param {string} id - Variant id
+	 * @returns {Object|null} The previous default, as now stored in the slot
+	 */
+	const swapDefaultVariant = (p, id) => {
+		const index = (p.variants || []).findIndex(v => v.id === id);
+		if (index < 0) return null;
+		const promoted = p.variants[index];
+		const demoted = {
+			id,
+			name: p.variantName || DEFAULT_VARIANT_NAME,
+			content: p.content,
+			model: p.metadata.model,
+			tokenEstimate: p.metadata.tokenEstimate,
+			createdAt: promoted.createdAt,
+			updatedAt: new Date().toISOString()
+		};
+		p.variants = p.variants.map((v, i) => (i === index ? demoted : v));
+		p.variantName = promoted.name;
+		p.content = promoted.content;
+		p.metadata = { ...p.metadata, model: promoted.model, tokenEstimate: promoted.tokenEstimate };
+		p.runs = (p.runs || []).map(r => {
+			if (r.variant === id) {
+				const { variant, ...rest } = r;
+				return rest;
+			}
+			return r.variant ? r : { ...r, variant: id };
+		});
+		return demoted;
+	};
+
+	// ===== END VARIANTS SYSTEM =====
+
+	// ===== SCHEMA & MIGRATION SYSTEM =====
+
+	/**
+	 * Stored and exported record shapes (schema version 6, see SCHEMA_VERSION).
+	 *
+	 * @typedef {Object} TokenEstimate
+	 * @property {number} min - Lower bound, integer >= 0
+	 * @property {number} max - Upper bound, integer >= 0
+	 * @property {'high'|'medium'|'low'} confidence
+	 * @property {number} [count] - Tokenizer count, integer >= 0 (min === max === count)
+	 * @property {string} [tokenizer] - Tokenizer id, or 'heuristic'
+	 * @property {boolean} [approximate] - Count comes from a stand-in vocabulary
+	 *
+	 * @typedef {Object} PromptMetadata
+	 * @property {string} model - Non-empty, at most 100 characters
+	 * @property {string} createdAt - ISO 8601 timestamp
+	 * @property {string} updatedAt - ISO 8601 timestamp, >= createdAt
+	 * @property {TokenEstimate} tokenEstimate
+	 *
+	 * @typedef {Object} Note
+	 * @property {number|string} id
+	 * @property {string} text - Non-empty
+	 * @property {number} [updatedAt] - Epoch milliseconds
+	 *
+	 * @typedef {Object} Revision
+	 * @property {number} rev - Positive integer, increasing
+	 * @property {string} title
+	 * @property {string} model
+	 * @property {string} content
+	 * @property {TokenEstimate} tokenEstimate
+	 * @property {string} createdAt - ISO 8601 timestamp
+	 * @property {number} [restoredFrom] - Revision this one restored
+	 * @property {string} [promotedVariant] - Name of the variant this revision promoted
+	 *
+	 * @typedef {Object} Run
+	 * @property {number|string} id - Unique within the prompt
+	 * @property {number|null} rev - Revision that was run
+	 * @property {string} model - Model the run used
+	 * @property {string} input - Rendered prompt that was sent
+	 * @property {string} output - Pasted or received output
+	 * @property {number|null} rating - Integer 1 to 5, null while unrated
+	 * @property {string} verdict - Free text
+	 * @property {string} createdAt - ISO 8601 timestamp
+	 * @property {string} [variant] - Variant id; absent for runs of the prompt's own content
+	 * @property {string} [provider] - Provider name, for runs executed from the library
+	 * @property {RunUsage} [usage] - Token usage reported by the provider
+	 *
+	 * @typedef {Object} Variant
+	 * @property {string} id - Unique within the prompt
+	 * @property {string} name - At most VARIANT_NAME_LIMIT characters, unique within the prompt
+	 * @property {string} content - Non-empty
+	 * @property {string} model
+	 * @property {Object} tokenEstimate - countTokens() of the content
+	 * @property {string} createdAt - ISO 8601 timestamp
+	 * @property {string} updatedAt - ISO 8601 timestamp
+	 *
+	 * @typedef {Object} RunUsage
+	 * @property {number|null} promptTokens - Reported input tokens
+	 * @property {number|null} completionTokens - Reported output tokens
+	 * @property {{min: number, max: number, confidence: string}} estimate - estimateTokens() of the input
+	 *
+	 * @typedef {Object} PromptRecord
+	 * @property {number} schemaVersion - SCHEMA_VERSION
+	 * @property {number|string} id - Unique within the library; see isValidPromptId
+	 * @property {string} title - Non-empty, at most 120 characters
+	 * @property {string} content - Non-empty
+	 * @property {number} userRating - Integer 0 (unrated) to 5; rounded mean of the rated runs
+	 * @property {PromptMetadata} metadata
+	 * @property {Note[]} notes
+	 * @property {Revision[]} revisions
+	 * @property {Run[]} runs - Oldest first
+	 * @property {string} variantName - Name of the prompt's own content among its variants
+	 * @property {Variant[]} variants - Alternatives to the prompt's own content
+	 * @property {string|null} snippetName - Name other prompts include this one by ({{> name}}), unique within the library
+	 * @property {string} [expandedContent] - Exports only: content with includes expanded; ignored on import
+	 * @property {string[]} tags - Normalised tags (see normalizeTag)
+	 * @property {string|null} collectionId
+	 * @property {string|null} archivedAt - ISO 8601 timestamp; archived prompts only show up in searches
+	 * @property {string|null} trashedAt - ISO 8601 timestamp; trashed prompts are purged after a while
+	 *
+	 * @typedef {Object} ExportPayload
+	 * @property {string} version - EXPORT_VERSION (semver)
+	 * @property {string} exportedAt - ISO 8601 timestamp
+	 * @property {Object} stats - computeStats() output
+	 * @property {PromptRecord[]} prompts
+	 * @property {Array<{id: string, name: string, parentId: string|null}>} collections
+	 */
+	const SCHEMA_VERSION = 6;
+	const EXPORT_VERSION = '6.0.0';
+	const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+	// Record migrations keyed by the version they upgrade from. Records saved
+	// before versioning existed have no schemaVersion and are treated as v1.
+	const RECORD_MIGRATIONS = {
+		// v1 -> v2: make optional collections explicit and seed revision history
+		1: (p) => {
+			const next = { ...p };
+			if (next.userRating === undefined || next.userRating === null) next.userRating = 0;
+			if (next.notes === undefined) next.notes = [];
+			if (next.tags === undefined) next.tags = [];
+			else if (Array.isArray(next.tags)) next.tags = parseTags(next.tags);
+			if (next.collectionId === undefined) next.collectionId = null;
+			if (next.revisions === undefined && typeof next.content === 'string') ensureRevisions(next);
+			next.schemaVersion = 2;
+			return next;
+		},
+		// v2 -> v3: archive and trash states
+		2: (p) => ({ ...p, archivedAt: p.archivedAt ?? null, trashedAt: p.trashedAt ?? null, schemaVersion: 3 }),
+		// v3 -> v4: run log; an existing rating becomes the first run
+		3: (p) => {
+			const next = { ...p, schemaVersion: 4 };
+			if (Array.isArray(next.runs)) return next;
+			const revisions = Array.isArray(p.revisions) ? p.revisions : [];
+			next.runs = isRunRating(p.userRating) ? [{
+				id: 1,
+				rev: revisions.length ? revisions[revisions.length - 1].rev : null,
+				model: p.metadata?.model || 'unknown',
+				input: typeof p.content === 'string' ? p.content : '',
+				output: '',
+				rating: p.userRating,
+				verdict: 'Rated before the run log existed',
+				createdAt: p.metadata?.updatedAt || new Date().toISOString()
+			}] : [];
+			return next;
+		},
+		// v4 -> v5: named variants; the existing content becomes the default
+		4: (p) => ({ ...p, variants: Array.isArray(p.variants) ? p.variants : [], variantName: p.variantName || DEFAULT_VARIANT_NAME, schemaVersion: 5 }),
+		// v5 -> v6: prompts can be named snippets for {{> name}} includes
+		5: (p) => ({ ...p, snippetName: p.snippetName ?? null, schemaVersion: 6 })
+	};
+
+	// Export payload migrations keyed by the major version they upgrade from
+	const EXPORT_MIGRATIONS = {
+		// 1.x -> 2.0.0: collections block added, prompts carry schemaVersion
+		1: (data) => ({ ...data, version: '2.0.0', collections: Array.isArray(data.collections) ? data.collections : [] }),
+		// 2.x -> 3.0.0: prompts gain archivedAt/trashedAt (added by the record migration)
+		2: (data) => ({ ...data, version: '3.0.0' }),
+		// 3.x -> 4.0.0: prompts gain run logs (added by the record migration)
+		3: (data) => ({ ...data, version: '4.0.0' }),
+		// 4.x -> 5.0.0: prompts gain variants (added by the record migration)
+		4: (data) => ({ ...data, version: '5.0.0' }),
+		// 5.x -> 6.0.0: prompts gain snippet names; exports add expandedContent
+		5: (data) => ({ ...data, version: '6.0.0' })
+	};
+
+	/**
+	 * Upgrade a stored or imported prompt record to SCHEMA_VERSION
+	 * @param {Object} record - Prompt record of any known version
+	 * @returns {Object} Migrated copy of the record
+	 */
+	const migratePrompt = (record) => {
+		if (!record || typeof record !== 'object' || Array.isArray(record)) {
+			throw new Error('Prompt record must be an object');
+		}
+		let next = record;
+		let version = record.schemaVersion === undefined ? 1 : record.schemaVersion;
+		if (!Number.isInteger(version) || version < 1) {
+			throw new Error('Invalid schemaVersion ' + JSON.stringify(record.schemaVersion));
+		}
+		if (version > SCHEMA_VERSION) {
+			throw new Error('schemaVersion ' + version + ' is newer than this app supports (' + SCHEMA_VERSION + ')');
+		}
+		while (version < SCHEMA_VERSION) {
+			next = RECORD_MIGRATIONS[version](next);
+			version = next.schemaVersion;
+		}
+		return next;
+	};
+
+	/**
+	 * Upgrade an export payload to EXPORT_VERSION (prompts are migrated separately)
+	 * @param {Object} data - Parsed export file
+	 * @returns {Object} Migrated payload
+	 */
+	const migrateExportPayload = (data) => {
+		if (!data || typeof data !== 'object') {
+			throw new Error('Payload must be an object');
+		}
+		const match = /^(\d+)\.\d+\.\d+$/.exec(String(data.version || ''));
+		if (!match) {
+			throw new Error('Unrecognised export version ' + JSON.stringify(data.version));
+		}
+		const current = Number(EXPORT_VERSION.split('.')[0]);
+		let major = Number(match[1]);
+		if (major > current) {
+			throw new Error('Export version ' + data.version + ' is newer than this app supports (' + EXPORT_VERSION + ')');
+		}
+		let next = data;
+		while (major < current) {
+			const migrate = EXPORT_MIGRATIONS[major];
+			if (!migrate) throw new Error('No migration from export version ' + next.version);
+			next = migrate(next);
+			major = Number(next.version.split('.')[0]);
+		}
+		return next;
+	};
+
+	const isTokenEstimate = (est) => !!est && typeof est === 'object' &&
+		Number.isInteger(est.min) && est.min >= 0 &&
+		Number.isInteger(est.max) && est.max >= 0 &&
+		CONFIDENCE_LEVELS.includes(est.confidence) &&
+		(est.count === undefined || (Number.isInteger(est.count) && est.count === est.min && est.count === est.max)) &&
+		(est.tokenizer === undefined || (typeof est.tokenizer === 'string' && est.tokenizer.length > 0)) &&
+		(est.approximate === undefined || typeof est.approximate === 'boolean');
+
+	// Ids end up in element ids, data attributes and selectors, so a string id
+	// is limited to characters that mean nothing in HTML or CSS
+	const PROMPT_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+
+	/**
+	 * Whether a value can be a prompt id
+	 * @param {*} id - Candidate id
+	 * @returns {boolean} True for a finite number or a string matching PROMPT_ID_PATTERN
+	 */
+	const isValidPromptId = (id) => (typeof id === 'number' ? Number.isFinite(id) : typeof id === 'string' && PROMPT_ID_PATTERN.test(id));
+
+	/**
+	 * Validate a prompt record against the current schema
+	 * @param {Object} p - Prompt record (already migrated)
+	 * @returns {Object} { ok: boolean, errors: string[] }
+	 */
+	const validatePromptRecord = (p) => {
+		const errors = [];
+		if (!p || typeof p !== 'object') return { ok: false, errors: ['Prompt must be an object'] };
+		if (!isValidPromptId(p.id)) errors.push('id must be a number or up to 64 letters, digits, _ . : or -');
+		if (typeof p.title !== 'string' || !p.title.trim()) errors.push('title must be a non-empty string');
+		else if (p.title.length > 120) errors.push('title must not exceed 120 characters');
+		if (typeof p.content !== 'string' || !p.content.trim()) errors.push('content must be a non-empty string');
+		if (!Number.isInteger(p.userRating) || p.userRating < 0 || p.userRating > 5) {
+			errors.push('userRating must be an integer from 0 to 5');
+		}
+
+		const m = p.metadata;
+		if (!m || typeof m !== 'object') {
+			errors.push('metadata must be an object');
+		} else {
+			if (typeof m.model !== 'string' || !m.model.trim()) errors.push('metadata.model must be a non-empty string');
+			else if (m.model.length > 100) errors.push('metadata.model must not exceed 100 characters');
+			if (!isValidISODate(m.createdAt)) errors.push('metadata.createdAt must be an ISO 8601 timestamp');
+			if (!isValidISODate(m.updatedAt)) errors.push('metadata.updatedAt must be an ISO 8601 timestamp');
+			else if (isValidISODate(m.createdAt) && m.updatedAt < m.createdAt) errors.push('metadata.updatedAt must not be before createdAt');
+			if (!isTokenEstimate(m.tokenEstimate)) errors.push('metadata.tokenEstimate must have integer min/max and a known confidence');
+		}
+
+		if (!Array.isArray(p.notes)) {
+			errors.push('notes must be an array');
+		} else {
+			p.notes.forEach((n, i) => {
+				if (!n || typeof n !== 'object' || n.id === undefined || n.id === null) errors.push(`notes[${i}] must have an id`);
+				else if (typeof n.text !== 'string' || !n.text.trim()) errors.push(`notes[${i}].text must be a non-empty string`);
+			});
+		}
+
+		if (!Array.isArray(p.revisions) || !p.revisions.length) {
+			errors.push('revisions must be a non-empty array');
+		} else {
+			p.revisions.forEach((r, i) => {
+				if (!r || typeof r !== 'object' || !Number.isInteger(r.rev) || r.rev < 1) errors.push(`revisions[${i}].rev must be a positive integer`);
+				else if (typeof r.content !== 'string' || typeof r.title !== 'string' || typeof r.model !== 'string') errors.push(`revisions[${i}] must have title, model and content strings`);
+				else if (!isValidISODate(r.createdAt)) errors.push(`revisions[${i}].createdAt must be an ISO 8601 timestamp`);
+				else if (!isTokenEstimate(r.tokenEstimate)) errors.push(`revisions[${i}].tokenEstimate is invalid`);
+			});
+		}
+
+		if (!Array.isArray(p.tags) || p.tags.some(t => typeof t !== 'string' || t !== normalizeTag(t) || !t)) {
+			errors.push('tags must be an array of normalised tag strings');
+		}
+		if (p.collectionId !== null && typeof p.collectionId !== 'string') errors.push('collectionId must be a string or null');
+		if (p.archivedAt !== null && !isValidISODate(p.archivedAt)) errors.push('archivedAt must be an ISO 8601 timestamp or null');
+		if (p.trashedAt !== null && !isValidISODate(p.trashedAt)) errors.push('trashedAt must be an ISO 8601 timestamp or null');
+		if (!Array.isArray(p.runs)) {
+			errors.push('runs must be an array');
+		} else {
+			p.runs.forEach((r, i) => {
+				if (!r || typeof r !== 'object' || r.id === undefined || r.id === null) errors.push(`runs[${i}] must have an id`);
+				else if (typeof r.model !== 'string' || !r.model.trim()) errors.push(`runs[${i}].model must be a non-empty string`);
+				else if (typeof r.input !== 'string' || typeof r.output !== 'string' || typeof r.verdict !== 'string') errors.push(`runs[${i}] must have input, output and verdict strings`);
+				else if (r.rating !== null && !isRunRating(r.rating)) errors.push(`runs[${i}].rating must be an integer from 1 to 5 or null`);
+				else if (r.rev !== null && !(Number.isInteger(r.rev) && r.rev >= 1)) errors.push(`runs[${i}].rev must be a positive integer or null`);
+				else if (!isValidISODate(r.createdAt)) errors.push(`runs[${i}].createdAt must be an ISO 8601 timestamp`);
+				else if (r.variant !== undefined && typeof r.variant !== 'string') errors.push(`runs[${i}].variant must be a string`);
+				else if (r.provider !== undefined && typeof r.provider !== 'string') errors.push(`runs[${i}].provider must be a string`);
+				else if (r.usage !== undefined && !isRunUsage(r.usage)) errors.push(`runs[${i}].usage must have token counts and an estimate`);
+			});
+		}
+		if (typeof p.variantName !== 'string' || !p.variantName.trim()) errors.push('variantName must be a non-empty string');
+		if (p.snippetName !== null && (typeof p.snippetName !== 'string' || !SNIPPET_NAME_PATTERN.test(p.snippetName) || p.snippetName.length > SNIPPET_NAME_LIMIT)) {
+			errors.push('snippetName must be null or a lowercase name of letters, digits, "-" and "_"');
+		}
+		if (!Array.isArray(p.variants)) {
+			errors.push('variants must be an array');
+		} else {
+			const variantIds = new Set();
+			p.variants.forEach((v, i) => {
+				if (!v || typeof v !== 'object' || typeof v.id !== 'string' || !v.id || variantIds.has(v.id)) errors.push(`variants[${i}] must have a unique string id`);
+				else if (typeof v.name !== 'string' || !v.name.trim() || v.name.length > VARIANT_NAME_LIMIT) errors.push(`variants[${i}].name must be a non-empty string of at most ${VARIANT_NAME_LIMIT} characters`);
+				else if (typeof v.content !== 'string' || !v.content.trim()) errors.push(`variants[${i}].content must be a non-empty string`);
+				else if (typeof v.model !== 'string' || !v.model.trim()) errors.push(`variants[${i}].model must be a non-empty string`);
+				else if (!isTokenEstimate(v.tokenEstimate)) errors.push(`variants[${i}].tokenEstimate is invalid`);
+				else if (!isValidISODate(v.createdAt) || !isValidISODate(v.updatedAt)) errors.push(`variants[${i}] must have ISO 8601 createdAt and updatedAt`);
+				if (v && typeof v.id === 'string') variantIds.add(v.id);
+			});
+		}
+		return { ok: errors.length === 0, errors };
+	};
+
+	/**
+	 * Migrate and validate every prompt of an import, without aborting on bad records
+	 * @param {Array} records - Raw prompt records from the import file
+	 * @returns {Object} { accepted: PromptRecord[], rejected: Array<{ index, id, title, errors }> }
+	 */
+	const validatePromptRecords = (records) => {
+		const accepted = [];
+		const rejected = [];
+		const seen = new Set();
+		records.forEach((record, index) => {
+			const id = record && typeof record === 'object' ? record.id : undefined;
+			const title = record && typeof record === 'object' && typeof record.title === 'string' ? record.title : '';
+			let migrated;
+			try {
+				migrated = migratePrompt(record);
+				// Derived in exports, recomputed from the library when needed
+				if ('expandedContent' in migrated) {
+					migrated = { ...migrated };
+					delete migrated.expandedContent;
+				}
+			} catch (err) {
+				rejected.push({ index, id, title, errors: [err.message] });
+				return;
+			}
+			const { errors } = validatePromptRecord(migrated);
+			if (seen.has(String(migrated.id))) errors.push('duplicate id ' + migrated.id + ' within the file');
+			if (errors.length) {
+				rejected.push({ index, id, title, errors });
+				return;
+			}
+			seen.add(String(migrated.id));
+			accepted.push(migrated);
+		});
+		return { accepted, rejected };
+	};
+
+	// ===== END SCHEMA & MIGRATION SYSTEM =====
+
+	// ===== SEARCH & FILTER SYSTEM =====
+	const SORT_KEYS = ['created', 'updated', 'rating', 'tokens', 'title'];
+	const FILTER_KEYS = ['model', 'tag', 'rating', 'tokens', 'created', 'updated'];
+
+	/**
+	 * Parse a library query such as `summarize model:claude rating:>=4 tokens:<500 created:>2026-01-01`
+	 * @param {string} query - Raw query string
+	 * @returns {Object} { terms: string[], filters: Array<{key, op, value}>, errors: string[] }
+	 */
+	const parseQuery = (query) => {
+		const result = { terms: [], filters: [], errors: [] };
+		if (typeof query !== 'string') return result;
+		// Split on whitespace, keeping "quoted phrases" together
+		const tokens = query.match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+		tokens.forEach(token => {
+			const m = token.match(/^([a-z]+):(>=|<=|>|<|=)?(.*)$/i);
+			const key = m && m[1].toLowerCase();
+			if (!m || !FILTER_KEYS.includes(key)) {
+				const term = token.replace(/"/g, '').trim().toLowerCase();
+				if (term) result.terms.push(term);
+				return;
+			}
+			const op = m[2] || (key === 'model' ? '~' : '=');
+			const raw = m[3].replace(/"/g, '').trim();
+			if (!raw) {
+				result.errors.push(`Missing value for "${key}:"`);
+				return;
+			}
+			if (key === 'model') {
+				result.filters.push({ key, op: op === '=' ? '=' : '~', value: raw.toLowerCase() });
+			} else if (key === 'tag') {
+				result.filters.push({ key, op: '=', value: normalizeTag(raw) });
+			} else if (key === 'rating' || key === 'tokens') {
+				const value = Number(raw);
+				if (!Number.isFinite(value)) result.errors.push(`"${raw}" is not a number for "${key}:"`);
+				else result.filters.push({ key, op, value });
+			} else if (!/^\d{4}-\d{2}-\d{2}$/.test(raw) || isNaN(new Date(raw).getTime())) {
+				result.errors.push(`"${raw}" is not a YYYY-MM-DD date for "${key}:"`);
+			} else {
+				result.filters.push({ key, op, value: raw });
+			}
+		});
+		return result;
+	};
+
+	/**
+	 * Representative token count for a prompt (exact count, else midpoint of its estimate)
+	 * @param {Object} prompt - Prompt record
+	 * @returns {number} Token count, 0 when unknown
+	 */
+	const promptTokenCount = (prompt) => {
+		const est = prompt.metadata?.tokenEstimate;
+		if (!est) return 0;
+		return Number.isInteger(est.count) ? est.count : Math.round((est.min + est.max) / 2);
+	};
+
+	const compareOp = (actual, op, expected) => {
+		switch (op) {
+			case '>': return actual > expected;
+			case '>=': return actual >= expected;
+			case '<': return actual < expected;
+			case '<=': return actual <= expected;
+			default: return actual === expected;
+		}
+	};
+
+	/**
+	 * Test whether a prompt matches a parsed query
+	 * @param {Object} prompt - Prompt record
+	 * @param {Object} parsed - Result of parseQuery
+	 * @returns {boolean} Whether every term and filter matches
+	 */
+	const matchesQuery = (prompt, parsed) => {
+		const haystack = [
+			prompt.title || '',
+			prompt.content || '',
+			...(Array.isArray(prompt.tags) ? prompt.tags : []),
+			...(Array.isArray(prompt.notes) ? prompt.notes.map(n => n.text || '') : [])
+		].join('\n').toLowerCase();
+		if (!parsed.terms.every(t => haystack.includes(t))) return false;
+		return parsed.filters.every(f => {
+			switch (f.key) {
+				case 'model': {
+					const model = (prompt.metadata?.model || '').toLowerCase();
+					const entry = resolveModel(model);
+					if (f.op === '=') return model === f.value || (!!entry && entry === resolveModel(f.value));
+					const names = entry ? [model, entry.name, ...(entry.aliases || [])] : [model];
+					return names.some(n => n.toLowerCase().includes(f.value) || looseModelKey(n).includes(looseModelKey(f.value)));
+				}
+				case 'tag': return Array.isArray(prompt.tags) && prompt.tags.includes(f.value);
+				case 'rating': return compareOp(Number(prompt.userRating) || 0, f.op, f.value);
+				case 'tokens': return compareOp(promptTokenCount(prompt), f.op, f.value);
+				case 'created':
+				case 'updated': {
+					const iso = prompt.metadata?.[f.key + 'At'];
+					if (!iso) return false;
+					// Compare at day granularity so created:2026-01-01 means "that day"
+					return compareOp(iso.slice(0, 10), f.op, f.value);
+				}
+				default: return true;
+			}
+		});
+	};
+
+	/**
+	 * Build a comparator for the chosen sort key and direction
+	 * @param {string} key - One of SORT_KEYS
+	 * @param {string} dir - 'asc' or 'desc'
+	 * @returns {Function} Array.prototype.sort comparator
+	 */
+	const promptComparator = (key, dir) => {
+		const sign = dir === 'asc' ? 1 : -1;
+		const value = {
+			created: p => new Date(p.metadata?.createdAt || 0).getTime(),
+			updated: p => new Date(p.metadata?.updatedAt || p.metadata?.createdAt || 0).getTime(),
+			rating: p => Number(p.userRating) || 0,
+			tokens: p => promptTokenCount(p),
+			title: p => (p.title || '').toLowerCase()
+		}[key] || (p => new Date(p.metadata?.createdAt || 0).getTime());
+		return (a, b) => {
+			const av = value(a);
+			const bv = value(b);
+			if (typeof av === 'string') return sign * av.localeCompare(bv);
+			return sign * (av - bv);
+		};
+	};
+
+	/**
+	 * Preview text centred on the first search match when it falls outside the normal preview
+	 * @param {string} text - Full content
+	 * @param {string[]} terms - Lowercased search terms
+	 * @returns {string|null} Snippet, or null when the regular preview already suffices
+	 */
+	const searchSnippet = (text, terms) => {
+		const lower = text.toLowerCase();
+		const idx = Math.min(...terms.map(t => lower.indexOf(t)).filter(i => i >= 0));
+		if (!Number.isFinite(idx) || idx < 60) return null;
+		const start = Math.max(0, idx - 40);
+		const snippet = text.slice(start, idx + 80).replace(/\s+/g, ' ').trim();
+		return '…' + snippet + (idx + 80 < text.length ? '…' : '');
+	};
+
+	// ===== END SEARCH & FILTER SYSTEM =====
+
+	// ===== VAULT CRYPTO =====
+	// Vault mode encrypts the stored library with AES-GCM. The data key is
+	// random and stored wrapped by a key derived from the passphrase, so a new
+	// passphrase only re-wraps the data key. Encrypted export files derive
+	// their own key and can be opened without a vault.
+	const VAULT_RECORD_ID = '__vault__';
+	const VAULT_VERSION = 1;
+	const ENCRYPTED_EXPORT_FORMAT = 'prompt-library-encrypted';
+	const ENCRYPTED_EXPORT_VERSION = 1;
+	const KDF_ITERATIONS = 600000; // PBKDF2-SHA256, per the OWASP recommendation
+	// Iteration counts read from files are bounded so a crafted file cannot stall the tab
+	const KDF_ITERATION_RANGE = [100000, 10000000];
+	const MIN_PASSPHRASE_LENGTH = 8;
+	// Encrypted next to the data, so a wrong passphrase can be told apart from damaged data
+	const PASSPHRASE_CHECK = 'prompt-library passphrase check';
+
+	const bytesToBase64 = (bytes) => {
+		let binary = '';
+		for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+		return btoa(binary);
+	};
+	const base64ToBytes = (text) => Uint8Array.from(atob(text), ch => ch.charCodeAt(0));
+	const randomBytes = (length) => crypto.getRandomValues(new Uint8Array(length));
+
+	const newKdf = () => ({ name: 'PBKDF2', hash: 'SHA-256', iterations: KDF_ITERATIONS, salt: bytesToBase64(randomBytes(16)) });
+
+	const isValidKdf = (kdf) => !!kdf && kdf.name === 'PBKDF2' && kdf.hash === 'SHA-256' && typeof kdf.salt === 'string' &&
+		Number.isInteger(kdf.iterations) && kdf.iterations >= KDF_ITERATION_RANGE[0] && kdf.iterations <= KDF_ITERATION_RANGE[1];
+
+	/**
+	 * Derive an AES-GCM key from a passphrase
+	 * @param {string} passphrase - Passphrase
+	 * @param {Object} kdf - { name: 'PBKDF2', hash: 'SHA-256', iterations, salt (base64) }
+	 * @returns {Promise<CryptoKey>} Key for encrypting and for wrapping the vault key
+	 */
+	const deriveKey = async (passphrase, kdf) => {
+		const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+		return crypto.subtle.deriveKey(
+			{ name: 'PBKDF2', hash: 'SHA-256', salt: base64ToBytes(kdf.salt), iterations: kdf.iterations },
+			material, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey']
+		);
+	};
+
+	/**
+	 * Encrypt text with AES-GCM under a fresh IV
+	 * @param {CryptoKey} key - AES-GCM key
+	 * @param {string} text - Plaintext
+	 * @returns {Promise<Object>} { iv, data }, both base64
+	 */
+	const encryptText = async (key, text) => {
+		const iv = randomBytes(12);
+		const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+		return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+	};
+
+	// Rejects when the key is wrong or the data was altered; GCM cannot tell which
+	const decryptText = async (key, sealed) => {
+		const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(sealed.iv) }, key, base64ToBytes(sealed.data));
+		return new TextDecoder().decode(plain);
+	};
+
+	/**
+	 * Wrap the vault key under a passphrase, with a fresh salt
+	 * @param {CryptoKey} key - Vault data key
+	 * @param {string} passphrase - New passphrase
+	 * @param {Object} header - Vault header to update ({ id, createdAt, ... })
+	 * @returns {Promise<Object>} Header with version, kdf and wrappedKey
+	 */
+	const wrapVaultKey = async (key, passphrase, header) => {
+		const kdf = newKdf();
+		const iv = randomBytes(12);
+		const wrapped = await crypto.subtle.wrapKey('raw', key, await deriveKey(passphrase, kdf), { name: 'AES-GCM', iv });
+		return { ...header, version: VAULT_VERSION, changedAt: new Date().toISOString(), kdf, wrappedKey: { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(wrapped)) } };
+	};
+
+	/**
+	 * Start a vault: a random data key wrapped under the passphrase
+	 * @param {string} passphrase - Passphrase
+	 * @returns {Promise<Object>} { header, key }
+	 */
+	const createVault = async (passphrase) => {
+		const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+		const header = await wrapVaultKey(key, passphrase, { id: bytesToBase64(randomBytes(12)), createdAt: new Date().toISOString() });
+		return { header, key };
+	};
+
+	/**
+	 * Recover the vault data key
+	 * @param {Object} header - Vault header from storage
+	 * @param {string} passphrase - Passphrase to try
+	 * @returns {Promise<CryptoKey>} Data key; rejects with 'Wrong passphrase.'
+	 */
+	const unwrapVaultKey = async (header, passphrase) => {
+		if (header?.version > VAULT_VERSION) throw new Error('This library was encrypted by a newer version of the app.');
+		if (!isValidKdf(header?.kdf) || !header.wrappedKey) throw new Error('The vault settings are damaged, so the library cannot be unlocked.');
+		try {
+			return await crypto.subtle.unwrapKey('raw', base64ToBytes(header.wrappedKey.data), await deriveKey(passphrase, header.kdf),
+				{ name: 'AES-GCM', iv: base64ToBytes(header.wrappedKey.iv) }, { name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+		} catch (e) {
+			throw new Error('Wrong passphrase.');
+		}
+	};
+
+	const isEncryptedExport = (data) => !!data && typeof data === 'object' && data.format === ENCRYPTED_EXPORT_FORMAT;
+
+	/**
+	 * Encrypt an export file's text under a passphrase
+	 * @param {string} text - File contents, e.g. a JSON export
+	 * @param {string} passphrase - Passphrase
+	 * @returns {Promise<Object>} Encrypted file payload
+	 */
+	const encryptExport = async (text, passphrase) => {
+		const kdf = newKdf();
+		const key = await deriveKey(passphrase, kdf);
+		return {
+			format: ENCRYPTED_EXPORT_FORMAT,
+			version: ENCRYPTED_EXPORT_VERSION,
+			encryptedAt: new Date().toISOString(),
+			kdf,
+			check: await encryptText(key, PASSPHRASE_CHECK),
+			...(await encryptText(key, text))
+		};
+	};
+
+	/**
+	 * Decrypt an encrypted export file
+	 * @param {Object} file - Parsed file, see encryptExport
+	 * @param {string} passphrase - Passphrase to try
+	 * @returns {Promise<string>} Original file text; rejects with a message for a
+	 *   wrong passphrase, a damaged file or one from a newer version
+	 */
+	const decryptExport = async (file, passphrase) => {
+		if (typeof file.version === 'number' && file.version > ENCRYPTED_EXPORT_VERSION) throw new Error('This file was encrypted by a newer version of the app.');
+		const damaged = () => new Error('The encrypted file is damaged and cannot be opened.');
+		if (file.version !== ENCRYPTED_EXPORT_VERSION || !isValidKdf(file.kdf) || !file.check || typeof file.data !== 'string') throw damaged();
+		let key;
+		try { key = await deriveKey(passphrase, file.kdf); }
+		catch (e) { throw damaged(); }
+		let check = '';
+		try { check = await decryptText(key, file.check); }
+		catch (e) { throw new Error('Wrong passphrase.'); }
+		if (check !== PASSPHRASE_CHECK) throw damaged();
+		try { return await decryptText(key, file); }
+		catch (e) { throw damaged(); }
+	};
+
+	// ===== END VAULT CRYPTO =====
+
+	// ===== CONCURRENT MERGE =====
+	// Three-way merge of two versions of the library that started from the
+	// same one, e.g. when another tab wrote to storage first.
+
+	const cloneData = (value) => JSON.parse(JSON.stringify(value));
+
+	// Key order differs between freshly built and stored records, so compare with sorted keys
+	const stableJSON = (value) => JSON.stringify(value, (key, v) => (v && typeof v === 'object' && !Array.isArray(v)
+		? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]]))
+		: v));
+	const sameJSON = (a, b) => stableJSON(a) === stableJSON(b);
+
+	const freshId = (taken) => {
+		let id = Date.now();
+		while (taken.has(String(id))) id++;
+		taken.add(String(id));
+		return id;
+	};
+
+	/**
+	 * Three-way merge of two id-keyed lists that both started from `base`.
+	 * Records only one side touched take that side; records both touched go
+	 * through mergeItem. Deleting a record the other side edited keeps it.
+	 * @param {Array} base - Common ancestor
+	 * @param {Array} ours - This tab's version
+	 * @param {Array} theirs - Stored version written by another tab
+	 * @param {Function} mergeItem - (base|null, ours, theirs) => Array of records
+	 * @param {Function} onKeptDeleted - Called with a record one side deleted but the other edited
+	 * @returns {Array} Merged list in our order, with their additions first
+	 */
+	const mergeById = (base, ours, theirs, mergeItem, onKeptDeleted) => {
+		const index = (list) => new Map((Array.isArray(list) ? list : []).map(x => [String(x.id), x]));
+		const b = index(base);
+		const o = index(ours);
+		const t = index(theirs);
+		const result = [];
+		[...t.values()].filter(x => !o.has(String(x.id)) && !b.has(String(x.id))).forEach(x => result.push(x));
+		[...o.values()].forEach(x => {
+			const id = String(x.id);
+			if (!t.has(id)) {
+				if (!b.has(id)) result.push(x);
+				else if (!sameJSON(b.get(id), x)) { result.push(x); onKeptDeleted(x); }
+				return;
+			}
+			result.push(...mergeItem(b.get(id) || null, x, t.get(id)));
+		});
+		// Records we deleted survive only if the other tab changed them meanwhile
+		[...t.values()].forEach(x => {
+			const id = String(x.id);
+			if (!o.has(id) && b.has(id) && !sameJSON(b.get(id), x)) { result.push(x); onKeptDeleted(x); }
+		});
+		return result;
+	};
+
+	/**
+	 * Merge one field both sides changed: id-keyed lists merge per record
+	 * (keeping both versions of a record edited twice), plain lists merge as
+	 * sets, anything else keeps this tab's value
+	 * @returns {Object} { value, conflict: boolean }
+	 */
+	const mergeField = (base, ours, theirs, taken) => {
+		const isIdList = (v) => Array.isArray(v) && v.every(x => x && typeof x === 'object' && x.id !== undefined);
+		if (isIdList(ours) && isIdList(theirs)) {
+			const value = mergeById(base, ours, theirs, (b, o, t) => {
+				if (sameJSON(o, t) || (b && sameJSON(b, o))) return [t];
+				if (b && sameJSON(b, t)) return [o];
+				return [t, { ...o, id: freshId(taken) }];
+			}, () => {});
+			return { value, conflict: false };
+		}
+		if (Array.isArray(ours) && Array.isArray(theirs)) {
+			const was = new Set((Array.isArray(base) ? base : []).map(x => JSON.stringify(x)));
+			const removed = new Set([...was].filter(x => !ours.some(y => JSON.stringify(y) === x)));
+			const value = theirs.filter(x => !removed.has(JSON.stringify(x)));
+			ours.forEach(x => {
+				const key = JSON.stringify(x);
+				if (!was.has(key) && !value.some(y => JSON.stringify(y) === key)) value.push(x);
+			});
+			return { value, conflict: false };
+		}
+		return { value: ours, conflict: true };
+	};
+
+	// Fields the prompt editor changes together; a clash keeps both versions
+	const editSignature = (p) => JSON.stringify([p.title, p.content, p.metadata?.model, p.revisions, p.variantName, p.snippetName]);
+
+	/**
+	 * Merge this tab's prompts with a version another tab stored since both
+	 * last agreed on `base`. Nothing is dropped: concurrent edits to the same
+	 * prompt's text keep this tab's version as a "(conflict copy)".
+	 * @param {Array} base - Prompts as last written or read by this tab
+	 * @param {Array} ours - This tab's current prompts
+	 * @param {Array} theirs - Prompts now in storage
+	 * @returns {Object} { prompts: Array, conflicts: string[] }
+	 */
+	const mergeConcurrent = (base, ours, theirs) => {
+		const conflicts = [];
+		const taken = new Set();
+		[base, ours, theirs].forEach(list => list.forEach(p => {
+			taken.add(String(p.id));
+			(Array.isArray(p.notes) ? p.notes : []).forEach(n => taken.add(String(n.id)));
+			(Array.isArray(p.runs) ? p.runs : []).forEach(r => taken.add(String(r.id)));
+		}));
+		const mergePrompt = (b, o, t) => {
+			if (sameJSON(o, t) || (b && sameJSON(b, o))) return [t];
+			if (b && sameJSON(b, t)) return [o];
+			const merged = { ...t };
+			const copies = [];
+			const oursEdited = !b || editSignature(o) !== editSignature(b);
+			const theirsEdited = !b || editSignature(t) !== editSignature(b);
+			if (oursEdited && theirsEdited && editSignature(o) !== editSignature(t)) {
+				const suffix = ' (conflict copy)';
+				copies.push({ ...o, id: freshId(taken), title: o.title.slice(0, 120 - suffix.length) + suffix, snippetName: null });
+				conflicts.push('"' + t.title + '" was edited in another tab at the same time; this tab\'s version was saved as "' + copies[0].title + '".');
+			} else if (oursEdited || (!theirsEdited && !sameJSON(b.metadata, o.metadata))) {
+				['title', 'content', 'metadata', 'revisions', 'variantName', 'snippetName'].forEach(k => { merged[k] = o[k]; });
+			}
+			// userRating follows the merged runs rather than merging on its own
+			const skip = new Set(['id', 'title', 'content', 'metadata', 'revisions', 'variantName', 'userRating']);
+			new Set([...Object.keys(o), ...Object.keys(t)]).forEach(k => {
+				if (skip.has(k)) return;
+				const bv = b ? b[k] : undefined;
+				if (sameJSON(o[k], t[k]) || sameJSON(bv, o[k])) return;
+				if (sameJSON(bv, t[k])) { merged[k] = o[k]; return; }
+				const { value, conflict } = mergeField(bv, o[k], t[k], taken);
+				merged[k] = value;
+				if (conflict) conflicts.push('"' + t.title + '": ' + k + ' was changed in two tabs; kept this tab\'s value.');
+			});
+			if (Array.isArray(merged.runs)) syncUserRating(merged);
+			return [merged, ...copies];
+		};
+		const prompts = mergeById(base, ours, theirs, mergePrompt, (p) => {
+			conflicts.push('"' + p.title + '" was deleted in one tab but edited in another, so it was kept.');
+		});
+		return { prompts, conflicts };
+	};
+
+	// ===== END CONCURRENT MERGE =====
+
+	// ===== STATISTICS =====
+
+	// Upper-open token-size buckets for the histogram: [0, 50), [50, 100), ... [4000, ∞)
+	const TOKEN_BUCKETS = [0, 50, 100, 250, 500, 1000, 2000, 4000];
+	const STATS_LIST_LIMIT = 5;
+	const ATTENTION_LIST_LIMIT = 20;
+	const WEEK_MS = 7 * 86400000;
+
+	/**
+	 * Monday (UTC) of the week a timestamp falls in
+	 * @param {string} iso - ISO timestamp
+	 * @returns {number} Week start in ms
+	 */
+	const weekStart = (iso) => {
+		const d = new Date(iso);
+		d.setUTCHours(0, 0, 0, 0);
+		d.setUTCDate(d.getUTCDate() - (d.getUTCDay() + 6) % 7);
+		return d.getTime();
+	};
+
+	/**
+	 * Library statistics for the export `stats` block and the analytics dashboard.
+	 * Trashed prompts are on their way out and do not count.
+	 * @param {Array} allPrompts - Prompts to summarise, e.g. the current view
+	 * @returns {Object} totalPrompts, averageRating (unrated count as 0), mostUsedModel,
+	 *   ratedPrompts, unratedPrompts, ratingByModel, createdPerWeek, tokenHistogram,
+	 *   mostEffective, leastEffective and needsAttention (oldest unrated first)
+	 */
+	const computeStats = (allPrompts) => {
+		const prompts = allPrompts.filter(p => !isTrashed(p));
+		const totalPrompts = prompts.length;
+		let ratingSum = 0;
+		let ratingCount = 0;
+		const modelCounts = Object.create(null);
+		const byModel = new Map();
+		prompts.forEach(p => {
+			if (typeof p.userRating === 'number') { ratingSum += p.userRating; ratingCount++; }
+			const m = p.metadata?.model ? canonicalModel(p.metadata.model) : 'unknown';
+			modelCounts[m] = (modelCounts[m] || 0) + 1;
+			if (!byModel.has(m)) byModel.set(m, { model: m, stars: [0, 0, 0, 0, 0], unrated: 0 });
+			const entry = byModel.get(m);
+			if (p.userRating > 0) entry.stars[p.userRating - 1]++;
+			else entry.unrated++;
+		});
+		const averageRating = ratingCount ? +(ratingSum / ratingCount).toFixed(2) : 0;
+		let mostUsedModel = null;
+		let max = 0;
+		for (const k in modelCounts) {
+			if (modelCounts[k] > max) { max = modelCounts[k]; mostUsedModel = k; }
+		}
+
+		// Mean over rated prompts only, so unrated ones do not drag a model down
+		const ratingByModel = [...byModel.values()].map(entry => {
+			const rated = entry.stars.reduce((a, b) => a + b, 0);
+			const sum = entry.stars.reduce((acc, n, i) => acc + n * (i + 1), 0);
+			return { ...entry, total: rated + entry.unrated, meanRating: rated ? +(sum / rated).toFixed(2) : null };
+		}).sort((a, b) => b.total - a.total || a.model.localeCompare(b.model));
+
+		// Every week from the first prompt to the last, including empty ones
+		const weeks = new Map();
+		prompts.forEach(p => {
+			if (!isValidISODate(p.metadata?.createdAt)) return;
+			const week = weekStart(p.metadata.createdAt);
+			weeks.set(week, (weeks.get(week) || 0) + 1);
+		});
+		const createdPerWeek = [];
+		if (weeks.size) {
+			const last = Math.max(...weeks.keys());
+			for (let week = Math.min(...weeks.keys()); week <= last; week += WEEK_MS) {
+				createdPerWeek.push({ week: new Date(week).toISOString().slice(0, 10), count: weeks.get(week) || 0 });
+			}
+		}
+
+		const tokenHistogram = TOKEN_BUCKETS.map((min, i) => ({ min, max: TOKEN_BUCKETS[i + 1] ?? null, count: 0 }));
+		prompts.forEach(p => {
+			const tokens = promptTokenCount(p);
+			const bucket = tokenHistogram.findLastIndex(b => tokens >= b.min);
+			tokenHistogram[Math.max(0, bucket)].count++;
+		});
+
+		const summary = (p) => ({
+			id: p.id,
+			title: p.title,
+			model: p.metadata?.model ? canonicalModel(p.metadata.model) : 'unknown',
+			rating: p.userRating,
+			createdAt: p.metadata?.createdAt ?? null
+		});
+		const newestFirst = (a, b) => String(b.metadata?.updatedAt).localeCompare(String(a.metadata?.updatedAt));
+		const rated = prompts.filter(p => p.userRating > 0);
+		const mostEffective = [...rated].sort((a, b) => b.userRating - a.userRating || newestFirst(a, b)).slice(0, STATS_LIST_LIMIT);
+		const top = new Set(mostEffective);
+		const leastEffective = rated.filter(p => !top.has(p))
+			.sort((a, b) => a.userRating - b.userRating || newestFirst(a, b))
+			.slice(0, STATS_LIST_LIMIT);
+		const needsAttention = prompts.filter(p => !(p.userRating > 0))
+			.sort((a, b) => String(a.metadata?.createdAt).localeCompare(String(b.metadata?.createdAt)))
+			.slice(0, ATTENTION_LIST_LIMIT);
+
+		return {
+			totalPrompts,
+			averageRating,
+			mostUsedModel,
+			ratedPrompts: rated.length,
+			unratedPrompts: totalPrompts - rated.length,
+			ratingByModel,
+			createdPerWeek,
+			tokenHistogram,
+			mostEffective: mostEffective.map(summary),
+			leastEffective: leastEffective.map(summary),
+			needsAttention: needsAttention.map(summary)
+		};
+	};
+
+	// ===== END STATISTICS =====
+
+	// ===== EXPORT FILES =====
+
+	const buildExportPayload = (prompts, collections = []) => {
+		const snippets = snippetIndex(prompts);
+		return {
+			version: EXPORT_VERSION,
+			exportedAt: new Date().toISOString(),
+			stats: computeStats(prompts),
+			// Prompts that include snippets also carry the expanded text for other tools
+			prompts: prompts.map(p => (hasIncludes(p.content) ? { ...p, expandedContent: expandPrompt(p, snippets).text } : p)),
+			collections: collections
+		};
+	};
+
+	const validateImportPayload = (data) => {
+		const errors = [];
+		if (!data || typeof data !== 'object') return { ok: false, errors: ['Payload must be an object'] };
+		if (!data.version) errors.push('Missing version');
+		else if (data.version !== EXPORT_VERSION) errors.push('Unsupported version ' + data.version);
+		if (!data.exportedAt || isNaN(new Date(data.exportedAt).getTime())) errors.push('Invalid exportedAt timestamp');
+		if (!Array.isArray(data.prompts)) errors.push('Missing prompts array');
+		return { ok: errors.length === 0, errors };
+	};
+
+	/**
+	 * 53-bit string hash (cyrb53)
+	 * @param {string} str - Input
+	 * @returns {string} Hex hash
+	 */
+	const cyrb53 = (str) => {
+		let h1 = 0xdeadbeef;
+		let h2 = 0x41c6ce57;
+		for (let i = 0; i < str.length; i++) {
+			const ch = str.charCodeAt(i);
+			h1 = Math.imul(h1 ^ ch, 2654435761);
+			h2 = Math.imul(h2 ^ ch, 1597334677);
+		}
+		h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+		h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+		return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+	};
+
+	/**
+	 * Hash prompt content after normalising case, whitespace and Unicode form,
+	 * so re-exported copies of the same prompt compare equal
+	 * @param {string} text - Prompt content
+	 * @returns {string} Hex hash
+	 */
+	const contentHash = (text) => cyrb53(String(text || '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim());
+
+	/**
+	 * Sort incoming prompts into additions, unchanged copies and conflicts.
+	 * A conflict matches an existing prompt by id, or by content hash when the id is new.
+	 * @param {Array} existing - Prompts in the library
+	 * @param {Array} incoming - Validated prompts from the import
+	 * @returns {Object} { additions, unchanged, conflicts: Array<{ incoming, existing, matchedBy }> }
+	 */
+	const findImportConflicts = (existing, incoming) => {
+		const byId = new Map(existing.map(p => [String(p.id), p]));
+		const byHash = new Map();
+		existing.forEach(p => {
+			const h = contentHash(p.content);
+			if (!byHash.has(h)) byHash.set(h, p);
+		});
+		const additions = [];
+		const unchanged = [];
+		const conflicts = [];
+		incoming.forEach(p => {
+			const sameId = byId.get(String(p.id));
+			if (sameId) {
+				if (JSON.stringify(sameId) === JSON.stringify(p)) unchanged.push(p);
+				else conflicts.push({ incoming: p, existing: sameId, matchedBy: 'id' });
+				return;
+			}
+			const sameContent = byHash.get(contentHash(p.content));
+			if (sameContent) conflicts.push({ incoming: p, existing: sameContent, matchedBy: 'content' });
+			else additions.push(p);
+		});
+		return { additions, unchanged, conflicts };
+	};
+
+	// Fields offered in a field-level merge; notes, tags, runs and variants are always unioned
+	const MERGE_FIELDS = ['title', 'model', 'content', 'collectionId'];
+
+	/**
+	 * Default merge choices: newer text fields, existing collection
+	 * @param {Object} existing - Library prompt
+	 * @param {Object} incoming - Imported prompt
+	 * @returns {Object} Map of field to 'existing' | 'incoming'
+	 */
+	const defaultMergeFields = (existing, incoming) => {
+		const newer = (incoming.metadata?.updatedAt || '') > (existing.metadata?.updatedAt || '') ? 'incoming' : 'existing';
+		return { title: newer, model: newer, content: newer, collectionId: 'existing' };
+	};
+
+	/**
+	 * Merge two versions of a prompt field by field
+	 * @param {Object} existing - Library prompt (its id is kept)
+	 * @param {Object} incoming - Imported prompt
+	 * @param {Object} fields - Choices from defaultMergeFields
+	 * @returns {Object} Merged prompt record
+	 */
+	const mergePromptRecords = (existing, incoming, fields) => {
+		const pick = (field) => (fields[field] === 'incoming' ? incoming : existing);
+		const model = pick('model').metadata.model;
+		const content = pick('content').content;
+		const title = pick('title').title;
+		const noteKeys = new Set();
+		const notes = [...existing.notes, ...incoming.notes].filter(n => {
+			const key = String(n.id) + '\u0000' + n.text;
+			if (noteKeys.has(key)) return false;
+			noteKeys.add(key);
+			return true;
+		});
+		const runKeys = new Set();
+		const runs = [...existing.runs, ...incoming.runs].filter(r => {
+			const key = String(r.id) + '\u0000' + r.createdAt;
+			if (runKeys.has(key)) return false;
+			runKeys.add(key);
+			return true;
+		}).sort(byRunTime);
+		// A variant in both versions comes from the side whose content was picked
+		const variants = [...pick('content').variants];
+		[...existing.variants, ...incoming.variants].forEach(v => {
+			if (!variants.some(x => x.id === v.id)) variants.push(v);
+		});
+		const createdAt = [existing.metadata.createdAt, incoming.metadata.createdAt].sort()[0];
+		const merged = {
+			...existing,
+			title,
+			content,
+			runs,
+			variants,
+			variantName: pick('content').variantName,
+			collectionId: pick('collectionId').collectionId,
+			tags: parseTags([...existing.tags, ...incoming.tags]),
+			notes,
+			metadata: {
+				...existing.metadata,
+				model,
+				createdAt,
+				updatedAt: new Date().toISOString(),
+				tokenEstimate: countTokens(content, model)
+			},
+			revisions: [...existing.revisions]
+		};
+		const latest = merged.revisions[merged.revisions.length - 1];
+		if (latest.title !== title || latest.model !== model || latest.content !== content) {
+			merged.revisions.push(createRevision(merged, { title, model, content }));
+		}
+		return syncUserRating(merged);
+	};
+
+	/**
+	 * Apply conflict resolutions and produce the library that an import would write
+	 * @param {Array} existing - Prompts in the library
+	 * @param {Object} analysis - Result of findImportConflicts
+	 * @param {Array<Object>} resolutions - Per conflict: { action: 'keep'|'replace'|'both'|'merge', fields }
+	 * @returns {Object} { prompts, summary: { added, replaced, merged, keptBoth, skipped, unchanged } }
+	 */
+	const planImport = (existing, analysis, resolutions) => {
+		const result = [...existing];
+		const summary = { added: 0, replaced: 0, merged: 0, keptBoth: 0, skipped: 0, unchanged: analysis.unchanged.length };
+		const ids = new Set(existing.map(p => String(p.id)));
+		const freshId = () => {
+			let id = Date.now();
+			while (ids.has(String(id))) id++;
+			return id;
+		};
+		const add = (p) => {
+			ids.add(String(p.id));
+			result.push(p);
+		};
+
+		analysis.additions.forEach(p => {
+			add(p);
+			summary.added++;
+		});
+		analysis.conflicts.forEach((c, i) => {
+			const resolution = resolutions[i] || { action: 'keep' };
+			const idx = result.findIndex(r => String(r.id) === String(c.existing.id));
+			// The existing prompt may already have been replaced by an earlier conflict
+			const current = idx >= 0 ? result[idx] : null;
+			if (resolution.action === 'replace' && current) {
+				result.splice(idx, 1);
+				ids.delete(String(current.id));
+				const replacement = ids.has(String(c.incoming.id)) ? { ...c.incoming, id: freshId() } : c.incoming;
+				result.splice(idx, 0, replacement);
+				ids.add(String(replacement.id));
+				summary.replaced++;
+			} else if (resolution.action === 'merge' && current) {
+				result.splice(idx, 1, mergePromptRecords(current, c.incoming, resolution.fields || defaultMergeFields(current, c.incoming)));
+				summary.merged++;
+			} else if (resolution.action === 'both' || ((resolution.action === 'replace' || resolution.action === 'merge') && !current)) {
+				const copy = ids.has(String(c.incoming.id))
+					? { ...c.incoming, id: freshId(), title: (c.incoming.title + ' (imported)').slice(0, 120) }
+					: c.incoming;
+				add(copy);
+				summary.keptBoth++;
+			} else {
+				summary.skipped++;
+			}
+		});
+		// Imported snippets never take a name the library already uses
+		const existingRecords = new Set(existing);
+		const deduped = dedupeSnippetNames(result, new Set(result.filter(p => !existingRecords.has(p))));
+		summary.renamedSnippets = deduped.renamed;
+		return { prompts: deduped.prompts, summary };
+	};
+
+	/**
+	 * Read a parsed JSON export: upgrade it to EXPORT_VERSION and sort its
+	 * prompts into valid and rejected ones
+	 * @param {Object} data - Parsed export file, already decrypted
+	 * @returns {Object} { data, originalVersion, accepted, rejected }; throws when
+	 *   the file as a whole is not a usable export
+	 */
+	const readExport = (data) => {
+		const originalVersion = data && typeof data === 'object' ? data.version : undefined;
+		const migrated = migrateExportPayload(data);
+		const { ok, errors } = validateImportPayload(migrated);
+		if (!ok) throw new Error(errors.join('; '));
+		return { data: migrated, originalVersion, ...validatePromptRecords(migrated.prompts) };
+	};
+
+	/**
+	 * Add an import's collections to the library's; existing collections win on id clashes
+	 * @param {Array} existing - Library collections
+	 * @param {Array} incoming - Collections from the file; older exports have none
+	 * @returns {Array} New collection list
+	 */
+	const mergeCollections = (existing, incoming) => {
+		const collections = [...existing];
+		(Array.isArray(incoming) ? incoming : []).forEach(c => {
+			if (!c || c.id == null || typeof c.name !== 'string') return;
+			if (collections.some(known => String(known.id) === String(c.id))) return;
+			collections.push({ id: String(c.id), name: c.name, parentId: c.parentId != null ? String(c.parentId) : null });
+		});
+		return collections;
+	};
+
+	// ===== END EXPORT FILES =====
+
+	// ===== LIBRARY STORE =====
+
+	/**
+	 * Build a new prompt record
+	 * @param {Object} fields - { title, content, model }
+	 * @param {Object} [options] - { id, tags, collectionId, snippetName } (the snippet name already checked)
+	 * @returns {PromptRecord} Record; throws when the model name is invalid
+	 */
+	const createPrompt = (fields, options = {}) => {
+		const title = String(fields.title || '').trim();
+		const content = String(fields.content || '').trim();
+		const metadata = trackModel(String(fields.model || ''), content);
+		return {
+			schemaVersion: SCHEMA_VERSION,
+			id: options.id ?? Date.now(),
+			title,
+			content,
+			userRating: 0,
+			metadata,
+			revisions: [createRevision({}, { title, model: metadata.model, content })],
+			notes: [],
+			tags: parseTags(options.tags || []),
+			collectionId: options.collectionId || null,
+			archivedAt: null,
+			trashedAt: null,
+			runs: [],
+			variantName: DEFAULT_VARIANT_NAME,
+			variants: [],
+			snippetName: options.snippetName || null
+		};
+	};
+
+	/**
+	 * Save new text for a prompt as its next revision, keeping createdAt
+	 * @param {Object} prompt - Prompt record, changed in place
+	 * @param {Object} fields - { title, model, content }
+	 * @param {Object} [extra] - Additional revision fields (e.g. restoredFrom)
+	 * @returns {boolean} false when the text matches the latest revision; throws when the model name is invalid
+	 */
+	const revisePrompt = (prompt, fields, extra) => {
+		const next = { title: String(fields.title || '').trim(), model: canonicalModel(fields.model), content: String(fields.content || '').trim() };
+		ensureRevisions(prompt);
+		const current = prompt.revisions[prompt.revisions.length - 1];
+		if (current.title === next.title && current.model === next.model && current.content === next.content) return false;
+		const tracked = trackModel(next.model, next.content);
+		const metadata = prompt.metadata ? updateTimestamps(prompt.metadata) : tracked;
+		prompt.title = next.title;
+		prompt.content = next.content;
+		prompt.metadata = { ...metadata, model: tracked.model, tokenEstimate: tracked.tokenEstimate };
+		prompt.revisions.push(createRevision(prompt, next, extra));
+		return true;
+	};
+
+	/**
+	 * Log a run of a prompt and update its rating
+	 * @param {Object} prompt - Prompt record, changed in place
+	 * @param {Object} fields - See createRun
+	 * @returns {Object} The new run
+	 */
+	const appendRun = (prompt, fields) => {
+		const run = createRun(prompt, fields);
+		prompt.runs = [...(Array.isArray(prompt.runs) ? prompt.runs : []), run];
+		syncUserRating(prompt);
+		return run;
+	};
+
+	/**
+	 * In-memory library with the app's store operations, for scripts and
+	 * tests. Every read returns a copy, so callers never change the store by accident.
+	 * @param {Object} [data] - { prompts, collections }, e.g. the valid records of an export (see readExport)
+	 * @returns {Object} Store; operations on a missing id throw
+	 */
+	const createLibrary = ({ prompts = [], collections = [] } = {}) => {
+		let records = cloneData(prompts);
+		let folders = cloneData(collections);
+		const find = (id) => {
+			const prompt = records.find(p => String(p.id) === String(id));
+			if (!prompt) throw new Error('No prompt with id ' + id);
+			return prompt;
+		};
+		const change = (id, apply) => {
+			const prompt = find(id);
+			apply(prompt);
+			return cloneData(prompt);
+		};
+		return {
+			prompts: () => cloneData(records),
+			collections: () => cloneData(folders),
+			get: (id) => cloneData(find(id)),
+			add: (fields, options = {}) => {
+				const snippet = checkSnippetName(options.snippetName || '', records, null);
+				if (snippet.error) throw new Error(snippet.error);
+				const id = options.id ?? freshId(new Set(records.map(p => String(p.id))));
+				const prompt = createPrompt(fields, { ...options, id, snippetName: snippet.name });
+				records.unshift(prompt);
+				return cloneData(prompt);
+			},
+			// fields: any of title, model and content
+			update: (id, fields) => change(id, p => revisePrompt(p, { title: p.title, model: p.metadata.model, content: p.content, ...fields })),
+			trash: (id) => change(id, p => { p.trashedAt = p.trashedAt || new Date().toISOString(); }),
+			restore: (id) => change(id, p => { p.trashedAt = null; }),
+			archive: (id, archived = true) => change(id, p => { p.archivedAt = archived ? p.archivedAt || new Date().toISOString() : null; }),
+			purge: (id) => {
+				const prompt = find(id);
+				records = records.filter(p => p !== prompt);
+			},
+			tag: (id, tags) => change(id, p => { p.tags = parseTags([...p.tags, ...parseTags(tags)]); }),
+			untag: (id, tag) => change(id, p => { p.tags = p.tags.filter(t => t !== normalizeTag(tag)); }),
+			addNote: (id, text) => change(id, p => {
+				p.notes.unshift({ id: freshId(new Set(p.notes.map(n => String(n.id)))), text: String(text), updatedAt: Date.now() });
+			}),
+			// fields: { input, model, output, rating, verdict, variant? }
+			logRun: (id, fields) => cloneData(appendRun(find(id), fields)),
+			/**
+			 * Prompts matching a library query, as the list shows them
+			 * @param {string} [query] - e.g. 'summary tag:email rating:>=4'
+			 * @param {Object} [options] - { sort: one of SORT_KEYS, dir: 'asc'|'desc', scope: see viewScope }
+			 * @returns {Array} Matching prompts; throws on a malformed query
+			 */
+			search: (query = '', { sort = 'created', dir = 'desc', scope = '' } = {}) => {
+				const parsed = parseQuery(query);
+				if (parsed.errors.length) throw new Error(parsed.errors.join('; '));
+				const inView = viewScope(folders, scope, !!query.trim());
+				return cloneData(records.filter(p => inView(p) && matchesQuery(p, parsed)).sort(promptComparator(sort, dir)));
+			},
+			stats: () => computeStats(records),
+			toExport: () => cloneData(buildExportPayload(records, folders)),
+			/**
+			 * Import a parsed export with one resolution for every conflict
+			 * @param {Object} payload - Parsed export file
+			 * @param {Object} [options] - { action: 'keep'|'replace'|'both'|'merge' }
+			 * @returns {Object} planImport summary plus the rejected records
+			 */
+			import: (payload, { action = 'keep' } = {}) => {
+				const { data, accepted, rejected } = readExport(payload);
+				const analysis = findImportConflicts(records, accepted);
+				const plan = planImport(records, analysis, analysis.conflicts.map(() => ({ action })));
+				canonicalizeModels(plan.prompts);
+				records = plan.prompts;
+				folders = mergeCollections(folders, data.collections);
+				return { ...plan.summary, rejected };
+			}
+		};
+	};
+
+	// ===== END LIBRARY STORE =====
+
+	return {
+		estimateTokens, isValidISODate, trackModel, updateTimestamps,
+		TOKENIZERS, HEURISTIC_TOKENIZER, tokenizerFor, loadVocabulary, loadedTokenizer, countTokens,
+		formatTokenEstimate, sameEstimate,
+		DEFAULT_MODELS, setModelSource, looseModelKey, resolveModel, canonicalModel, canonicalizeModels,
+		readUsage, readEventStream, PROVIDER_ADAPTERS,
+		createRevision, ensureRevisions, diffSequences, diffLines, diffWords,
+		parseTemplateVariables, renderTemplate,
+		INCLUDE_PATTERN, SNIPPET_NAME_PATTERN, SNIPPET_NAME_LIMIT, normalizeSnippetName, hasIncludes, includedNames,
+		snippetIndex, snippetUsage, expandIncludes, expandPrompt, checkSnippetName, dedupeSnippetNames,
+		LINT_SEVERITIES, DEFAULT_VAGUE_WORDS, LINT_RULES, lintPrompt, lintContextFor, formatLintSummary,
+		UNFILED, normalizeTag, parseTags, collectTags, buildCollectionTree, collectionPath, collectionIdForPath,
+		ARCHIVE_VIEW, TRASH_VIEW, isArchived, isTrashed, viewScope, daysUntilPurge, selectExpiredTrash,
+		RUN_TEXT_LIMIT, TREND_WINDOW, isRunRating, byRunTime, ratingSummary, ratingBreakdown, formatRunUsage,
+		formatRatingSummary, syncUserRating, createRun,
+		DEFAULT_VARIANT_NAME, VARIANT_NAME_LIMIT, variantList, findVariant, normalizeVariant, swapDefaultVariant,
+		SCHEMA_VERSION, EXPORT_VERSION, migratePrompt, migrateExportPayload, PROMPT_ID_PATTERN, isValidPromptId, validatePromptRecord,
+		validatePromptRecords,
+		SORT_KEYS, parseQuery, promptTokenCount, matchesQuery, promptComparator, searchSnippet,
+		VAULT_RECORD_ID, ENCRYPTED_EXPORT_FORMAT, MIN_PASSPHRASE_LENGTH, bytesToBase64, base64ToBytes, encryptText,
+		decryptText, wrapVaultKey, createVault, unwrapVaultKey, isEncryptedExport, encryptExport, decryptExport,
+		cloneData, sameJSON, mergeConcurrent,
+		computeStats,
+		buildExportPayload, validateImportPayload, cyrb53, contentHash, findImportConflicts, MERGE_FIELDS,
+		defaultMergeFields, mergePromptRecords, planImport, readExport, mergeCollections,
+		createPrompt, revisePrompt, appendRun, createLibrary
+	};
+});
@@ -1,473 +1,2376 @@
 // Prompt Library Functionality
-// Stores data in localStorage under a single key.
+// Stores prompts in IndexedDB, falling back to a single localStorage key.
+// Tabs stay in sync through a storage revision counter and BroadcastChannel.
+// Records, validation, search, merging and stats come from core.js.
 (function(){
-	const STORAGE_KEY = 'promptLibrary.prompts';
+	// Storage namespace. ?library=name opens a separate library; benchmark.html
+	// uses one so its synthetic prompts never mix with real ones.
+	const LIBRARY_NAME = (new URLSearchParams(window.location.search).get('library') || '').replace(/[^a-z0-9-]/gi, '');
+	const LIBRARY = LIBRARY_NAME ? 'promptLibrary-' + LIBRARY_NAME : 'promptLibrary';
+	const STORAGE_KEY = LIBRARY + '.prompts';
+
+	const {
+		estimateTokens, updateTimestamps,
+		TOKENIZERS, HEURISTIC_TOKENIZER, tokenizerFor, loadVocabulary, loadedTokenizer, countTokens,
+		formatTokenEstimate, sameEstimate,
+		DEFAULT_MODELS, setModelSource, looseModelKey, resolveModel, canonicalModel, canonicalizeModels,
+		PROVIDER_ADAPTERS,
+		createRevision, ensureRevisions, diffLines, diffWords,
+		parseTemplateVariables, renderTemplate,
+		SNIPPET_NAME_PATTERN, SNIPPET_NAME_LIMIT, normalizeSnippetName, hasIncludes, snippetIndex,
+		snippetUsage, expandPrompt, checkSnippetName,
+		LINT_SEVERITIES, LINT_RULES, lintPrompt, lintContextFor, formatLintSummary,
+		UNFILED, parseTags, collectTags, buildCollectionTree, collectionPath, collectionIdForPath,
+		ARCHIVE_VIEW, TRASH_VIEW, isArchived, isTrashed, viewScope, daysUntilPurge, selectExpiredTrash,
+		RUN_TEXT_LIMIT, TREND_WINDOW, isRunRating, byRunTime, ratingSummary, ratingBreakdown, formatRunUsage,
+		formatRatingSummary, syncUserRating, createRun,
+		DEFAULT_VARIANT_NAME, VARIANT_NAME_LIMIT, variantList, findVariant, normalizeVariant, swapDefaultVariant,
+		SCHEMA_VERSION, EXPORT_VERSION, isValidPromptId, validatePromptRecords,
+		SORT_KEYS, parseQuery, promptTokenCount, matchesQuery, promptComparator, searchSnippet,
+		VAULT_RECORD_ID, MIN_PASSPHRASE_LENGTH, bytesToBase64, base64ToBytes, encryptText, decryptText,
+		wrapVaultKey, createVault, unwrapVaultKey, isEncryptedExport, encryptExport, decryptExport,
+		cloneData, sameJSON, mergeConcurrent,
+		computeStats,
+		buildExportPayload, cyrb53, findImportConflicts, MERGE_FIELDS, defaultMergeFields, planImport, readExport,
+		mergeCollections,
+		createPrompt, revisePrompt, appendRun
+	} = PromptLibrary;
 
 	// ===== METADATA TRACKING SYSTEM =====
 
 	/**
-	 * Estimate token count from text
-	 * @param {string} text - The text to estimate tokens for
-	 * @param {boolean} isCode - Whether the text is code
-	 * @returns {Object} Token estimate with min, max, and confidence
+	 * Format date to human-readable string
+	 * @param {string} isoString - ISO 8601 date string
+	 * @returns {string} Formatted date string
 	 */
-	const estimateTokens = (text, isCode = false) => {
-		if (typeof text !== 'string') {
-			throw new Error('Text must be a string');
-		}
+	const formatDate = (isoString) => {
+		try {
+			const date = new Date(isoString);
+			const now = new Date();
+			const diffMs = now - date;
+			const diffMins = Math.floor(diffMs / 60000);
+			const diffHours = Math.floor(diffMs / 3600000);
+			const diffDays = Math.floor(diffMs / 86400000);
 
-		const words = text.trim().split(/\s+/).filter(Boolean);
-		const wordCount = words.length;
-		const charCount = text.length;
-
-		// Base calculation
-		let min = Math.round(0.75 * wordCount);
-		let max = Math.round(0.25 * charCount);
-
-		// Apply code multiplier
-		if (isCode) {
-			min = Math.round(min * 1.3);
-			max = Math.round(max * 1.3);
-		}
-
-		// Determine confidence level
-		const avgTokens = (min + max) / 2;
-		let confidence;
-		if (avgTokens < 1000) {
-			confidence = 'high';
-		} else if (avgTokens <= 5000) {
-			confidence = 'medium';
-		} else {
-			confidence = 'low';
-		}
+			if (diffMins < 1) return 'just now';
+			if (diffMins < 60) return `${diffMins}m ago`;
+			if (diffHours < 24) return `${diffHours}h ago`;
+			if (diffDays < 7) return `${diffDays}d ago`;
 
-		return { min, max, confidence };
+			return date.toLocaleDateString('en-US', { 
+				month: 'short', 
+				day: 'numeric', 
+				year: date.getFullYear() !== now.getFullYear() ? 'numeric' : undefined 
+			});
+		} catch (e) {
+			return 'Invalid date';
+		}
 	};
 
+	// ===== END METADATA TRACKING SYSTEM =====
+
+	// ===== TOKENIZER SYSTEM =====
+
+	// BPE vocabularies live in vocab/ and are fetched the first time a prompt
+	// for that model family is counted; until then counts use the heuristic.
+	const VOCAB_PATH = 'vocab/';
+
+	const pendingTokenizers = new Map();
+	const failedTokenizers = new Set();
+
 	/**
-	 * Validate ISO 8601 date string
-	 * @param {string} dateString - Date string to validate
-	 * @returns {boolean} Whether the date is valid
+	 * Load the tokenizer for a model, fetching its vocabulary once
+	 * @param {string} modelName - Model name
+	 * @returns {Promise<Object|null>} Encoder, or null if the model has no
+	 *   known tokenizer or its vocabulary could not be loaded
 	 */
-	const isValidISODate = (dateString) => {
-		if (typeof dateString !== 'string') return false;
-		const date = new Date(dateString);
-		return date instanceof Date && !isNaN(date.getTime()) && dateString === date.toISOString();
+	const ensureTokenizer = (modelName) => {
+		const tokenizer = tokenizerFor(modelName);
+		if (!tokenizer) return Promise.resolve(null);
+		if (loadedTokenizer(tokenizer.id)) return Promise.resolve(loadedTokenizer(tokenizer.id));
+		if (!pendingTokenizers.has(tokenizer.id)) {
+			const pending = fetch(VOCAB_PATH + tokenizer.id + '.json')
+				.then(res => {
+					if (!res.ok) throw new Error('HTTP ' + res.status);
+					return res.json();
+				})
+				.then(vocab => loadVocabulary(tokenizer, vocab))
+				.catch(error => {
+					failedTokenizers.add(tokenizer.id);
+					console.warn('Tokenizer ' + tokenizer.id + ' unavailable, using heuristic:', error);
+					return null;
+				})
+				.finally(() => pendingTokenizers.delete(tokenizer.id));
+			pendingTokenizers.set(tokenizer.id, pending);
+		}
+		return pendingTokenizers.get(tokenizer.id);
 	};
 
 	/**
-	 * Track model metadata for a prompt
-	 * @param {string} modelName - Name of the AI model
-	 * @param {string} content - The prompt content
-	 * @returns {Object} Metadata object with model, timestamps, and token estimate
+	 * Recount stored prompts whose tokenizer is now loaded. Counts are derived
+	 * data, so updatedAt is left alone; revisions keep the count they were
+	 * saved with. Prompts are counted with their includes expanded.
+	 * @returns {boolean} Whether anything changed
 	 */
-	const trackModel = (modelName, content) => {
-		// Validate model name
-		if (typeof modelName !== 'string' || modelName.trim().length === 0) {
-			throw new Error('Model name must be a non-empty string');
+	const refreshTokenCounts = () => {
+		const prompts = getPrompts();
+		const snippets = snippetIndex(prompts);
+		let changed = false;
+		prompts.forEach(p => {
+			if (!p.metadata) return;
+			const next = countTokens(expandPrompt(p, snippets).text, p.metadata.model);
+			if (!sameEstimate(p.metadata.tokenEstimate, next)) {
+				p.metadata = { ...p.metadata, tokenEstimate: next };
+				changed = true;
+			}
+			(Array.isArray(p.variants) ? p.variants : []).forEach(v => {
+				const count = countTokens(expandPrompt(p, snippets, v.content).text, v.model);
+				if (sameEstimate(v.tokenEstimate, count)) return;
+				v.tokenEstimate = count;
+				changed = true;
+			});
+		});
+		if (changed) {
+			savePrompts(prompts);
+			renderPrompts();
 		}
-		if (modelName.length > 100) {
-			throw new Error('Model name must not exceed 100 characters');
+		return changed;
+	};
+
+	/**
+	 * Start loading the tokenizers the given models need, then recount the
+	 * library. Tokenizers already loaded, loading or failed are skipped, so
+	 * this is cheap to call after every render.
+	 * @param {string[]} models - Model names
+	 * @returns {Promise<void>}
+	 */
+	const loadTokenizersFor = async (models) => {
+		const wanted = new Map();
+		models.forEach(m => {
+			const t = tokenizerFor(m);
+			if (t && !loadedTokenizer(t.id) && !pendingTokenizers.has(t.id) && !failedTokenizers.has(t.id)) wanted.set(t.id, m);
+		});
+		if (!wanted.size) return;
+		const loaded = await Promise.all([...wanted.values()].map(ensureTokenizer));
+		if (loaded.some(Boolean)) refreshTokenCounts();
+	};
+
+	// ===== END TOKENIZER SYSTEM =====
+
+	// ===== MODEL REGISTRY =====
+
+	const MODELS_KEY = LIBRARY + '.models';
+	const MODEL_SETTINGS_KEY = LIBRARY + '.modelSettings';
+	const DEFAULT_MODEL_SETTINGS = { contextWarnShare: 0.5, expectedOutputTokens: 500 };
+
+	let modelRegistry = null;
+
+	const getModels = () => {
+		if (modelRegistry) return modelRegistry;
+		try {
+			const raw = localStorage.getItem(MODELS_KEY);
+			const list = raw ? JSON.parse(raw) : null;
+			modelRegistry = Array.isArray(list) ? list : DEFAULT_MODELS.map(m => ({ ...m, aliases: [...m.aliases] }));
+		} catch (e) {
+			console.warn('Failed to parse model registry from storage', e);
+			modelRegistry = DEFAULT_MODELS.map(m => ({ ...m, aliases: [...m.aliases] }));
 		}
+		return modelRegistry;
+	};
+
+	// Model lookups in the core (resolveModel, canonicalModel) use this registry
+	setModelSource(getModels);
+
+	// Drop the cached registry, e.g. after another tab changed it
+	const reloadModels = () => {
+		modelRegistry = null;
+	};
+
+	const saveModels = (models) => {
+		modelRegistry = models;
+		try { localStorage.setItem(MODELS_KEY, JSON.stringify(models)); }
+		catch (e) { console.error('Failed to save model registry', e); }
+	};
 
-		// Validate content
-		if (typeof content !== 'string') {
-			throw new Error('Content must be a string');
+	const getModelSettings = () => {
+		try {
+			const saved = JSON.parse(localStorage.getItem(MODEL_SETTINGS_KEY) || '{}');
+			return { ...DEFAULT_MODEL_SETTINGS, ...saved };
+		} catch (e) {
+			console.warn('Failed to parse model settings', e);
+			return { ...DEFAULT_MODEL_SETTINGS };
 		}
+	};
 
-		const now = new Date().toISOString();
-		const tokenEstimate = estimateTokens(content, false);
+	const saveModelSettings = (settings) => {
+		try { localStorage.setItem(MODEL_SETTINGS_KEY, JSON.stringify(settings)); }
+		catch (e) { console.error('Failed to save model settings', e); }
+	};
 
-		return {
-			model: modelName.trim(),
-			createdAt: now,
-			updatedAt: now,
-			tokenEstimate
-		};
+	/**
+	 * Estimated cost of one run: the prompt as input plus the configured
+	 * expected output length
+	 * @param {number} tokens - Prompt tokens
+	 * @param {ModelInfo} model - Registry entry
+	 * @param {Object} [settings] - Model settings
+	 * @returns {number|null} USD, or null when the model has no prices
+	 */
+	const estimateRunCost = (tokens, model, settings = getModelSettings()) => {
+		if (!model || (!model.inputPrice && !model.outputPrice)) return null;
+		return (tokens * (model.inputPrice || 0) + settings.expectedOutputTokens * (model.outputPrice || 0)) / 1e6;
+	};
+
+	const formatCost = (usd) => {
+		if (usd === 0) return '$0';
+		if (usd < 0.01) return '$' + usd.toPrecision(2);
+		return '$' + usd.toFixed(usd < 1 ? 3 : 2);
 	};
 
 	/**
-	 * Update timestamps in metadata
-	 * @param {Object} metadata - Existing metadata object
-	 * @returns {Object} Updated metadata object
+	 * Validate and normalise a registry entry from the Models dialog
+	 * @param {Object} input - Raw field values
+	 * @param {ModelInfo[]} others - The rest of the registry
+	 * @returns {Object} { model?: ModelInfo, errors: string[] }
 	 */
-	const updateTimestamps = (metadata) => {
-		if (!metadata || typeof metadata !== 'object') {
-			throw new Error('Metadata must be a valid object');
-		}
+	const normalizeModelInfo = (input, others) => {
+		const errors = [];
+		const id = String(input.id || '').trim().toLowerCase().replace(/\s+/g, '-');
+		if (!id) errors.push('Id is required');
+		else if (id.length > 100) errors.push('Id must not exceed 100 characters');
+		const aliases = [...new Set(String(input.aliases || '').split(',').map(a => a.trim()).filter(Boolean))];
+		const taken = new Map();
+		others.forEach(m => [m.id, m.name, ...(m.aliases || [])].forEach(n => taken.set(looseModelKey(n), m.id)));
+		[id, ...aliases].forEach(n => {
+			if (taken.has(looseModelKey(n))) errors.push('"' + n + '" is already used by ' + taken.get(looseModelKey(n)));
+		});
+		const number = (field, label) => {
+			const value = Number(input[field] || 0);
+			if (!Number.isFinite(value) || value < 0) errors.push(label + ' must be a number >= 0');
+			return value;
+		};
+		const model = {
+			id,
+			name: String(input.name || '').trim() || id,
+			provider: String(input.provider || '').trim(),
+			aliases,
+			contextWindow: Math.floor(number('contextWindow', 'Context window')),
+			inputPrice: number('inputPrice', 'Input price'),
+			outputPrice: number('outputPrice', 'Output price')
+		};
+		if (input.tokenizer) model.tokenizer = input.tokenizer;
+		return errors.length ? { errors } : { model, errors };
+	};
 
-		if (!metadata.createdAt || !isValidISODate(metadata.createdAt)) {
-			throw new Error('Invalid createdAt timestamp in metadata');
-		}
+	// ===== END MODEL REGISTRY =====
 
-		const now = new Date().toISOString();
-		const createdDate = new Date(metadata.createdAt);
-		const updatedDate = new Date(now);
+	// ===== PROVIDER ADAPTERS =====
+	// Provider configs, API keys included, stay in this browser's localStorage;
+	// they are not part of the prompt records, exports or backups. The adapters
+	// that send runs are in core.js.
+	const PROVIDERS_KEY = LIBRARY + '.providers';
 
-		if (updatedDate < createdDate) {
-			throw new Error('updatedAt must be greater than or equal to createdAt');
+	const getProviders = () => {
+		try {
+			const list = JSON.parse(localStorage.getItem(PROVIDERS_KEY) || '[]');
+			return Array.isArray(list) ? list : [];
+		} catch (e) {
+			console.warn('Failed to parse providers from storage', e);
+			return [];
 		}
+	};
 
-		return {
-			...metadata,
-			updatedAt: now
-		};
+	const saveProviders = (providers) => {
+		try { localStorage.setItem(PROVIDERS_KEY, JSON.stringify(providers)); }
+		catch (e) { console.error('Failed to save providers', e); }
 	};
 
 	/**
-	 * Format date to human-readable string
-	 * @param {string} isoString - ISO 8601 date string
-	 * @returns {string} Formatted date string
+	 * Provider that should run a model: the first one listing it, else the
+	 * first one without a model list
+	 * @param {string} model - Model name as stored on the prompt
+	 * @param {ProviderConfig[]} [providers]
+	 * @returns {ProviderConfig|null}
 	 */
-	const formatDate = (isoString) => {
+	const providerForModel = (model, providers = getProviders()) => {
+		const id = canonicalModel(model);
+		const usable = providers.filter(p => PROVIDER_ADAPTERS[p.type]);
+		return usable.find(p => (p.models || []).some(m => canonicalModel(m) === id)) ||
+			usable.find(p => !(p.models || []).length) || null;
+	};
+
+	/**
+	 * Validate and normalise a provider from the Providers dialog
+	 * @param {Object} input - Raw field values
+	 * @param {ProviderConfig|null} previous - Provider being edited
+	 * @returns {Object} { provider?: ProviderConfig, errors: string[] }
+	 */
+	const normalizeProviderConfig = (input, previous) => {
+		const errors = [];
+		const name = String(input.name || '').trim();
+		if (!name) errors.push('Name is required');
+		const type = PROVIDER_ADAPTERS[input.type] ? input.type : '';
+		if (!type) errors.push('Unknown provider type');
+		const baseUrl = String(input.baseUrl || '').trim().replace(/\/+$/, '');
 		try {
-			const date = new Date(isoString);
-			const now = new Date();
-			const diffMs = now - date;
-			const diffMins = Math.floor(diffMs / 60000);
-			const diffHours = Math.floor(diffMs / 3600000);
-			const diffDays = Math.floor(diffMs / 86400000);
+			if (!/^https?:$/.test(new URL(baseUrl).protocol)) errors.push('Base URL must use http or https');
+		} catch (e) {
+			errors.push('Base URL is not a valid URL');
+		}
+		const provider = {
+			id: previous ? previous.id : 'provider-' + Date.now().toString(36),
+			name,
+			type,
+			baseUrl,
+			apiKey: String(input.apiKey || '').trim(),
+			models: [...new Set(String(input.models || '').split(',').map(m => m.trim()).filter(Boolean))]
+		};
+		return errors.length ? { errors } : { provider, errors };
+	};
 
-			if (diffMins < 1) return 'just now';
-			if (diffMins < 60) return `${diffMins}m ago`;
-			if (diffHours < 24) return `${diffHours}h ago`;
-			if (diffDays < 7) return `${diffDays}d ago`;
+	// ===== END PROVIDER ADAPTERS =====
 
-			return date.toLocaleDateString('en-US', { 
-				month: 'short', 
-				day: 'numeric', 
-				year: date.getFullYear() !== now.getFullYear() ? 'numeric' : undefined 
-			});
+	// ===== TEMPLATE VARIABLES SYSTEM =====
+	const TEMPLATE_VALUES_KEY = LIBRARY + '.templateValues';
+
+	// With a vault the values stay in this tab's memory: they are often the text
+	// the prompts are run on, and localStorage is not encrypted
+	let vaultTemplateValues = {};
+
+	const storedTemplateValues = () => {
+		try {
+			return JSON.parse(localStorage.getItem(TEMPLATE_VALUES_KEY) || '{}');
 		} catch (e) {
-			return 'Invalid date';
+			console.warn('Failed to parse template values from storage', e);
+			return {};
 		}
 	};
 
-	// ===== END METADATA TRACKING SYSTEM =====
-	const form = document.getElementById('prompt-form');
-	const titleInput = document.getElementById('prompt-title');
-	const modelInput = document.getElementById('prompt-model');
-	const contentInput = document.getElementById('prompt-content');
-	const listEl = document.getElementById('prompt-list');
-	const emptyStateEl = document.getElementById('empty-state');
+	const getTemplateValues = (promptId) => ((vault || isVaultLocked()) ? vaultTemplateValues : storedTemplateValues())[String(promptId)] || {};
 
-	const getPrompts = () => {
+	const saveTemplateValues = (promptId, values) => {
+		if (vault || isVaultLocked()) {
+			vaultTemplateValues[String(promptId)] = values;
+			return;
+		}
 		try {
-			const raw = localStorage.getItem(STORAGE_KEY);
-			return raw ? JSON.parse(raw) : [];
-		} catch (e){
-			console.warn('Failed to parse prompts from storage', e);
-			return [];
+			const all = storedTemplateValues();
+			all[String(promptId)] = values;
+			localStorage.setItem(TEMPLATE_VALUES_KEY, JSON.stringify(all));
+		} catch (e) { console.error('Failed to save template values', e); }
+	};
+
+	// The vault is on: take values remembered before it off the disk
+	const moveTemplateValuesToMemory = () => {
+		vaultTemplateValues = { ...storedTemplateValues(), ...vaultTemplateValues };
+		localStorage.removeItem(TEMPLATE_VALUES_KEY);
+	};
+
+	// The vault is off again: remember the values across sessions
+	const moveTemplateValuesToStorage = () => {
+		try { localStorage.setItem(TEMPLATE_VALUES_KEY, JSON.stringify({ ...storedTemplateValues(), ...vaultTemplateValues })); }
+		catch (e) { console.error('Failed to save template values', e); }
+		vaultTemplateValues = {};
+	};
+
+	// ===== END TEMPLATE VARIABLES SYSTEM =====
+
+	// ===== PROMPT LINTER =====
+	// The rules and lintPrompt live in core.js; this keeps their settings
+	const LINT_SETTINGS_KEY = LIBRARY + '.lintRules';
+
+	const getLintSettings = () => {
+		try {
+			const saved = JSON.parse(localStorage.getItem(LINT_SETTINGS_KEY) || '{}');
+			return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+		} catch (e) {
+			console.warn('Failed to parse lint settings', e);
+			return {};
 		}
 	};
 
-	const savePrompts = (prompts) => {
-		try { localStorage.setItem(STORAGE_KEY, JSON.stringify(prompts)); }
-		catch (e){ console.error('Failed to save prompts', e); }
+	const saveLintSettings = (settings) => {
+		try { localStorage.setItem(LINT_SETTINGS_KEY, JSON.stringify(settings)); }
+		catch (e) { console.error('Failed to save lint settings', e); }
 	};
 
-	const wordPreview = (text, maxWords = 12) => {
-		const words = text.trim().split(/\s+/).filter(Boolean);
-		if (!words.length) return '(empty)';
-		const slice = words.slice(0, maxWords).join(' ');
-		return words.length > maxWords ? slice + '…' : slice;
+	// Findings for a stored prompt, with its includes expanded
+	const lintStoredPrompt = (p, snippets, settings = getLintSettings()) =>
+		lintPrompt(expandPrompt(p, snippets).text, lintContextFor(p.metadata?.model, promptTokenCount(p), !!p.snippetName, getModelSettings()), settings);
+
+	// ===== END PROMPT LINTER =====
+
+	// ===== TAGS & COLLECTIONS SYSTEM =====
+	const COLLECTIONS_KEY = LIBRARY + '.collections';
+	const PROMPT_DRAG_TYPE = 'application/x-prompt-id';
+
+	// ===== END TAGS & COLLECTIONS SYSTEM =====
+
+	// ===== ARCHIVE & TRASH SYSTEM =====
+	const TRASH_SETTINGS_KEY = LIBRARY + '.trashSettings';
+	const DEFAULT_TRASH_SETTINGS = { retentionDays: 30 };
+
+	const getTrashSettings = () => {
+		try {
+			const saved = JSON.parse(localStorage.getItem(TRASH_SETTINGS_KEY) || '{}');
+			return { ...DEFAULT_TRASH_SETTINGS, ...saved };
+		} catch (e) {
+			console.warn('Failed to parse trash settings', e);
+			return { ...DEFAULT_TRASH_SETTINGS };
+		}
 	};
 
-	const renderPrompts = () => {
-		const prompts = getPrompts();
-		listEl.innerHTML = '';
-		if (!prompts.length){
-			emptyStateEl.hidden = false;
+	const saveTrashSettings = (settings) => {
+		try { localStorage.setItem(TRASH_SETTINGS_KEY, JSON.stringify(settings)); }
+		catch (e) { console.error('Failed to save trash settings', e); }
+	};
+
+	// ===== END ARCHIVE & TRASH SYSTEM =====
+
+	// ===== SEARCH & FILTER SYSTEM =====
+
+	/**
+	 * Append text to an element, wrapping occurrences of the search terms in <mark>
+	 * @param {HTMLElement} el - Target element
+	 * @param {string} text - Text to render
+	 * @param {string[]} terms - Lowercased search terms
+	 */
+	const appendHighlighted = (el, text, terms) => {
+		if (!terms.length) {
+			el.appendChild(document.createTextNode(text));
 			return;
 		}
-		emptyStateEl.hidden = true;
-		
-		// Sort by createdAt descending (newest first)
-		const sortedPrompts = [...prompts].sort((a, b) => {
-			const aDate = a.metadata?.createdAt || 0;
-			const bDate = b.metadata?.createdAt || 0;
-			return new Date(bDate) - new Date(aDate);
-		});
-		
-		const frag = document.createDocumentFragment();
-		sortedPrompts.forEach(p => {
-			// Backwards compatibility: ensure userRating field exists
-			if (typeof p.userRating !== 'number') p.userRating = 0;
-			// Ensure notes array exists
-			if (!Array.isArray(p.notes)) p.notes = [];
-			const card = document.createElement('article');
-			card.className = 'prompt-card';
-			card.dataset.id = String(p.id);
-
-			const title = document.createElement('h3');
-			title.className = 'prompt-title';
-			title.textContent = p.title || '(Untitled)';
-
-			const preview = document.createElement('p');
-			preview.className = 'prompt-preview';
-			preview.textContent = wordPreview(p.content || '');
-
-			// Rating component
-			const ratingWrap = document.createElement('div');
-			ratingWrap.className = 'rating';
-			ratingWrap.setAttribute('role','radiogroup');
-			ratingWrap.setAttribute('aria-label','Rate prompt effectiveness');
-			ratingWrap.dataset.id = String(p.id);
-			for (let i=1;i<=5;i++){
-				const starBtn = document.createElement('button');
-				starBtn.type = 'button';
-				starBtn.className = 'star-btn' + (i <= p.userRating ? ' filled' : '');
-				starBtn.textContent = '★';
-				starBtn.dataset.star = String(i);
-				starBtn.dataset.id = String(p.id);
-				starBtn.setAttribute('role','radio');
-				starBtn.setAttribute('aria-label', i + ' star' + (i === 1 ? '' : 's'));
-				starBtn.setAttribute('aria-checked', i === p.userRating ? 'true' : 'false');
-				starBtn.tabIndex = i === 1 ? 0 : -1;
-				ratingWrap.appendChild(starBtn);
+		const escaped = terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+		const re = new RegExp('(' + escaped.join('|') + ')', 'gi');
+		text.split(re).forEach((part, i) => {
+			if (!part) return;
+			if (i % 2 === 1) {
+				const mark = document.createElement('mark');
+				mark.textContent = part;
+				el.appendChild(mark);
+			} else {
+				el.appendChild(document.createTextNode(part));
 			}
+		});
+	};
 
-			const actions = document.createElement('div');
-			actions.className = 'card-actions';
-			const deleteBtn = document.createElement('button');
-			deleteBtn.type = 'button';
-			deleteBtn.className = 'delete-btn';
-			deleteBtn.textContent = 'DELETE';
-			deleteBtn.setAttribute('aria-label', 'Delete prompt "' + (p.title || 'Untitled') + '"');
-			deleteBtn.dataset.action = 'delete';
-			deleteBtn.dataset.id = String(p.id);
+	// ===== END SEARCH & FILTER SYSTEM =====
 
-			actions.appendChild(deleteBtn);
-			card.appendChild(title);
-			card.appendChild(preview);
-
-			// Metadata Section
-			if (p.metadata) {
-				const metadataSection = document.createElement('div');
-				metadataSection.className = 'metadata-section';
-
-				// Model row
-				const modelRow = document.createElement('div');
-				modelRow.className = 'metadata-row';
-				const modelLabel = document.createElement('span');
-				modelLabel.className = 'metadata-label';
-				modelLabel.textContent = 'Model:';
-				const modelValue = document.createElement('span');
-				modelValue.className = 'metadata-value metadata-model';
-				modelValue.textContent = p.metadata.model;
-				modelRow.appendChild(modelLabel);
-				modelRow.appendChild(modelValue);
-				metadataSection.appendChild(modelRow);
-
-				// Created/Updated row
-				const dateRow = document.createElement('div');
-				dateRow.className = 'metadata-row';
-				const dateLabel = document.createElement('span');
-				dateLabel.className = 'metadata-label';
-				dateLabel.textContent = 'Created:';
-				const dateValue = document.createElement('span');
-				dateValue.className = 'metadata-value metadata-date';
-				dateValue.textContent = formatDate(p.metadata.createdAt);
-				dateValue.title = new Date(p.metadata.createdAt).toLocaleString();
-				dateRow.appendChild(dateLabel);
-				dateRow.appendChild(dateValue);
-				
-				// Show updated if different from created
-				if (p.metadata.updatedAt && p.metadata.updatedAt !== p.metadata.createdAt) {
-					const updatedSpan = document.createElement('span');
-					updatedSpan.className = 'metadata-value metadata-date';
-					updatedSpan.textContent = ' (updated ' + formatDate(p.metadata.updatedAt) + ')';
-					updatedSpan.title = new Date(p.metadata.updatedAt).toLocaleString();
-					dateRow.appendChild(updatedSpan);
-				}
-				metadataSection.appendChild(dateRow);
-
-				// Token estimate row
-				if (p.metadata.tokenEstimate) {
-					const tokenRow = document.createElement('div');
-					tokenRow.className = 'metadata-row';
-					const tokenLabel = document.createElement('span');
-					tokenLabel.className = 'metadata-label';
-					tokenLabel.textContent = 'Tokens:';
-					const tokenEstimate = document.createElement('div');
-					tokenEstimate.className = 'token-estimate';
-					const tokenRange = document.createElement('span');
-					tokenRange.className = 'token-range';
-					tokenRange.textContent = `${p.metadata.tokenEstimate.min}-${p.metadata.tokenEstimate.max}`;
-					const confidenceBadge = document.createElement('span');
-					confidenceBadge.className = `confidence-badge confidence-${p.metadata.tokenEstimate.confidence}`;
-					confidenceBadge.textContent = p.metadata.tokenEstimate.confidence;
-					tokenEstimate.appendChild(tokenRange);
-					tokenEstimate.appendChild(confidenceBadge);
-					tokenRow.appendChild(tokenLabel);
-					tokenRow.appendChild(tokenEstimate);
-					metadataSection.appendChild(tokenRow);
-				}
+	// ===== STORAGE SYSTEM =====
+	// Prompts are held in an in-memory cache so reads stay synchronous; every
+	// savePrompts() schedules a write-behind flush of only the records that changed.
+	const BACKUP_PREFIX = STORAGE_KEY + '.backup.';
+	// Bumped on every write so a tab can tell whether storage moved on since it last read
+	const REVISION_KEY = STORAGE_KEY + '.revision';
+	const IDB_NAME = LIBRARY;
+	const IDB_VERSION = 1;
 
-				card.appendChild(metadataSection);
-			}
-
-			card.appendChild(ratingWrap);
-
-			// Notes Section
-			const notesSection = document.createElement('div');
-			notesSection.className = 'notes-section';
-			const notesTitle = document.createElement('h4');
-			notesTitle.className = 'notes-title';
-			notesTitle.textContent = 'Notes';
-			notesSection.appendChild(notesTitle);
-			const notesList = document.createElement('ul');
-			notesList.className = 'notes-list';
-			notesList.dataset.id = String(p.id);
-			if (!p.notes.length){
-				const emptyLi = document.createElement('li');
-				emptyLi.className = 'note-empty';
-				emptyLi.textContent = 'No notes yet.';
-				notesList.appendChild(emptyLi);
-			} else {
-				p.notes.forEach(n => {
-					const li = document.createElement('li');
-					li.className = 'note-item';
-					li.dataset.noteId = String(n.id);
-					const textSpan = document.createElement('span');
-					textSpan.className = 'note-text';
-					textSpan.textContent = n.text;
-					li.appendChild(textSpan);
-					const actionsWrap = document.createElement('div');
-					actionsWrap.className = 'note-actions';
-					const editBtn = document.createElement('button');
-					editBtn.type = 'button';
-					editBtn.className = 'note-btn edit-note-btn';
-					editBtn.dataset.action = 'edit-note';
-					editBtn.dataset.id = String(p.id);
-					editBtn.dataset.noteId = String(n.id);
-					editBtn.textContent = 'Edit';
-					const deleteBtn = document.createElement('button');
-					deleteBtn.type = 'button';
-					deleteBtn.className = 'note-btn delete-note-btn';
-					deleteBtn.dataset.action = 'delete-note';
-					deleteBtn.dataset.id = String(p.id);
-					deleteBtn.dataset.noteId = String(n.id);
-					deleteBtn.textContent = 'Delete';
-					actionsWrap.appendChild(editBtn);
-					actionsWrap.appendChild(deleteBtn);
-					li.appendChild(actionsWrap);
-					notesList.appendChild(li);
-				});
-			}
-			notesSection.appendChild(notesList);
-			const addForm = document.createElement('form');
-			addForm.className = 'add-note-form';
-			addForm.dataset.id = String(p.id);
-			addForm.innerHTML = '<label class="visually-hidden" for="note-input-'+p.id+'">Add note</label>' +
-				'<input id="note-input-'+p.id+'" name="note" type="text" maxlength="300" placeholder="Add a note..." required />' +
-				'<button type="submit" class="note-add-btn">Add</button>';
-			notesSection.appendChild(addForm);
-			card.appendChild(notesSection);
+	const requestToPromise = (request) => new Promise((resolve, reject) => {
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+
+	const transactionDone = (tx) => new Promise((resolve, reject) => {
+		tx.oncomplete = () => resolve();
+		tx.onerror = () => reject(tx.error);
+		tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+	});
 
-			card.appendChild(actions);
-			frag.appendChild(card);
+	/**
+	 * Split prompts into prompt and note records keyed for storage
+	 * @param {Array} prompts - Prompt list
+	 * @returns {Object} { prompts: Map<key, record>, notes: Map<key, record> }
+	 */
+	const toRecords = (prompts) => {
+		const promptRecords = new Map();
+		const noteRecords = new Map();
+		prompts.forEach(p => {
+			const { notes, ...rest } = p;
+			promptRecords.set(String(p.id), rest);
+			(Array.isArray(notes) ? notes : []).forEach((n, position) => {
+				const key = String(p.id) + ':' + String(n.id);
+				noteRecords.set(key, { ...n, key, promptId: p.id, position });
+			});
 		});
-		listEl.appendChild(frag);
+		return { prompts: promptRecords, notes: noteRecords };
 	};
 
-	const addPrompt = (title, content, modelName) => {
-		const prompts = getPrompts();
-		
-		// Create metadata for the prompt
-		let metadata = null;
-		try {
-			metadata = trackModel(modelName, content);
-		} catch (error) {
-			console.error('Failed to create metadata:', error);
-			alert('Error: ' + error.message);
-			return;
-		}
-		
-		prompts.unshift({ 
-			id: Date.now(), 
-			title: title.trim(), 
-			content: content.trim(), 
-			userRating: 0,
-			metadata: metadata
+	/**
+	 * Reassemble prompts from stored prompt and note records
+	 * @param {Array} promptRecords - Records from the prompts store
+	 * @param {Array} noteRecords - Records from the notes store
+	 * @returns {Array} Prompt list, newest first
+	 */
+	const fromRecords = (promptRecords, noteRecords) => {
+		const notesByPrompt = new Map();
+		noteRecords.forEach(({ key, promptId, position, ...note }) => {
+			const list = notesByPrompt.get(String(promptId)) || [];
+			list.push({ position, note });
+			notesByPrompt.set(String(promptId), list);
 		});
-		savePrompts(prompts);
-		renderPrompts();
+		return promptRecords
+			.map(p => ({
+				...p,
+				notes: (notesByPrompt.get(String(p.id)) || []).sort((a, b) => a.position - b.position).map(n => n.note)
+			}))
+			.sort((a, b) => new Date(b.metadata?.createdAt || 0) - new Date(a.metadata?.createdAt || 0) || Number(b.id) - Number(a.id));
 	};
 
-	const deletePrompt = (id) => {
-		const prompts = getPrompts();
-		const next = prompts.filter(p => String(p.id) !== String(id));
-		savePrompts(next);
-		renderPrompts();
+	/**
+	 * Describe a storage failure in terms a user can act on
+	 * @param {Error} err - Error thrown by the storage backend
+	 * @returns {string} Human-readable message
+	 */
+	const describeStorageError = (err) => {
+		const name = err?.name || '';
+		if (name === 'QuotaExceededError' || name === 'NS_ERROR_DOM_QUOTA_REACHED' || err?.code === 22) {
+			return 'Browser storage is full. Delete old backups or prompts and try again.';
+		}
+		return 'Could not write to browser storage' + (err?.message ? ': ' + err.message : '.');
 	};
 
-	// Form submit handler
-	form.addEventListener('submit', (e) => {
-		e.preventDefault();
-		const title = titleInput.value;
-		const model = modelInput.value;
-		const content = contentInput.value;
-		if (!title.trim() || !model.trim() || !content.trim()) {
-			// Basic validation, rely on required attributes but ensure early exit.
-			return;
+	// Older localStorage backups are a bare prompt array; newer ones carry label/collections
+	const parseLocalBackup = (id, raw) => {
+		const parsed = JSON.parse(raw);
+		const fallbackDate = new Date(Number(id.slice(BACKUP_PREFIX.length)) || 0).toISOString();
+		if (Array.isArray(parsed)) return { id, createdAt: fallbackDate, label: '', prompts: parsed };
+		return { id, createdAt: parsed.createdAt || fallbackDate, label: parsed.label || '', prompts: parsed.prompts || [], collections: parsed.collections, promptCount: parsed.promptCount, sealed: parsed.sealed };
+	};
+
+	const createLocalStorageBackend = () => ({
+		name: 'localStorage',
+		async loadPrompts() {
+			return (await this.loadState()).prompts;
+		},
+		async loadState() {
+			const raw = localStorage.getItem(STORAGE_KEY);
+			const list = raw ? JSON.parse(raw) : [];
+			return { prompts: Array.isArray(list) ? list : [], revision: Number(localStorage.getItem(REVISION_KEY)) || 0 };
+		},
+		// localStorage has no records: always rewrite the whole array. localStorage
+		// calls are synchronous, so the revision check and write cannot interleave.
+		async writePrompts(prompts, expectedRevision) {
+			const revision = Number(localStorage.getItem(REVISION_KEY)) || 0;
+			if (expectedRevision !== undefined && revision !== expectedRevision) {
+				return { ok: false, ...(await this.loadState()) };
+			}
+			localStorage.setItem(STORAGE_KEY, JSON.stringify(prompts));
+			localStorage.setItem(REVISION_KEY, String(revision + 1));
+			return { ok: true, revision: revision + 1 };
+		},
+		async listBackups() {
+			const backups = [];
+			for (let i = 0; i < localStorage.length; i++) {
+				const key = localStorage.key(i);
+				if (!key || !key.startsWith(BACKUP_PREFIX)) continue;
+				const raw = localStorage.getItem(key) || '[]';
+				let backup = { id: key, createdAt: new Date(Number(key.slice(BACKUP_PREFIX.length)) || 0).toISOString(), prompts: [] };
+				try { backup = parseLocalBackup(key, raw); } catch (e) { /* unreadable backup still listed */ }
+				backups.push({ id: key, createdAt: backup.createdAt, label: backup.label || '', promptCount: backup.promptCount ?? backup.prompts.length, size: raw.length * 2 });
+			}
+			return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+		},
+		async getBackup(id) {
+			const raw = localStorage.getItem(id);
+			if (raw === null) return null;
+			return parseLocalBackup(id, raw);
+		},
+		async saveBackup(backup) {
+			const { id, ...rest } = backup;
+			localStorage.setItem(id, JSON.stringify(rest));
+		},
+		async deleteBackup(id) {
+			localStorage.removeItem(id);
 		}
-		addPrompt(title, content, model);
-		form.reset();
-		titleInput.focus();
 	});
 
-	// Event delegation for delete buttons
-	// Event delegation for delete & rating
-	listEl.addEventListener('click', (e) => {
-		const target = e.target;
-		if (!(target instanceof HTMLElement)) return;
-		if (target.dataset.action === 'delete') {
-			const id = target.dataset.id;
-			deletePrompt(id);
-			return;
-		}
-		// Delete note
-		if (target.dataset.action === 'delete-note') {
-			deleteNote(target.dataset.id, target.dataset.noteId);
+	const openIndexedDB = () => new Promise((resolve, reject) => {
+		if (typeof indexedDB === 'undefined' || !indexedDB) {
+			reject(new Error('IndexedDB is not available'));
 			return;
 		}
-		// Edit note -> switch to inline edit state
-		if (target.dataset.action === 'edit-note') {
-			enterEditMode(target.dataset.id, target.dataset.noteId);
-			return;
-		}
-		// Save edited note
-		if (target.dataset.action === 'save-note') {
-			const id = target.dataset.id;
-			const noteId = target.dataset.noteId;
-			const wrapper = target.closest('.note-item');
-			const textarea = wrapper?.querySelector('textarea');
-			if (textarea && textarea.value.trim()) {
-				updateNote(id, noteId, textarea.value.trim());
+		const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+		request.onupgradeneeded = () => {
+			const db = request.result;
+			if (!db.objectStoreNames.contains('prompts')) db.createObjectStore('prompts', { keyPath: 'id' });
+			if (!db.objectStoreNames.contains('notes')) {
+				db.createObjectStore('notes', { keyPath: 'key' }).createIndex('promptId', 'promptId');
 			}
-			return;
-		}
-		// Cancel edit -> re-render
-		if (target.dataset.action === 'cancel-edit-note') {
-			renderPrompts();
-			return;
-		}
-		if (target.classList.contains('star-btn')) {
-			const id = target.dataset.id;
-			const star = Number(target.dataset.star);
-			if (!id || !star) return;
-			setRating(id, star);
-		}
+			if (!db.objectStoreNames.contains('backups')) db.createObjectStore('backups', { keyPath: 'id' });
+			if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta', { keyPath: 'key' });
+		};
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+		request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab'));
 	});
 
-	// Add note form submission (delegated)
-	listEl.addEventListener('submit', (e) => {
-		const formEl = e.target;
-		if (!(formEl instanceof HTMLFormElement)) return;
-		if (!formEl.classList.contains('add-note-form')) return;
-		e.preventDefault();
-		const id = formEl.dataset.id;
+	const createIndexedDBBackend = (db) => {
+		// Serialised records as last written, used to compute the next diff
+		let written = { prompts: new Map(), notes: new Map() };
+		const snapshot = (records) => ({
+			prompts: new Map([...records.prompts].map(([k, r]) => [k, { id: r.id, json: JSON.stringify(r) }])),
+			notes: new Map([...records.notes].map(([k, r]) => [k, { id: r.key, json: JSON.stringify(r) }]))
+		});
+		// Read prompts and revision within tx; what was read becomes the diff base
+		const readState = async (tx) => {
+			const [promptRecords, noteRecords, revision] = await Promise.all([
+				requestToPromise(tx.objectStore('prompts').getAll()),
+				requestToPromise(tx.objectStore('notes').getAll()),
+				requestToPromise(tx.objectStore('meta').get('revision'))
+			]);
+			const prompts = fromRecords(promptRecords, noteRecords);
+			written = snapshot(toRecords(prompts));
+			return { prompts, revision: revision?.value || 0 };
+		};
+
+		return {
+			name: 'IndexedDB',
+			async loadPrompts() {
+				return (await this.loadState()).prompts;
+			},
+			async loadState() {
+				const tx = db.transaction(['prompts', 'notes', 'meta'], 'readonly');
+				return readState(tx);
+			},
+			// Write only changed prompt/note records, atomically in one transaction.
+			// With expectedRevision, nothing is written if another tab got there first.
+			async writePrompts(prompts, expectedRevision) {
+				const next = snapshot(toRecords(prompts));
+				const tx = db.transaction(['prompts', 'notes', 'meta'], 'readwrite');
+				const meta = tx.objectStore('meta');
+				const revision = (await requestToPromise(meta.get('revision')))?.value || 0;
+				if (expectedRevision !== undefined && revision !== expectedRevision) {
+					const state = await readState(tx);
+					await transactionDone(tx);
+					return { ok: false, ...state };
+				}
+				meta.put({ key: 'revision', value: revision + 1 });
+				['prompts', 'notes'].forEach(storeName => {
+					const store = tx.objectStore(storeName);
+					next[storeName].forEach((entry, key) => {
+						if (written[storeName].get(key)?.json !== entry.json) store.put(JSON.parse(entry.json));
+					});
+					written[storeName].forEach((entry, key) => {
+						if (!next[storeName].has(key)) store.delete(entry.id);
+					});
+				});
+				await transactionDone(tx);
+				written = next;
+				return { ok: true, revision: revision + 1 };
+			},
+			async listBackups() {
+				const tx = db.transaction('backups', 'readonly');
+				const backups = await requestToPromise(tx.objectStore('backups').getAll());
+				return backups
+					.map(b => ({ id: b.id, createdAt: b.createdAt, label: b.label || '', promptCount: b.promptCount ?? b.prompts.length, size: JSON.stringify(b).length * 2 }))
+					.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+			},
+			async getBackup(id) {
+				const tx = db.transaction('backups', 'readonly');
+				return (await requestToPromise(tx.objectStore('backups').get(id))) || null;
+			},
+			async saveBackup(backup) {
+				const tx = db.transaction('backups', 'readwrite');
+				tx.objectStore('backups').put(cloneData(backup));
+				await transactionDone(tx);
+			},
+			async deleteBackup(id) {
+				const tx = db.transaction('backups', 'readwrite');
+				tx.objectStore('backups').delete(id);
+				await transactionDone(tx);
+			},
+			async getMeta(key) {
+				const tx = db.transaction('meta', 'readonly');
+				return (await requestToPromise(tx.objectStore('meta').get(key)))?.value;
+			},
+			async setMeta(key, value) {
+				const tx = db.transaction('meta', 'readwrite');
+				tx.objectStore('meta').put({ key, value });
+				await transactionDone(tx);
+			}
+		};
+	};
+
+	/**
+	 * Copy localStorage prompts and backups into IndexedDB (once), then free the localStorage copy
+	 * @param {Object} backend - IndexedDB backend
+	 * @returns {Promise<number>} Number of prompts migrated
+	 */
+	const migrateFromLocalStorage = async (backend) => {
+		if (await backend.getMeta('migratedFromLocalStorage')) return 0;
+		const legacy = createLocalStorageBackend();
+		const prompts = await legacy.loadPrompts();
+		const backups = await legacy.listBackups();
+		if (prompts.length) {
+			const existing = await backend.loadPrompts();
+			const known = new Set(existing.map(p => String(p.id)));
+			await backend.writePrompts([...existing, ...prompts.filter(p => !known.has(String(p.id)))]);
+		}
+		for (const b of backups) {
+			const backup = await legacy.getBackup(b.id);
+			if (backup) await backend.saveBackup(backup);
+		}
+		await backend.setMeta('migratedFromLocalStorage', new Date().toISOString());
+		// Only drop the localStorage copy once everything above has committed
+		localStorage.removeItem(STORAGE_KEY);
+		backups.forEach(b => localStorage.removeItem(b.id));
+		return prompts.length;
+	};
+
+	// ----- Vault mode -----
+	// With a vault the library is stored as a single sealed record and each
+	// backup as ciphertext. The record's header holds the wrapped data key, so
+	// the key always travels with the data it opens.
+
+	// { key, header, sealed } while unlocked; sealed is set once the library is stored encrypted
+	let vault = null;
+	// Header of a sealed library this tab has no key for
+	let lockedHeader = null;
+	// The key was right but the stored library would not decrypt. Writes are
+	// refused so it is not replaced by an empty library; a restore clears this.
+	let vaultDamaged = false;
+	let onVaultChange = () => {};
+
+	const isVaultLocked = () => lockedHeader !== null;
+	const lockedError = () => Object.assign(new Error('The library is locked. Unlock it to continue.'), { locked: true });
+
+	/**
+	 * Wrap a storage backend so that, with a vault, prompts and backups are
+	 * encrypted on the way in and decrypted on the way out
+	 * @param {Object} inner - localStorage or IndexedDB backend
+	 * @returns {Object} Backend with the same interface
+	 */
+	const createVaultBackend = (inner) => {
+		const seal = (value) => encryptText(vault.key, JSON.stringify(value));
+
+		const open = async (state) => {
+			const sealed = state.prompts.find(p => p && p.id === VAULT_RECORD_ID);
+			if (!sealed) {
+				// Another tab turned the vault off
+				const changed = !!vault?.sealed || isVaultLocked();
+				if (vault?.sealed) vault = null;
+				lockedHeader = null;
+				vaultDamaged = false;
+				if (changed) onVaultChange();
+				return state;
+			}
+			if (!vault || vault.header.id !== sealed.header?.id) {
+				// Locked, or another tab replaced the vault with a new one
+				const changed = !!vault || !isVaultLocked();
+				vault = null;
+				lockedHeader = sealed.header || {};
+				if (changed) onVaultChange();
+				throw lockedError();
+			}
+			let prompts;
+			try {
+				prompts = JSON.parse(await decryptText(vault.key, sealed));
+				if (!Array.isArray(prompts)) throw new Error('Not a prompt list');
+			} catch (e) {
+				vaultDamaged = true;
+				throw Object.assign(new Error('The encrypted library could not be decrypted; it may be damaged.'), { revision: state.revision });
+			}
+			// Adopt a passphrase another tab changed
+			if ((sealed.header.changedAt || '') > (vault.header.changedAt || '')) vault.header = sealed.header;
+			vault.sealed = true;
+			vaultDamaged = false;
+			return { prompts, revision: state.revision };
+		};
+
+		return {
+			name: inner.name,
+			async loadPrompts() {
+				return (await this.loadState()).prompts;
+			},
+			async loadState() {
+				return open(await inner.loadState());
+			},
+			async writePrompts(prompts, expectedRevision) {
+				if (isVaultLocked()) throw lockedError();
+				if (vaultDamaged) throw new Error('The encrypted library could not be decrypted, so it is left as it is. Restore a snapshot from Backups to replace it.');
+				const records = vault ? [{ id: VAULT_RECORD_ID, header: vault.header, ...(await seal(prompts)) }] : prompts;
+				const result = await inner.writePrompts(records, expectedRevision);
+				if (!result.ok) return { ok: false, ...(await open(result)) };
+				if (vault) vault.sealed = true;
+				return result;
+			},
+			listBackups: () => inner.listBackups(),
+			async getBackup(id) {
+				const backup = await inner.getBackup(id);
+				if (!backup?.sealed) return backup;
+				if (!vault) throw lockedError();
+				const { sealed, promptCount, ...rest } = backup;
+				try {
+					const { prompts, collections } = JSON.parse(await decryptText(vault.key, sealed));
+					return { ...rest, prompts, collections };
+				} catch (e) {
+					throw new Error('This snapshot could not be decrypted; it may be damaged.');
+				}
+			},
+			async saveBackup(backup) {
+				if (isVaultLocked()) throw lockedError();
+				if (!vault) return inner.saveBackup(backup);
+				const { id, createdAt, label, prompts, collections } = backup;
+				return inner.saveBackup({ id, createdAt, label, promptCount: prompts.length, prompts: [], sealed: await seal({ prompts, collections }) });
+			},
+			deleteBackup: (id) => inner.deleteBackup(id)
+		};
+	};
+
+	// ----- Concurrent writes (several tabs) -----
+
+	let knownRevision = 0;
+	let onSyncConflicts = (conflicts) => console.warn('Merged concurrent changes', conflicts);
+	let onRemoteChange = () => {};
+	const MAX_WRITE_ATTEMPTS = 5;
+
+	let storage = createLocalStorageBackend();
+	let promptCache = [];
+	let lastWritten = [];
+	let flushQueue = Promise.resolve();
+	let onStorageError = (err) => console.error('Failed to save prompts', err);
+
+	/**
+	 * Pick the storage backend, migrate legacy data and fill the cache
+	 * @returns {Promise<Object>} { backend: string, migrated: number, quarantined: number, locked: boolean }
+	 */
+	const initStorage = async () => {
+		let migrated = 0;
+		try {
+			const backend = createIndexedDBBackend(await openIndexedDB());
+			migrated = await migrateFromLocalStorage(backend);
+			storage = createVaultBackend(backend);
+		} catch (e) {
+			console.warn('IndexedDB unavailable, falling back to localStorage', e);
+			storage = createVaultBackend(createLocalStorageBackend());
+		}
+		const quarantined = await loadLibrary();
+		return { backend: storage.name, migrated, quarantined, locked: isVaultLocked() };
+	};
+
+	/**
+	 * Fill the cache from storage, upgrading stored records
+	 * @returns {Promise<number>} Number of invalid records moved into a backup
+	 */
+	const loadLibrary = async () => {
+		let loaded = [];
+		try {
+			const state = await storage.loadState();
+			loaded = state.prompts;
+			knownRevision = state.revision;
+		} catch (e) {
+			if (e.locked) return 0;
+			console.warn('Failed to load prompts from storage', e);
+			// A library that would not decrypt keeps its revision, so a restore can replace it
+			if (Number.isFinite(e.revision)) knownRevision = e.revision;
+		}
+		lastWritten = cloneData(loaded);
+
+		// Upgrade stored records; ones that cannot be made valid are moved into a backup
+		const { accepted, rejected } = validatePromptRecords(loaded);
+		promptCache = accepted;
+		let persist = JSON.stringify(accepted) !== JSON.stringify(loaded);
+		if (rejected.length) {
+			console.warn('Quarantining invalid stored prompts', rejected);
+			try {
+				await createBackup('Invalid records (quarantined)', rejected.map(r => loaded[r.index]));
+			} catch (e) {
+				// Without a backup, leave the stored records untouched
+				console.error('Failed to back up invalid prompts', e);
+				persist = false;
+			}
+		}
+		if (persist) await flushPrompts().catch(() => {});
+		return rejected.length;
+	};
+
+	/**
+	 * Adopt a stored state another tab wrote: merge it with this tab's
+	 * unsaved changes, which stay in the cache for the next write
+	 * @param {Object} state - { prompts, revision } from storage
+	 * @returns {boolean} Whether the cache still differs from storage
+	 */
+	const rebaseOnStored = (state) => {
+		const { prompts, conflicts } = mergeConcurrent(lastWritten, promptCache, state.prompts);
+		promptCache = prompts;
+		lastWritten = cloneData(state.prompts);
+		knownRevision = state.revision;
+		if (conflicts.length) onSyncConflicts(conflicts);
+		return !sameJSON(prompts, state.prompts);
+	};
+
+	/**
+	 * Queue a write of the cache, guarded by the storage revision: if another
+	 * tab wrote first, merge with its version and try again. On failure the
+	 * cache is reverted to what is actually stored so the UI never shows
+	 * changes that were not persisted.
+	 * @returns {Promise<void>} Resolves once written, rejects with the storage error
+	 */
+	const flushPrompts = () => {
+		flushQueue = flushQueue.catch(() => {}).then(async () => {
+			try {
+				for (let attempt = 1; ; attempt++) {
+					const next = cloneData(promptCache);
+					const result = await storage.writePrompts(next, knownRevision);
+					if (result.ok) {
+						lastWritten = next;
+						knownRevision = result.revision;
+						broadcastChange();
+						return;
+					}
+					if (attempt >= MAX_WRITE_ATTEMPTS) throw new Error('The library keeps changing in another tab. Try again.');
+					rebaseOnStored(result);
+					onRemoteChange();
+				}
+			} catch (err) {
+				promptCache = cloneData(lastWritten);
+				onStorageError(err);
+				throw err;
+			}
+		});
+		return flushQueue;
+	};
+
+	/**
+	 * Pick up changes another tab stored, writing back if this tab had
+	 * unsaved edits that had to be merged in
+	 * @returns {Promise<boolean>} Whether anything changed
+	 */
+	const syncFromStorage = () => {
+		let changed = false;
+		flushQueue = flushQueue.catch(() => {}).then(async () => {
+			const state = await storage.loadState();
+			if (state.revision === knownRevision) return;
+			changed = true;
+			if (rebaseOnStored(state)) flushPrompts().catch(() => {});
+			onRemoteChange();
+		});
+		return flushQueue.then(() => changed, (err) => {
+			console.warn('Failed to read changes from another tab', err);
+			return false;
+		});
+	};
+
+	// Tell other tabs a new revision is stored; localStorage also fires
+	// `storage` events on its own, IndexedDB needs the channel
+	const syncChannel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(LIBRARY) : null;
+	const broadcastChange = () => {
+		if (syncChannel) syncChannel.postMessage({ type: 'prompts', revision: knownRevision });
+	};
+
+	/**
+	 * Unlock a vault and load the library
+	 * @param {string} passphrase - Passphrase
+	 * @returns {Promise<number>} See loadLibrary; rejects with 'Wrong passphrase.'
+	 */
+	const unlockLibrary = async (passphrase) => {
+		const key = await unwrapVaultKey(lockedHeader, passphrase);
+		vault = { key, header: lockedHeader, sealed: true };
+		lockedHeader = null;
+		moveTemplateValuesToMemory();
+		return loadLibrary();
+	};
+
+	// Drop the key and every decrypted prompt, once pending writes are stored
+	const lockLibrary = async () => {
+		await flushQueue.catch(() => {});
+		if (vault) {
+			lockedHeader = vault.header;
+			vault = null;
+		}
+		if (!isVaultLocked()) return;
+		vaultDamaged = false;
+		promptCache = [];
+		lastWritten = [];
+		vaultTemplateValues = {};
+	};
+
+	// Every backup read with the current key, to be stored again under another
+	const readAllBackups = async () => {
+		const backups = [];
+		for (const b of await storage.listBackups()) {
+			const backup = await storage.getBackup(b.id).catch(e => { console.warn('Skipping unreadable snapshot', b.id, e); return null; });
+			if (backup) backups.push(backup);
+		}
+		return backups;
+	};
+
+	/**
+	 * Turn vault mode on: the library and its backups are stored encrypted from now on
+	 * @param {string} passphrase - New passphrase
+	 */
+	const enableVault = async (passphrase) => {
+		if (vault || isVaultLocked()) throw new Error('The vault is already on.');
+		const { header, key } = await createVault(passphrase);
+		const backups = await readAllBackups();
+		vault = { key, header, sealed: false };
+		try {
+			await flushPrompts();
+		} catch (err) {
+			vault = null;
+			throw err;
+		}
+		for (const backup of backups) await storage.saveBackup(backup);
+		moveTemplateValuesToMemory();
+	};
+
+	/**
+	 * Turn vault mode off: the library and its backups are stored in plaintext again
+	 * @param {string} passphrase - Current passphrase, asked again on purpose
+	 */
+	const disableVault = async (passphrase) => {
+		if (!vault) throw new Error('The vault is not on.');
+		await unwrapVaultKey(vault.header, passphrase);
+		const backups = await readAllBackups();
+		const previous = vault;
+		vault = null;
+		try {
+			await flushPrompts();
+		} catch (err) {
+			vault = previous;
+			throw err;
+		}
+		for (const backup of backups) await storage.saveBackup(backup);
+		moveTemplateValuesToStorage();
+	};
+
+	/**
+	 * Wrap the vault key under a new passphrase; the data itself is not re-encrypted
+	 * @param {string} current - Current passphrase
+	 * @param {string} next - New passphrase
+	 */
+	const changeVaultPassphrase = async (current, next) => {
+		if (!vault) throw new Error('The vault is not on.');
+		await unwrapVaultKey(vault.header, current);
+		const previous = vault.header;
+		vault.header = await wrapVaultKey(vault.key, next, { id: previous.id, createdAt: previous.createdAt });
+		try {
+			await flushPrompts();
+		} catch (err) {
+			vault.header = previous;
+			throw err;
+		}
+	};
+
+	// ===== END STORAGE SYSTEM =====
+	const form = document.getElementById('prompt-form');
+	const titleInput = document.getElementById('prompt-title');
+	const modelInput = document.getElementById('prompt-model');
+	const contentInput = document.getElementById('prompt-content');
+	const snippetInput = document.getElementById('prompt-snippet');
+	const lintPromptBtn = document.getElementById('lint-prompt-btn');
+	const formLintEl = document.getElementById('prompt-lint');
+	const listEl = document.getElementById('prompt-list');
+	const emptyStateEl = document.getElementById('empty-state');
+	const searchInput = document.getElementById('search-input');
+	const sortKeySelect = document.getElementById('sort-key');
+	const sortDirSelect = document.getElementById('sort-dir');
+	const resultCountEl = document.getElementById('result-count');
+	const tagsInput = document.getElementById('prompt-tags');
+	const tagsListEl = document.getElementById('prompt-tags-list');
+	const tagSuggestionsEl = document.getElementById('tag-suggestions');
+	const collectionSelect = document.getElementById('prompt-collection');
+	const collectionTreeEl = document.getElementById('collection-tree');
+	const newCollectionBtn = document.getElementById('new-collection-btn');
+	const storageStatusEl = document.getElementById('storage-status');
+	const storageBackendEl = document.getElementById('storage-backend');
+	const trashBarEl = document.getElementById('trash-bar');
+	const trashRetentionInput = document.getElementById('trash-retention');
+	const emptyTrashBtn = document.getElementById('empty-trash-btn');
+	const emptyStateText = emptyStateEl.textContent;
+
+	// Current search/sort/collection, mirrored in the URL (?q=&sort=&dir=&c=)
+	const viewState = { query: '', sortKey: 'created', sortDir: 'desc', collection: '' };
+
+	// Tags chosen in the add-prompt form
+	let formTags = [];
+
+	// Cards whose history panel is expanded, and the revisions compared in each
+	const openHistory = new Set();
+	const historyCompare = new Map();
+	// Cards whose "Use" (fill-in) panel is expanded
+	const openUse = new Set();
+	// Cards whose run log is expanded, and the rating picked for the next run
+	const openRuns = new Set();
+	const runRatingDraft = new Map();
+	// Runs executed from use panels: { controller while streaming, text, status }
+	const liveRuns = new Map();
+	// Variant panels: open cards, the variant being edited, the pair being compared,
+	// and the variant a use panel renders and runs
+	const openVariants = new Set();
+	const variantEditing = new Map();
+	const variantCompare = new Map();
+	const useVariant = new Map();
+	// Cards whose lint findings are expanded
+	const openLint = new Set();
+
+	// Callers get their own copy, so mutating it never touches the cache
+	const getPrompts = () => cloneData(promptCache);
+
+	// Expanded text each token estimate was last counted from, by prompt and variant
+	const countedExpansions = new Map();
+
+	/**
+	 * Keep the token estimates of prompts and variants that include snippets
+	 * in line with the expanded text, which changes when a snippet does
+	 * @param {Array} prompts - Prompt records, changed in place
+	 */
+	const syncIncludeEstimates = (prompts) => {
+		if (!prompts.some(p => hasIncludes(p.content) || (p.variants || []).some(v => hasIncludes(v.content)))) return;
+		const snippets = snippetIndex(prompts);
+		const recount = (key, p, content, model, current) => {
+			const text = expandPrompt(p, snippets, content).text;
+			const counted = countedExpansions.get(key);
+			if (counted && counted.text === text && counted.model === model && sameEstimate(counted.estimate, current)) return current;
+			const estimate = countTokens(text, model);
+			countedExpansions.set(key, { text, model, estimate });
+			return estimate;
+		};
+		prompts.forEach(p => {
+			if (!p.metadata) return;
+			if (hasIncludes(p.content)) {
+				const estimate = recount(String(p.id), p, p.content, p.metadata.model, p.metadata.tokenEstimate);
+				if (!sameEstimate(estimate, p.metadata.tokenEstimate)) p.metadata = { ...p.metadata, tokenEstimate: estimate };
+			}
+			(p.variants || []).forEach(v => {
+				if (hasIncludes(v.content)) v.tokenEstimate = recount(p.id + '\u0000' + v.id, p, v.content, v.model, v.tokenEstimate);
+			});
+		});
+	};
+
+	/**
+	 * Replace the library and queue the write
+	 * @param {Array} prompts - New prompt list
+	 * @param {string} [label] - Describes the change for undo, e.g. "deleted 'X'";
+	 *   unlabelled saves (migrations, sync, undo itself) are not recorded
+	 * @returns {Promise<void>} Settles once written
+	 */
+	const savePrompts = (prompts, label) => {
+		syncIncludeEstimates(prompts);
+		if (label) recordHistory(label, promptCache, prompts);
+		promptCache = cloneData(prompts);
+		const written = flushPrompts();
+		// Failures are reported through onStorageError; callers may still await the result
+		written.catch(() => {});
+		return written;
+	};
+
+	let snippetsFor = null;
+	let snippetsCache = null;
+
+	// Snippet index of the current library, rebuilt only after prompts change
+	const currentSnippets = () => {
+		if (snippetsFor !== promptCache) {
+			snippetsFor = promptCache;
+			snippetsCache = snippetIndex(promptCache);
+		}
+		return snippetsCache;
+	};
+
+	const showStorageStatus = (msg) => {
+		storageStatusEl.querySelector('.storage-status-text').textContent = msg;
+		storageStatusEl.hidden = false;
+	};
+
+	onStorageError = (err) => {
+		console.error('Failed to save prompts', err);
+		showStorageStatus('Your last change was not saved. ' + describeStorageError(err));
+		renderPrompts();
+	};
+
+	onSyncConflicts = (conflicts) => {
+		console.warn('Merged concurrent changes from another tab', conflicts);
+		showStorageStatus(conflicts.join(' '));
+	};
+
+	// ===== UNDO / REDO HISTORY =====
+	// Each labelled change is stored as the before/after of just the prompts it
+	// touched, so undoing one change leaves later, unrelated ones in place.
+	const HISTORY_KEY = LIBRARY + '.history';
+	const MAX_HISTORY = 50;
+	// Keep the persisted history well inside the localStorage quota (see saveHistory)
+	const MAX_HISTORY_CHARS = 1000000;
+	const TOAST_MS = 6000;
+
+	let history = null;
+
+	const getHistory = () => {
+		if (history) return history;
+		try {
+			const saved = JSON.parse(localStorage.getItem(HISTORY_KEY) || 'null');
+			history = saved && Array.isArray(saved.undo) && Array.isArray(saved.redo) ? saved : { undo: [], redo: [] };
+		} catch (e) {
+			console.warn('Failed to parse undo history', e);
+			history = { undo: [], redo: [] };
+		}
+		return history;
+	};
+
+	const saveHistory = () => {
+		const h = getHistory();
+		if (h.undo.length > MAX_HISTORY) h.undo.splice(0, h.undo.length - MAX_HISTORY);
+		// Entries hold whole prompts, so with a vault the history stays in memory
+		if (vault || isVaultLocked()) {
+			localStorage.removeItem(HISTORY_KEY);
+			return;
+		}
+		// Persist the newest entries that fit (dropping redo first); the stack in
+		// memory keeps them all, so a large import stays undoable in this session
+		const persisted = { undo: [...h.undo], redo: [...h.redo] };
+		let raw = JSON.stringify(persisted);
+		while (raw.length > MAX_HISTORY_CHARS && (persisted.redo.length || persisted.undo.length)) {
+			if (persisted.redo.length) persisted.redo.shift();
+			else persisted.undo.shift();
+			raw = JSON.stringify(persisted);
+		}
+		try { localStorage.setItem(HISTORY_KEY, raw); }
+		catch (e) { console.warn('Failed to save undo history', e); }
+	};
+
+	/**
+	 * Record a change for undo. Starting a new change clears the redo stack.
+	 * @param {string} label - What the change did, e.g. "deleted 'Summarize Article'"
+	 * @param {Array} before - Prompts before the change
+	 * @param {Array} after - Prompts after the change
+	 * @param {Object} [extra] - { collections: { before, after } } for changes that also touch collections
+	 */
+	const recordHistory = (label, before, after, extra = {}) => {
+		const index = (list) => new Map(list.map((p, i) => [String(p.id), { p, i }]));
+		const was = index(before);
+		const now = index(after);
+		const changes = [];
+		new Set([...was.keys(), ...now.keys()]).forEach(id => {
+			const b = was.get(id);
+			const a = now.get(id);
+			if (b && a && sameJSON(b.p, a.p)) return;
+			changes.push({
+				id: (a || b).p.id,
+				before: b ? cloneData(b.p) : null,
+				after: a ? cloneData(a.p) : null,
+				beforeIndex: b ? b.i : 0,
+				afterIndex: a ? a.i : 0
+			});
+		});
+		const collectionsChanged = extra.collections && !sameJSON(extra.collections.before, extra.collections.after);
+		if (!changes.length && !collectionsChanged) return;
+		const h = getHistory();
+		h.undo.push({ label, at: new Date().toISOString(), changes, ...(collectionsChanged ? { collections: cloneData(extra.collections) } : {}) });
+		h.redo = [];
+		saveHistory();
+	};
+
+	// Token estimates are recounted whenever a tokenizer loads; that does not
+	// make a change stale
+	const withoutEstimates = (p) => p && {
+		...p,
+		metadata: p.metadata && { ...p.metadata, tokenEstimate: null },
+		variants: Array.isArray(p.variants) ? p.variants.map(v => ({ ...v, tokenEstimate: null })) : p.variants
+	};
+
+	/**
+	 * Move the library from one side of a history entry to the other
+	 * @param {Object} entry - History entry
+	 * @param {'before'|'after'} to - Side to restore
+	 * @returns {Object} { ok: true } or { ok: false, stale: string[] } when
+	 *   a touched prompt has changed since, in which case nothing is applied
+	 */
+	const applyHistoryEntry = (entry, to) => {
+		const from = to === 'before' ? 'after' : 'before';
+		const prompts = getPrompts();
+		const current = new Map(prompts.map(p => [String(p.id), p]));
+		const stale = entry.changes
+			.filter(c => !sameJSON(withoutEstimates(current.get(String(c.id)) || null), withoutEstimates(c[from])))
+			.map(c => (c.after || c.before).title);
+		if (stale.length) return { ok: false, stale };
+		let next = prompts.filter(p => !entry.changes.some(c => String(c.id) === String(p.id) && c[to] === null));
+		entry.changes
+			.filter(c => c[to] !== null)
+			.sort((a, b) => a[to + 'Index'] - b[to + 'Index'])
+			.forEach(c => {
+				const i = next.findIndex(p => String(p.id) === String(c.id));
+				if (i >= 0) next[i] = cloneData(c[to]);
+				else next.splice(Math.min(c[to + 'Index'], next.length), 0, cloneData(c[to]));
+			});
+		if (entry.collections && sameJSON(getCollections(), entry.collections[from])) saveCollections(entry.collections[to]);
+		savePrompts(next);
+		return { ok: true };
+	};
+
+	const toastEl = document.getElementById('toast');
+	let toastTimer = 0;
+
+	/**
+	 * Show a transient message with an optional action button
+	 * @param {string} msg - Message
+	 * @param {Object} [action] - { label, run }
+	 */
+	const showToast = (msg, action) => {
+		toastEl.querySelector('.toast-text').textContent = msg;
+		const btn = toastEl.querySelector('.toast-action');
+		btn.hidden = !action;
+		btn.textContent = action ? action.label : '';
+		btn.onclick = action ? () => { toastEl.hidden = true; action.run(); } : null;
+		toastEl.hidden = false;
+		clearTimeout(toastTimer);
+		toastTimer = setTimeout(() => { toastEl.hidden = true; }, TOAST_MS);
+	};
+
+	const undo = () => {
+		const h = getHistory();
+		const entry = h.undo[h.undo.length - 1];
+		if (!entry) { showToast('Nothing to undo.'); return; }
+		const result = applyHistoryEntry(entry, 'before');
+		if (!result.ok) {
+			showToast('Can\'t undo ' + entry.label + ': ' + result.stale.map(t => "'" + t + "'").join(', ') + ' changed since.');
+			return;
+		}
+		h.undo.pop();
+		h.redo.push(entry);
+		saveHistory();
+		renderPrompts();
+		showToast('Undone: ' + entry.label, { label: 'Redo', run: redo });
+	};
+
+	const redo = () => {
+		const h = getHistory();
+		const entry = h.redo[h.redo.length - 1];
+		if (!entry) { showToast('Nothing to redo.'); return; }
+		const result = applyHistoryEntry(entry, 'after');
+		if (!result.ok) {
+			showToast('Can\'t redo ' + entry.label + ': ' + result.stale.map(t => "'" + t + "'").join(', ') + ' changed since.');
+			return;
+		}
+		h.redo.pop();
+		h.undo.push(entry);
+		saveHistory();
+		renderPrompts();
+		showToast('Redone: ' + entry.label, { label: 'Undo', run: undo });
+	};
+
+	// Offer undo right away for changes that are easy to make by accident
+	const offerUndo = (msg) => showToast(msg, { label: 'Undo', run: undo });
+
+	// Text fields keep their native undo
+	const isTextEntry = (el) => el instanceof HTMLElement &&
+		(el.isContentEditable || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' ||
+			(el.tagName === 'INPUT' && !['button', 'checkbox', 'radio', 'submit', 'reset', 'file', 'range', 'color'].includes(el.type)));
+
+	document.addEventListener('keydown', (e) => {
+		if (!(e.ctrlKey || e.metaKey) || e.altKey || isTextEntry(e.target)) return;
+		if (document.querySelector('.modal-backdrop:not([hidden])')) return;
+		const key = e.key.toLowerCase();
+		if (key === 'z' && !e.shiftKey) { e.preventDefault(); undo(); }
+		else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); redo(); }
+	});
+
+	// ===== END UNDO / REDO HISTORY =====
+
+	// Re-render for changes from other tabs, but not under an open editor:
+	// they show up with the next render once editing ends
+	onRemoteChange = () => {
+		if (listEl.querySelector('.prompt-editor, .note-edit')) return;
+		renderPrompts();
+	};
+
+	const getCollections = () => {
+		try {
+			const raw = localStorage.getItem(COLLECTIONS_KEY);
+			const list = raw ? JSON.parse(raw) : [];
+			return Array.isArray(list) ? list : [];
+		} catch (e){
+			console.warn('Failed to parse collections from storage', e);
+			return [];
+		}
+	};
+
+	const saveCollections = (collections) => {
+		try { localStorage.setItem(COLLECTIONS_KEY, JSON.stringify(collections)); }
+		catch (e){ console.error('Failed to save collections', e); }
+	};
+
+	const wordPreview = (text, maxWords = 12) => {
+		const words = text.trim().split(/\s+/).filter(Boolean);
+		if (!words.length) return '(empty)';
+		const slice = words.slice(0, maxWords).join(' ');
+		return words.length > maxWords ? slice + '…' : slice;
+	};
+
+	// ===== KEYED CARD LIST =====
+	// Cards are cached by prompt id and rebuilt only when their signature
+	// changes. Past VIRTUALIZE_AFTER cards only the rows near the viewport are
+	// mounted, with spacers standing in for the rest.
+	const VIRTUALIZE_AFTER = 150;
+	const OVERSCAN_PX = 800;
+	const ESTIMATED_CARD_HEIGHT = 420;
+	const cardCache = new Map();
+	const cardHeights = new Map();
+	// What the last render decided to show: { prompts, parsed, collections, snippets, usage, context }
+	let listView = null;
+	let windowFrame = 0;
+
+	const makeSpacer = () => {
+		const el = document.createElement('div');
+		el.className = 'list-spacer';
+		el.setAttribute('aria-hidden', 'true');
+		return el;
+	};
+	const topSpacer = makeSpacer();
+	const bottomSpacer = makeSpacer();
+
+	/**
+	 * Record a User Timing measure, shown in DevTools and read by benchmark.html
+	 * @param {string} name - Measure name
+	 * @param {number} start - performance.now() at the start
+	 */
+	const measure = (name, start) => {
+		try { performance.measure(name, { start, end: performance.now() }); }
+		catch (e) { /* User Timing Level 3 unsupported */ }
+	};
+
+	const listColumns = () => {
+		const tracks = getComputedStyle(listEl).gridTemplateColumns.split(' ').filter(t => t.endsWith('px'));
+		return Math.max(1, tracks.length);
+	};
+
+	/**
+	 * Rows of cards within OVERSCAN_PX of the viewport, from measured card
+	 * heights where known and their average elsewhere
+	 * @param {Array} prompts - Sorted prompts in the list
+	 * @returns {{start: number, end: number, before: number, after: number}}
+	 *   Prompt index range to mount and the pixel height the spacers stand in for
+	 */
+	const visibleRange = (prompts) => {
+		const gap = parseFloat(getComputedStyle(listEl).rowGap) || 0;
+		const columns = listColumns();
+		const known = [...cardHeights.values()];
+		const fallback = known.length ? known.reduce((a, b) => a + b, 0) / known.length : ESTIMATED_CARD_HEIGHT;
+		const top = -listEl.getBoundingClientRect().top - OVERSCAN_PX;
+		const bottom = top + window.innerHeight + 2 * OVERSCAN_PX;
+		const rows = Math.ceil(prompts.length / columns);
+		let y = 0, startRow = -1, endRow = rows, before = 0, endY = 0;
+		for (let r = 0; r < rows; r++) {
+			if (startRow !== -1 && endRow === rows && y > bottom) { endRow = r; endY = y; }
+			const cells = prompts.slice(r * columns, (r + 1) * columns);
+			const height = Math.max(...cells.map(p => cardHeights.get(String(p.id)) || fallback));
+			if (startRow === -1 && (y + height >= top || r === rows - 1)) { startRow = r; before = y; }
+			y += height + gap;
+		}
+		return {
+			start: startRow * columns,
+			end: Math.min(prompts.length, endRow * columns),
+			before,
+			after: endRow < rows ? y - endY : 0
+		};
+	};
+
+	const cardFor = (p) => {
+		const id = String(p.id);
+		const ownSignature = listView.context + JSON.stringify([p, openUse.has(id), openHistory.has(id), historyCompare.get(id) || null, openRuns.has(id), runRatingDraft.get(id) || null,
+			openVariants.has(id), variantEditing.get(id) || null, variantCompare.get(id) || null, useVariant.get(id) || null, openLint.has(id)]);
+		const includes = {
+			expansion: expandPrompt(p, listView.snippets),
+			usedBy: p.snippetName ? (listView.usage.get(p.snippetName) || []).map(u => ({ id: u.id, title: u.title })) : []
+		};
+		const signature = ownSignature + JSON.stringify(hasIncludes(p.content) || p.snippetName ? includes : null);
+		const cached = cardCache.get(id);
+		if (cached && cached.signature === signature) return cached.el;
+		const el = buildCard(p, listView.parsed, listView.collections, includes);
+		cardCache.set(id, { el, signature });
+		return el;
+	};
+
+	/**
+	 * Bring the list DOM in line with listView, moving and replacing only the
+	 * cards that changed so focus and scroll position survive updates
+	 */
+	const mountCards = () => {
+		const started = performance.now();
+		const { prompts } = listView;
+		const range = prompts.length > VIRTUALIZE_AFTER
+			? visibleRange(prompts)
+			: { start: 0, end: prompts.length, before: 0, after: 0 };
+
+		const active = document.activeElement;
+		const activeCard = active instanceof HTMLElement && listEl.contains(active) ? active.closest('.prompt-card') : null;
+		const focusPath = [];
+		for (let n = active; activeCard && n !== activeCard; n = n.parentElement) focusPath.unshift([...n.parentElement.children].indexOf(n));
+
+		const cards = prompts.slice(range.start, range.end).map(cardFor);
+		// Spacers are grid rows themselves, so each takes one gap less than the rows it replaces
+		const gap = parseFloat(getComputedStyle(listEl).rowGap) || 0;
+		topSpacer.style.height = Math.max(0, range.before - gap) + 'px';
+		bottomSpacer.style.height = Math.max(0, range.after - gap) + 'px';
+		const wanted = [...(range.before > 0 ? [topSpacer] : []), ...cards, ...(range.after > 0 ? [bottomSpacer] : [])];
+		let cursor = listEl.firstChild;
+		wanted.forEach(el => {
+			if (el === cursor) cursor = cursor.nextSibling;
+			else listEl.insertBefore(el, cursor);
+		});
+		while (cursor) {
+			const next = cursor.nextSibling;
+			cursor.remove();
+			cursor = next;
+		}
+
+		// Unmounted cards are dropped, unless they hold an open editor
+		const mounted = new Set(cards);
+		const inList = new Set(prompts.map(p => String(p.id)));
+		cardCache.forEach((entry, id) => {
+			if (mounted.has(entry.el)) return;
+			if (inList.has(id) && entry.el.querySelector('.prompt-editor, .note-edit')) return;
+			cardCache.delete(id);
+		});
+
+		if (activeCard && !activeCard.contains(document.activeElement)) {
+			const card = cardCache.get(activeCard.dataset.id)?.el;
+			let target = card && card.isConnected ? card : null;
+			for (const i of focusPath) target = target?.children[i];
+			if (target && target.tagName === active.tagName) target.focus({ preventScroll: true });
+		}
+		// Zero means no layout yet (hidden list), which would mount everything next time
+		if (prompts.length > VIRTUALIZE_AFTER) cards.forEach(card => {
+			if (card.offsetHeight > 0) cardHeights.set(card.dataset.id, card.offsetHeight);
+		});
+		measure('mountCards', started);
+	};
+
+	const clearCards = () => {
+		listView = null;
+		cardCache.clear();
+		listEl.replaceChildren();
+	};
+
+	// Scrolling only moves the mounted window; nothing is rebuilt
+	const scheduleWindowUpdate = () => {
+		if (windowFrame || !listView || listView.prompts.length <= VIRTUALIZE_AFTER) return;
+		windowFrame = requestAnimationFrame(() => {
+			windowFrame = 0;
+			if (listView) mountCards();
+		});
+	};
+	window.addEventListener('scroll', scheduleWindowUpdate, { passive: true });
+	window.addEventListener('resize', scheduleWindowUpdate);
+
+	// ===== END KEYED CARD LIST =====
+
+	/**
+	 * Apply the current collection, archive/trash view and search query
+	 * @param {Array} prompts - All prompts
+	 * @param {Array} collections - Collection list
+	 * @returns {{pool: Array, visible: Array, parsed: Object, searching: boolean}}
+	 *   The view's pool (live prompts, or the trash) and the prompts it shows
+	 */
+	const filterForView = (prompts, collections) => {
+		// The trash is its own pool; everything else counts live prompts only
+		const pool = prompts.filter(p => isTrashed(p) === (viewState.collection === TRASH_VIEW));
+		const parsed = parseQuery(viewState.query);
+		const searching = parsed.terms.length > 0 || parsed.filters.length > 0;
+		const inView = viewScope(collections, viewState.collection, searching);
+		return { pool, parsed, searching, visible: pool.filter(p => inView(p) && matchesQuery(p, parsed)) };
+	};
+
+	/**
+	 * Render the sidebar and the prompt list for the current view
+	 * @param {Object} [options]
+	 * @param {string|number} [options.rebuild] - Prompt id whose card must be rebuilt
+	 *   even if unchanged, e.g. to close an inline editor
+	 */
+	const renderPrompts = ({ rebuild } = {}) => {
+		const started = performance.now();
+		// Read-only view of the cache; rendering never mutates prompts
+		const prompts = promptCache;
+		const collections = getCollections();
+		loadTokenizersFor(prompts.map(p => p.metadata?.model).filter(Boolean));
+		const inTrash = viewState.collection === TRASH_VIEW;
+		const { pool, parsed, searching, visible: visiblePrompts } = filterForView(prompts, collections);
+		renderCollections(prompts, collections);
+		renderTagSuggestions(prompts.filter(p => !isTrashed(p)));
+		renderTrashBar(inTrash);
+		emptyStateEl.textContent = inTrash ? 'The trash is empty.' : emptyStateText;
+		if (!pool.length){
+			clearCards();
+			emptyStateEl.hidden = false;
+			resultCountEl.textContent = '';
+			return;
+		}
+
+		resultCountEl.textContent = parsed.errors.length
+			? parsed.errors.join('; ')
+			: (visiblePrompts.length === pool.length ? pool.length + ' prompts' : visiblePrompts.length + ' of ' + pool.length + ' prompts');
+		resultCountEl.classList.toggle('has-error', parsed.errors.length > 0);
+		if (!visiblePrompts.length){
+			emptyStateEl.textContent = viewState.collection === ARCHIVE_VIEW && !searching
+				? 'No archived prompts.'
+				: 'No prompts match the current search or collection.';
+			clearCards();
+			emptyStateEl.hidden = false;
+			return;
+		}
+		emptyStateEl.hidden = true;
+
+		const sortedPrompts = [...visiblePrompts].sort(promptComparator(viewState.sortKey, viewState.sortDir));
+		if (rebuild !== undefined) cardCache.delete(String(rebuild));
+		listView = {
+			prompts: sortedPrompts,
+			parsed,
+			collections,
+			// Includes resolve against the whole library, not just the current view
+			snippets: snippetIndex(promptCache),
+			usage: snippetUsage(promptCache),
+			// Everything outside the prompt itself that a card shows
+			context: JSON.stringify([parsed.terms, collections, getModels(), getModelSettings(), getTrashSettings(), getProviders().map(pr => [pr.name, pr.models]), getLintSettings()])
+		};
+		mountCards();
+		measure('renderPrompts', started);
+	};
+
+	/**
+	 * Build the card for one prompt
+	 * @param {Object} p - Prompt (read-only)
+	 * @param {Object} parsed - Parsed search query, for highlighting
+	 * @param {Array} collections - Collection list
+	 * @returns {HTMLElement} Card element
+	 */
+	const buildCard = (p, parsed, collections, includes) => {
+		const card = document.createElement('article');
+		card.className = 'prompt-card';
+		card.dataset.id = String(p.id);
+
+		const title = document.createElement('h3');
+		title.className = 'prompt-title';
+		appendHighlighted(title, p.title || '(Untitled)', parsed.terms);
+
+		const dragHandle = document.createElement('span');
+		dragHandle.className = 'drag-handle';
+		dragHandle.draggable = true;
+		dragHandle.dataset.id = String(p.id);
+		dragHandle.title = 'Drag onto a collection to move';
+		dragHandle.setAttribute('aria-hidden', 'true');
+		dragHandle.textContent = '⠿';
+
+		const preview = document.createElement('p');
+		preview.className = 'prompt-preview';
+		appendHighlighted(preview, (parsed.terms.length && searchSnippet(p.content || '', parsed.terms)) || wordPreview(includes.expansion.text), parsed.terms);
+
+		// Rating component: stars show the run log's mean; picking one starts a rated run
+		const summary = ratingSummary(p);
+		const ratingWrap = document.createElement('div');
+		ratingWrap.className = 'rating';
+		ratingWrap.setAttribute('role','group');
+		ratingWrap.setAttribute('aria-label','Mean rating ' + formatRatingSummary(summary) + '. Pick stars to log a rated run');
+		ratingWrap.dataset.id = String(p.id);
+		for (let i=1;i<=5;i++){
+			const starBtn = document.createElement('button');
+			starBtn.type = 'button';
+			starBtn.className = 'star-btn' + (i <= p.userRating ? ' filled' : '');
+			starBtn.textContent = '★';
+			starBtn.dataset.star = String(i);
+			starBtn.dataset.id = String(p.id);
+			starBtn.setAttribute('aria-label', 'Log a run rated ' + i + ' star' + (i === 1 ? '' : 's'));
+			starBtn.tabIndex = i === 1 ? 0 : -1;
+			ratingWrap.appendChild(starBtn);
+		}
+		const ratingText = document.createElement('span');
+		ratingText.className = 'rating-summary' + (summary.trend ? ' trend-' + summary.trend : '');
+		ratingText.textContent = formatRatingSummary(summary);
+		if (summary.trend) ratingText.title = 'Last ' + Math.min(TREND_WINDOW, Math.floor(summary.count / 2)) + ' rated runs compared with the ones before';
+		ratingWrap.appendChild(ratingText);
+
+		const actions = document.createElement('div');
+		actions.className = 'card-actions';
+		const deleteBtn = document.createElement('button');
+		deleteBtn.type = 'button';
+		deleteBtn.className = 'delete-btn';
+		deleteBtn.textContent = 'DELETE';
+		deleteBtn.setAttribute('aria-label', 'Move prompt "' + (p.title || 'Untitled') + '" to the trash');
+		deleteBtn.dataset.action = 'delete';
+		deleteBtn.dataset.id = String(p.id);
+
+		const editBtn = document.createElement('button');
+		editBtn.type = 'button';
+		editBtn.className = 'card-btn edit-btn';
+		editBtn.textContent = 'EDIT';
+		editBtn.setAttribute('aria-label', 'Edit prompt "' + (p.title || 'Untitled') + '"');
+		editBtn.dataset.action = 'edit-prompt';
+		editBtn.dataset.id = String(p.id);
+
+		const historyOpen = openHistory.has(String(p.id));
+		const historyBtn = document.createElement('button');
+		historyBtn.type = 'button';
+		historyBtn.className = 'card-btn history-btn';
+		historyBtn.textContent = 'HISTORY (' + p.revisions.length + ')';
+		historyBtn.setAttribute('aria-expanded', historyOpen ? 'true' : 'false');
+		historyBtn.dataset.action = 'toggle-history';
+		historyBtn.dataset.id = String(p.id);
+
+		const variantsOpen = openVariants.has(String(p.id));
+		const variantsBtn = document.createElement('button');
+		variantsBtn.type = 'button';
+		variantsBtn.className = 'card-btn variants-btn';
+		variantsBtn.textContent = 'VARIANTS (' + variantList(p).length + ')';
+		variantsBtn.setAttribute('aria-expanded', variantsOpen ? 'true' : 'false');
+		variantsBtn.dataset.action = 'toggle-variants';
+		variantsBtn.dataset.id = String(p.id);
+
+		const runsOpen = openRuns.has(String(p.id));
+		const runsBtn = document.createElement('button');
+		runsBtn.type = 'button';
+		runsBtn.className = 'card-btn runs-btn';
+		runsBtn.textContent = 'RUNS (' + (Array.isArray(p.runs) ? p.runs.length : 0) + ')';
+		runsBtn.setAttribute('aria-expanded', runsOpen ? 'true' : 'false');
+		runsBtn.dataset.action = 'toggle-runs';
+		runsBtn.dataset.id = String(p.id);
+
+		const useOpen = openUse.has(String(p.id));
+		const useBtn = document.createElement('button');
+		useBtn.type = 'button';
+		useBtn.className = 'card-btn use-btn';
+		useBtn.textContent = 'USE';
+		useBtn.setAttribute('aria-expanded', useOpen ? 'true' : 'false');
+		useBtn.setAttribute('aria-label', 'Use prompt "' + (p.title || 'Untitled') + '"');
+		useBtn.dataset.action = 'toggle-use';
+		useBtn.dataset.id = String(p.id);
+
+		const shareBtn = document.createElement('button');
+		shareBtn.type = 'button';
+		shareBtn.className = 'card-btn share-btn';
+		shareBtn.textContent = 'SHARE';
+		shareBtn.setAttribute('aria-label', 'Share prompt "' + (p.title || 'Untitled') + '" as a link');
+		shareBtn.dataset.action = 'share';
+		shareBtn.dataset.id = String(p.id);
+
+		const archiveBtn = document.createElement('button');
+		archiveBtn.type = 'button';
+		archiveBtn.className = 'card-btn archive-btn';
+		archiveBtn.textContent = isArchived(p) ? 'UNARCHIVE' : 'ARCHIVE';
+		archiveBtn.setAttribute('aria-label', (isArchived(p) ? 'Unarchive' : 'Archive') + ' prompt "' + (p.title || 'Untitled') + '"');
+		archiveBtn.dataset.action = 'toggle-archive';
+		archiveBtn.dataset.id = String(p.id);
+
+		if (isTrashed(p)) {
+			card.classList.add('trashed');
+			actions.appendChild(buildTrashActions(p));
+		} else {
+			actions.appendChild(useBtn);
+			actions.appendChild(editBtn);
+			actions.appendChild(historyBtn);
+			actions.appendChild(variantsBtn);
+			actions.appendChild(runsBtn);
+			actions.appendChild(shareBtn);
+			actions.appendChild(archiveBtn);
+			actions.appendChild(deleteBtn);
+		}
+		if (isArchived(p) && !isTrashed(p)) {
+			card.classList.add('archived');
+			const badge = document.createElement('span');
+			badge.className = 'state-badge';
+			badge.textContent = 'Archived';
+			badge.title = 'Archived ' + formatDate(p.archivedAt);
+			title.appendChild(badge);
+		}
+		if (!isTrashed(p)) card.appendChild(dragHandle);
+		card.appendChild(title);
+		card.appendChild(preview);
+		card.appendChild(buildCardTags(p, parsed.terms));
+		card.appendChild(buildCardCollection(p, collections));
+		if (p.snippetName || hasIncludes(p.content)) card.appendChild(buildCardIncludes(p, includes));
+		const findings = isTrashed(p) ? [] : lintStoredPrompt(p, listView.snippets);
+		if (findings.length) card.appendChild(buildCardLint(p, findings));
+
+		// Metadata Section
+		if (p.metadata) {
+			const metadataSection = document.createElement('div');
+			metadataSection.className = 'metadata-section';
+
+			// Model row
+			const modelRow = document.createElement('div');
+			modelRow.className = 'metadata-row';
+			const modelLabel = document.createElement('span');
+			modelLabel.className = 'metadata-label';
+			modelLabel.textContent = 'Model:';
+			const modelValue = document.createElement('span');
+			modelValue.className = 'metadata-value metadata-model';
+			modelValue.textContent = p.metadata.model;
+			const modelInfo = resolveModel(p.metadata.model);
+			if (modelInfo) modelValue.title = modelInfo.name + (modelInfo.provider ? ' · ' + modelInfo.provider : '');
+			modelRow.appendChild(modelLabel);
+			modelRow.appendChild(modelValue);
+			metadataSection.appendChild(modelRow);
+
+			// Created/Updated row
+			const dateRow = document.createElement('div');
+			dateRow.className = 'metadata-row';
+			const dateLabel = document.createElement('span');
+			dateLabel.className = 'metadata-label';
+			dateLabel.textContent = 'Created:';
+			const dateValue = document.createElement('span');
+			dateValue.className = 'metadata-value metadata-date';
+			dateValue.textContent = formatDate(p.metadata.createdAt);
+			dateValue.title = new Date(p.metadata.createdAt).toLocaleString();
+			dateRow.appendChild(dateLabel);
+			dateRow.appendChild(dateValue);
+			
+			// Show updated if different from created
+			if (p.metadata.updatedAt && p.metadata.updatedAt !== p.metadata.createdAt) {
+				const updatedSpan = document.createElement('span');
+				updatedSpan.className = 'metadata-value metadata-date';
+				updatedSpan.textContent = ' (updated ' + formatDate(p.metadata.updatedAt) + ')';
+				updatedSpan.title = new Date(p.metadata.updatedAt).toLocaleString();
+				dateRow.appendChild(updatedSpan);
+			}
+			metadataSection.appendChild(dateRow);
+
+			// Token estimate row
+			if (p.metadata.tokenEstimate) {
+				const tokenRow = document.createElement('div');
+				tokenRow.className = 'metadata-row';
+				const tokenLabel = document.createElement('span');
+				tokenLabel.className = 'metadata-label';
+				tokenLabel.textContent = 'Tokens:';
+				const tokenEstimate = document.createElement('div');
+				tokenEstimate.className = 'token-estimate';
+				const tokenRange = document.createElement('span');
+				tokenRange.className = 'token-range';
+				const est = p.metadata.tokenEstimate;
+				tokenRange.textContent = formatTokenEstimate(est);
+				const confidenceBadge = document.createElement('span');
+				confidenceBadge.className = `confidence-badge confidence-${est.confidence}`;
+				confidenceBadge.textContent = est.confidence;
+				const tokenizerName = document.createElement('span');
+				tokenizerName.className = 'tokenizer-name';
+				tokenizerName.textContent = est.tokenizer || HEURISTIC_TOKENIZER;
+				tokenizerName.title = Number.isInteger(est.count)
+					? (est.approximate ? 'Approximate count: this model\'s own tokenizer is not public' : 'Exact count')
+					: 'Estimated from word and character counts';
+				tokenEstimate.appendChild(tokenRange);
+				if (!Number.isInteger(est.count) || est.approximate) tokenEstimate.appendChild(confidenceBadge);
+				tokenEstimate.appendChild(tokenizerName);
+				tokenRow.appendChild(tokenLabel);
+				tokenRow.appendChild(tokenEstimate);
+				metadataSection.appendChild(tokenRow);
+			}
+
+			// Cost and context share, for registered models
+			if (modelInfo && p.metadata.tokenEstimate) metadataSection.appendChild(buildCardCost(p, modelInfo));
+
+			card.appendChild(metadataSection);
+		}
+
+		card.appendChild(ratingWrap);
+
+		// Notes Section
+		const notesSection = document.createElement('div');
+		notesSection.className = 'notes-section';
+		const notesTitle = document.createElement('h4');
+		notesTitle.className = 'notes-title';
+		notesTitle.textContent = 'Notes';
+		notesSection.appendChild(notesTitle);
+		const notesList = document.createElement('ul');
+		notesList.className = 'notes-list';
+		notesList.dataset.id = String(p.id);
+		if (!p.notes.length){
+			const emptyLi = document.createElement('li');
+			emptyLi.className = 'note-empty';
+			emptyLi.textContent = 'No notes yet.';
+			notesList.appendChild(emptyLi);
+		} else {
+			p.notes.forEach(n => {
+				const li = document.createElement('li');
+				li.className = 'note-item';
+				li.dataset.noteId = String(n.id);
+				const textSpan = document.createElement('span');
+				textSpan.className = 'note-text';
+				appendHighlighted(textSpan, n.text, parsed.terms);
+				li.appendChild(textSpan);
+				const actionsWrap = document.createElement('div');
+				actionsWrap.className = 'note-actions';
+				const editBtn = document.createElement('button');
+				editBtn.type = 'button';
+				editBtn.className = 'note-btn edit-note-btn';
+				editBtn.dataset.action = 'edit-note';
+				editBtn.dataset.id = String(p.id);
+				editBtn.dataset.noteId = String(n.id);
+				editBtn.textContent = 'Edit';
+				const deleteBtn = document.createElement('button');
+				deleteBtn.type = 'button';
+				deleteBtn.className = 'note-btn delete-note-btn';
+				deleteBtn.dataset.action = 'delete-note';
+				deleteBtn.dataset.id = String(p.id);
+				deleteBtn.dataset.noteId = String(n.id);
+				deleteBtn.textContent = 'Delete';
+				actionsWrap.appendChild(editBtn);
+				actionsWrap.appendChild(deleteBtn);
+				li.appendChild(actionsWrap);
+				notesList.appendChild(li);
+			});
+		}
+		notesSection.appendChild(notesList);
+		const addForm = document.createElement('form');
+		addForm.className = 'add-note-form';
+		addForm.dataset.id = String(p.id);
+		const noteLabel = document.createElement('label');
+		noteLabel.className = 'visually-hidden';
+		noteLabel.htmlFor = 'note-input-' + p.id;
+		noteLabel.textContent = 'Add note';
+		const noteInput = document.createElement('input');
+		noteInput.id = noteLabel.htmlFor;
+		noteInput.name = 'note';
+		noteInput.type = 'text';
+		noteInput.maxLength = 300;
+		noteInput.placeholder = 'Add a note...';
+		noteInput.required = true;
+		const noteAddBtn = document.createElement('button');
+		noteAddBtn.type = 'submit';
+		noteAddBtn.className = 'note-add-btn';
+		noteAddBtn.textContent = 'Add';
+		addForm.appendChild(noteLabel);
+		addForm.appendChild(noteInput);
+		addForm.appendChild(noteAddBtn);
+		notesSection.appendChild(addForm);
+		card.appendChild(notesSection);
+
+		if (useOpen) card.appendChild(buildUsePanel(p));
+		if (historyOpen) card.appendChild(buildHistoryPanel(p));
+		if (variantsOpen && !isTrashed(p)) card.appendChild(buildVariantPanel(p));
+		if (runsOpen && !isTrashed(p)) card.appendChild(buildRunPanel(p));
+
+		card.appendChild(actions);
+		return card;
+	};
+
+	// Saving lints the prompt and opens its findings when something needs attention
+	const lintOnSave = (id) => {
+		const saved = promptCache.find(p => String(p.id) === String(id));
+		if (saved && lintStoredPrompt(saved, currentSnippets()).some(f => f.severity !== 'info')) openLint.add(String(id));
+	};
+
+	const addPrompt = (title, content, modelName, options = {}) => {
+		const prompts = getPrompts();
+		let prompt = null;
+		try {
+			prompt = createPrompt({ title, content, model: modelName }, options);
+		} catch (error) {
+			console.error('Failed to create metadata:', error);
+			alert('Error: ' + error.message);
+			return;
+		}
+		prompts.unshift(prompt);
+		savePrompts(prompts, "added '" + prompt.title + "'");
+		lintOnSave(prompt.id);
+		renderPrompts();
+	};
+
+	const updatePrompt = (id, fields, extra) => {
+		const prompts = getPrompts();
+		const prompt = prompts.find(p => String(p.id) === String(id));
+		if (!prompt) return;
+		// Restoring a revision leaves the snippet name alone
+		const snippet = fields.snippetName === undefined ? { name: prompt.snippetName } : checkSnippetName(fields.snippetName, prompts, prompt);
+		if (snippet.error) {
+			alert('Error: ' + snippet.error);
+			return;
+		}
+		if (snippet.name !== prompt.snippetName && prompt.snippetName) {
+			const users = snippetUsage(prompts).get(prompt.snippetName) || [];
+			if (users.length && !window.confirm(users.length + (users.length === 1 ? ' prompt includes' : ' prompts include') + ' {{> ' + prompt.snippetName + '}}. Rename the snippet anyway? Those includes will show as missing.')) return;
+		}
+		let revised = false;
+		try {
+			revised = revisePrompt(prompt, fields, extra);
+		} catch (error) {
+			console.error('Failed to update metadata:', error);
+			alert('Error: ' + error.message);
+			return;
+		}
+		if (!revised) {
+			// Only the snippet name changed, which is not part of revisions
+			if (snippet.name !== prompt.snippetName) {
+				prompt.snippetName = snippet.name;
+				savePrompts(prompts, (snippet.name ? "named '" + prompt.title + "' snippet " + snippet.name : "removed the snippet name of '" + prompt.title + "'"));
+				renderPrompts();
+			} else {
+				renderPrompts({ rebuild: id });
+			}
+			return;
+		}
+		prompt.snippetName = snippet.name;
+		savePrompts(prompts, extra?.restoredFrom
+			? "restored r" + extra.restoredFrom + " of '" + prompt.title + "'"
+			: "edited '" + prompt.title + "'");
+		lintOnSave(id);
+		renderPrompts();
+	};
+
+	const restoreRevision = (id, rev) => {
+		const prompt = getPrompts().find(p => String(p.id) === String(id));
+		if (!prompt) return;
+		const revision = ensureRevisions(prompt).find(r => String(r.rev) === String(rev));
+		if (!revision) return;
+		updatePrompt(id, revision, { restoredFrom: revision.rev });
+	};
+
+	// Deleting moves a prompt to the trash; purgePrompt removes it for good
+	const deletePrompt = (id) => {
+		const prompts = getPrompts();
+		const prompt = prompts.find(p => String(p.id) === String(id));
+		if (!prompt || isTrashed(prompt)) return;
+		prompt.trashedAt = new Date().toISOString();
+		savePrompts(prompts, "moved '" + prompt.title + "' to the trash");
+		renderPrompts();
+		offerUndo("Moved '" + prompt.title + "' to the trash");
+	};
+
+	const restoreFromTrash = (id) => {
+		const prompts = getPrompts();
+		const prompt = prompts.find(p => String(p.id) === String(id));
+		if (!prompt || !isTrashed(prompt)) return;
+		prompt.trashedAt = null;
+		savePrompts(prompts, "restored '" + prompt.title + "' from the trash");
+		renderPrompts();
+	};
+
+	const purgePrompt = (id) => {
+		const prompts = getPrompts();
+		const prompt = prompts.find(p => String(p.id) === String(id));
+		if (!prompt) return;
+		savePrompts(prompts.filter(p => p !== prompt), "permanently deleted '" + prompt.title + "'");
+		renderPrompts();
+		offerUndo("Permanently deleted '" + prompt.title + "'");
+	};
+
+	const emptyTrash = () => {
+		const prompts = getPrompts();
+		const kept = prompts.filter(p => !isTrashed(p));
+		const count = prompts.length - kept.length;
+		if (!count) return;
+		savePrompts(kept, 'emptied the trash (' + count + (count === 1 ? ' prompt)' : ' prompts)'));
+		renderPrompts();
+		offerUndo('Emptied the trash');
+	};
+
+	/**
+	 * Purge trashed prompts past the retention period. Not recorded for undo:
+	 * it runs on its own, and the prompts had been in the trash for days.
+	 * @returns {number} Number of prompts purged
+	 */
+	const purgeExpiredTrash = () => {
+		const prompts = getPrompts();
+		const expired = new Set(selectExpiredTrash(prompts, getTrashSettings().retentionDays));
+		if (!expired.size) return 0;
+		savePrompts(prompts.filter(p => !expired.has(p)));
+		return expired.size;
+	};
+
+	const setArchived = (id, archived) => {
+		const prompts = getPrompts();
+		const prompt = prompts.find(p => String(p.id) === String(id));
+		if (!prompt || isArchived(prompt) === archived) return;
+		prompt.archivedAt = archived ? new Date().toISOString() : null;
+		savePrompts(prompts, (archived ? 'archived' : 'unarchived') + " '" + prompt.title + "'");
+		renderPrompts();
+		if (archived) offerUndo("Archived '" + prompt.title + "'. It still shows up in searches.");
+	};
+
+	// Form submit handler
+	form.addEventListener('submit', (e) => {
+		e.preventDefault();
+		const title = titleInput.value;
+		const model = modelInput.value;
+		const content = contentInput.value;
+		if (!title.trim() || !model.trim() || !content.trim()) {
+			// Basic validation, rely on required attributes but ensure early exit.
+			return;
+		}
+		commitFormTag();
+		const snippet = checkSnippetName(snippetInput.value, promptCache, null);
+		if (snippet.error) {
+			alert('Error: ' + snippet.error);
+			snippetInput.focus();
+			return;
+		}
+		addPrompt(title, content, model, { tags: formTags, collectionId: collectionSelect.value || null, snippetName: snippet.name });
+		form.reset();
+		formLintEl.hidden = true;
+		formLintEl.innerHTML = '';
+		formTags = [];
+		renderFormTags();
+		renderCollectionOptions(collectionSelect, getCollections(), defaultCollectionId());
+		titleInput.focus();
+	});
+
+	// Lint the add form on demand, before anything is saved
+	lintPromptBtn.addEventListener('click', () => {
+		const draft = { content: contentInput.value.trim(), snippetName: normalizeSnippetName(snippetInput.value) || null };
+		const text = expandPrompt(draft, currentSnippets()).text;
+		const estimate = countTokens(text, modelInput.value);
+		const tokens = Number.isInteger(estimate.count) ? estimate.count : Math.round((estimate.min + estimate.max) / 2);
+		const findings = draft.content ? lintPrompt(text, lintContextFor(modelInput.value, tokens, !!draft.snippetName, getModelSettings()), getLintSettings()) : [];
+		formLintEl.innerHTML = '';
+		const heading = document.createElement('p');
+		heading.className = 'form-lint-summary';
+		heading.textContent = !draft.content ? 'Write some content to check.' : findings.length ? 'Lint: ' + formatLintSummary(findings) : 'No problems found.';
+		formLintEl.appendChild(heading);
+		if (findings.length) formLintEl.appendChild(buildLintList(findings));
+		formLintEl.hidden = false;
+	});
+
+	// Event delegation for delete buttons
+	// Event delegation for delete & rating
+	listEl.addEventListener('click', (e) => {
+		const target = e.target;
+		if (!(target instanceof HTMLElement)) return;
+		if (target.dataset.action === 'delete') {
+			const id = target.dataset.id;
+			deletePrompt(id);
+			return;
+		}
+		if (target.dataset.action === 'toggle-archive') {
+			const prompt = getPrompts().find(p => String(p.id) === target.dataset.id);
+			if (prompt) setArchived(prompt.id, !isArchived(prompt));
+			return;
+		}
+		if (target.dataset.action === 'share') {
+			const prompt = getPrompts().find(p => String(p.id) === target.dataset.id);
+			if (prompt) openShareDialog(prompt);
+			return;
+		}
+		if (target.dataset.action === 'restore-trash') {
+			restoreFromTrash(target.dataset.id);
+			return;
+		}
+		if (target.dataset.action === 'purge') {
+			const prompt = getPrompts().find(p => String(p.id) === target.dataset.id);
+			if (prompt && window.confirm('Permanently delete "' + prompt.title + '"?')) purgePrompt(prompt.id);
+			return;
+		}
+		// Delete note
+		if (target.dataset.action === 'delete-note') {
+			deleteNote(target.dataset.id, target.dataset.noteId);
+			return;
+		}
+		// Edit note -> switch to inline edit state
+		if (target.dataset.action === 'edit-note') {
+			enterEditMode(target.dataset.id, target.dataset.noteId);
+			return;
+		}
+		// Save edited note
+		if (target.dataset.action === 'save-note') {
+			const id = target.dataset.id;
+			const noteId = target.dataset.noteId;
+			const wrapper = target.closest('.note-item');
+			const textarea = wrapper?.querySelector('textarea');
+			if (textarea && textarea.value.trim()) {
+				updateNote(id, noteId, textarea.value.trim());
+			}
+			return;
+		}
+		// Cancel edit -> rebuild the card
+		if (target.dataset.action === 'cancel-edit-note') {
+			renderPrompts({ rebuild: target.dataset.id });
+			return;
+		}
+		// Edit prompt -> switch card to inline edit state
+		if (target.dataset.action === 'edit-prompt') {
+			enterPromptEditMode(target.dataset.id);
+			return;
+		}
+		// Save edited prompt as a new revision
+		if (target.dataset.action === 'save-prompt') {
+			const editor = target.closest('.prompt-editor');
+			const fields = {
+				title: editor?.querySelector('[name="title"]')?.value || '',
+				model: editor?.querySelector('[name="model"]')?.value || '',
+				content: editor?.querySelector('[name="content"]')?.value || '',
+				snippetName: editor?.querySelector('[name="snippetName"]')?.value || ''
+			};
+			if (fields.title.trim() && fields.model.trim() && fields.content.trim()) {
+				updatePrompt(target.dataset.id, fields);
+			}
+			return;
+		}
+		if (target.dataset.action === 'cancel-edit-prompt') {
+			renderPrompts({ rebuild: target.dataset.id });
+			return;
+		}
+		// Toggle revision history panel
+		if (target.dataset.action === 'toggle-history') {
+			const id = target.dataset.id;
+			if (openHistory.has(id)) openHistory.delete(id);
+			else openHistory.add(id);
+			renderPrompts();
+			return;
+		}
+		// Tag chips: filter by tag / remove tag
+		if (target.dataset.action === 'filter-tag') {
+			applyTagFilter(target.dataset.tag);
+			return;
+		}
+		if (target.dataset.action === 'remove-tag') {
+			removeTag(target.dataset.id, target.dataset.tag);
+			return;
+		}
+		// Toggle template fill-in panel
+		if (target.dataset.action === 'toggle-use') {
+			const id = target.dataset.id;
+			if (openUse.has(id)) openUse.delete(id);
+			else openUse.add(id);
+			if (!liveRuns.get(id)?.controller) liveRuns.delete(id);
+			renderPrompts();
+			return;
+		}
+		if (target.dataset.action === 'copy-rendered') {
+			const panel = target.closest('.use-panel');
+			if (panel) copyRenderedPrompt(panel);
+			return;
+		}
+		if (target.dataset.action === 'run-prompt') {
+			const panel = target.closest('.use-panel');
+			if (panel) runPrompt(panel);
+			return;
+		}
+		if (target.dataset.action === 'stop-run') {
+			liveRuns.get(target.closest('.use-panel')?.dataset.id)?.controller?.abort();
+			return;
+		}
+		if (target.dataset.action === 'restore-revision') {
+			restoreRevision(target.dataset.id, target.dataset.rev);
+			return;
+		}
+		if (target.dataset.action === 'toggle-variants') {
+			const id = target.dataset.id;
+			if (openVariants.has(id)) openVariants.delete(id);
+			else openVariants.add(id);
+			variantEditing.delete(id);
+			renderPrompts();
+			return;
+		}
+		if (target.dataset.action === 'edit-variant') {
+			variantEditing.set(target.dataset.id, target.dataset.variant);
+			renderPrompts();
+			listEl.querySelector('.variant-form[data-id="' + CSS.escape(target.dataset.id) + '"] [name="name"]')?.focus();
+			return;
+		}
+		if (target.dataset.action === 'cancel-variant') {
+			variantEditing.delete(target.dataset.id);
+			renderPrompts({ rebuild: target.dataset.id });
+			return;
+		}
+		if (target.dataset.action === 'delete-variant') {
+			deleteVariant(target.dataset.id, target.dataset.variant);
+			return;
+		}
+		if (target.dataset.action === 'promote-variant') {
+			promoteVariant(target.dataset.id, target.dataset.variant);
+			return;
+		}
+		if (target.dataset.action === 'toggle-lint') {
+			const id = target.dataset.id;
+			if (openLint.has(id)) openLint.delete(id);
+			else openLint.add(id);
+			renderPrompts();
+			return;
+		}
+		if (target.dataset.action === 'toggle-runs') {
+			const id = target.dataset.id;
+			if (openRuns.has(id)) openRuns.delete(id);
+			else openRuns.add(id);
+			renderPrompts();
+			return;
+		}
+		if (target.dataset.action === 'rate-run') {
+			rateRun(target.dataset.id, target.dataset.runId, Number(target.dataset.star));
+			return;
+		}
+		if (target.dataset.action === 'delete-run') {
+			deleteRun(target.dataset.id, target.dataset.runId);
+			return;
+		}
+		if (target.classList.contains('star-btn')) {
+			const id = target.dataset.id;
+			const star = Number(target.dataset.star);
+			if (!id || !star) return;
+			startRatedRun(id, star);
+		}
+	});
+
+	// Revision compare selectors (delegated)
+	listEl.addEventListener('change', (e) => {
+		const target = e.target;
+		if (!(target instanceof HTMLSelectElement)) return;
+		if (target.dataset.action === 'move-collection') {
+			movePrompt(target.dataset.id, target.value || null);
+			return;
+		}
+		if (target.dataset.action === 'compare-a' || target.dataset.action === 'compare-b') {
+			const current = variantCompare.get(target.dataset.id) || { a: '', b: '' };
+			variantCompare.set(target.dataset.id, { ...current, [target.dataset.action.slice(-1)]: target.value });
+			renderPrompts();
+			return;
+		}
+		if (target.dataset.action === 'use-variant') {
+			if (target.value) useVariant.set(target.dataset.id, target.value);
+			else useVariant.delete(target.dataset.id);
+			renderPrompts();
+			return;
+		}
+		if (target.dataset.action === 'run-variant') {
+			// Re-render the input for the chosen variant, keeping the form's other fields
+			const formEl = target.closest('.run-form');
+			const prompt = getPrompts().find(p => String(p.id) === target.dataset.id);
+			const variant = prompt && findVariant(prompt, target.value);
+			if (!formEl || !variant) return;
+			formEl.querySelector('[name="input"]').value = renderTemplate(expandPrompt(prompt, currentSnippets(), variant.content).text, getTemplateValues(prompt.id));
+			formEl.querySelector('[name="model"]').value = variant.model;
+			return;
+		}
+		if (target.dataset.action !== 'diff-from' && target.dataset.action !== 'diff-to') return;
+		const id = target.dataset.id;
+		const panel = target.closest('.history-panel');
+		const from = panel?.querySelector('select[data-action="diff-from"]')?.value;
+		const to = panel?.querySelector('select[data-action="diff-to"]')?.value;
+		if (!id || !from || !to) return;
+		historyCompare.set(id, { from: Number(from), to: Number(to) });
+		renderPrompts();
+	});
+
+	// Live preview while filling in template variables (delegated)
+	listEl.addEventListener('input', (e) => {
+		const target = e.target;
+		if (!(target instanceof HTMLElement)) return;
+		const panel = target.closest('.use-panel');
+		if (!panel) return;
+		updateUsePreview(panel);
+		saveTemplateValues(panel.dataset.id, readTemplateValues(panel));
+	});
+
+	// Add note form submission (delegated)
+	listEl.addEventListener('submit', (e) => {
+		const formEl = e.target;
+		if (!(formEl instanceof HTMLFormElement)) return;
+		if (formEl.classList.contains('add-tag-form')) {
+			e.preventDefault();
+			const input = formEl.querySelector('input[name="tag"]');
+			if (formEl.dataset.id && input instanceof HTMLInputElement) addTag(formEl.dataset.id, input.value);
+			return;
+		}
+		if (formEl.classList.contains('run-form')) {
+			e.preventDefault();
+			const read = (name) => formEl.querySelector('[name="' + name + '"]')?.value || '';
+			const rating = Number(formEl.querySelector('[name="rating"]:checked')?.value) || null;
+			if (!read('input').trim()) return;
+			logRun(formEl.dataset.id, { model: read('model'), input: read('input'), output: read('output'), verdict: read('verdict'), rating, variant: read('variant') });
+			return;
+		}
+		if (formEl.classList.contains('variant-form')) {
+			e.preventDefault();
+			const read = (name) => formEl.querySelector('[name="' + name + '"]')?.value || '';
+			const errors = saveVariant(formEl.dataset.id, formEl.dataset.variant || '', { name: read('name'), model: read('model'), content: read('content') });
+			const status = formEl.querySelector('.variant-status');
+			if (errors.length && status) status.textContent = errors.join('; ');
+			return;
+		}
+		if (!formEl.classList.contains('add-note-form')) return;
+		e.preventDefault();
+		const id = formEl.dataset.id;
 		const input = formEl.querySelector('input[name="note"]');
 		if (!id || !(input instanceof HTMLInputElement)) return;
 		const value = input.value.trim();
@@ -476,274 +2379,4529 @@
 		formEl.reset();
 	});
 
-	// Keyboard navigation for rating (left/right arrows)
-	listEl.addEventListener('keydown', (e) => {
-		const target = e.target;
-		if (!(target instanceof HTMLElement) || !target.classList.contains('star-btn')) return;
-		if (e.key !== 'ArrowRight' && e.key !== 'ArrowLeft') return;
-		const id = target.dataset.id;
-		const current = Number(target.dataset.star);
-		if (!id || !current) return;
-		let next = current;
-		if (e.key === 'ArrowRight') next = Math.min(5, current + 1);
-		else if (e.key === 'ArrowLeft') next = Math.max(1, current - 1);
-		if (next !== current) {
-			setRating(id, next);
-			// Move focus to new star after re-render
-			requestAnimationFrame(() => {
-				const card = listEl.querySelector('.prompt-card[data-id="' + id + '"]');
-				const newStar = card?.querySelector('.star-btn[data-star="' + next + '"]');
-				newStar?.focus();
-			});
+	// Drag a card (by its handle) onto a collection in the sidebar
+	listEl.addEventListener('dragstart', (e) => {
+		const target = e.target;
+		if (!(target instanceof HTMLElement) || !target.classList.contains('drag-handle')) return;
+		e.dataTransfer.setData(PROMPT_DRAG_TYPE, target.dataset.id);
+		e.dataTransfer.setData('text/plain', target.dataset.id);
+		e.dataTransfer.effectAllowed = 'move';
+		target.closest('.prompt-card')?.classList.add('dragging');
+	});
+
+	listEl.addEventListener('dragend', (e) => {
+		const target = e.target;
+		if (target instanceof HTMLElement) target.closest('.prompt-card')?.classList.remove('dragging');
+	});
+
+	// Keyboard navigation between stars (left/right arrows)
+	listEl.addEventListener('keydown', (e) => {
+		const target = e.target;
+		if (!(target instanceof HTMLElement) || !target.classList.contains('star-btn')) return;
+		if (e.key !== 'ArrowRight' && e.key !== 'ArrowLeft') return;
+		const current = Number(target.dataset.star);
+		if (!current) return;
+		const next = e.key === 'ArrowRight' ? Math.min(5, current + 1) : Math.max(1, current - 1);
+		const star = target.parentElement?.querySelector('.star-btn[data-star="' + next + '"]');
+		if (!(star instanceof HTMLElement) || star === target) return;
+		target.tabIndex = -1;
+		star.tabIndex = 0;
+		star.focus();
+	});
+
+	// Picking stars on a card opens its run log with that rating chosen
+	const startRatedRun = (id, rating) => {
+		openRuns.add(String(id));
+		runRatingDraft.set(String(id), rating);
+		renderPrompts();
+		listEl.querySelector('.run-form[data-id="' + CSS.escape(id) + '"] [name="output"]')?.focus();
+	};
+
+	const logRun = (id, fields) => {
+		const prompts = getPrompts();
+		const prompt = prompts.find(p => String(p.id) === String(id));
+		if (!prompt) return;
+		const run = appendRun(prompt, fields);
+		runRatingDraft.delete(String(id));
+		savePrompts(prompts, "logged a run of '" + prompt.title + "'" + (run.rating ? ' (' + run.rating + (run.rating === 1 ? ' star)' : ' stars)') : ''));
+		renderPrompts({ rebuild: id });
+	};
+
+	const rateRun = (id, runId, rating) => {
+		if (!isRunRating(rating)) return;
+		const prompts = getPrompts();
+		const prompt = prompts.find(p => String(p.id) === String(id));
+		const run = prompt?.runs?.find(r => String(r.id) === String(runId));
+		if (!run || run.rating === rating) return;
+		run.rating = rating;
+		syncUserRating(prompt);
+		savePrompts(prompts, "rated a run of '" + prompt.title + "' " + rating + (rating === 1 ? ' star' : ' stars'));
+		renderPrompts();
+	};
+
+	const deleteRun = (id, runId) => {
+		const prompts = getPrompts();
+		const prompt = prompts.find(p => String(p.id) === String(id));
+		if (!prompt || !Array.isArray(prompt.runs)) return;
+		const next = prompt.runs.filter(r => String(r.id) !== String(runId));
+		if (next.length === prompt.runs.length) return;
+		prompt.runs = next;
+		syncUserRating(prompt);
+		savePrompts(prompts, "deleted a run from '" + prompt.title + "'");
+		renderPrompts();
+		offerUndo("Deleted a run from '" + prompt.title + "'");
+	};
+
+	/**
+	 * Add a variant, or save the one being edited
+	 * @param {string} id - Prompt id
+	 * @param {string} variantId - Variant to replace, '' to add
+	 * @param {Object} fields - { name, model, content }
+	 * @returns {string[]} Validation errors, empty when saved
+	 */
+	const saveVariant = (id, variantId, fields) => {
+		const prompts = getPrompts();
+		const prompt = prompts.find(p => String(p.id) === String(id));
+		if (!prompt) return [];
+		const previous = variantId ? prompt.variants.find(v => v.id === variantId) : null;
+		if (variantId && !previous) return ['This variant was deleted in the meantime'];
+		const { variant, errors } = normalizeVariant(fields, prompt, previous);
+		if (!variant) return errors;
+		prompt.variants = previous ? prompt.variants.map(v => (v === previous ? variant : v)) : [...prompt.variants, variant];
+		variantEditing.delete(String(id));
+		if (!previous && !variantCompare.has(String(id))) variantCompare.set(String(id), { a: '', b: variant.id });
+		savePrompts(prompts, (previous ? "edited variant '" : "added variant '") + variant.name + "' of '" + prompt.title + "'");
+		renderPrompts({ rebuild: id });
+		return [];
+	};
+
+	// Deleting a variant drops its runs with it
+	const deleteVariant = (id, variantId) => {
+		const prompts = getPrompts();
+		const prompt = prompts.find(p => String(p.id) === String(id));
+		const variant = prompt?.variants.find(v => v.id === variantId);
+		if (!variant) return;
+		const runs = prompt.runs.filter(r => r.variant === variantId).length;
+		if (runs && !window.confirm("Delete variant '" + variant.name + "' and its " + runs + (runs === 1 ? ' run?' : ' runs?'))) return;
+		prompt.variants = prompt.variants.filter(v => v !== variant);
+		prompt.runs = prompt.runs.filter(r => r.variant !== variantId);
+		[variantEditing, useVariant].forEach(map => { if (map.get(String(id)) === variantId) map.delete(String(id)); });
+		variantCompare.delete(String(id));
+		savePrompts(prompts, "deleted variant '" + variant.name + "' of '" + prompt.title + "'");
+		renderPrompts();
+		offerUndo("Deleted variant '" + variant.name + "'");
+	};
+
+	// The promoted variant becomes the prompt's content (a new revision); the old default takes its place
+	const promoteVariant = (id, variantId) => {
+		const prompts = getPrompts();
+		const prompt = prompts.find(p => String(p.id) === String(id));
+		const promoted = prompt?.variants.find(v => v.id === variantId);
+		if (!promoted) return;
+		ensureRevisions(prompt);
+		swapDefaultVariant(prompt, variantId);
+		prompt.metadata = updateTimestamps(prompt.metadata);
+		prompt.revisions.push(createRevision(prompt, { title: prompt.title, model: prompt.metadata.model, content: prompt.content }, { promotedVariant: promoted.name }));
+		syncUserRating(prompt);
+		savePrompts(prompts, "promoted variant '" + promoted.name + "' of '" + prompt.title + "'");
+		renderPrompts();
+		offerUndo("Promoted '" + promoted.name + "' to the default of '" + prompt.title + "'");
+	};
+
+	// Tag & collection helpers
+	const addTag = (promptId, rawTag) => {
+		const tags = parseTags(rawTag);
+		if (!tags.length) return;
+		const prompts = getPrompts();
+		const prompt = prompts.find(p => String(p.id) === String(promptId));
+		if (!prompt) return;
+		prompt.tags = parseTags([...(Array.isArray(prompt.tags) ? prompt.tags : []), ...tags]);
+		savePrompts(prompts, "tagged '" + prompt.title + "' " + tags.join(', '));
+		renderPrompts();
+		// Keep typing tags without re-focusing by hand
+		listEl.querySelector('.add-tag-form[data-id="' + CSS.escape(promptId) + '"] input')?.focus();
+	};
+
+	const removeTag = (promptId, tag) => {
+		const prompts = getPrompts();
+		const prompt = prompts.find(p => String(p.id) === String(promptId));
+		if (!prompt || !Array.isArray(prompt.tags)) return;
+		prompt.tags = prompt.tags.filter(t => t !== tag);
+		savePrompts(prompts, "removed tag " + tag + " from '" + prompt.title + "'");
+		renderPrompts();
+	};
+
+	const movePrompt = (promptId, collectionId) => {
+		const prompts = getPrompts();
+		const prompt = prompts.find(p => String(p.id) === String(promptId));
+		if (!prompt) return;
+		const target = collectionId && collectionId !== UNFILED ? String(collectionId) : null;
+		if ((prompt.collectionId || null) === target) return;
+		prompt.collectionId = target;
+		savePrompts(prompts, "moved '" + prompt.title + "'");
+		renderPrompts();
+	};
+
+	const createCollection = (name, parentId) => {
+		const trimmed = String(name || '').trim().slice(0, 60);
+		if (!trimmed) return;
+		const collections = getCollections();
+		const collection = { id: String(Date.now()), name: trimmed, parentId: parentId || null };
+		collections.push(collection);
+		saveCollections(collections);
+		viewState.collection = collection.id;
+		writeViewStateToURL();
+		// Let the add-prompt form follow the new collection
+		collectionSelect.value = '';
+		renderPrompts();
+	};
+
+	const renameCollection = (id, name) => {
+		const trimmed = String(name || '').trim().slice(0, 60);
+		if (!trimmed) return;
+		const collections = getCollections();
+		const collection = collections.find(c => String(c.id) === String(id));
+		if (!collection) return;
+		collection.name = trimmed;
+		saveCollections(collections);
+		renderPrompts();
+	};
+
+	// Deleting a collection moves its prompts and sub-collections up to its parent
+	const deleteCollection = (id) => {
+		const collections = getCollections();
+		const collection = collections.find(c => String(c.id) === String(id));
+		if (!collection) return;
+		const parentId = collection.parentId || null;
+		const next = collections.filter(c => c !== collection);
+		next.forEach(c => { if (String(c.parentId) === String(id)) c.parentId = parentId; });
+		const prompts = getPrompts();
+		prompts.forEach(p => { if (String(p.collectionId) === String(id)) p.collectionId = parentId; });
+		saveCollections(next);
+		savePrompts(prompts);
+		if (viewState.collection === String(id)) {
+			viewState.collection = parentId ? String(parentId) : '';
+			writeViewStateToURL();
+		}
+		renderPrompts();
+	};
+
+	// Notes CRUD helpers
+	const addNote = (promptId, text) => {
+		const prompts = getPrompts();
+		const prompt = prompts.find(p => String(p.id) === String(promptId));
+		if (!prompt) return;
+		if (!Array.isArray(prompt.notes)) prompt.notes = [];
+		prompt.notes.unshift({ id: Date.now(), text, updatedAt: Date.now() });
+		savePrompts(prompts, "added a note to '" + prompt.title + "'");
+		renderPrompts();
+	};
+
+	const deleteNote = (promptId, noteId) => {
+		if (!promptId || !noteId) return;
+		const prompts = getPrompts();
+		const prompt = prompts.find(p => String(p.id) === String(promptId));
+		if (!prompt || !Array.isArray(prompt.notes)) return;
+		const count = prompt.notes.length;
+		prompt.notes = prompt.notes.filter(n => String(n.id) !== String(noteId));
+		if (prompt.notes.length === count) return;
+		savePrompts(prompts, "deleted a note from '" + prompt.title + "'");
+		renderPrompts();
+		offerUndo("Deleted a note from '" + prompt.title + "'");
+	};
+
+	const updateNote = (promptId, noteId, text) => {
+		const prompts = getPrompts();
+		const prompt = prompts.find(p => String(p.id) === String(promptId));
+		if (!prompt || !Array.isArray(prompt.notes)) return;
+		const note = prompt.notes.find(n => String(n.id) === String(noteId));
+		if (!note) return;
+		note.text = text;
+		note.updatedAt = Date.now();
+		savePrompts(prompts, "edited a note on '" + prompt.title + "'");
+		renderPrompts({ rebuild: promptId });
+	};
+
+	const enterEditMode = (promptId, noteId) => {
+		const card = listEl.querySelector('.prompt-card[data-id="' + CSS.escape(promptId) + '"]');
+		const li = card?.querySelector('.note-item[data-note-id="' + CSS.escape(noteId) + '"]');
+		if (!li) return;
+		const textEl = li.querySelector('.note-text');
+		if (!textEl) return;
+		const original = textEl.textContent || '';
+		li.innerHTML = '';
+		const textarea = document.createElement('textarea');
+		textarea.className = 'note-edit';
+		textarea.value = original;
+		textarea.rows = 3;
+		li.appendChild(textarea);
+		const actions = document.createElement('div');
+		actions.className = 'note-actions';
+		const saveBtn = document.createElement('button');
+		saveBtn.type = 'button';
+		saveBtn.className = 'note-btn save-note-btn';
+		saveBtn.dataset.action = 'save-note';
+		saveBtn.dataset.id = String(promptId);
+		saveBtn.dataset.noteId = String(noteId);
+		saveBtn.textContent = 'Save';
+		const cancelBtn = document.createElement('button');
+		cancelBtn.type = 'button';
+		cancelBtn.className = 'note-btn cancel-note-btn';
+		cancelBtn.dataset.action = 'cancel-edit-note';
+		cancelBtn.dataset.id = String(promptId);
+		cancelBtn.textContent = 'Cancel';
+		actions.appendChild(saveBtn);
+		actions.appendChild(cancelBtn);
+		li.appendChild(actions);
+		textarea.focus();
+	};
+
+	const enterPromptEditMode = (id) => {
+		const card = listEl.querySelector('.prompt-card[data-id="' + CSS.escape(id) + '"]');
+		const prompt = getPrompts().find(p => String(p.id) === String(id));
+		if (!card || !prompt) return;
+		card.innerHTML = '';
+		const editor = document.createElement('div');
+		editor.className = 'prompt-editor';
+		const fields = [
+			{ name: 'title', label: 'Title', value: prompt.title || '', maxLength: 120 },
+			{ name: 'model', label: 'AI Model', value: prompt.metadata?.model || '', maxLength: 100 },
+			{ name: 'content', label: 'Content', value: prompt.content || '' },
+			{ name: 'snippetName', label: 'Snippet name', value: prompt.snippetName || '', maxLength: SNIPPET_NAME_LIMIT, optional: true }
+		];
+		fields.forEach(f => {
+			const group = document.createElement('div');
+			group.className = 'field-group';
+			const label = document.createElement('label');
+			label.htmlFor = 'edit-' + f.name + '-' + id;
+			label.textContent = f.label;
+			const input = document.createElement(f.name === 'content' ? 'textarea' : 'input');
+			input.id = label.htmlFor;
+			input.name = f.name;
+			input.value = f.value;
+			input.required = !f.optional;
+			if (f.name === 'content') input.rows = 6;
+			else { input.type = 'text'; input.maxLength = f.maxLength; }
+			if (f.name === 'model') input.setAttribute('list', 'model-suggestions');
+			if (f.name === 'snippetName') input.placeholder = 'Optional, lets other prompts use {{> name}}';
+			group.appendChild(label);
+			group.appendChild(input);
+			editor.appendChild(group);
+		});
+		const actions = document.createElement('div');
+		actions.className = 'note-actions';
+		const saveBtn = document.createElement('button');
+		saveBtn.type = 'button';
+		saveBtn.className = 'note-btn save-note-btn';
+		saveBtn.dataset.action = 'save-prompt';
+		saveBtn.dataset.id = String(id);
+		saveBtn.textContent = 'Save';
+		const cancelBtn = document.createElement('button');
+		cancelBtn.type = 'button';
+		cancelBtn.className = 'note-btn cancel-note-btn';
+		cancelBtn.dataset.action = 'cancel-edit-prompt';
+		cancelBtn.dataset.id = String(id);
+		cancelBtn.textContent = 'Cancel';
+		actions.appendChild(saveBtn);
+		actions.appendChild(cancelBtn);
+		editor.appendChild(actions);
+		card.appendChild(editor);
+		editor.querySelector('input')?.focus();
+	};
+
+	const buildHistoryPanel = (p) => {
+		const id = String(p.id);
+		const revisions = p.revisions;
+		const latest = revisions[revisions.length - 1];
+		const compare = historyCompare.get(id) || {
+			from: (revisions[revisions.length - 2] || latest).rev,
+			to: latest.rev
+		};
+		const fromRev = revisions.find(r => r.rev === compare.from) || revisions[0];
+		const toRev = revisions.find(r => r.rev === compare.to) || latest;
+
+		const panel = document.createElement('div');
+		panel.className = 'history-panel';
+		const heading = document.createElement('h4');
+		heading.className = 'notes-title';
+		heading.textContent = 'Revision History';
+		panel.appendChild(heading);
+
+		// Revision list, newest first
+		const list = document.createElement('ol');
+		list.className = 'revision-list';
+		[...revisions].reverse().forEach(r => {
+			const li = document.createElement('li');
+			li.className = 'revision-item' + (r === latest ? ' current' : '');
+			const info = document.createElement('span');
+			info.className = 'revision-info';
+			info.textContent = 'r' + r.rev + ' · ' + formatDate(r.createdAt) +
+				' · ' + formatTokenEstimate(r.tokenEstimate) + ' tokens' +
+				(r.restoredFrom ? ' · restored from r' + r.restoredFrom : '') +
+				(r.promotedVariant ? " · promoted variant '" + r.promotedVariant + "'" : '') +
+				(r === latest ? ' · current' : '');
+			info.title = new Date(r.createdAt).toLocaleString();
+			li.appendChild(info);
+			if (r !== latest) {
+				const restoreBtn = document.createElement('button');
+				restoreBtn.type = 'button';
+				restoreBtn.className = 'note-btn restore-btn';
+				restoreBtn.dataset.action = 'restore-revision';
+				restoreBtn.dataset.id = id;
+				restoreBtn.dataset.rev = String(r.rev);
+				restoreBtn.textContent = 'Restore';
+				li.appendChild(restoreBtn);
+			}
+			list.appendChild(li);
+		});
+		panel.appendChild(list);
+
+		// Compare controls
+		const controls = document.createElement('div');
+		controls.className = 'diff-controls';
+		[['diff-from', 'Compare', fromRev], ['diff-to', 'with', toRev]].forEach(([action, text, selected]) => {
+			const label = document.createElement('label');
+			label.htmlFor = action + '-' + id;
+			label.textContent = text;
+			const select = document.createElement('select');
+			select.id = label.htmlFor;
+			select.dataset.action = action;
+			select.dataset.id = id;
+			revisions.forEach(r => {
+				const opt = document.createElement('option');
+				opt.value = String(r.rev);
+				opt.textContent = 'r' + r.rev;
+				opt.selected = r === selected;
+				select.appendChild(opt);
+			});
+			controls.appendChild(label);
+			controls.appendChild(select);
+		});
+		panel.appendChild(controls);
+
+		// Diff output
+		const diffView = document.createElement('pre');
+		diffView.className = 'diff-view';
+		const addLine = (type, text) => {
+			const line = document.createElement('span');
+			line.className = 'diff-line diff-' + type;
+			line.textContent = (type === 'add' ? '+ ' : type === 'del' ? '- ' : '  ') + text;
+			diffView.appendChild(line);
+		};
+		if (fromRev.title !== toRev.title) {
+			addLine('del', 'Title: ' + fromRev.title);
+			addLine('add', 'Title: ' + toRev.title);
+		}
+		if (fromRev.model !== toRev.model) {
+			addLine('del', 'Model: ' + fromRev.model);
+			addLine('add', 'Model: ' + toRev.model);
+		}
+		diffLines(fromRev.content, toRev.content).forEach(d => addLine(d.type, d.text));
+		panel.appendChild(diffView);
+		return panel;
+	};
+
+	/**
+	 * Labelled select listing a prompt's variants, the default as ''
+	 * @param {Object} p - Prompt
+	 * @param {string|null} selected - Selected variant id
+	 * @param {string} action - data-action of the select
+	 * @param {string} labelText - Visible label
+	 * @returns {HTMLElement} Field group
+	 */
+	const buildVariantSelect = (p, selected, action, labelText) => {
+		const group = document.createElement('div');
+		group.className = 'field-group variant-select';
+		const label = document.createElement('label');
+		label.htmlFor = action + '-' + p.id;
+		label.textContent = labelText;
+		const select = document.createElement('select');
+		select.id = label.htmlFor;
+		select.dataset.action = action;
+		select.dataset.id = String(p.id);
+		variantList(p).forEach(v => {
+			const opt = document.createElement('option');
+			opt.value = v.id || '';
+			opt.textContent = v.name + (v.id ? '' : ' (default)');
+			opt.selected = (v.id || null) === (selected || null);
+			select.appendChild(opt);
+		});
+		group.appendChild(label);
+		group.appendChild(select);
+		return group;
+	};
+
+	// One side of the variant comparison: header, stats and the word diff
+	const buildCompareColumn = (p, variant, parts, side) => {
+		const column = document.createElement('div');
+		column.className = 'variant-column';
+		const header = document.createElement('div');
+		header.className = 'variant-column-header';
+		const name = document.createElement('strong');
+		name.textContent = variant.name + (variant.id ? '' : ' (default)');
+		header.appendChild(name);
+		if (variant.id) {
+			const promote = document.createElement('button');
+			promote.type = 'button';
+			promote.className = 'note-btn';
+			promote.dataset.action = 'promote-variant';
+			promote.dataset.id = String(p.id);
+			promote.dataset.variant = variant.id;
+			promote.textContent = 'Promote';
+			header.appendChild(promote);
+		}
+		column.appendChild(header);
+		const stats = document.createElement('p');
+		stats.className = 'variant-stats';
+		stats.textContent = variant.model + ' · ' + (variant.tokenEstimate ? formatTokenEstimate(variant.tokenEstimate) : '?') + ' tokens · ' +
+			formatRatingSummary(ratingSummary(p, variant.id));
+		column.appendChild(stats);
+		const text = document.createElement('pre');
+		text.className = 'variant-diff';
+		parts.filter(part => part.type === 'same' || part.type === side).forEach(part => {
+			if (part.type === 'same') {
+				text.appendChild(document.createTextNode(part.text));
+				return;
+			}
+			const mark = document.createElement(side === 'add' ? 'ins' : 'del');
+			mark.className = 'diff-word-' + side;
+			mark.textContent = part.text;
+			text.appendChild(mark);
+		});
+		column.appendChild(text);
+		return column;
+	};
+
+	const buildVariantPanel = (p) => {
+		const id = String(p.id);
+		const variants = variantList(p);
+		const panel = document.createElement('div');
+		panel.className = 'variant-panel';
+		const heading = document.createElement('h4');
+		heading.className = 'notes-title';
+		heading.textContent = 'Variants';
+		panel.appendChild(heading);
+
+		const list = document.createElement('ul');
+		list.className = 'variant-list';
+		variants.forEach(v => {
+			const li = document.createElement('li');
+			li.className = 'variant-item' + (v.id ? '' : ' current');
+			const info = document.createElement('span');
+			info.className = 'variant-info';
+			info.textContent = v.name + (v.id ? '' : ' (default)') + ' · ' + v.model + ' · ' +
+				(v.tokenEstimate ? formatTokenEstimate(v.tokenEstimate) : '?') + ' tokens · ' + formatRatingSummary(ratingSummary(p, v.id));
+			li.appendChild(info);
+			if (v.id) {
+				[['edit-variant', 'Edit', 'note-btn'], ['promote-variant', 'Promote', 'note-btn'], ['delete-variant', 'Delete', 'note-btn delete-note-btn']].forEach(([action, text, className]) => {
+					const btn = document.createElement('button');
+					btn.type = 'button';
+					btn.className = className;
+					btn.dataset.action = action;
+					btn.dataset.id = id;
+					btn.dataset.variant = v.id;
+					btn.textContent = text;
+					li.appendChild(btn);
+				});
+			}
+			list.appendChild(li);
+		});
+		panel.appendChild(list);
+
+		// Add or edit form; a new variant starts as a copy of the default
+		const editing = p.variants.find(v => v.id === variantEditing.get(id)) || null;
+		const form = document.createElement('form');
+		form.className = 'variant-form';
+		form.dataset.id = id;
+		form.dataset.variant = editing ? editing.id : '';
+		[['name', 'Name', editing ? editing.name : ''], ['model', 'Model', editing ? editing.model : p.metadata.model], ['content', 'Content', editing ? editing.content : p.content]].forEach(([name, text, value]) => {
+			const group = document.createElement('div');
+			group.className = 'field-group';
+			const label = document.createElement('label');
+			label.htmlFor = 'variant-' + name + '-' + id;
+			label.textContent = text;
+			const input = document.createElement(name === 'content' ? 'textarea' : 'input');
+			input.id = label.htmlFor;
+			input.name = name;
+			input.value = value;
+			input.required = true;
+			if (name === 'content') input.rows = 5;
+			else input.type = 'text';
+			if (name === 'name') { input.maxLength = VARIANT_NAME_LIMIT; input.placeholder = 'e.g. shorter'; }
+			if (name === 'model') { input.maxLength = 100; input.setAttribute('list', 'model-suggestions'); }
+			group.appendChild(label);
+			group.appendChild(input);
+			form.appendChild(group);
+		});
+		const actions = document.createElement('div');
+		actions.className = 'note-actions';
+		const submit = document.createElement('button');
+		submit.type = 'submit';
+		submit.className = 'note-btn save-note-btn';
+		submit.textContent = editing ? 'Save variant' : 'Add variant';
+		actions.appendChild(submit);
+		if (editing) {
+			const cancel = document.createElement('button');
+			cancel.type = 'button';
+			cancel.className = 'note-btn cancel-note-btn';
+			cancel.dataset.action = 'cancel-variant';
+			cancel.dataset.id = id;
+			cancel.textContent = 'Cancel';
+			actions.appendChild(cancel);
+		}
+		const status = document.createElement('span');
+		status.className = 'variant-status';
+		status.setAttribute('aria-live', 'polite');
+		actions.appendChild(status);
+		form.appendChild(actions);
+		panel.appendChild(form);
+
+		if (!p.variants.length) return panel;
+
+		// Side-by-side comparison with a word diff from A to B
+		const chosen = variantCompare.get(id) || { a: '', b: p.variants[0].id };
+		const a = findVariant(p, chosen.a) || variants[0];
+		const b = findVariant(p, chosen.b) || variants[1];
+		const controls = document.createElement('div');
+		controls.className = 'diff-controls';
+		controls.appendChild(buildVariantSelect(p, a.id, 'compare-a', 'Compare'));
+		controls.appendChild(buildVariantSelect(p, b.id, 'compare-b', 'with'));
+		panel.appendChild(controls);
+		const parts = diffWords(a.content, b.content);
+		const compare = document.createElement('div');
+		compare.className = 'variant-compare';
+		compare.appendChild(buildCompareColumn(p, a, parts, 'del'));
+		compare.appendChild(buildCompareColumn(p, b, parts, 'add'));
+		panel.appendChild(compare);
+		return panel;
+	};
+
+	const buildRunPanel = (p) => {
+		const id = String(p.id);
+		const runs = [...(Array.isArray(p.runs) ? p.runs : [])].sort(byRunTime);
+		const panel = document.createElement('div');
+		panel.className = 'run-panel';
+		const heading = document.createElement('h4');
+		heading.className = 'notes-title';
+		heading.textContent = 'Run Log';
+		panel.appendChild(heading);
+
+		// New run form; the input starts as the prompt rendered with the saved variable values
+		const form = document.createElement('form');
+		form.className = 'run-form';
+		form.dataset.id = id;
+		const field = (name, label, el) => {
+			const group = document.createElement('div');
+			group.className = 'field-group';
+			const labelEl = document.createElement('label');
+			labelEl.htmlFor = 'run-' + name + '-' + id;
+			labelEl.textContent = label;
+			el.id = labelEl.htmlFor;
+			el.name = name;
+			group.appendChild(labelEl);
+			group.appendChild(el);
+			form.appendChild(group);
+			return el;
+		};
+		const modelInput = document.createElement('input');
+		modelInput.type = 'text';
+		modelInput.maxLength = 100;
+		modelInput.value = p.metadata?.model || '';
+		modelInput.setAttribute('list', 'model-suggestions');
+		field('model', 'Model', modelInput);
+		if (p.variants.length) {
+			const select = buildVariantSelect(p, null, 'run-variant', 'Variant');
+			form.appendChild(select);
+			select.querySelector('select').name = 'variant';
+		}
+		const inputArea = document.createElement('textarea');
+		inputArea.rows = 4;
+		inputArea.required = true;
+		inputArea.maxLength = RUN_TEXT_LIMIT;
+		inputArea.value = renderTemplate(expandPrompt(p, currentSnippets()).text, getTemplateValues(p.id));
+		field('input', 'Input', inputArea);
+		const outputArea = document.createElement('textarea');
+		outputArea.rows = 4;
+		outputArea.maxLength = RUN_TEXT_LIMIT;
+		outputArea.placeholder = 'Paste the model output';
+		field('output', 'Output', outputArea);
+
+		const ratingSet = document.createElement('fieldset');
+		ratingSet.className = 'run-rating';
+		const legend = document.createElement('legend');
+		legend.textContent = 'Rating';
+		ratingSet.appendChild(legend);
+		const draft = runRatingDraft.get(id);
+		for (let i = 1; i <= 5; i++) {
+			const label = document.createElement('label');
+			const radio = document.createElement('input');
+			radio.type = 'radio';
+			radio.name = 'rating';
+			radio.value = String(i);
+			radio.checked = draft === i;
+			label.appendChild(radio);
+			label.appendChild(document.createTextNode(' ' + i + '★'));
+			ratingSet.appendChild(label);
+		}
+		form.appendChild(ratingSet);
+		const verdictInput = document.createElement('input');
+		verdictInput.type = 'text';
+		verdictInput.maxLength = 500;
+		verdictInput.placeholder = 'What worked, what did not';
+		field('verdict', 'Verdict', verdictInput);
+		const submit = document.createElement('button');
+		submit.type = 'submit';
+		submit.className = 'note-btn';
+		submit.textContent = 'Log run';
+		form.appendChild(submit);
+		panel.appendChild(form);
+
+		// Mean rating per model and per revision of the default, and per variant,
+		// once there is something to compare
+		const variantName = (key) => (findVariant(p, key === '?' ? null : key) || { name: 'deleted variant' }).name;
+		[['model', 'By model', (key) => key, null], ['rev', 'By revision', (key) => 'r' + key, null], ['variant', 'By variant', variantName, undefined]].forEach(([fieldName, label, name, variant]) => {
+			const groups = ratingBreakdown(p, fieldName, variant);
+			if (groups.length < 2) return;
+			const line = document.createElement('p');
+			line.className = 'run-breakdown';
+			line.textContent = label + ': ' + groups.map(g => name(g.key) + ' ★ ' + g.mean.toFixed(1) + ' (' + g.count + ')').join(' · ');
+			panel.appendChild(line);
+		});
+
+		if (!runs.length) {
+			const empty = document.createElement('p');
+			empty.className = 'note-empty';
+			empty.textContent = 'No runs logged yet.';
+			panel.appendChild(empty);
+			return panel;
+		}
+
+		// Timeline, newest first; changes of model or revision are called out
+		const timeline = document.createElement('ol');
+		timeline.className = 'run-timeline';
+		runs.forEach((r, i) => {
+			const prev = runs[i - 1];
+			const li = document.createElement('li');
+			li.className = 'run-item';
+			const info = document.createElement('div');
+			info.className = 'run-info';
+			const when = document.createElement('time');
+			when.dateTime = r.createdAt;
+			when.textContent = formatDate(r.createdAt);
+			when.title = new Date(r.createdAt).toLocaleString();
+			info.appendChild(when);
+			info.appendChild(document.createTextNode(' · ' + r.model + (r.provider ? ' via ' + r.provider : '') + (r.rev ? ' · r' + r.rev : '') +
+				(p.variants.length ? ' · ' + variantName(r.variant || '?') : '')));
+			[[prev && prev.model !== r.model, 'model changed'], [prev && prev.rev !== r.rev, 'revision changed']].forEach(([changed, text]) => {
+				if (!changed) return;
+				const badge = document.createElement('span');
+				badge.className = 'run-badge';
+				badge.textContent = text;
+				info.appendChild(badge);
+			});
+			li.appendChild(info);
+
+			const stars = document.createElement('div');
+			stars.className = 'run-stars';
+			stars.setAttribute('role', 'group');
+			stars.setAttribute('aria-label', r.rating ? 'Run rated ' + r.rating + ' of 5' : 'Run not rated');
+			for (let s = 1; s <= 5; s++) {
+				const btn = document.createElement('button');
+				btn.type = 'button';
+				btn.className = 'star-btn run-star' + (r.rating && s <= r.rating ? ' filled' : '');
+				btn.textContent = '★';
+				btn.dataset.action = 'rate-run';
+				btn.dataset.id = id;
+				btn.dataset.runId = String(r.id);
+				btn.dataset.star = String(s);
+				btn.setAttribute('aria-label', 'Rate this run ' + s + (s === 1 ? ' star' : ' stars'));
+				stars.appendChild(btn);
+			}
+			li.appendChild(stars);
+
+			if (r.usage) {
+				const usage = document.createElement('p');
+				usage.className = 'run-usage';
+				usage.textContent = formatRunUsage(r.usage);
+				li.appendChild(usage);
+			}
+			if (r.verdict) {
+				const verdict = document.createElement('p');
+				verdict.className = 'run-verdict';
+				verdict.textContent = r.verdict;
+				li.appendChild(verdict);
+			}
+			const details = document.createElement('details');
+			const summary = document.createElement('summary');
+			summary.textContent = 'Input and output';
+			details.appendChild(summary);
+			[['Input', r.input], ['Output', r.output || '(none)']].forEach(([label, text]) => {
+				const title = document.createElement('h5');
+				title.textContent = label;
+				const pre = document.createElement('pre');
+				pre.className = 'run-text';
+				pre.textContent = text;
+				details.appendChild(title);
+				details.appendChild(pre);
+			});
+			li.appendChild(details);
+
+			const del = document.createElement('button');
+			del.type = 'button';
+			del.className = 'note-btn delete-note-btn';
+			del.dataset.action = 'delete-run';
+			del.dataset.id = id;
+			del.dataset.runId = String(r.id);
+			del.textContent = 'Delete run';
+			li.appendChild(del);
+			timeline.prepend(li);
+		});
+		panel.appendChild(timeline);
+		return panel;
+	};
+
+	const readTemplateValues = (panel) => {
+		const values = {};
+		panel.querySelectorAll('[data-variable]').forEach(el => { values[el.dataset.variable] = el.value; });
+		return values;
+	};
+
+	const fillUsePreview = (panel, content, model) => {
+		const rendered = renderTemplate(content, readTemplateValues(panel));
+		const estimate = countTokens(rendered, model);
+		const preview = panel.querySelector('.use-preview');
+		const tokens = panel.querySelector('.use-tokens');
+		if (preview) preview.textContent = rendered;
+		if (tokens) tokens.textContent = Number.isInteger(estimate.count)
+			? `${formatTokenEstimate(estimate)} tokens (${estimate.tokenizer})`
+			: `${estimate.min}-${estimate.max} tokens (${estimate.confidence} confidence)`;
+		return rendered;
+	};
+
+	// The variant a use panel works with; the default when none was picked or it is gone
+	const selectedUseVariant = (p) => findVariant(p, useVariant.get(String(p.id))) || findVariant(p, null);
+
+	const updateUsePreview = (panel) => {
+		const prompt = getPrompts().find(p => String(p.id) === panel.dataset.id);
+		if (!prompt) return;
+		const variant = selectedUseVariant(prompt);
+		return fillUsePreview(panel, expandPrompt(prompt, currentSnippets(), variant.content).text, variant.model);
+	};
+
+	const copyToClipboard = async (text) => {
+		if (navigator.clipboard?.writeText) {
+			await navigator.clipboard.writeText(text);
+			return;
+		}
+		// Fallback for browsers without the async clipboard API
+		const ta = document.createElement('textarea');
+		ta.value = text;
+		ta.setAttribute('readonly', '');
+		ta.style.position = 'fixed';
+		ta.style.opacity = '0';
+		document.body.appendChild(ta);
+		ta.select();
+		const ok = document.execCommand('copy');
+		ta.remove();
+		if (!ok) throw new Error('Copy command was rejected');
+	};
+
+	const copyRenderedPrompt = async (panel) => {
+		const rendered = updateUsePreview(panel);
+		if (typeof rendered !== 'string') return;
+		saveTemplateValues(panel.dataset.id, readTemplateValues(panel));
+		const status = panel.querySelector('.use-status');
+		try {
+			await copyToClipboard(rendered);
+			if (status) status.textContent = 'Copied to clipboard.';
+		} catch (err) {
+			console.error('Copy failed', err);
+			if (status) status.textContent = 'Copy failed: ' + err.message;
+		}
+	};
+
+	// Show a run's streamed output and state in a use panel
+	const fillLiveRun = (panel, live) => {
+		const runBtn = panel.querySelector('.run-btn');
+		const output = panel.querySelector('.run-output');
+		const running = !!live?.controller;
+		if (runBtn) {
+			runBtn.dataset.action = running ? 'stop-run' : 'run-prompt';
+			runBtn.textContent = running ? 'Stop' : 'Run';
+		}
+		if (output) {
+			output.hidden = !live?.text;
+			output.textContent = live?.text || '';
+			output.scrollTop = output.scrollHeight;
+		}
+		if (live) panel.querySelector('.use-status').textContent = live.status;
+	};
+
+	const paintLiveRun = (id) => {
+		const panel = listEl.querySelector('.use-panel[data-id="' + CSS.escape(id) + '"]');
+		if (panel) fillLiveRun(panel, liveRuns.get(String(id)));
+	};
+
+	/**
+	 * Send the rendered prompt to its provider, stream the reply into the
+	 * card and log the finished run with the reported token usage
+	 * @param {HTMLElement} panel - The prompt's use panel
+	 */
+	const runPrompt = async (panel) => {
+		const id = panel.dataset.id;
+		const prompt = getPrompts().find(p => String(p.id) === id);
+		if (!prompt || liveRuns.get(id)?.controller) return;
+		const input = updateUsePreview(panel);
+		saveTemplateValues(id, readTemplateValues(panel));
+		const variant = selectedUseVariant(prompt);
+		const model = variant.model;
+		const provider = providerForModel(model);
+		if (!provider) {
+			liveRuns.set(id, { controller: null, text: '', status: 'No provider is set up for ' + model + '. Add one under Providers.' });
+			paintLiveRun(id);
+			return;
+		}
+		const live = { controller: new AbortController(), text: '', status: 'Running on ' + provider.name + '…' };
+		liveRuns.set(id, live);
+		paintLiveRun(id);
+		try {
+			const result = await PROVIDER_ADAPTERS[provider.type].run(provider, { model, input }, {
+				signal: live.controller.signal,
+				onText: (piece) => {
+					live.text += piece;
+					paintLiveRun(id);
+				}
+			});
+			const usage = { promptTokens: null, completionTokens: null, ...result.usage, estimate: estimateTokens(input) };
+			live.controller = null;
+			live.text = result.text;
+			live.status = 'Logged to the run log · ' + formatRunUsage(usage);
+			logRun(id, { model, input, output: result.text, variant: variant.id, provider: provider.name, usage });
+		} catch (err) {
+			live.controller = null;
+			if (err.name === 'AbortError') {
+				live.status = 'Stopped. Nothing was logged.';
+			} else {
+				console.error('Run failed', err);
+				live.status = 'Run failed: ' + err.message;
+			}
+			paintLiveRun(id);
+		}
+	};
+
+	const buildUsePanel = (p) => {
+		const id = String(p.id);
+		const variant = selectedUseVariant(p);
+		// Included snippets can bring their own variables
+		const content = expandPrompt(p, currentSnippets(), variant.content).text;
+		const variables = parseTemplateVariables(content);
+		const saved = getTemplateValues(id);
+
+		const panel = document.createElement('div');
+		panel.className = 'use-panel';
+		panel.dataset.id = id;
+		const heading = document.createElement('h4');
+		heading.className = 'notes-title';
+		heading.textContent = variables.length ? 'Fill in variables' : 'No variables in this prompt';
+		panel.appendChild(heading);
+		if (p.variants.length) panel.appendChild(buildVariantSelect(p, variant.id, 'use-variant', 'Variant'));
+
+		variables.forEach(v => {
+			const group = document.createElement('div');
+			group.className = 'field-group';
+			const label = document.createElement('label');
+			label.htmlFor = 'var-' + id + '-' + v.name;
+			label.textContent = v.name;
+			let input;
+			if (v.type === 'enum') {
+				input = document.createElement('select');
+				v.options.forEach(o => {
+					const opt = document.createElement('option');
+					opt.value = o;
+					opt.textContent = o;
+					input.appendChild(opt);
+				});
+			} else if (v.type === 'multiline') {
+				input = document.createElement('textarea');
+				input.rows = 4;
+			} else {
+				input = document.createElement('input');
+				input.type = 'text';
+			}
+			input.id = label.htmlFor;
+			input.dataset.variable = v.name;
+			input.placeholder = v.defaultValue || '';
+			const remembered = saved[v.name];
+			if (typeof remembered === 'string' && (v.type !== 'enum' || v.options.includes(remembered))) {
+				input.value = remembered;
+			} else if (v.type === 'enum') {
+				input.value = v.defaultValue;
+			}
+			group.appendChild(label);
+			group.appendChild(input);
+			panel.appendChild(group);
+		});
+
+		const tokens = document.createElement('span');
+		tokens.className = 'use-tokens';
+		const preview = document.createElement('pre');
+		preview.className = 'use-preview';
+		const copyBtn = document.createElement('button');
+		copyBtn.type = 'button';
+		copyBtn.className = 'note-add-btn';
+		copyBtn.dataset.action = 'copy-rendered';
+		copyBtn.textContent = 'Copy rendered prompt';
+		const provider = providerForModel(variant.model);
+		const runBtn = document.createElement('button');
+		runBtn.type = 'button';
+		runBtn.className = 'note-add-btn run-btn';
+		runBtn.title = provider ? 'Run on ' + provider.name : 'Add a provider under Providers to run prompts from here';
+		const status = document.createElement('span');
+		status.className = 'use-status';
+		status.setAttribute('aria-live', 'polite');
+		const footer = document.createElement('div');
+		footer.className = 'use-footer';
+		footer.appendChild(copyBtn);
+		footer.appendChild(runBtn);
+		footer.appendChild(tokens);
+		footer.appendChild(status);
+		const output = document.createElement('pre');
+		output.className = 'run-output';
+		output.setAttribute('aria-label', 'Model output');
+		panel.appendChild(preview);
+		panel.appendChild(footer);
+		panel.appendChild(output);
+
+		fillUsePreview(panel, content, variant.model);
+		fillLiveRun(panel, liveRuns.get(id));
+		return panel;
+	};
+
+	/**
+	 * Cost-per-run and context-window row for a card
+	 * @param {Object} p - Prompt
+	 * @param {Object} model - Registry entry for the prompt's model
+	 * @returns {HTMLElement} Metadata row
+	 */
+	const buildCardCost = (p, model) => {
+		const settings = getModelSettings();
+		const tokens = promptTokenCount(p);
+		const row = document.createElement('div');
+		row.className = 'metadata-row';
+		const label = document.createElement('span');
+		label.className = 'metadata-label';
+		label.textContent = 'Cost/run:';
+		const value = document.createElement('span');
+		value.className = 'metadata-value metadata-cost';
+		const cost = estimateRunCost(tokens, model, settings);
+		value.textContent = cost === null ? 'no prices set' : formatCost(cost);
+		value.title = '$' + model.inputPrice + ' / 1M input, $' + model.outputPrice + ' / 1M output; assumes ' +
+			settings.expectedOutputTokens + ' output tokens';
+		row.appendChild(label);
+		row.appendChild(value);
+		if (model.contextWindow > 0) {
+			const share = tokens / model.contextWindow;
+			const context = document.createElement('span');
+			context.className = 'context-share' + (share > settings.contextWarnShare ? ' context-warning' : '');
+			const percent = share < 0.01 ? '<1%' : Math.round(share * 100) + '%';
+			context.textContent = percent + ' of ' + model.contextWindow.toLocaleString('en-US') + '-token context';
+			if (share > settings.contextWarnShare) {
+				context.setAttribute('role', 'note');
+				context.textContent = '⚠ ' + context.textContent;
+				context.title = 'Uses more than ' + Math.round(settings.contextWarnShare * 100) + '% of ' + model.name + '\'s context window';
+			}
+			row.appendChild(context);
+		}
+		return row;
+	};
+
+	/**
+	 * Restore / delete-forever buttons and the purge countdown for a trashed card
+	 * @param {Object} p - Trashed prompt
+	 * @returns {DocumentFragment} Action buttons and countdown
+	 */
+	const buildTrashActions = (p) => {
+		const frag = document.createDocumentFragment();
+		const restoreBtn = document.createElement('button');
+		restoreBtn.type = 'button';
+		restoreBtn.className = 'card-btn restore-trash-btn';
+		restoreBtn.textContent = 'RESTORE';
+		restoreBtn.setAttribute('aria-label', 'Restore prompt "' + (p.title || 'Untitled') + '" from the trash');
+		restoreBtn.dataset.action = 'restore-trash';
+		restoreBtn.dataset.id = String(p.id);
+		const purgeBtn = document.createElement('button');
+		purgeBtn.type = 'button';
+		purgeBtn.className = 'delete-btn';
+		purgeBtn.textContent = 'DELETE FOREVER';
+		purgeBtn.setAttribute('aria-label', 'Permanently delete prompt "' + (p.title || 'Untitled') + '"');
+		purgeBtn.dataset.action = 'purge';
+		purgeBtn.dataset.id = String(p.id);
+		const days = daysUntilPurge(p, getTrashSettings().retentionDays);
+		const note = document.createElement('span');
+		note.className = 'purge-note';
+		note.textContent = days === null ? 'Kept until deleted' : days === 0 ? 'Deleted at next start' : 'Deleted in ' + days + (days === 1 ? ' day' : ' days');
+		note.title = 'Moved to the trash ' + formatDate(p.trashedAt);
+		frag.appendChild(note);
+		frag.appendChild(restoreBtn);
+		frag.appendChild(purgeBtn);
+		return frag;
+	};
+
+	const buildCardTags = (p, terms) => {
+		const wrap = document.createElement('div');
+		wrap.className = 'card-tags';
+		const list = document.createElement('ul');
+		list.className = 'tag-list';
+		p.tags.forEach(tag => {
+			const li = document.createElement('li');
+			li.className = 'tag-chip';
+			const tagBtn = document.createElement('button');
+			tagBtn.type = 'button';
+			tagBtn.className = 'tag-name';
+			tagBtn.dataset.action = 'filter-tag';
+			tagBtn.dataset.tag = tag;
+			tagBtn.title = 'Show prompts tagged #' + tag;
+			appendHighlighted(tagBtn, '#' + tag, terms);
+			const removeBtn = document.createElement('button');
+			removeBtn.type = 'button';
+			removeBtn.className = 'tag-remove';
+			removeBtn.dataset.action = 'remove-tag';
+			removeBtn.dataset.id = String(p.id);
+			removeBtn.dataset.tag = tag;
+			removeBtn.setAttribute('aria-label', 'Remove tag ' + tag);
+			removeBtn.textContent = '×';
+			li.appendChild(tagBtn);
+			li.appendChild(removeBtn);
+			list.appendChild(li);
+		});
+		wrap.appendChild(list);
+		const addForm = document.createElement('form');
+		addForm.className = 'add-tag-form';
+		addForm.dataset.id = String(p.id);
+		const label = document.createElement('label');
+		label.className = 'visually-hidden';
+		label.htmlFor = 'tag-input-' + p.id;
+		label.textContent = 'Add tag';
+		const input = document.createElement('input');
+		input.id = label.htmlFor;
+		input.name = 'tag';
+		input.type = 'text';
+		input.setAttribute('list', 'tag-suggestions');
+		input.maxLength = 40;
+		input.placeholder = '+ tag';
+		addForm.appendChild(label);
+		addForm.appendChild(input);
+		wrap.appendChild(addForm);
+		return wrap;
+	};
+
+	/**
+	 * Snippet name, "used by" list and include problems for a card
+	 * @param {Object} p - Prompt
+	 * @param {Object} includes - { expansion, usedBy } from cardFor
+	 * @returns {HTMLElement} Include rows
+	 */
+	const buildCardIncludes = (p, { expansion, usedBy }) => {
+		const box = document.createElement('div');
+		box.className = 'card-includes';
+		const addRow = (label, text, className = '') => {
+			const row = document.createElement('p');
+			row.className = 'include-row' + (className ? ' ' + className : '');
+			const strong = document.createElement('strong');
+			strong.textContent = label + ' ';
+			row.appendChild(strong);
+			row.appendChild(document.createTextNode(text));
+			box.appendChild(row);
+			return row;
+		};
+		if (p.snippetName) {
+			addRow('Snippet', '{{> ' + p.snippetName + '}}').title = 'Include this prompt in others by writing {{> ' + p.snippetName + '}}';
+			addRow('Used by', usedBy.length ? usedBy.map(u => u.title).join(', ') : 'no prompts yet');
+		}
+		if (expansion.includes.length) addRow('Includes', expansion.includes.join(', '));
+		if (expansion.missing.length) addRow('Missing', expansion.missing.map(n => '{{> ' + n + '}}').join(', '), 'include-problem');
+		expansion.cycles.forEach(chain => addRow('Include cycle', chain.join(' → '), 'include-problem'));
+		return box;
+	};
+
+	/**
+	 * Lint summary for a card, expanding to the findings
+	 * @param {Object} p - Prompt
+	 * @param {LintFinding[]} findings - lintStoredPrompt() result
+	 * @returns {HTMLElement} Lint block
+	 */
+	const buildCardLint = (p, findings) => {
+		const id = String(p.id);
+		const open = openLint.has(id);
+		const box = document.createElement('div');
+		box.className = 'card-lint';
+		const toggle = document.createElement('button');
+		toggle.type = 'button';
+		toggle.className = 'lint-summary lint-' + findings[0].severity;
+		toggle.textContent = (open ? '▾ ' : '▸ ') + 'Lint: ' + formatLintSummary(findings);
+		toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+		toggle.dataset.action = 'toggle-lint';
+		toggle.dataset.id = id;
+		box.appendChild(toggle);
+		if (open) box.appendChild(buildLintList(findings));
+		return box;
+	};
+
+	/**
+	 * Severity-tagged list of lint findings
+	 * @param {LintFinding[]} findings - Findings
+	 * @returns {HTMLElement} List
+	 */
+	const buildLintList = (findings) => {
+		const labels = Object.fromEntries(LINT_RULES.map(r => [r.id, r.label]));
+		const list = document.createElement('ul');
+		list.className = 'lint-findings';
+		findings.forEach(f => {
+			const li = document.createElement('li');
+			li.className = 'lint-finding lint-' + f.severity;
+			li.title = labels[f.rule] || f.rule;
+			const tag = document.createElement('span');
+			tag.className = 'lint-severity';
+			tag.textContent = f.severity;
+			li.appendChild(tag);
+			li.appendChild(document.createTextNode((f.line ? 'Line ' + f.line + ': ' : '') + f.message));
+			list.appendChild(li);
+		});
+		return list;
+	};
+
+	const buildCardCollection = (p, collections) => {
+		const row = document.createElement('div');
+		row.className = 'card-collection';
+		const label = document.createElement('label');
+		label.htmlFor = 'collection-select-' + p.id;
+		label.textContent = 'Collection';
+		const select = document.createElement('select');
+		select.id = label.htmlFor;
+		select.dataset.action = 'move-collection';
+		select.dataset.id = String(p.id);
+		renderCollectionOptions(select, collections, p.collectionId);
+		row.appendChild(label);
+		row.appendChild(select);
+		return row;
+	};
+
+	// Fill a <select> with "Unfiled" plus every collection, indented by depth
+	const renderCollectionOptions = (select, collections, selectedId) => {
+		select.innerHTML = '';
+		const none = document.createElement('option');
+		none.value = '';
+		none.textContent = 'Unfiled';
+		select.appendChild(none);
+		const addNodes = (nodes, depth) => nodes.forEach(node => {
+			const opt = document.createElement('option');
+			opt.value = String(node.id);
+			opt.textContent = '\u00a0\u00a0'.repeat(depth) + node.name;
+			select.appendChild(opt);
+			addNodes(node.children, depth + 1);
+		});
+		addNodes(buildCollectionTree(collections), 0);
+		select.value = selectedId != null && collections.some(c => String(c.id) === String(selectedId)) ? String(selectedId) : '';
+	};
+
+	// New prompts go into the collection currently being viewed
+	const defaultCollectionId = () => ([UNFILED, ARCHIVE_VIEW, TRASH_VIEW].includes(viewState.collection) ? '' : viewState.collection);
+
+	const renderTrashBar = (visible) => {
+		trashBarEl.hidden = !visible;
+		if (!visible) return;
+		if (document.activeElement !== trashRetentionInput) trashRetentionInput.value = String(getTrashSettings().retentionDays);
+		emptyTrashBtn.disabled = !promptCache.some(isTrashed);
+	};
+
+	const renderTagSuggestions = (prompts) => {
+		tagSuggestionsEl.innerHTML = '';
+		collectTags(prompts).forEach(({ tag, count }) => {
+			const opt = document.createElement('option');
+			opt.value = tag;
+			opt.label = tag + ' (' + count + ')';
+			tagSuggestionsEl.appendChild(opt);
+		});
+	};
+
+	const renderCollections = (allPrompts, collections) => {
+		collectionTreeEl.innerHTML = '';
+		// Collection counts match what the main list shows: no archived or trashed prompts
+		const prompts = allPrompts.filter(p => !isTrashed(p) && !isArchived(p));
+		const known = new Set(collections.map(c => String(c.id)));
+		const directCounts = new Map();
+		let unfiled = 0;
+		prompts.forEach(p => {
+			if (p.collectionId != null && known.has(String(p.collectionId))) {
+				const key = String(p.collectionId);
+				directCounts.set(key, (directCounts.get(key) || 0) + 1);
+			} else {
+				unfiled++;
+			}
+		});
+		const subtreeCount = (node) => node.children.reduce((sum, c) => sum + subtreeCount(c), directCounts.get(String(node.id)) || 0);
+
+		const makeNode = (id, name, count, { droppable = true, editable = false } = {}) => {
+			const li = document.createElement('li');
+			li.className = 'collection-item';
+			const row = document.createElement('div');
+			row.className = 'collection-node' + (viewState.collection === id ? ' selected' : '');
+			row.dataset.collectionId = id;
+			if (droppable) row.dataset.drop = 'true';
+			const nameBtn = document.createElement('button');
+			nameBtn.type = 'button';
+			nameBtn.className = 'collection-name';
+			nameBtn.dataset.action = 'select-collection';
+			nameBtn.dataset.collectionId = id;
+			nameBtn.textContent = name;
+			nameBtn.setAttribute('aria-current', viewState.collection === id ? 'true' : 'false');
+			const countEl = document.createElement('span');
+			countEl.className = 'collection-count';
+			countEl.textContent = String(count);
+			row.appendChild(nameBtn);
+			row.appendChild(countEl);
+			if (editable) {
+				const renameBtn = document.createElement('button');
+				renameBtn.type = 'button';
+				renameBtn.className = 'collection-action';
+				renameBtn.dataset.action = 'rename-collection';
+				renameBtn.dataset.collectionId = id;
+				renameBtn.setAttribute('aria-label', 'Rename collection ' + name);
+				renameBtn.textContent = '✎';
+				const deleteBtn = document.createElement('button');
+				deleteBtn.type = 'button';
+				deleteBtn.className = 'collection-action';
+				deleteBtn.dataset.action = 'delete-collection';
+				deleteBtn.dataset.collectionId = id;
+				deleteBtn.setAttribute('aria-label', 'Delete collection ' + name);
+				deleteBtn.textContent = '×';
+				row.appendChild(renameBtn);
+				row.appendChild(deleteBtn);
+			}
+			li.appendChild(row);
+			return li;
+		};
+
+		const addNodes = (parentEl, nodes) => nodes.forEach(node => {
+			const li = makeNode(String(node.id), node.name, subtreeCount(node), { editable: true });
+			if (node.children.length) {
+				const ul = document.createElement('ul');
+				ul.className = 'collection-children';
+				addNodes(ul, node.children);
+				li.appendChild(ul);
+			}
+			parentEl.appendChild(li);
+		});
+
+		collectionTreeEl.appendChild(makeNode('', 'All prompts', prompts.length, { droppable: false }));
+		collectionTreeEl.appendChild(makeNode(UNFILED, 'Unfiled', unfiled));
+		addNodes(collectionTreeEl, buildCollectionTree(collections));
+		const archiveNode = makeNode(ARCHIVE_VIEW, 'Archive', allPrompts.filter(p => !isTrashed(p) && isArchived(p)).length, { droppable: false });
+		archiveNode.classList.add('collection-special');
+		collectionTreeEl.appendChild(archiveNode);
+		collectionTreeEl.appendChild(makeNode(TRASH_VIEW, 'Trash', allPrompts.filter(isTrashed).length, { droppable: false }));
+		renderCollectionOptions(collectionSelect, collections, collectionSelect.value || defaultCollectionId());
+	};
+
+	const applyTagFilter = (tag) => {
+		const filter = 'tag:' + tag;
+		if (!viewState.query.split(/\s+/).includes(filter)) {
+			viewState.query = (viewState.query + ' ' + filter).trim();
+		}
+		searchInput.value = viewState.query;
+		writeViewStateToURL();
+		renderPrompts();
+	};
+
+	// Tag editor on the add-prompt form
+	const renderFormTags = () => {
+		tagsListEl.innerHTML = '';
+		formTags.forEach(tag => {
+			const li = document.createElement('li');
+			li.className = 'tag-chip';
+			const name = document.createElement('span');
+			name.className = 'tag-name';
+			name.textContent = '#' + tag;
+			const removeBtn = document.createElement('button');
+			removeBtn.type = 'button';
+			removeBtn.className = 'tag-remove';
+			removeBtn.dataset.tag = tag;
+			removeBtn.setAttribute('aria-label', 'Remove tag ' + tag);
+			removeBtn.textContent = '×';
+			li.appendChild(name);
+			li.appendChild(removeBtn);
+			tagsListEl.appendChild(li);
+		});
+	};
+
+	const commitFormTag = () => {
+		const tags = parseTags(tagsInput.value);
+		tagsInput.value = '';
+		if (!tags.length) return;
+		formTags = parseTags([...formTags, ...tags]);
+		renderFormTags();
+	};
+
+	tagsInput.addEventListener('keydown', (e) => {
+		if (e.key === 'Enter' || e.key === ',') {
+			e.preventDefault();
+			commitFormTag();
+		} else if (e.key === 'Backspace' && !tagsInput.value && formTags.length) {
+			formTags = formTags.slice(0, -1);
+			renderFormTags();
+		}
+	});
+	// Picking a datalist suggestion fires "input" with the full value; commit it right away
+	tagsInput.addEventListener('input', (e) => {
+		if (e.inputType === 'insertReplacementText' || !e.inputType) {
+			if (Array.from(tagSuggestionsEl.options).some(o => o.value === tagsInput.value)) commitFormTag();
+		}
+	});
+	tagsInput.addEventListener('blur', commitFormTag);
+	tagsListEl.addEventListener('click', (e) => {
+		const target = e.target;
+		if (!(target instanceof HTMLElement) || !target.classList.contains('tag-remove')) return;
+		formTags = formTags.filter(t => t !== target.dataset.tag);
+		renderFormTags();
+	});
+
+	// Collection sidebar
+	collectionTreeEl.addEventListener('click', (e) => {
+		const target = e.target;
+		if (!(target instanceof HTMLElement)) return;
+		const id = target.dataset.collectionId;
+		if (target.dataset.action === 'select-collection') {
+			viewState.collection = id || '';
+			writeViewStateToURL();
+			renderCollectionOptions(collectionSelect, getCollections(), defaultCollectionId());
+			renderPrompts();
+		} else if (target.dataset.action === 'rename-collection') {
+			const current = getCollections().find(c => String(c.id) === id);
+			if (!current) return;
+			const name = window.prompt('Rename collection', current.name);
+			if (name !== null) renameCollection(id, name);
+		} else if (target.dataset.action === 'delete-collection') {
+			const current = getCollections().find(c => String(c.id) === id);
+			if (!current) return;
+			if (window.confirm('Delete collection "' + current.name + '"? Its prompts and sub-collections move to the parent collection.')) {
+				deleteCollection(id);
+			}
+		}
+	});
+
+	newCollectionBtn.addEventListener('click', () => {
+		const parentId = defaultCollectionId();
+		const parentName = parentId ? collectionPath(getCollections(), parentId) : '';
+		const name = window.prompt(parentName ? 'New collection inside "' + parentName + '"' : 'New collection name');
+		if (name !== null) createCollection(name, parentId || null);
+	});
+
+	collectionTreeEl.addEventListener('dragover', (e) => {
+		const node = e.target instanceof HTMLElement ? e.target.closest('.collection-node[data-drop]') : null;
+		if (!node || !Array.from(e.dataTransfer.types).includes(PROMPT_DRAG_TYPE)) return;
+		e.preventDefault();
+		e.dataTransfer.dropEffect = 'move';
+		node.classList.add('drag-over');
+	});
+
+	collectionTreeEl.addEventListener('dragleave', (e) => {
+		const node = e.target instanceof HTMLElement ? e.target.closest('.collection-node') : null;
+		if (node && !node.contains(e.relatedTarget)) node.classList.remove('drag-over');
+	});
+
+	collectionTreeEl.addEventListener('drop', (e) => {
+		const node = e.target instanceof HTMLElement ? e.target.closest('.collection-node[data-drop]') : null;
+		if (!node) return;
+		e.preventDefault();
+		node.classList.remove('drag-over');
+		const promptId = e.dataTransfer.getData(PROMPT_DRAG_TYPE);
+		if (promptId) movePrompt(promptId, node.dataset.collectionId);
+	});
+
+	// Search / sort toolbar
+	const readViewStateFromURL = () => {
+		const params = new URLSearchParams(window.location.search);
+		viewState.query = params.get('q') || '';
+		viewState.collection = params.get('c') || '';
+		viewState.sortKey = SORT_KEYS.includes(params.get('sort')) ? params.get('sort') : 'created';
+		viewState.sortDir = params.get('dir') === 'asc' ? 'asc' : 'desc';
+		searchInput.value = viewState.query;
+		sortKeySelect.value = viewState.sortKey;
+		sortDirSelect.value = viewState.sortDir;
+	};
+
+	const writeViewStateToURL = () => {
+		const params = new URLSearchParams(window.location.search);
+		if (viewState.query) params.set('q', viewState.query); else params.delete('q');
+		if (viewState.sortKey !== 'created') params.set('sort', viewState.sortKey); else params.delete('sort');
+		if (viewState.sortDir !== 'desc') params.set('dir', viewState.sortDir); else params.delete('dir');
+		if (viewState.collection) params.set('c', viewState.collection); else params.delete('c');
+		const search = params.toString();
+		const url = window.location.pathname + (search ? '?' + search : '') + window.location.hash;
+		window.history.replaceState(null, '', url);
+	};
+
+	let searchTimer = null;
+	searchInput.addEventListener('input', () => {
+		clearTimeout(searchTimer);
+		searchTimer = setTimeout(() => {
+			viewState.query = searchInput.value.trim();
+			writeViewStateToURL();
+			renderPrompts();
+		}, 150);
+	});
+
+	[sortKeySelect, sortDirSelect].forEach(select => select.addEventListener('change', () => {
+		viewState.sortKey = sortKeySelect.value;
+		viewState.sortDir = sortDirSelect.value;
+		writeViewStateToURL();
+		renderPrompts();
+	}));
+
+	trashRetentionInput.addEventListener('change', () => {
+		const days = Math.floor(Number(trashRetentionInput.value));
+		if (!Number.isFinite(days) || days < 0) {
+			trashRetentionInput.value = String(getTrashSettings().retentionDays);
+			return;
+		}
+		saveTrashSettings({ ...getTrashSettings(), retentionDays: days });
+		purgeExpiredTrash();
+		renderPrompts();
+	});
+
+	emptyTrashBtn.addEventListener('click', () => {
+		const count = promptCache.filter(isTrashed).length;
+		if (count && window.confirm('Permanently delete ' + count + (count === 1 ? ' prompt' : ' prompts') + ' in the trash?')) emptyTrash();
+	});
+
+	window.addEventListener('popstate', () => {
+		readViewStateFromURL();
+		renderPrompts();
+	});
+
+	readViewStateFromURL();
+
+	// Initial render
+
+	// ===== MARKDOWN & CSV FORMATS =====
+	// Plain-text exchange formats. Only title, model, rating, tags, collection,
+	// snippet name and content survive a round trip; JSON keeps everything.
+	// Parsers return drafts ({ title, content, model?, rating?, tags?, collection?, ... })
+	// that the importer turns into prompt records.
+	const TEXT_IMPORT_EXTENSIONS = ['md', 'markdown', 'txt'];
+	const FRONT_MATTER_FIELDS = ['title', 'id', 'model', 'rating', 'tags', 'collection', 'snippet', 'created', 'updated'];
+	const CSV_COLUMNS = ['title', 'content', 'model', 'rating', 'tags', 'collection', 'snippet', 'created', 'updated', 'id'];
+	// Cells a spreadsheet would run as a formula get a leading apostrophe
+	const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+	const fileExtension = (name) => {
+		const match = /\.([^./\\]+)$/.exec(String(name || ''));
+		return match ? match[1].toLowerCase() : '';
+	};
+
+	// File name without folders or extension, for prompts that have no title
+	const fileTitle = (name) => String(name || '').split(/[\\/]/).pop().replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ').trim();
+
+	/**
+	 * Format a value for YAML front matter; strings are quoted when plain
+	 * YAML would read them as something else
+	 * @param {*} value - String, number or array of those
+	 * @returns {string} YAML scalar or flow sequence
+	 */
+	const yamlValue = (value) => {
+		if (Array.isArray(value)) return '[' + value.map(yamlValue).join(', ') + ']';
+		if (typeof value === 'number') return String(value);
+		const text = String(value ?? '');
+		const plain = /^[A-Za-z_][\w .\/@+-]*$/.test(text) && !/^(?:true|false|yes|no|on|off|null)$/i.test(text) && !/\s$/.test(text);
+		return plain ? text : JSON.stringify(text);
+	};
+
+	/**
+	 * Read a YAML scalar or flow sequence as written by yamlValue, plus
+	 * single-quoted strings and unquoted lists from hand-written files
+	 * @param {string} raw - Text after "key:"
+	 * @returns {*} String, number, boolean, null or array
+	 */
+	const parseYamlValue = (raw) => {
+		const text = String(raw).trim();
+		if (text.startsWith('[') && text.endsWith(']')) {
+			const items = [];
+			const pattern = /\s*("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]*)\s*(?:,|$)/gy;
+			const inner = text.slice(1, -1);
+			let m;
+			while (pattern.lastIndex < inner.length && (m = pattern.exec(inner)) && m[0]) {
+				if (m[1].trim()) items.push(parseYamlValue(m[1]));
+			}
+			return items;
+		}
+		if (text.startsWith('"') && text.endsWith('"') && text.length > 1) {
+			try { return JSON.parse(text); }
+			catch (e) { return text.slice(1, -1); }
+		}
+		if (text.startsWith("'") && text.endsWith("'") && text.length > 1) return text.slice(1, -1).replace(/''/g, "'");
+		if (text === '' || text === '~' || text === 'null') return null;
+		if (/^(?:true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+		if (/^-?\d+(?:\.\d+)?$/.test(text)) return Number(text);
+		return text.replace(/\s+#.*$/, '');
+	};
+
+	/**
+	 * Parse the key/value lines of a front matter block. Supports scalars,
+	 * [flow, lists] and "- item" block lists; other YAML is read as text.
+	 * @param {string[]} lines - Lines between the --- markers
+	 * @returns {Object} Lowercased keys to values
+	 */
+	const parseFrontMatter = (lines) => {
+		const data = {};
+		let listKey = null;
+		lines.forEach(line => {
+			const item = /^\s+-\s+(.*)$/.exec(line) || (listKey && /^-\s+(.*)$/.exec(line));
+			if (item && listKey) {
+				data[listKey].push(parseYamlValue(item[1]));
+				return;
+			}
+			const pair = /^([A-Za-z_][\w-]*)\s*:\s*(.*)$/.exec(line);
+			if (!pair) return;
+			const key = pair[1].toLowerCase();
+			if (pair[2].trim() === '') {
+				data[key] = [];
+				listKey = key;
+			} else {
+				data[key] = parseYamlValue(pair[2]);
+				listKey = null;
+			}
+		});
+		return data;
+	};
+
+	// A front matter block: --- on its own line, "key: value" lines, then ---
+	const isFrontMatterStart = (lines, i) => {
+		if (lines[i] !== '---' || (i > 0 && lines[i - 1].trim() !== '')) return -1;
+		let j = i + 1;
+		if (!/^[A-Za-z_][\w-]*\s*:/.test(lines[j] || '')) return -1;
+		while (j < lines.length && lines[j] !== '---') {
+			if (lines[j].trim() && !/^[A-Za-z_][\w-]*\s*:|^\s*-\s/.test(lines[j])) return -1;
+			j++;
+		}
+		return j < lines.length ? j : -1;
+	};
+
+	/**
+	 * Turn front matter and a body into a draft
+	 * @param {Object} meta - parseFrontMatter() result
+	 * @param {string} body - Text after the front matter
+	 * @param {string} fallbackTitle - Used when there is no title
+	 * @returns {Object} Draft
+	 */
+	const draftFromFrontMatter = (meta, body, fallbackTitle) => {
+		let content = body.replace(/^\s*\n/, '').replace(/\s+$/, '');
+		let title = meta.title != null ? String(meta.title) : '';
+		// Hand-written notes often start with a "# Title" heading instead
+		const heading = /^#\s+(.+)\n*/.exec(content);
+		if (!title && heading) {
+			title = heading[1].trim();
+			content = content.slice(heading[0].length);
+		}
+		const tags = meta.tags == null ? [] : Array.isArray(meta.tags) ? meta.tags : String(meta.tags).split(',');
+		return {
+			title: title || fallbackTitle,
+			content,
+			id: meta.id ?? null,
+			model: meta.model != null ? String(meta.model) : '',
+			rating: meta.rating ?? null,
+			tags: tags.map(String),
+			collection: meta.collection != null ? String(meta.collection) : '',
+			snippetName: meta.snippet != null ? String(meta.snippet) : '',
+			createdAt: meta.created != null ? String(meta.created) : '',
+			updatedAt: meta.updated != null ? String(meta.updated) : ''
+		};
+	};
+
+	/**
+	 * Split a Markdown document into prompt drafts: one per front matter
+	 * section, or the whole file when it has none
+	 * @param {string} text - File contents
+	 * @param {string} fileName - For the title of a file without one
+	 * @returns {Object[]} Drafts
+	 */
+	const parseMarkdownPrompts = (text, fileName = '') => {
+		const lines = String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+		const sections = [];
+		let i = 0;
+		let preamble = [];
+		while (i < lines.length) {
+			const end = isFrontMatterStart(lines, i);
+			if (end < 0) {
+				(sections.length ? sections[sections.length - 1].body : preamble).push(lines[i]);
+				i++;
+				continue;
+			}
+			sections.push({ meta: parseFrontMatter(lines.slice(i + 1, end)), body: [] });
+			i = end + 1;
+		}
+		const fallback = fileTitle(fileName) || 'Untitled';
+		if (!sections.length) return preamble.join('\n').trim() ? [draftFromFrontMatter({}, preamble.join('\n'), fallback)] : [];
+		return sections.map((s, n) => draftFromFrontMatter(s.meta, s.body.join('\n'), sections.length > 1 ? fallback + ' ' + (n + 1) : fallback));
+	};
+
+	// A plain-text file is one prompt named after the file
+	const parseTextPrompt = (text, fileName = '') => {
+		const content = String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim();
+		return content ? [{ title: fileTitle(fileName) || 'Untitled', content, model: '', tags: [], collection: '' }] : [];
+	};
+
+	/**
+	 * Fields a plain-text export keeps for a prompt
+	 * @param {Object} p - Prompt record
+	 * @param {Array} collections - Collection list, for the collection path
+	 * @returns {Object} Export fields keyed like FRONT_MATTER_FIELDS
+	 */
+	const textExportFields = (p, collections) => ({
+		title: p.title,
+		id: p.id,
+		model: p.metadata?.model || '',
+		rating: p.userRating || 0,
+		tags: Array.isArray(p.tags) ? p.tags : [],
+		collection: p.collectionId ? collectionPath(collections, p.collectionId) : '',
+		snippet: p.snippetName || '',
+		created: p.metadata?.createdAt || '',
+		updated: p.metadata?.updatedAt || ''
+	});
+
+	/**
+	 * Markdown document with one front matter section per prompt
+	 * @param {Array} prompts - Prompt records
+	 * @param {Array} collections - Collection list
+	 * @returns {string} Markdown
+	 */
+	const promptsToMarkdown = (prompts, collections) => prompts.map(p => {
+		const fields = textExportFields(p, collections);
+		const meta = FRONT_MATTER_FIELDS
+			.filter(key => key === 'rating' || (Array.isArray(fields[key]) ? fields[key].length : fields[key] !== ''))
+			.map(key => key + ': ' + yamlValue(fields[key]));
+		return ['---', ...meta, '---', '', String(p.content || '').replace(/\r\n?/g, '\n'), ''].join('\n');
+	}).join('\n');
+
+	const csvCell = (value) => {
+		let text = String(value ?? '');
+		if (CSV_FORMULA_START.test(text)) text = "'" + text;
+		return /[",\r\n]/.test(text) || text !== text.trim() ? '"' + text.replace(/"/g, '""') + '"' : text;
+	};
+
+	/**
+	 * CSV with a header row, one prompt per row (RFC 4180, CRLF line ends)
+	 * @param {Array} prompts - Prompt records
+	 * @param {Array} collections - Collection list
+	 * @returns {string} CSV
+	 */
+	const promptsToCSV = (prompts, collections) => [
+		CSV_COLUMNS,
+		...prompts.map(p => {
+			const fields = { ...textExportFields(p, collections), content: p.content || '' };
+			return CSV_COLUMNS.map(column => (column === 'tags' ? fields.tags.join(', ') : fields[column]));
+		})
+	].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+
+	/**
+	 * Parse CSV text. Quoted fields may hold commas, quotes ("") and line
+	 * breaks; a comma- or semicolon-separated file is detected from the header.
+	 * @param {string} text - File contents
+	 * @returns {string[][]} Rows of cells, blank rows dropped
+	 */
+	const parseCSV = (text) => {
+		const source = String(text).replace(/^\uFEFF/, '');
+		const firstLine = source.split(/\r?\n/, 1)[0];
+		const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+		const rows = [];
+		let row = [];
+		let cell = '';
+		let quoted = false;
+		for (let i = 0; i < source.length; i++) {
+			const ch = source[i];
+			if (quoted) {
+				if (ch === '"' && source[i + 1] === '"') { cell += '"'; i++; }
+				else if (ch === '"') quoted = false;
+				else cell += ch;
+			} else if (ch === '"' && cell === '') {
+				quoted = true;
+			} else if (ch === delimiter) {
+				row.push(cell);
+				cell = '';
+			} else if (ch === '\n' || ch === '\r') {
+				if (ch === '\r' && source[i + 1] === '\n') i++;
+				row.push(cell);
+				rows.push(row);
+				row = [];
+				cell = '';
+			} else {
+				cell += ch;
+			}
+		}
+		if (cell !== '' || row.length) {
+			row.push(cell);
+			rows.push(row);
+		}
+		// Undo the formula guard added by csvCell
+		return rows.filter(r => r.some(c => c.trim() !== ''))
+			.map(r => r.map(c => (/^'[=+\-@\t\r]/.test(c) ? c.slice(1) : c)));
+	};
+
+	/**
+	 * Guess which CSV column feeds each prompt field from the header names
+	 * @param {string[]} headers - Header row
+	 * @returns {Object} Field to column index, -1 when there is no match
+	 */
+	const guessCSVMapping = (headers) => {
+		const synonyms = {
+			title: ['title', 'name', 'prompt name', 'subject'],
+			content: ['content', 'prompt', 'text', 'body', 'prompt text'],
+			model: ['model', 'ai model', 'llm'],
+			rating: ['rating', 'stars', 'score'],
+			tags: ['tags', 'tag', 'labels', 'keywords'],
+			collection: ['collection', 'folder', 'category', 'group'],
+			snippet: ['snippet', 'snippet name'],
+			created: ['created', 'created at', 'date'],
+			updated: ['updated', 'updated at', 'modified'],
+			id: ['id']
+		};
+		const keys = headers.map(h => String(h).trim().toLowerCase().replace(/[_-]+/g, ' '));
+		return Object.fromEntries(CSV_COLUMNS.map(field => [field, keys.findIndex(k => synonyms[field].includes(k))]));
+	};
+
+	/**
+	 * Turn CSV rows into drafts using a column mapping
+	 * @param {string[][]} rows - Data rows, without the header
+	 * @param {Object} mapping - Field to column index (-1 for none)
+	 * @returns {Object[]} Drafts; rows without content are skipped
+	 */
+	const draftsFromCSV = (rows, mapping) => rows.map((row, n) => {
+		const get = (field) => (mapping[field] >= 0 ? String(row[mapping[field]] ?? '').trim() : '');
+		const rating = get('rating');
+		return {
+			title: get('title') || 'Row ' + (n + 2),
+			content: mapping.content >= 0 ? String(row[mapping.content] ?? '').replace(/\r\n?/g, '\n').trim() : '',
+			id: get('id') || null,
+			model: get('model'),
+			rating: rating === '' ? null : Number(rating),
+			tags: get('tags').split(/[,;]/),
+			collection: get('collection'),
+			snippetName: get('snippet'),
+			createdAt: get('created'),
+			updatedAt: get('updated')
+		};
+	}).filter(d => d.content);
+
+	// ===== END MARKDOWN & CSV FORMATS =====
+
+	// ===== EXPORT / IMPORT SYSTEM =====
+	const formatFilename = (prefix, extension = 'json') => {
+		const ts = new Date().toISOString().replace(/[:.]/g, '-');
+		return `${prefix}-${ts}.${extension}`;
+	};
+
+	const downloadText = (text, filename, type) => {
+		const blob = new Blob([text], { type });
+		const url = URL.createObjectURL(blob);
+		const a = document.createElement('a');
+		a.href = url;
+		a.download = filename;
+		a.style.display = 'none';
+		document.body.appendChild(a);
+		a.click();
+		a.remove();
+		setTimeout(() => URL.revokeObjectURL(url), 5000);
+	};
+
+	const setImportStatus = (msg, isError = false) => {
+		const el = document.getElementById('import-status');
+		if (!el) return;
+		el.textContent = msg;
+		el.style.color = isError ? 'var(--danger)' : '';
+	};
+
+	const setImportReport = (rejected) => {
+		const el = document.getElementById('import-report');
+		if (!el) return;
+		el.hidden = !rejected.length;
+		el.querySelector('summary').textContent = rejected.length + ' rejected prompt' + (rejected.length === 1 ? '' : 's');
+		const list = el.querySelector('ul');
+		list.innerHTML = '';
+		rejected.forEach(r => {
+			const li = document.createElement('li');
+			const label = document.createElement('strong');
+			label.textContent = '#' + (r.index + 1) + (r.id !== undefined ? ' (id ' + r.id + ')' : '') + (r.title ? ' "' + r.title + '"' : '') + ': ';
+			li.appendChild(label);
+			li.appendChild(document.createTextNode(r.errors.join('; ')));
+			list.appendChild(li);
+		});
+	};
+
+	// Export formats offered next to the Export button
+	const EXPORT_FORMATS = {
+		json: { label: 'JSON', extension: 'json', type: 'application/json', build: (prompts, collections) => JSON.stringify(buildExportPayload(prompts, collections), null, 2) },
+		markdown: { label: 'Markdown', extension: 'md', type: 'text/markdown', build: promptsToMarkdown },
+		csv: { label: 'CSV', extension: 'csv', type: 'text/csv', build: promptsToCSV }
+	};
+
+	/**
+	 * Encrypt a JSON file under a passphrase the user picks for it
+	 * @param {string} text - File contents
+	 * @returns {Promise<string|null>} Encrypted file contents, or null when cancelled
+	 */
+	const encryptFileText = async (text) => {
+		const passphrase = await askPassphrase({
+			title: 'Encrypt file',
+			message: 'Pick a passphrase for this file. Importing it will ask for the passphrase, and it cannot be recovered.',
+			submitLabel: 'Encrypt and download',
+			confirm: true
+		});
+		return passphrase === null ? null : JSON.stringify(await encryptExport(text, passphrase), null, 2);
+	};
+
+	/**
+	 * Download the library, or the prompts the list currently shows
+	 * @param {string} [formatId] - Key of EXPORT_FORMATS
+	 * @param {string} [scope] - 'all' or 'view'
+	 * @param {boolean} [encrypt] - Encrypt a JSON export under a passphrase
+	 */
+	const exportPrompts = async (formatId = 'json', scope = 'all', encrypt = false) => {
+		const format = EXPORT_FORMATS[formatId] || EXPORT_FORMATS.json;
+		let prompts = getPrompts();
+		if (scope === 'view') {
+			const byId = new Map(prompts.map(p => [String(p.id), p]));
+			prompts = (listView ? listView.prompts : []).map(p => byId.get(String(p.id))).filter(Boolean);
+		}
+		if (!prompts.length) {
+			setImportStatus('Nothing to export: the current view has no prompts.', true);
+			return;
+		}
+		try {
+			const text = format.build(prompts, getCollections());
+			if (encrypt && format === EXPORT_FORMATS.json) {
+				const encrypted = await encryptFileText(text);
+				if (encrypted === null) {
+					setImportStatus('Export cancelled.');
+					return;
+				}
+				downloadText(encrypted, formatFilename('prompts-export-encrypted'), format.type);
+				setImportStatus('Exported ' + prompts.length + ' prompt' + (prompts.length === 1 ? '' : 's') + ' as encrypted JSON. Keep the passphrase: the file cannot be opened without it.');
+				return;
+			}
+			downloadText(text, formatFilename('prompts-export', format.extension), format.type);
+			setImportStatus('Exported ' + prompts.length + ' prompt' + (prompts.length === 1 ? '' : 's') + ' as ' + format.label + '.' +
+				(format === EXPORT_FORMATS.json ? '' : ' ' + format.label + ' keeps title, model, rating, tags, collection, snippet name and content; export JSON to keep notes, history, runs and variants too.'));
+		} catch (err) {
+			console.error('Export failed', err);
+			setImportStatus('Export failed: ' + String(err), true);
+		}
+	};
+
+	const importPrompts = async (file) => {
+		if (!file) return;
+		setImportStatus('Reading file...');
+		const text = await file.text().catch(err => { throw new Error('Failed to read file: ' + err.message); });
+		let data;
+		try { data = JSON.parse(text); }
+		catch (e) { setImportStatus('Invalid JSON: ' + e.message, true); return; }
+
+		if (isEncryptedExport(data)) {
+			setImportStatus('The file is encrypted. Enter its passphrase to continue.');
+			const decrypted = await askPassphrase({
+				title: 'Encrypted file',
+				message: '"' + (file.name || 'The file') + '" is encrypted. Enter the passphrase it was exported with.',
+				submitLabel: 'Decrypt',
+				verify: (passphrase) => decryptExport(data, passphrase)
+			});
+			if (decrypted === null) { setImportStatus('Import cancelled.'); return; }
+			try { data = JSON.parse(decrypted); }
+			catch (e) { setImportStatus('Invalid JSON in the encrypted file: ' + e.message, true); return; }
+		}
+
+		// Migrate and validate each prompt; rejected ones are reported, not imported
+		let exported;
+		try { exported = readExport(data); }
+		catch (e) { setImportStatus('Invalid export format: ' + e.message, true); return; }
+		const { accepted, rejected } = exported;
+		setImportReport(rejected);
+		if (!accepted.length && rejected.length) {
+			setImportStatus('Import failed: all ' + rejected.length + ' prompts were rejected.', true);
+			return;
+		}
+
+		setImportStatus('Review the import to continue.');
+		openImportWizard({
+			fileName: file.name || 'import.json',
+			originalVersion: exported.originalVersion,
+			data: exported.data,
+			accepted,
+			rejected,
+			analysis: findImportConflicts(getPrompts(), accepted)
+		});
+	};
+
+	// Model for imported prompts that do not name one: the library's most used model
+	const defaultImportModel = () => {
+		const used = computeStats(getPrompts()).mostUsedModel;
+		return used && used !== 'unknown' ? used : (getModels()[0]?.id || 'gpt-4o');
+	};
+
+	// Any date the browser can parse, as an ISO timestamp; null otherwise
+	const importedDate = (value) => {
+		const date = value ? new Date(value) : null;
+		return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+	};
+
+	/**
+	 * Build a prompt record from an imported draft
+	 * @param {Object} draft - From parseMarkdownPrompts, parseTextPrompt, draftsFromCSV or a share link
+	 * @param {Object} options - { defaultModel, collections (new paths are appended), source: format label }
+	 * @returns {Object} Prompt record; its id is null when the draft had none
+	 */
+	const recordFromDraft = (draft, { defaultModel, collections, source }) => {
+		const model = canonicalModel(String(draft.model || '').trim() || defaultModel).slice(0, 100);
+		const content = String(draft.content || '');
+		const title = String(draft.title || '').trim().slice(0, 120) || 'Untitled';
+		const createdAt = importedDate(draft.createdAt) || new Date().toISOString();
+		const updatedAt = importedDate(draft.updatedAt) || createdAt;
+		const snippetName = normalizeSnippetName(draft.snippetName);
+		// A CSV cell or front matter can hold any text; an id that is not safe in markup gets a new one (see buildTextImport)
+		const rawId = typeof draft.id === 'number' || /^\d+$/.test(String(draft.id ?? '')) ? Number(draft.id) : String(draft.id ?? '').trim();
+		const id = isValidPromptId(rawId) ? rawId : null;
+		const record = {
+			schemaVersion: SCHEMA_VERSION,
+			id,
+			title,
+			content,
+			userRating: 0,
+			metadata: { model, createdAt, updatedAt: updatedAt < createdAt ? createdAt : updatedAt, tokenEstimate: countTokens(content, model) },
+			revisions: [],
+			notes: Array.isArray(draft.notes) ? draft.notes.map((text, i) => ({ id: Date.now() + i, text: String(text), updatedAt: Date.now() })) : [],
+			tags: parseTags(draft.tags || []),
+			collectionId: collectionIdForPath(collections, draft.collection),
+			archivedAt: null,
+			trashedAt: null,
+			runs: [],
+			variantName: DEFAULT_VARIANT_NAME,
+			variants: [],
+			snippetName: SNIPPET_NAME_PATTERN.test(snippetName) && snippetName.length <= SNIPPET_NAME_LIMIT ? snippetName : null
+		};
+		record.revisions.push({ ...createRevision(record, { title, model, content }), createdAt });
+		// A rating becomes a run, the way ratings from before the run log did
+		const rating = Math.round(Number(draft.rating));
+		if (isRunRating(rating)) {
+			record.runs.push({ ...createRun(record, { model, input: content, rating, verdict: 'Rating imported from ' + source }), id: 1, createdAt: updatedAt });
+			syncUserRating(record);
+		}
+		return record;
+	};
+
+	/**
+	 * Turn drafts into a migrated export payload and the wizard's analysis
+	 * @param {Object[]} drafts - Imported drafts
+	 * @param {string} defaultModel - For drafts without a model
+	 * @param {string} source - Format label, e.g. 'CSV'
+	 * @returns {Object} { data, accepted, rejected, analysis }
+	 */
+	const buildTextImport = (drafts, defaultModel, source) => {
+		const existing = getPrompts();
+		const collections = getCollections();
+		const known = collections.length;
+		const taken = new Set(existing.map(p => String(p.id)));
+		const seen = new Set();
+		let nextId = Date.now();
+		const records = drafts.map(d => {
+			const record = recordFromDraft(d, { defaultModel, collections, source });
+			// Drafts without an id, or repeating one from the same import, get a new one
+			if (record.id === null || seen.has(String(record.id))) {
+				while (taken.has(String(nextId)) || seen.has(String(nextId))) nextId++;
+				record.id = nextId++;
+			}
+			seen.add(String(record.id));
+			return record;
+		});
+		const data = { version: EXPORT_VERSION, exportedAt: new Date().toISOString(), prompts: records, collections: collections.slice(known) };
+		const { accepted, rejected } = validatePromptRecords(records);
+		return { data, accepted, rejected, analysis: findImportConflicts(existing, accepted) };
+	};
+
+	/**
+	 * Start a Markdown / plain-text import from one or more files, e.g. a folder.
+	 * Subfolders become collections unless a file names its own.
+	 * @param {File[]} files - .md, .markdown and .txt files
+	 * @param {number} skipped - Other files that were picked and ignored
+	 */
+	const importTextFiles = async (files, skipped) => {
+		setImportStatus('Reading ' + files.length + ' file' + (files.length === 1 ? '' : 's') + '...');
+		const drafts = [];
+		for (const file of files) {
+			const text = await file.text().catch(err => { throw new Error('Failed to read ' + file.name + ': ' + err.message); });
+			// webkitRelativePath is "Picked folder/sub/file.md"; the picked folder itself is not a collection
+			const folder = String(file.webkitRelativePath || '').split('/').slice(1, -1).join(' / ');
+			const parsed = fileExtension(file.name) === 'txt' ? parseTextPrompt(text, file.name) : parseMarkdownPrompts(text, file.name);
+			parsed.forEach(d => drafts.push({ ...d, collection: d.collection || folder }));
+		}
+		if (!drafts.length) {
+			setImportStatus('Nothing to import: the files are empty.', true);
+			return;
+		}
+		const prepared = buildTextImport(drafts, defaultImportModel(), 'Markdown');
+		setImportReport(prepared.rejected);
+		setImportStatus('Review the import to continue.' + (skipped ? ' ' + skipped + ' file' + (skipped === 1 ? ' was' : 's were') + ' skipped (only .md and .txt are read).' : ''));
+		openImportWizard({
+			fileName: files.length === 1 ? files[0].name : files.length + ' files',
+			format: files.every(f => fileExtension(f.name) === 'txt') ? 'Plain text' : 'Markdown',
+			...prepared
+		});
+	};
+
+	// A CSV import starts with the column mapping step
+	const importCSV = async (file) => {
+		setImportStatus('Reading file...');
+		const text = await file.text().catch(err => { throw new Error('Failed to read file: ' + err.message); });
+		const rows = parseCSV(text);
+		if (rows.length < 2) {
+			setImportStatus('Nothing to import: a CSV file needs a header row and at least one prompt row.', true);
+			return;
+		}
+		setImportReport([]);
+		setImportStatus('Map the CSV columns to continue.');
+		openImportWizard({
+			fileName: file.name || 'import.csv',
+			format: 'CSV',
+			step: 'mapping',
+			csv: { headers: rows[0].map(h => h.trim()), rows: rows.slice(1), mapping: guessCSVMapping(rows[0]), defaultModel: defaultImportModel() }
+		});
+	};
+
+	/**
+	 * Import picked files: a JSON export, a CSV file, or Markdown / text files
+	 * @param {File[]} files - Files from the file or folder picker
+	 */
+	const importFiles = async (files) => {
+		if (!files.length) return;
+		const ext = (f) => fileExtension(f.name);
+		const text = files.filter(f => TEXT_IMPORT_EXTENSIONS.includes(ext(f)));
+		try {
+			if (text.length) {
+				await importTextFiles(text, files.length - text.length);
+			} else if (files.length > 1) {
+				setImportStatus('Pick one JSON or CSV file at a time, or Markdown / text files.', true);
+			} else if (ext(files[0]) === 'csv') {
+				await importCSV(files[0]);
+			} else {
+				await importPrompts(files[0]);
+			}
+		} catch (err) {
+			console.error('Import failed', err);
+			setImportStatus('Import failed: ' + err.message, true);
+		}
+	};
+
+	/**
+	 * Write a planned import: back up, save prompts and collections, roll back on failure
+	 * @param {Object} data - Migrated export payload (for its collections)
+	 * @param {Object} plan - Result of planImport
+	 * @param {number} rejectedCount - Prompts rejected by validation, for the status line
+	 */
+	const applyImport = async (data, plan, rejectedCount) => {
+		// Backup existing data
+		const existing = getPrompts();
+		const rawCollections = localStorage.getItem(COLLECTIONS_KEY);
+		let backupKey = '';
+		try { backupKey = await createBackup('Before import', existing); }
+		catch (e) { console.warn('Failed to write backup', e); }
+
+		try {
+			const collections = mergeCollections(getCollections(), data.collections);
+			// Final save
+			const collectionsBefore = getCollections();
+			saveCollections(collections);
+			canonicalizeModels(plan.prompts);
+			const s = plan.summary;
+			recordHistory('imported ' + (s.added + s.replaced + s.merged + s.keptBoth) + ' prompts', existing, plan.prompts,
+				{ collections: { before: collectionsBefore, after: collections } });
+			await savePrompts(plan.prompts);
+			setImportStatus('Import complete: ' + s.added + ' added, ' + s.replaced + ' replaced, ' + s.merged + ' merged, ' +
+				s.keptBoth + ' kept both, ' + s.skipped + ' skipped' + (rejectedCount ? ', ' + rejectedCount + ' rejected' : '') +
+				(backupKey ? '. Previous state saved in Backups.' : '. No backup could be saved.'), rejectedCount > 0);
+			renderPrompts();
+		} catch (err) {
+			console.error('Import failed, attempting rollback', err);
+			// Rollback
+			try {
+				await savePrompts(existing);
+				if (rawCollections === null) localStorage.removeItem(COLLECTIONS_KEY);
+				else localStorage.setItem(COLLECTIONS_KEY, rawCollections);
+				setImportStatus('Import failed, rolled back to previous state.', true);
+			} catch (rbErr) {
+				console.error('Rollback failed', rbErr);
+				setImportStatus('Import failed and rollback failed: ' + rbErr.message, true);
+			}
+			renderPrompts();
+		}
+	};
+
+	// ----- Import wizard (modal) -----
+	const wizardEl = document.getElementById('import-wizard');
+	const wizardBody = wizardEl.querySelector('.modal-body');
+	const wizardFooter = wizardEl.querySelector('.modal-footer');
+	const WIZARD_ACTIONS = [
+		['keep', 'Keep existing'],
+		['replace', 'Replace'],
+		['both', 'Keep both'],
+		['merge', 'Merge fields']
+	];
+	let wizard = null;
+
+	const defaultResolutions = (analysis) => analysis.conflicts.map(c => ({ action: 'keep', fields: defaultMergeFields(c.existing, c.incoming) }));
+
+	// Field labels for the CSV mapping step, in CSV_COLUMNS order
+	const CSV_FIELD_LABELS = {
+		title: 'Title', content: 'Content', model: 'Model', rating: 'Rating (1-5)', tags: 'Tags', collection: 'Collection',
+		snippet: 'Snippet name', created: 'Created', updated: 'Updated', id: 'Id'
+	};
+
+	/**
+	 * Column mapping step of a CSV import
+	 * @param {Object} csv - { headers, rows, mapping, defaultModel, error? }
+	 */
+	const renderCSVMapping = (csv) => {
+		const intro = document.createElement('p');
+		intro.textContent = wizard.fileName + ': ' + csv.rows.length + ' row' + (csv.rows.length === 1 ? '' : 's') + '. Pick the column for each field; rows without content are skipped.';
+		wizardBody.appendChild(intro);
+		const table = document.createElement('div');
+		table.className = 'csv-mapping';
+		CSV_COLUMNS.forEach(field => {
+			const label = document.createElement('label');
+			label.htmlFor = 'csv-map-' + field;
+			label.textContent = CSV_FIELD_LABELS[field];
+			const select = document.createElement('select');
+			select.id = label.htmlFor;
+			select.dataset.csvField = field;
+			['(none)', ...csv.headers].forEach((header, i) => {
+				const opt = document.createElement('option');
+				opt.value = String(i - 1);
+				opt.textContent = i ? header || 'Column ' + i : header;
+				select.appendChild(opt);
+			});
+			select.value = String(csv.mapping[field]);
+			table.appendChild(label);
+			table.appendChild(select);
+		});
+		const modelLabel = document.createElement('label');
+		modelLabel.htmlFor = 'csv-default-model';
+		modelLabel.textContent = 'Model for rows without one';
+		const modelInput = document.createElement('input');
+		modelInput.type = 'text';
+		modelInput.id = modelLabel.htmlFor;
+		modelInput.dataset.csvDefaultModel = '';
+		modelInput.maxLength = 100;
+		modelInput.value = csv.defaultModel;
+		modelInput.setAttribute('list', 'model-suggestions');
+		table.appendChild(modelLabel);
+		table.appendChild(modelInput);
+		wizardBody.appendChild(table);
+
+		const sample = draftsFromCSV(csv.rows.slice(0, 3), csv.mapping);
+		const heading = document.createElement('h3');
+		heading.textContent = 'First rows';
+		wizardBody.appendChild(heading);
+		const list = document.createElement('ul');
+		list.className = 'wizard-prompt-list';
+		if (!sample.length) {
+			const li = document.createElement('li');
+			li.textContent = 'No content in the first rows; check the Content column.';
+			list.appendChild(li);
+		}
+		sample.forEach(d => {
+			const li = document.createElement('li');
+			const title = document.createElement('span');
+			title.textContent = d.title + ' · ' + (d.model || csv.defaultModel) + ' · ' + wordPreview(d.content);
+			li.appendChild(title);
+			list.appendChild(li);
+		});
+		wizardBody.appendChild(list);
+		if (csv.error) {
+			const error = document.createElement('p');
+			error.className = 'csv-mapping-error';
+			error.setAttribute('role', 'alert');
+			error.textContent = csv.error;
+			wizardBody.appendChild(error);
+		}
+		wizardFooter.appendChild(wizardButton('Cancel', 'wizard-cancel'));
+		wizardFooter.appendChild(wizardButton('Continue', 'wizard-map', true));
+	};
+
+	const openImportWizard = (state) => {
+		wizard = {
+			...state,
+			step: state.step || 'preview',
+			returnFocus: document.activeElement,
+			resolutions: state.analysis ? defaultResolutions(state.analysis) : []
+		};
+		wizardEl.hidden = false;
+		renderImportWizard();
+	};
+
+	const closeImportWizard = (cancelled) => {
+		if (!wizard) return;
+		const returnFocus = wizard.returnFocus;
+		wizard = null;
+		wizardEl.hidden = true;
+		wizardBody.innerHTML = '';
+		wizardFooter.innerHTML = '';
+		if (cancelled) setImportStatus('Import cancelled.');
+		if (returnFocus instanceof HTMLElement) returnFocus.focus();
+	};
+
+	const wizardButton = (text, action, primary = false) => {
+		const btn = document.createElement('button');
+		btn.type = 'button';
+		btn.className = primary ? 'primary-btn' : 'card-btn';
+		btn.dataset.action = action;
+		btn.textContent = text;
+		return btn;
+	};
+
+	const incomingCollectionName = (id) => {
+		if (id == null) return 'Unfiled';
+		const local = collectionPath(getCollections(), id);
+		if (local) return local;
+		const list = Array.isArray(wizard?.data.collections) ? wizard.data.collections : [];
+		return collectionPath(list, id) || 'Unfiled';
+	};
+
+	const formatField = (p, field) => {
+		switch (field) {
+			case 'model': return p.metadata.model;
+			case 'runs': return formatRatingSummary(ratingSummary(p));
+			case 'variants': return variantList(p).map(v => v.name + ' · ' + v.model).join('\n');
+			case 'tags': return p.tags.length ? p.tags.map(t => '#' + t).join(' ') : '—';
+			case 'notes': return p.notes.length ? p.notes.map(n => '• ' + n.text).join('\n') : '—';
+			case 'collectionId': return incomingCollectionName(p.collectionId);
+			default: return String(p[field] ?? '');
+		}
+	};
+
+	const buildConflictTable = (conflict, index) => {
+		const resolution = wizard.resolutions[index];
+		const merging = resolution.action === 'merge';
+		const table = document.createElement('table');
+		table.className = 'conflict-table';
+		const head = document.createElement('tr');
+		['Field', 'Existing', 'Incoming'].concat(merging ? ['Use'] : []).forEach(text => {
+			const th = document.createElement('th');
+			th.scope = 'col';
+			th.textContent = text;
+			head.appendChild(th);
+		});
+		table.appendChild(head);
+		[['title', 'Title'], ['model', 'Model'], ['content', 'Content'], ['variants', 'Variants'], ['runs', 'Runs'], ['tags', 'Tags'], ['notes', 'Notes'], ['collectionId', 'Collection']]
+			.forEach(([field, label]) => {
+				const existingText = formatField(conflict.existing, field);
+				const incomingText = formatField(conflict.incoming, field);
+				const row = document.createElement('tr');
+				if (existingText !== incomingText) row.className = 'differs';
+				const th = document.createElement('th');
+				th.scope = 'row';
+				th.textContent = label;
+				row.appendChild(th);
+				[existingText, incomingText].forEach(text => {
+					const td = document.createElement('td');
+					const pre = document.createElement('pre');
+					pre.textContent = text;
+					td.appendChild(pre);
+					row.appendChild(td);
+				});
+				if (merging) {
+					const td = document.createElement('td');
+					if (MERGE_FIELDS.includes(field)) {
+						[['existing', 'Existing'], ['incoming', 'Incoming']].forEach(([value, text]) => {
+							const label = document.createElement('label');
+							label.className = 'choice';
+							const radio = document.createElement('input');
+							radio.type = 'radio';
+							radio.name = 'merge-' + index + '-' + field;
+							radio.value = value;
+							radio.checked = resolution.fields[field] === value;
+							radio.dataset.conflict = String(index);
+							radio.dataset.field = field;
+							label.appendChild(radio);
+							label.appendChild(document.createTextNode(' ' + text));
+							td.appendChild(label);
+						});
+					} else {
+						td.textContent = 'Union of both';
+					}
+					row.appendChild(td);
+				}
+				table.appendChild(row);
+			});
+		return table;
+	};
+
+	const renderImportWizard = () => {
+		if (!wizard) return;
+		const scrollTop = wizardBody.scrollTop;
+		wizardBody.innerHTML = '';
+		wizardFooter.innerHTML = '';
+		if (wizard.step === 'mapping') {
+			renderCSVMapping(wizard.csv);
+			wizardBody.scrollTop = scrollTop;
+			return;
+		}
+		const { analysis, rejected } = wizard;
+		const conflictCount = analysis.conflicts.length;
+
+		if (wizard.step === 'preview') {
+			const facts = document.createElement('dl');
+			facts.className = 'wizard-facts';
+			const byContent = analysis.conflicts.filter(c => c.matchedBy === 'content').length;
+			// Markdown, text and CSV imports have no version or export date
+			const origin = wizard.format ? [['Format', wizard.format]] : [
+				['Format version', wizard.originalVersion === wizard.data.version ? wizard.data.version : wizard.originalVersion + ' (upgraded to ' + wizard.data.version + ')'],
+				['Exported', new Date(wizard.data.exportedAt).toLocaleString()]
+			];
+			[
+				['File', wizard.fileName],
+				...origin,
+				['Prompts in file', String(wizard.data.prompts.length)],
+				['Rejected as invalid', String(rejected.length)],
+				['New prompts', String(analysis.additions.length)],
+				['Already in library (identical)', String(analysis.unchanged.length)],
+				['Conflicts', conflictCount + (conflictCount ? ' (' + (conflictCount - byContent) + ' same id, ' + byContent + ' same content)' : '')]
+			].forEach(([term, value]) => {
+				const dt = document.createElement('dt');
+				dt.textContent = term;
+				const dd = document.createElement('dd');
+				dd.textContent = value;
+				facts.appendChild(dt);
+				facts.appendChild(dd);
+			});
+			wizardBody.appendChild(facts);
+
+			const list = document.createElement('ul');
+			list.className = 'wizard-prompt-list';
+			const status = new Map();
+			analysis.additions.forEach(p => status.set(p, 'New'));
+			analysis.unchanged.forEach(p => status.set(p, 'Unchanged'));
+			analysis.conflicts.forEach(c => status.set(c.incoming, c.matchedBy === 'id' ? 'Conflict (same id)' : 'Conflict (same content)'));
+			wizard.accepted.forEach(p => {
+				const li = document.createElement('li');
+				const title = document.createElement('span');
+				title.textContent = p.title + ' · ' + p.metadata.model;
+				const badge = document.createElement('span');
+				badge.className = 'wizard-badge';
+				badge.textContent = status.get(p);
+				li.appendChild(title);
+				li.appendChild(badge);
+				list.appendChild(li);
+			});
+			wizardBody.appendChild(list);
+
+			wizardFooter.appendChild(wizardButton('Cancel', 'wizard-cancel'));
+			if (wizard.csv) wizardFooter.appendChild(wizardButton('Back', 'wizard-mapping'));
+			wizardFooter.appendChild(wizardButton(conflictCount ? 'Resolve ' + conflictCount + ' conflict' + (conflictCount === 1 ? '' : 's') : 'Review changes', conflictCount ? 'wizard-conflicts' : 'wizard-summary', true));
+		} else if (wizard.step === 'conflicts') {
+			const bulk = document.createElement('div');
+			bulk.className = 'wizard-bulk';
+			bulk.appendChild(document.createTextNode('Apply to all:'));
+			WIZARD_ACTIONS.forEach(([action, text]) => {
+				const btn = wizardButton(text, 'wizard-bulk');
+				btn.dataset.resolution = action;
+				bulk.appendChild(btn);
+			});
+			wizardBody.appendChild(bulk);
+
+			analysis.conflicts.forEach((conflict, index) => {
+				const section = document.createElement('section');
+				section.className = 'conflict';
+				const heading = document.createElement('h3');
+				heading.textContent = '"' + conflict.incoming.title + '" — matches "' + conflict.existing.title + '" by ' + (conflict.matchedBy === 'id' ? 'id' : 'content');
+				section.appendChild(heading);
+				const actions = document.createElement('div');
+				actions.className = 'conflict-actions';
+				actions.setAttribute('role', 'radiogroup');
+				actions.setAttribute('aria-label', 'Resolution');
+				WIZARD_ACTIONS.forEach(([action, text]) => {
+					const label = document.createElement('label');
+					label.className = 'choice';
+					const radio = document.createElement('input');
+					radio.type = 'radio';
+					radio.name = 'resolution-' + index;
+					radio.value = action;
+					radio.checked = wizard.resolutions[index].action === action;
+					radio.dataset.conflict = String(index);
+					label.appendChild(radio);
+					label.appendChild(document.createTextNode(' ' + text));
+					actions.appendChild(label);
+				});
+				section.appendChild(actions);
+				section.appendChild(buildConflictTable(conflict, index));
+				wizardBody.appendChild(section);
+			});
+
+			wizardFooter.appendChild(wizardButton('Back', 'wizard-preview'));
+			wizardFooter.appendChild(wizardButton('Review changes', 'wizard-summary', true));
+		} else {
+			const plan = planImport(getPrompts(), analysis, wizard.resolutions);
+			wizard.plan = plan;
+			const s = plan.summary;
+			const intro = document.createElement('p');
+			intro.textContent = 'Nothing has been written yet. Importing will first save a backup of your current library, then:';
+			wizardBody.appendChild(intro);
+			const list = document.createElement('ul');
+			list.className = 'wizard-summary';
+			[
+				[s.added, 'new prompt(s) added'],
+				[s.replaced, 'existing prompt(s) replaced'],
+				[s.merged, 'prompt(s) merged field by field'],
+				[s.keptBoth, 'imported copy(ies) added next to the existing prompt'],
+				[s.skipped, 'conflict(s) skipped, keeping the existing prompt'],
+				[s.unchanged, 'identical prompt(s) ignored'],
+				[rejected.length, 'invalid prompt(s) rejected'],
+				[s.renamedSnippets, 'snippet(s) renamed because the name was taken']
+			].forEach(([count, text]) => {
+				const li = document.createElement('li');
+				if (!count) li.className = 'muted';
+				li.textContent = count + ' ' + text;
+				list.appendChild(li);
+			});
+			wizardBody.appendChild(list);
+			const total = document.createElement('p');
+			total.textContent = 'Library size: ' + getPrompts().length + ' → ' + plan.prompts.length + ' prompts.';
+			wizardBody.appendChild(total);
+
+			wizardFooter.appendChild(wizardButton('Back', conflictCount ? 'wizard-conflicts' : 'wizard-preview'));
+			wizardFooter.appendChild(wizardButton('Import', 'wizard-confirm', true));
+		}
+		wizardBody.scrollTop = scrollTop;
+		wizardFooter.querySelector('.primary-btn')?.focus();
+	};
+
+	wizardEl.addEventListener('click', async (e) => {
+		const target = e.target;
+		if (!(target instanceof HTMLElement) || !wizard) return;
+		if (target === wizardEl) { closeImportWizard(true); return; }
+		const action = target.dataset.action;
+		if (action === 'wizard-cancel') {
+			closeImportWizard(true);
+		} else if (action === 'wizard-map') {
+			const { csv } = wizard;
+			const drafts = draftsFromCSV(csv.rows, csv.mapping);
+			if (csv.mapping.content < 0 || !drafts.length) {
+				csv.error = 'No rows have content. Pick the column that holds the prompt text.';
+				renderImportWizard();
+				return;
+			}
+			const prepared = buildTextImport(drafts, csv.defaultModel.trim() || defaultImportModel(), 'CSV');
+			Object.assign(wizard, prepared, { step: 'preview', resolutions: defaultResolutions(prepared.analysis) });
+			csv.error = '';
+			setImportReport(prepared.rejected);
+			setImportStatus('Review the import to continue.');
+			wizardBody.scrollTop = 0;
+			renderImportWizard();
+		} else if (action === 'wizard-preview' || action === 'wizard-conflicts' || action === 'wizard-summary' || action === 'wizard-mapping') {
+			wizard.step = action.slice('wizard-'.length);
+			wizardBody.scrollTop = 0;
+			renderImportWizard();
+		} else if (action === 'wizard-bulk') {
+			wizard.resolutions.forEach(r => { r.action = target.dataset.resolution; });
+			renderImportWizard();
+		} else if (action === 'wizard-confirm') {
+			const { data, plan, rejected } = wizard;
+			closeImportWizard(false);
+			await applyImport(data, plan, rejected.length);
+		}
+	});
+
+	wizardEl.addEventListener('change', (e) => {
+		const target = e.target;
+		if (target instanceof HTMLSelectElement && target.dataset.csvField && wizard?.csv) {
+			wizard.csv.mapping[target.dataset.csvField] = Number(target.value);
+			renderImportWizard();
+			return;
+		}
+		// Kept without re-rendering, so a click on Continue is not lost
+		if (target instanceof HTMLInputElement && 'csvDefaultModel' in target.dataset && wizard?.csv) {
+			wizard.csv.defaultModel = target.value;
+			return;
+		}
+		if (!(target instanceof HTMLInputElement) || !wizard || target.type !== 'radio') return;
+		const resolution = wizard.resolutions[Number(target.dataset.conflict)];
+		if (!resolution) return;
+		if (target.dataset.field) {
+			resolution.fields[target.dataset.field] = target.value;
+		} else {
+			resolution.action = target.value;
+			// The merge column only exists while "merge" is selected
+			renderImportWizard();
+		}
+	});
+
+	wizardEl.addEventListener('keydown', (e) => {
+		if (e.key === 'Escape') closeImportWizard(true);
+	});
+
+	// ===== SHARE LINKS =====
+	// A shared prompt travels in the URL fragment, which browsers never send to a
+	// server: #share=<format>.<base64url payload>.<checksum>. Format 'z' is
+	// deflate-compressed JSON, 'j' plain JSON from browsers without CompressionStream.
+	const SHARE_PARAM = 'share';
+	const SHARE_VERSION = 1;
+	const SHARE_LINK_LIMIT = 8000; // characters; longer links get cut off by chat apps and some browsers
+	const SHARE_JSON_LIMIT = 256 * 1024; // bytes once decompressed, so a short link cannot unpack into a huge one
+	const SHARE_NOTE_LIMIT = 50;
+
+	const bytesToBase64url = (bytes) => bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+	const base64urlToBytes = (text) => {
+		if (!/^[A-Za-z0-9_-]+$/.test(text)) throw new Error('The link is damaged: it contains characters a share link never has.');
+		try {
+			return base64ToBytes(text.replace(/-/g, '+').replace(/_/g, '/'));
+		} catch (e) {
+			throw new Error('The link is damaged or was cut off.');
+		}
+	};
+
+	/**
+	 * Run bytes through a compression stream, stopping once the output passes a limit
+	 * @param {Uint8Array} bytes - Input
+	 * @param {TransformStream} transform - CompressionStream or DecompressionStream
+	 * @param {number} limit - Maximum output size in bytes
+	 * @returns {Promise<Uint8Array>} Output; rejects with 'too large' past the limit
+	 */
+	const pipeBytes = async (bytes, transform, limit = Infinity) => {
+		const reader = new Blob([bytes]).stream().pipeThrough(transform).getReader();
+		const chunks = [];
+		let size = 0;
+		for (;;) {
+			const { done, value } = await reader.read();
+			if (done) break;
+			size += value.length;
+			if (size > limit) {
+				await reader.cancel().catch(() => {});
+				throw new Error('too large');
+			}
+			chunks.push(value);
+		}
+		const out = new Uint8Array(size);
+		let offset = 0;
+		chunks.forEach(chunk => { out.set(chunk, offset); offset += chunk.length; });
+		return out;
+	};
+
+	/**
+	 * Build the payload a share link carries
+	 * @param {Object} prompt - Prompt record
+	 * @param {boolean} includeNotes - Add the prompt's notes
+	 * @returns {Object} { v, title, model, content, notes? }
+	 */
+	const sharePayload = (prompt, includeNotes) => {
+		const payload = { v: SHARE_VERSION, title: prompt.title, model: prompt.metadata.model, content: prompt.content };
+		if (includeNotes && prompt.notes.length) payload.notes = prompt.notes.slice(0, SHARE_NOTE_LIMIT).map(n => n.text);
+		return payload;
+	};
+
+	/**
+	 * Encode a share payload as a URL fragment (without the leading '#')
+	 * @param {Object} payload - From sharePayload
+	 * @returns {Promise<string>} e.g. 'share=z.<data>.<checksum>'
+	 */
+	const encodeShareFragment = async (payload) => {
+		const json = JSON.stringify(payload);
+		const bytes = new TextEncoder().encode(json);
+		const compress = typeof CompressionStream === 'function';
+		const data = compress ? await pipeBytes(bytes, new CompressionStream('deflate-raw')) : bytes;
+		return SHARE_PARAM + '=' + (compress ? 'z' : 'j') + '.' + bytesToBase64url(data) + '.' + cyrb53(json);
+	};
+
+	/**
+	 * Check a decoded share payload
+	 * @param {*} payload - Parsed JSON
+	 * @returns {string[]} Problems; empty when the payload can be previewed
+	 */
+	const validateSharePayload = (payload) => {
+		if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return ['the link does not contain a prompt'];
+		if (typeof payload.v === 'number' && payload.v > SHARE_VERSION) return ['the link was made by a newer version of this app'];
+		const errors = [];
+		if (payload.v !== SHARE_VERSION) errors.push('unknown link version ' + JSON.stringify(payload.v));
+		if (typeof payload.title !== 'string' || !payload.title.trim()) errors.push('title must be a non-empty string');
+		else if (payload.title.length > 120) errors.push('title must not exceed 120 characters');
+		if (typeof payload.model !== 'string' || !payload.model.trim()) errors.push('model must be a non-empty string');
+		else if (payload.model.length > 100) errors.push('model must not exceed 100 characters');
+		if (typeof payload.content !== 'string' || !payload.content.trim()) errors.push('content must be a non-empty string');
+		if (payload.notes !== undefined) {
+			if (!Array.isArray(payload.notes) || payload.notes.length > SHARE_NOTE_LIMIT) errors.push('notes must be a list of at most ' + SHARE_NOTE_LIMIT);
+			else if (payload.notes.some(n => typeof n !== 'string' || !n.trim())) errors.push('notes must be non-empty strings');
+		}
+		return errors;
+	};
+
+	/**
+	 * Decode a share fragment. Oversized, damaged or altered links are rejected
+	 * with a message that can be shown as is.
+	 * @param {string} fragment - location.hash, with or without the '#'
+	 * @returns {Promise<Object|null>} Payload, or null when the fragment is not a share link
+	 */
+	const decodeShareFragment = async (fragment) => {
+		const text = String(fragment || '').replace(/^#/, '');
+		if (!text.startsWith(SHARE_PARAM + '=')) return null;
+		if (text.length > SHARE_LINK_LIMIT) {
+			throw new Error('This link is too large to open (' + text.length.toLocaleString() + ' characters; the limit is ' + SHARE_LINK_LIMIT.toLocaleString() + ').');
+		}
+		const parts = text.slice(SHARE_PARAM.length + 1).split('.');
+		if (parts.length !== 3 || !['z', 'j'].includes(parts[0]) || !/^[0-9a-f]+$/.test(parts[2])) {
+			throw new Error('The link is damaged or was cut off.');
+		}
+		const [format, data, checksum] = parts;
+		let bytes = base64urlToBytes(data);
+		if (format === 'z') {
+			if (typeof DecompressionStream !== 'function') throw new Error('This browser cannot open compressed share links.');
+			try {
+				bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'), SHARE_JSON_LIMIT);
+			} catch (e) {
+				throw new Error(e.message === 'too large' ? 'This link unpacks to more than ' + Math.round(SHARE_JSON_LIMIT / 1024) + ' KB and was not opened.' : 'The link is damaged or was cut off.');
+			}
+		} else if (bytes.length > SHARE_JSON_LIMIT) {
+			throw new Error('This link is too large to open.');
+		}
+		let json;
+		try {
+			json = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+		} catch (e) {
+			throw new Error('The link is damaged or was cut off.');
+		}
+		if (cyrb53(json) !== checksum) throw new Error('The link was changed after it was made (checksum mismatch) and was not opened.');
+		let payload;
+		try {
+			payload = JSON.parse(json);
+		} catch (e) {
+			throw new Error('The link is damaged or was cut off.');
+		}
+		const errors = validateSharePayload(payload);
+		if (errors.length) throw new Error('The shared prompt is not valid: ' + errors.join('; ') + '.');
+		return payload;
+	};
+
+	const shareDialogEl = document.getElementById('share-dialog');
+	const shareTitleEl = document.getElementById('share-dialog-title');
+	const shareBody = shareDialogEl.querySelector('.modal-body');
+	// { mode: 'send', prompt, includeNotes, link } or { mode: 'receive', payload, error }
+	let share = null;
+	let shareReturnFocus = null;
+
+	const shareButton = (text, action, primary = false) => {
+		const btn = document.createElement('button');
+		btn.type = 'button';
+		btn.className = primary ? 'primary-btn' : 'note-btn';
+		btn.dataset.action = action;
+		btn.textContent = text;
+		return btn;
+	};
+
+	const renderShareSend = () => {
+		const { prompt } = share;
+		shareTitleEl.textContent = 'Share prompt';
+		const intro = document.createElement('p');
+		intro.className = 'provider-note';
+		intro.textContent = 'The prompt is packed into the link itself; nothing is uploaded. Anyone with the link can preview "' + prompt.title + '" and add it to their library.';
+		shareBody.appendChild(intro);
+		if (hasIncludes(prompt.content)) {
+			const includes = document.createElement('p');
+			includes.className = 'provider-note';
+			includes.textContent = 'Snippet includes are shared as written, so the recipient needs snippets with the same names.';
+			shareBody.appendChild(includes);
+		}
+		const notesLabel = document.createElement('label');
+		notesLabel.className = 'share-option';
+		const notes = document.createElement('input');
+		notes.type = 'checkbox';
+		notes.dataset.action = 'share-notes';
+		notes.checked = share.includeNotes;
+		notes.disabled = !prompt.notes.length;
+		notesLabel.appendChild(notes);
+		notesLabel.appendChild(document.createTextNode(' Include notes (' + prompt.notes.length + ')'));
+		shareBody.appendChild(notesLabel);
+		const link = document.createElement('input');
+		link.type = 'text';
+		link.readOnly = true;
+		link.className = 'share-link';
+		link.setAttribute('aria-label', 'Share link');
+		link.value = share.link || '';
+		shareBody.appendChild(link);
+		const status = document.createElement('p');
+		status.className = 'share-status';
+		status.setAttribute('aria-live', 'polite');
+		const tooLong = share.link && share.link.length > SHARE_LINK_LIMIT;
+		if (share.error || tooLong) {
+			status.classList.add('error');
+			status.setAttribute('role', 'alert');
+			status.textContent = share.error || 'The link is ' + share.link.length.toLocaleString() + ' characters, over the ' + SHARE_LINK_LIMIT.toLocaleString() + ' that links can safely carry.' +
+				(share.includeNotes ? ' Try leaving out the notes, or export the prompt instead.' : ' Export the prompt instead.');
+		} else {
+			status.textContent = share.link ? share.link.length.toLocaleString() + ' characters' + (share.copied ? ' · Copied.' : '') : 'Building link…';
+		}
+		shareBody.appendChild(status);
+		const actions = document.createElement('div');
+		actions.className = 'share-actions';
+		const copy = shareButton('Copy link', 'share-copy', true);
+		copy.disabled = !share.link || tooLong;
+		actions.appendChild(copy);
+		actions.appendChild(shareButton('Close', 'share-close'));
+		shareBody.appendChild(actions);
+	};
+
+	const renderShareReceive = () => {
+		shareTitleEl.textContent = 'Shared prompt';
+		if (share.error) {
+			const error = document.createElement('p');
+			error.className = 'share-status error';
+			error.setAttribute('role', 'alert');
+			error.textContent = share.error;
+			shareBody.appendChild(error);
+			const actions = document.createElement('div');
+			actions.className = 'share-actions';
+			actions.appendChild(shareButton('Close', 'share-close'));
+			shareBody.appendChild(actions);
+			return;
+		}
+		const { payload } = share;
+		const heading = document.createElement('h3');
+		heading.className = 'share-preview-title';
+		heading.textContent = payload.title;
+		shareBody.appendChild(heading);
+		const meta = document.createElement('p');
+		meta.className = 'provider-note';
+		const model = canonicalModel(payload.model);
+		meta.textContent = model + ' · ' + formatTokenEstimate(countTokens(payload.content, model)) + ' tokens';
+		shareBody.appendChild(meta);
+		const content = document.createElement('pre');
+		content.className = 'share-preview-content';
+		content.textContent = payload.content;
+		shareBody.appendChild(content);
+		if (payload.notes?.length) {
+			const list = document.createElement('ul');
+			list.className = 'share-preview-notes';
+			list.setAttribute('aria-label', 'Notes');
+			payload.notes.forEach(text => {
+				const li = document.createElement('li');
+				li.textContent = text;
+				list.appendChild(li);
+			});
+			shareBody.appendChild(list);
+		}
+		const actions = document.createElement('div');
+		actions.className = 'share-actions';
+		actions.appendChild(shareButton('Add to my library', 'share-add', true));
+		actions.appendChild(shareButton('Close', 'share-close'));
+		shareBody.appendChild(actions);
+	};
+
+	const renderShareDialog = () => {
+		shareBody.innerHTML = '';
+		if (share.mode === 'send') renderShareSend(); else renderShareReceive();
+	};
+
+	const showShareDialog = (state) => {
+		if (shareDialogEl.hidden) shareReturnFocus = document.activeElement;
+		share = state;
+		shareDialogEl.hidden = false;
+		renderShareDialog();
+		shareBody.querySelector('.primary-btn:not(:disabled), [data-action="share-close"]')?.focus();
+	};
+
+	const buildShareLink = async () => {
+		const state = share;
+		try {
+			const fragment = await encodeShareFragment(sharePayload(state.prompt, state.includeNotes));
+			state.link = window.location.origin + window.location.pathname + '#' + fragment;
+		} catch (err) {
+			state.error = 'Could not build the link: ' + err.message;
+		}
+		// The dialog may have been closed or reopened meanwhile
+		if (share === state) renderShareDialog();
+	};
+
+	const openShareDialog = (prompt) => {
+		showShareDialog({ mode: 'send', prompt, includeNotes: false, link: '' });
+		buildShareLink();
+	};
+
+	// Drop #share=… so a reload does not offer the same prompt again
+	const clearShareFragment = () => {
+		if (window.location.hash.startsWith('#' + SHARE_PARAM + '=')) {
+			window.history.replaceState(null, '', window.location.pathname + window.location.search);
+		}
+	};
+
+	const closeShareDialog = () => {
+		if (share?.mode === 'receive') clearShareFragment();
+		share = null;
+		shareDialogEl.hidden = true;
+		shareBody.innerHTML = '';
+		if (shareReturnFocus instanceof HTMLElement) shareReturnFocus.focus();
+		shareReturnFocus = null;
+	};
+
+	// Opening a link goes through the import wizard, like any other import
+	const addSharedPrompt = () => {
+		const { payload } = share;
+		const prepared = buildTextImport([{ title: payload.title, model: payload.model, content: payload.content, notes: payload.notes }], defaultImportModel(), 'a shared link');
+		closeShareDialog();
+		setImportReport(prepared.rejected);
+		setImportStatus('Review the shared prompt to continue.');
+		openImportWizard({ fileName: 'Shared link', format: 'Shared link', ...prepared });
+	};
+
+	const openShareFromURL = async () => {
+		if (!window.location.hash.startsWith('#' + SHARE_PARAM + '=')) return;
+		try {
+			const payload = await decodeShareFragment(window.location.hash);
+			showShareDialog({ mode: 'receive', payload, error: '' });
+		} catch (err) {
+			showShareDialog({ mode: 'receive', payload: null, error: err.message });
+		}
+	};
+
+	shareDialogEl.addEventListener('click', async (e) => {
+		const target = e.target;
+		if (!(target instanceof HTMLElement) || !share) return;
+		if (target === shareDialogEl || target.dataset.action === 'share-close') {
+			closeShareDialog();
+		} else if (target.dataset.action === 'share-copy' && share.link) {
+			try {
+				await copyToClipboard(share.link);
+				share.copied = true;
+			} catch (err) {
+				share.error = 'Copy failed: ' + err.message + '. Select the link and copy it instead.';
+			}
+			renderShareDialog();
+			shareBody.querySelector('.share-link')?.select();
+		} else if (target.dataset.action === 'share-add' && share.payload) {
+			addSharedPrompt();
+		}
+	});
+
+	shareDialogEl.addEventListener('change', (e) => {
+		const target = e.target;
+		if (!(target instanceof HTMLInputElement) || target.dataset.action !== 'share-notes' || share?.mode !== 'send') return;
+		share = { ...share, includeNotes: target.checked, link: '', error: '', copied: false };
+		renderShareDialog();
+		shareBody.querySelector('[data-action="share-notes"]')?.focus();
+		buildShareLink();
+	});
+
+	shareDialogEl.addEventListener('keydown', (e) => {
+		if (e.key === 'Escape') closeShareDialog();
+	});
+
+	window.addEventListener('hashchange', openShareFromURL);
+
+	// ===== END SHARE LINKS =====
+
+	// ===== BACKUP MANAGER =====
+	const BACKUP_SETTINGS_KEY = LIBRARY + '.backupSettings';
+	const DEFAULT_BACKUP_SETTINGS = { maxCount: 20, maxAgeDays: 0 };
+	let lastBackupStamp = 0;
+
+	const getBackupSettings = () => {
+		try {
+			const saved = JSON.parse(localStorage.getItem(BACKUP_SETTINGS_KEY) || '{}');
+			return { ...DEFAULT_BACKUP_SETTINGS, ...saved };
+		} catch (e) {
+			console.warn('Failed to parse backup settings', e);
+			return { ...DEFAULT_BACKUP_SETTINGS };
+		}
+	};
+
+	const saveBackupSettings = (settings) => {
+		try { localStorage.setItem(BACKUP_SETTINGS_KEY, JSON.stringify(settings)); }
+		catch (e) { console.error('Failed to save backup settings', e); }
+	};
+
+	/**
+	 * Pick the snapshots a retention policy would delete
+	 * @param {Array} backups - Backup summaries, any order
+	 * @param {Object} settings - { maxCount: number (0 = unlimited), maxAgeDays: number (0 = forever) }
+	 * @param {number} [now] - Current time in ms
+	 * @returns {Array} Backups to delete
+	 */
+	const selectExpiredBackups = (backups, settings, now = Date.now()) => {
+		const sorted = [...backups].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+		const maxAgeMs = settings.maxAgeDays > 0 ? settings.maxAgeDays * 86400000 : Infinity;
+		return sorted.filter((b, i) => {
+			// The newest snapshot is always kept
+			if (i === 0) return false;
+			if (settings.maxCount > 0 && i >= settings.maxCount) return true;
+			return now - new Date(b.createdAt).getTime() > maxAgeMs;
+		});
+	};
+
+	const applyBackupRetention = async () => {
+		const expired = selectExpiredBackups(await storage.listBackups(), getBackupSettings());
+		for (const b of expired) await storage.deleteBackup(b.id);
+		return expired.length;
+	};
+
+	/**
+	 * Save a snapshot of prompts (and collections), then prune old snapshots
+	 * @param {string} label - Why the snapshot was taken
+	 * @param {Array} [prompts] - Prompts to store, defaults to the current library
+	 * @param {Array} [collections] - Collections to store alongside
+	 * @returns {Promise<string>} Backup id
+	 */
+	const createBackup = async (label, prompts = getPrompts(), collections = getCollections()) => {
+		lastBackupStamp = Math.max(Date.now(), lastBackupStamp + 1);
+		const id = BACKUP_PREFIX + lastBackupStamp;
+		await storage.saveBackup({ id, createdAt: new Date(lastBackupStamp).toISOString(), label, prompts, collections });
+		try { await applyBackupRetention(); }
+		catch (e) { console.warn('Failed to apply backup retention', e); }
+		return id;
+	};
+
+	const formatBytes = (bytes) => {
+		if (bytes < 1024) return bytes + ' B';
+		if (bytes < 1048576) return (bytes / 1024).toFixed(1) + ' KB';
+		return (bytes / 1048576).toFixed(1) + ' MB';
+	};
+
+	const backupManagerEl = document.getElementById('backup-manager');
+	const backupBody = backupManagerEl.querySelector('.modal-body');
+	let backupReturnFocus = null;
+	let backupPreviewId = null;
+
+	const setBackupStatus = (msg, isError = false) => {
+		const el = backupManagerEl.querySelector('.backup-status');
+		if (!el) return;
+		el.textContent = msg;
+		el.style.color = isError ? 'var(--danger)' : '';
+	};
+
+	const renderBackupManager = async (statusMsg = '', isError = false) => {
+		let backups = [];
+		try { backups = await storage.listBackups(); }
+		catch (e) { statusMsg = 'Could not read backups: ' + e.message; isError = true; }
+		const settings = getBackupSettings();
+		const preview = backupPreviewId ? await storage.getBackup(backupPreviewId).catch(() => null) : null;
+		backupBody.innerHTML = '';
+
+		// Retention settings + manual snapshot
+		const settingsForm = document.createElement('form');
+		settingsForm.className = 'backup-settings';
+		settingsForm.innerHTML =
+			'<label for="backup-max-count">Keep at most</label>' +
+			'<input id="backup-max-count" name="maxCount" type="number" min="0" step="1" />' +
+			'<span>snapshots (0 = unlimited)</span>' +
+			'<label for="backup-max-age">Delete after</label>' +
+			'<input id="backup-max-age" name="maxAgeDays" type="number" min="0" step="1" />' +
+			'<span>days (0 = never)</span>' +
+			'<button type="submit" class="card-btn">Apply policy</button>';
+		settingsForm.querySelector('[name="maxCount"]').value = String(settings.maxCount);
+		settingsForm.querySelector('[name="maxAgeDays"]').value = String(settings.maxAgeDays);
+		backupBody.appendChild(settingsForm);
+
+		const toolbar = document.createElement('div');
+		toolbar.className = 'backup-toolbar';
+		const snapshotBtn = document.createElement('button');
+		snapshotBtn.type = 'button';
+		snapshotBtn.className = 'primary-btn';
+		snapshotBtn.dataset.action = 'backup-create';
+		snapshotBtn.textContent = 'Take snapshot now';
+		const total = document.createElement('span');
+		total.className = 'backup-total';
+		total.textContent = backups.length + ' snapshot' + (backups.length === 1 ? '' : 's') + ' · ' +
+			formatBytes(backups.reduce((sum, b) => sum + b.size, 0));
+		const status = document.createElement('span');
+		status.className = 'backup-status';
+		status.setAttribute('aria-live', 'polite');
+		toolbar.appendChild(snapshotBtn);
+		toolbar.appendChild(total);
+		toolbar.appendChild(status);
+		backupBody.appendChild(toolbar);
+
+		if (!backups.length) {
+			const empty = document.createElement('p');
+			empty.className = 'empty-state';
+			empty.textContent = 'No snapshots yet. One is taken automatically before every import and restore.';
+			backupBody.appendChild(empty);
+		} else {
+			const table = document.createElement('table');
+			table.className = 'backup-table';
+			const head = document.createElement('tr');
+			['Date', 'Reason', 'Prompts', 'Size', ''].forEach(text => {
+				const th = document.createElement('th');
+				th.scope = 'col';
+				th.textContent = text;
+				head.appendChild(th);
+			});
+			table.appendChild(head);
+			backups.forEach(b => {
+				const row = document.createElement('tr');
+				if (b.id === backupPreviewId) row.className = 'selected';
+				const date = document.createElement('td');
+				date.textContent = new Date(b.createdAt).toLocaleString();
+				date.title = formatDate(b.createdAt);
+				const label = document.createElement('td');
+				label.textContent = b.label || '—';
+				const count = document.createElement('td');
+				count.textContent = String(b.promptCount);
+				const size = document.createElement('td');
+				size.textContent = formatBytes(b.size);
+				const actions = document.createElement('td');
+				actions.className = 'backup-actions';
+				[['backup-preview', b.id === backupPreviewId ? 'Hide' : 'Preview'], ['backup-restore', 'Restore'], ['backup-download', 'Download'], ['backup-delete', 'Delete']].forEach(([action, text]) => {
+					const btn = document.createElement('button');
+					btn.type = 'button';
+					btn.className = 'note-btn' + (action === 'backup-delete' ? ' delete-note-btn' : '');
+					btn.dataset.action = action;
+					btn.dataset.backupId = b.id;
+					btn.dataset.createdAt = b.createdAt;
+					btn.textContent = text;
+					actions.appendChild(btn);
+				});
+				[date, label, count, size, actions].forEach(td => row.appendChild(td));
+				table.appendChild(row);
+
+				if (b.id === backupPreviewId && preview) {
+					const previewRow = document.createElement('tr');
+					previewRow.className = 'backup-preview-row';
+					const cell = document.createElement('td');
+					cell.colSpan = 5;
+					const list = document.createElement('ul');
+					list.className = 'backup-preview';
+					preview.prompts.forEach(p => {
+						const li = document.createElement('li');
+						const title = document.createElement('strong');
+						title.textContent = (p && p.title) || '(Untitled)';
+						li.appendChild(title);
+						li.appendChild(document.createTextNode(' · ' + (p?.metadata?.model || 'unknown model') +
+							' · ' + (p?.userRating ? p.userRating + '★' : 'unrated') +
+							' — ' + wordPreview(typeof p?.content === 'string' ? p.content : '')));
+						list.appendChild(li);
+					});
+					if (!preview.prompts.length) {
+						const li = document.createElement('li');
+						li.textContent = 'This snapshot is empty.';
+						list.appendChild(li);
+					}
+					cell.appendChild(list);
+					previewRow.appendChild(cell);
+					table.appendChild(previewRow);
+				}
+			});
+			backupBody.appendChild(table);
+		}
+		setBackupStatus(statusMsg, isError);
+	};
+
+	const openBackupManager = () => {
+		backupReturnFocus = document.activeElement;
+		backupPreviewId = null;
+		backupManagerEl.hidden = false;
+		renderBackupManager().then(() => backupManagerEl.querySelector('[data-action="backup-create"]')?.focus());
+	};
+
+	const closeBackupManager = () => {
+		backupManagerEl.hidden = true;
+		backupBody.innerHTML = '';
+		if (backupReturnFocus instanceof HTMLElement) backupReturnFocus.focus();
+	};
+
+	const restoreBackup = async (id) => {
+		const backup = await storage.getBackup(id);
+		if (!backup) throw new Error('Snapshot not found');
+		const { accepted, rejected } = validatePromptRecords(backup.prompts);
+		// Snapshot the current state first so the restore itself can be undone
+		await createBackup('Before restore');
+		// A restore replaces the library outright, including one that would not decrypt
+		vaultDamaged = false;
+		canonicalizeModels(accepted);
+		await savePrompts(accepted, 'restored the snapshot from ' + new Date(backup.createdAt).toLocaleString());
+		if (Array.isArray(backup.collections)) saveCollections(backup.collections);
+		renderPrompts();
+		return { restored: accepted.length, rejected: rejected.length };
+	};
+
+	backupManagerEl.addEventListener('click', async (e) => {
+		const target = e.target;
+		if (!(target instanceof HTMLElement)) return;
+		if (target === backupManagerEl || target.dataset.action === 'backup-close') {
+			closeBackupManager();
+			return;
+		}
+		const id = target.dataset.backupId;
+		try {
+			if (target.dataset.action === 'backup-create') {
+				await createBackup('Manual snapshot');
+				await renderBackupManager('Snapshot saved.');
+			} else if (target.dataset.action === 'backup-preview') {
+				backupPreviewId = backupPreviewId === id ? null : id;
+				await renderBackupManager();
+			} else if (target.dataset.action === 'backup-download') {
+				const backup = await storage.getBackup(id);
+				if (!backup) throw new Error('Snapshot not found');
+				const text = JSON.stringify(buildExportPayload(backup.prompts, backup.collections || []), null, 2);
+				if (!exportEncryptInput.checked) {
+					downloadText(text, formatFilename('prompts-backup'), 'application/json');
+					setBackupStatus('Download started.');
+					return;
+				}
+				const encrypted = await encryptFileText(text);
+				if (encrypted === null) {
+					setBackupStatus('Download cancelled.');
+					return;
+				}
+				downloadText(encrypted, formatFilename('prompts-backup-encrypted'), 'application/json');
+				setBackupStatus('Encrypted download started.');
+			} else if (target.dataset.action === 'backup-restore') {
+				const when = new Date(target.dataset.createdAt).toLocaleString();
+				if (!window.confirm('Replace the current library with the snapshot from ' + when + '? A snapshot of the current library is taken first.')) return;
+				const { restored, rejected } = await restoreBackup(id);
+				await renderBackupManager('Restored ' + restored + ' prompts' + (rejected ? ' (' + rejected + ' invalid records skipped)' : '') + '.', rejected > 0);
+			} else if (target.dataset.action === 'backup-delete') {
+				if (!window.confirm('Delete this snapshot permanently?')) return;
+				await storage.deleteBackup(id);
+				if (backupPreviewId === id) backupPreviewId = null;
+				await renderBackupManager('Snapshot deleted.');
+			}
+		} catch (err) {
+			console.error('Backup action failed', err);
+			setBackupStatus(describeStorageError(err), true);
+		}
+	});
+
+	backupManagerEl.addEventListener('submit', async (e) => {
+		const formEl = e.target;
+		if (!(formEl instanceof HTMLFormElement) || !formEl.classList.contains('backup-settings')) return;
+		e.preventDefault();
+		const read = (name) => Math.max(0, Math.floor(Number(formEl.querySelector('[name="' + name + '"]').value) || 0));
+		saveBackupSettings({ maxCount: read('maxCount'), maxAgeDays: read('maxAgeDays') });
+		try {
+			const removed = await applyBackupRetention();
+			await renderBackupManager('Policy saved' + (removed ? '; ' + removed + ' old snapshot' + (removed === 1 ? '' : 's') + ' deleted.' : '.'));
+		} catch (err) {
+			setBackupStatus(describeStorageError(err), true);
+		}
+	});
+
+	backupManagerEl.addEventListener('keydown', (e) => {
+		if (e.key === 'Escape') closeBackupManager();
+	});
+
+	// ===== END BACKUP MANAGER =====
+
+	// ===== MODEL REGISTRY MANAGER =====
+	const modelSuggestionsEl = document.getElementById('model-suggestions');
+	const modelManagerEl = document.getElementById('model-manager');
+	const modelBody = modelManagerEl.querySelector('.modal-body');
+	let modelReturnFocus = null;
+
+	const renderModelSuggestions = () => {
+		modelSuggestionsEl.innerHTML = '';
+		getModels().forEach(m => {
+			const opt = document.createElement('option');
+			opt.value = m.id;
+			opt.label = m.name + (m.provider ? ' · ' + m.provider : '');
+			modelSuggestionsEl.appendChild(opt);
+		});
+	};
+
+	/**
+	 * Move stored prompts onto canonical model ids after the registry changed
+	 * @returns {number} Number of prompts changed
+	 */
+	const migrateLibraryModels = () => {
+		const prompts = getPrompts();
+		const changed = canonicalizeModels(prompts);
+		if (changed) savePrompts(prompts);
+		return changed;
+	};
+
+	const setModelStatus = (msg, isError = false) => {
+		const el = modelManagerEl.querySelector('.model-status');
+		if (!el) return;
+		el.textContent = msg;
+		el.style.color = isError ? 'var(--danger)' : '';
+	};
+
+	const MODEL_FIELDS = [
+		['id', 'Id', 'text'],
+		['name', 'Name', 'text'],
+		['provider', 'Provider', 'text'],
+		['aliases', 'Aliases', 'text'],
+		['contextWindow', 'Context', 'number'],
+		['inputPrice', 'In $/1M', 'number'],
+		['outputPrice', 'Out $/1M', 'number']
+	];
+
+	const buildModelForm = (model, index) => {
+		const formEl = document.createElement('form');
+		formEl.className = 'model-row';
+		formEl.dataset.index = model ? String(index) : '';
+		MODEL_FIELDS.forEach(([name, label, type]) => {
+			const input = document.createElement('input');
+			input.name = name;
+			input.type = type;
+			input.setAttribute('aria-label', label);
+			if (type === 'number') { input.min = '0'; input.step = 'any'; }
+			if (name === 'id') input.required = true;
+			if (name === 'aliases') input.placeholder = 'comma separated';
+			const value = model ? model[name] : '';
+			input.value = Array.isArray(value) ? value.join(', ') : String(value ?? '');
+			formEl.appendChild(input);
+		});
+		const tokenizer = document.createElement('select');
+		tokenizer.name = 'tokenizer';
+		tokenizer.setAttribute('aria-label', 'Tokenizer');
+		[['', 'auto'], ...TOKENIZERS.map(t => [t.id, t.id]), [HEURISTIC_TOKENIZER, HEURISTIC_TOKENIZER]].forEach(([value, text]) => {
+			const opt = document.createElement('option');
+			opt.value = value;
+			opt.textContent = text;
+			tokenizer.appendChild(opt);
+		});
+		tokenizer.value = (model && model.tokenizer) || '';
+		formEl.appendChild(tokenizer);
+		const actions = document.createElement('span');
+		actions.className = 'model-actions';
+		const save = document.createElement('button');
+		save.type = 'submit';
+		save.className = 'note-btn save-note-btn';
+		save.textContent = model ? 'Save' : 'Add';
+		actions.appendChild(save);
+		if (model) {
+			const del = document.createElement('button');
+			del.type = 'button';
+			del.className = 'note-btn delete-note-btn';
+			del.dataset.action = 'model-delete';
+			del.dataset.index = String(index);
+			del.textContent = 'Delete';
+			actions.appendChild(del);
+		}
+		formEl.appendChild(actions);
+		return formEl;
+	};
+
+	const renderModelManager = (statusMsg = '', isError = false) => {
+		const settings = getModelSettings();
+		modelBody.innerHTML = '';
+
+		const settingsForm = document.createElement('form');
+		settingsForm.className = 'backup-settings model-settings';
+		settingsForm.innerHTML =
+			'<label for="model-warn-share">Warn above</label>' +
+			'<input id="model-warn-share" name="contextWarnShare" type="number" min="1" max="100" step="1" />' +
+			'<span>% of the context window</span>' +
+			'<label for="model-output-tokens">Assume</label>' +
+			'<input id="model-output-tokens" name="expectedOutputTokens" type="number" min="0" step="1" />' +
+			'<span>output tokens per run</span>' +
+			'<button type="submit" class="card-btn">Apply</button>';
+		settingsForm.querySelector('[name="contextWarnShare"]').value = String(Math.round(settings.contextWarnShare * 100));
+		settingsForm.querySelector('[name="expectedOutputTokens"]').value = String(settings.expectedOutputTokens);
+		modelBody.appendChild(settingsForm);
+
+		const toolbar = document.createElement('div');
+		toolbar.className = 'backup-toolbar';
+		const resetBtn = document.createElement('button');
+		resetBtn.type = 'button';
+		resetBtn.className = 'card-btn';
+		resetBtn.dataset.action = 'model-reset';
+		resetBtn.textContent = 'Reset to defaults';
+		const status = document.createElement('span');
+		status.className = 'model-status backup-status';
+		status.setAttribute('aria-live', 'polite');
+		toolbar.appendChild(resetBtn);
+		toolbar.appendChild(status);
+		modelBody.appendChild(toolbar);
+
+		const table = document.createElement('div');
+		table.className = 'model-table';
+		const head = document.createElement('div');
+		head.className = 'model-row model-head';
+		[...MODEL_FIELDS.map(f => f[1]), 'Tokenizer', ''].forEach(text => {
+			const cell = document.createElement('span');
+			cell.textContent = text;
+			head.appendChild(cell);
+		});
+		table.appendChild(head);
+		getModels().forEach((m, i) => table.appendChild(buildModelForm(m, i)));
+		table.appendChild(buildModelForm(null));
+		modelBody.appendChild(table);
+		setModelStatus(statusMsg, isError);
+	};
+
+	const openModelManager = () => {
+		modelReturnFocus = document.activeElement;
+		modelManagerEl.hidden = false;
+		renderModelManager();
+		modelManagerEl.querySelector('.model-row:last-child [name="id"]')?.focus();
+	};
+
+	const closeModelManager = () => {
+		modelManagerEl.hidden = true;
+		modelBody.innerHTML = '';
+		if (modelReturnFocus instanceof HTMLElement) modelReturnFocus.focus();
+	};
+
+	// Registry edits change canonical ids, prices and tokenizers: migrate and redraw
+	const applyModelChanges = (statusMsg) => {
+		const migrated = migrateLibraryModels();
+		refreshTokenCounts();
+		renderModelSuggestions();
+		renderPrompts();
+		renderModelManager(statusMsg + (migrated ? ' ' + migrated + ' prompt' + (migrated === 1 ? '' : 's') + ' moved to canonical ids.' : ''));
+	};
+
+	modelManagerEl.addEventListener('click', (e) => {
+		const target = e.target;
+		if (!(target instanceof HTMLElement)) return;
+		if (target === modelManagerEl || target.dataset.action === 'model-close') {
+			closeModelManager();
+		} else if (target.dataset.action === 'model-delete') {
+			const models = [...getModels()];
+			const [removed] = models.splice(Number(target.dataset.index), 1);
+			if (!removed) return;
+			const used = getPrompts().filter(p => p.metadata?.model === removed.id).length;
+			if (used && !window.confirm(removed.id + ' is used by ' + used + ' prompt' + (used === 1 ? '' : 's') + '. Remove it from the registry anyway? The prompts keep the name.')) return;
+			saveModels(models);
+			applyModelChanges('Removed ' + removed.id + '.');
+		} else if (target.dataset.action === 'model-reset') {
+			if (!window.confirm('Replace the model registry with the built-in defaults?')) return;
+			saveModels(DEFAULT_MODELS.map(m => ({ ...m, aliases: [...m.aliases] })));
+			applyModelChanges('Registry reset.');
+		}
+	});
+
+	modelManagerEl.addEventListener('submit', (e) => {
+		const formEl = e.target;
+		if (!(formEl instanceof HTMLFormElement)) return;
+		e.preventDefault();
+		const read = (name) => formEl.querySelector('[name="' + name + '"]').value;
+		if (formEl.classList.contains('model-settings')) {
+			const share = Math.min(100, Math.max(1, Math.round(Number(read('contextWarnShare')) || 0)));
+			saveModelSettings({ contextWarnShare: share / 100, expectedOutputTokens: Math.max(0, Math.floor(Number(read('expectedOutputTokens')) || 0)) });
+			renderPrompts();
+			renderModelManager('Settings saved.');
+			return;
+		}
+		const models = [...getModels()];
+		const index = formEl.dataset.index === '' ? -1 : Number(formEl.dataset.index);
+		const previous = index >= 0 ? models[index] : null;
+		const input = {};
+		[...MODEL_FIELDS.map(f => f[0]), 'tokenizer'].forEach(name => { input[name] = read(name); });
+		const { model, errors } = normalizeModelInfo(input, models.filter((_, i) => i !== index));
+		if (!model) {
+			setModelStatus(errors.join('; '), true);
+			return;
+		}
+		// A renamed model keeps resolving its old id so prompts move over
+		if (previous && previous.id !== model.id && !model.aliases.includes(previous.id)) model.aliases.push(previous.id);
+		if (previous) models[index] = model;
+		else models.push(model);
+		saveModels(models);
+		applyModelChanges((previous ? 'Saved ' : 'Added ') + model.id + '.');
+	});
+
+	modelManagerEl.addEventListener('keydown', (e) => {
+		if (e.key === 'Escape') closeModelManager();
+	});
+
+	// ===== END MODEL REGISTRY MANAGER =====
+
+	// ===== PROVIDER MANAGER =====
+	const providerManagerEl = document.getElementById('provider-manager');
+	const providerBody = providerManagerEl.querySelector('.modal-body');
+	let providerReturnFocus = null;
+
+	const setProviderStatus = (msg, isError = false) => {
+		const el = providerManagerEl.querySelector('.provider-status');
+		if (!el) return;
+		el.textContent = msg;
+		el.style.color = isError ? 'var(--danger)' : '';
+	};
+
+	const PROVIDER_FIELDS = [
+		['name', 'Name', 'text', 'e.g. Ollama'],
+		['baseUrl', 'Base URL', 'url', 'http://localhost:11434/v1'],
+		['apiKey', 'API key', 'password', 'optional for local servers'],
+		['models', 'Models', 'text', 'any model, or comma separated']
+	];
+
+	const buildProviderForm = (provider, index) => {
+		const formEl = document.createElement('form');
+		formEl.className = 'model-row provider-row';
+		formEl.dataset.index = provider ? String(index) : '';
+		PROVIDER_FIELDS.forEach(([name, label, type, placeholder]) => {
+			const input = document.createElement('input');
+			input.name = name;
+			input.type = type;
+			input.placeholder = placeholder;
+			input.autocomplete = 'off';
+			input.setAttribute('aria-label', label);
+			if (name === 'name' || name === 'baseUrl') input.required = true;
+			const value = provider ? provider[name] : '';
+			input.value = Array.isArray(value) ? value.join(', ') : String(value ?? '');
+			formEl.appendChild(input);
+		});
+		const type = document.createElement('select');
+		type.name = 'type';
+		type.setAttribute('aria-label', 'Type');
+		Object.entries(PROVIDER_ADAPTERS).forEach(([value, adapter]) => {
+			const opt = document.createElement('option');
+			opt.value = value;
+			opt.textContent = adapter.label;
+			type.appendChild(opt);
+		});
+		type.value = (provider && provider.type) || 'openai-compatible';
+		formEl.appendChild(type);
+		const actions = document.createElement('span');
+		actions.className = 'model-actions';
+		const save = document.createElement('button');
+		save.type = 'submit';
+		save.className = 'note-btn save-note-btn';
+		save.textContent = provider ? 'Save' : 'Add';
+		actions.appendChild(save);
+		if (provider) {
+			const del = document.createElement('button');
+			del.type = 'button';
+			del.className = 'note-btn delete-note-btn';
+			del.dataset.action = 'provider-delete';
+			del.dataset.index = String(index);
+			del.textContent = 'Delete';
+			actions.appendChild(del);
+		}
+		formEl.appendChild(actions);
+		return formEl;
+	};
+
+	const renderProviderManager = (statusMsg = '', isError = false) => {
+		providerBody.innerHTML = '';
+		const intro = document.createElement('p');
+		intro.className = 'provider-note';
+		intro.textContent = 'Prompts run on the first provider that lists their model, otherwise on the first one without a model list. ' +
+			'Settings and API keys are stored only in this browser and are never exported or backed up.';
+		providerBody.appendChild(intro);
+		const status = document.createElement('span');
+		status.className = 'provider-status backup-status';
+		status.setAttribute('aria-live', 'polite');
+		providerBody.appendChild(status);
+
+		const table = document.createElement('div');
+		table.className = 'model-table';
+		const head = document.createElement('div');
+		head.className = 'model-row provider-row model-head';
+		[...PROVIDER_FIELDS.map(f => f[1]), 'Type', ''].forEach(text => {
+			const cell = document.createElement('span');
+			cell.textContent = text;
+			head.appendChild(cell);
+		});
+		table.appendChild(head);
+		getProviders().forEach((p, i) => table.appendChild(buildProviderForm(p, i)));
+		table.appendChild(buildProviderForm(null));
+		providerBody.appendChild(table);
+		setProviderStatus(statusMsg, isError);
+	};
+
+	const openProviderManager = () => {
+		providerReturnFocus = document.activeElement;
+		providerManagerEl.hidden = false;
+		renderProviderManager();
+		providerManagerEl.querySelector('.model-row:last-child [name="name"]')?.focus();
+	};
+
+	const closeProviderManager = () => {
+		providerManagerEl.hidden = true;
+		providerBody.innerHTML = '';
+		if (providerReturnFocus instanceof HTMLElement) providerReturnFocus.focus();
+	};
+
+	providerManagerEl.addEventListener('click', (e) => {
+		const target = e.target;
+		if (!(target instanceof HTMLElement)) return;
+		if (target === providerManagerEl || target.dataset.action === 'provider-close') {
+			closeProviderManager();
+		} else if (target.dataset.action === 'provider-delete') {
+			const providers = getProviders();
+			const [removed] = providers.splice(Number(target.dataset.index), 1);
+			if (!removed || !window.confirm('Remove ' + removed.name + ' and its API key from this browser?')) return;
+			saveProviders(providers);
+			renderPrompts();
+			renderProviderManager('Removed ' + removed.name + '.');
+		}
+	});
+
+	providerManagerEl.addEventListener('submit', (e) => {
+		const formEl = e.target;
+		if (!(formEl instanceof HTMLFormElement)) return;
+		e.preventDefault();
+		const providers = getProviders();
+		const index = formEl.dataset.index === '' ? -1 : Number(formEl.dataset.index);
+		const previous = index >= 0 ? providers[index] : null;
+		const input = {};
+		[...PROVIDER_FIELDS.map(f => f[0]), 'type'].forEach(name => { input[name] = formEl.querySelector('[name="' + name + '"]').value; });
+		const { provider, errors } = normalizeProviderConfig(input, previous);
+		if (!provider) {
+			setProviderStatus(errors.join('; '), true);
+			return;
+		}
+		if (previous) providers[index] = provider;
+		else providers.push(provider);
+		saveProviders(providers);
+		renderPrompts();
+		renderProviderManager((previous ? 'Saved ' : 'Added ') + provider.name + '.');
+	});
+
+	providerManagerEl.addEventListener('keydown', (e) => {
+		if (e.key === 'Escape') closeProviderManager();
+	});
+
+	// ===== END PROVIDER MANAGER =====
+
+	// ===== LINT RULES MANAGER =====
+	const lintManagerEl = document.getElementById('lint-manager');
+	const lintBody = lintManagerEl.querySelector('.modal-body');
+	let lintReturnFocus = null;
+
+	const renderLintManager = (statusMsg = '') => {
+		const settings = getLintSettings();
+		lintBody.innerHTML = '';
+		const intro = document.createElement('p');
+		intro.className = 'provider-note';
+		intro.textContent = 'Rules run whenever a prompt is saved and on cards. Turn off the ones that do not fit your prompts, or change how serious they are.';
+		lintBody.appendChild(intro);
+		const status = document.createElement('span');
+		status.className = 'lint-status backup-status';
+		status.setAttribute('aria-live', 'polite');
+		status.textContent = statusMsg;
+		lintBody.appendChild(status);
+
+		const formEl = document.createElement('form');
+		formEl.className = 'model-table lint-rules-form';
+		LINT_RULES.forEach(rule => {
+			const config = settings[rule.id] || {};
+			const row = document.createElement('div');
+			row.className = 'model-row lint-row';
+			const enabled = document.createElement('input');
+			enabled.type = 'checkbox';
+			enabled.id = 'lint-rule-' + rule.id;
+			enabled.name = rule.id + '.enabled';
+			enabled.checked = config.enabled !== false;
+			const label = document.createElement('label');
+			label.htmlFor = enabled.id;
+			label.className = 'lint-rule-label';
+			const strong = document.createElement('strong');
+			strong.textContent = rule.label;
+			label.appendChild(strong);
+			label.appendChild(document.createTextNode(' ' + rule.description));
+			const severity = document.createElement('select');
+			severity.name = rule.id + '.severity';
+			severity.setAttribute('aria-label', rule.label + ' severity');
+			LINT_SEVERITIES.forEach(level => {
+				const opt = document.createElement('option');
+				opt.value = level;
+				opt.textContent = level;
+				severity.appendChild(opt);
+			});
+			severity.value = LINT_SEVERITIES.includes(config.severity) ? config.severity : rule.severity;
+			row.appendChild(enabled);
+			row.appendChild(label);
+			row.appendChild(severity);
+			formEl.appendChild(row);
+			if (rule.options?.words) {
+				const words = document.createElement('input');
+				words.type = 'text';
+				words.name = rule.id + '.words';
+				words.className = 'lint-words';
+				words.setAttribute('aria-label', rule.label + ', comma separated');
+				words.value = (Array.isArray(config.words) ? config.words : rule.options.words).join(', ');
+				formEl.appendChild(words);
+			}
+		});
+		const actions = document.createElement('div');
+		actions.className = 'model-actions';
+		const save = document.createElement('button');
+		save.type = 'submit';
+		save.className = 'note-btn save-note-btn';
+		save.textContent = 'Save';
+		const reset = document.createElement('button');
+		reset.type = 'button';
+		reset.className = 'note-btn';
+		reset.dataset.action = 'lint-reset';
+		reset.textContent = 'Reset to defaults';
+		actions.appendChild(save);
+		actions.appendChild(reset);
+		formEl.appendChild(actions);
+		lintBody.appendChild(formEl);
+	};
+
+	const openLintManager = () => {
+		lintReturnFocus = document.activeElement;
+		lintManagerEl.hidden = false;
+		renderLintManager();
+		lintManagerEl.querySelector('input')?.focus();
+	};
+
+	const closeLintManager = () => {
+		lintManagerEl.hidden = true;
+		lintBody.innerHTML = '';
+		if (lintReturnFocus instanceof HTMLElement) lintReturnFocus.focus();
+	};
+
+	lintManagerEl.addEventListener('click', (e) => {
+		const target = e.target;
+		if (!(target instanceof HTMLElement)) return;
+		if (target === lintManagerEl || target.dataset.action === 'lint-close') {
+			closeLintManager();
+		} else if (target.dataset.action === 'lint-reset') {
+			saveLintSettings({});
+			renderPrompts();
+			renderLintManager('All rules are back to their defaults.');
+		}
+	});
+
+	lintManagerEl.addEventListener('submit', (e) => {
+		const formEl = e.target;
+		if (!(formEl instanceof HTMLFormElement)) return;
+		e.preventDefault();
+		const field = (name) => formEl.querySelector('[name="' + name + '"]');
+		const settings = {};
+		LINT_RULES.forEach(rule => {
+			const config = { enabled: field(rule.id + '.enabled').checked, severity: field(rule.id + '.severity').value };
+			const words = field(rule.id + '.words');
+			if (words) config.words = [...new Set(words.value.split(',').map(w => w.trim().toLowerCase()).filter(Boolean))];
+			settings[rule.id] = config;
+		});
+		saveLintSettings(settings);
+		renderPrompts();
+		renderLintManager('Saved.');
+	});
+
+	lintManagerEl.addEventListener('keydown', (e) => {
+		if (e.key === 'Escape') closeLintManager();
+	});
+
+	// ===== END LINT RULES MANAGER =====
+
+	// ===== VAULT MANAGER =====
+	const VAULT_SETTINGS_KEY = LIBRARY + '.vaultSettings';
+	const DEFAULT_VAULT_SETTINGS = { autoLockMinutes: 15 };
+	const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+	const vaultManagerEl = document.getElementById('vault-manager');
+	const vaultBody = vaultManagerEl.querySelector('.modal-body');
+	const vaultLockEl = document.getElementById('vault-lock');
+	const vaultUnlockForm = document.getElementById('vault-unlock-form');
+	const vaultLockMessage = vaultLockEl.querySelector('.vault-message');
+	const passphraseEl = document.getElementById('passphrase-dialog');
+	const passphraseBody = passphraseEl.querySelector('.modal-body');
+	const exportEncryptInput = document.getElementById('export-encrypt');
+	let vaultReturnFocus = null;
+	let storageBackendName = '';
+	// Set once the library has been shown; a tab that starts locked has nothing to lock
+	let libraryStarted = false;
+	let lastActivity = Date.now();
+	let autoLockTimer = 0;
+
+	const getVaultSettings = () => {
+		try {
+			const saved = JSON.parse(localStorage.getItem(VAULT_SETTINGS_KEY) || '{}');
+			return { ...DEFAULT_VAULT_SETTINGS, ...saved };
+		} catch (e) {
+			console.warn('Failed to parse vault settings', e);
+			return { ...DEFAULT_VAULT_SETTINGS };
+		}
+	};
+
+	const saveVaultSettings = (settings) => {
+		try { localStorage.setItem(VAULT_SETTINGS_KEY, JSON.stringify(settings)); }
+		catch (e) { console.error('Failed to save vault settings', e); }
+	};
+
+	const isVaultOn = () => vault !== null || isVaultLocked();
+
+	const renderVaultStatus = () => {
+		storageBackendEl.textContent = storageBackendName + (isVaultOn() ? ', encrypted' : '');
+	};
+
+	// ----- Passphrase dialog -----
+
+	let passphraseRequest = null;
+
+	const passphraseField = (name, label, autocomplete) => {
+		const wrap = document.createElement('div');
+		wrap.className = 'vault-field';
+		const labelEl = document.createElement('label');
+		labelEl.htmlFor = 'passphrase-' + name;
+		labelEl.textContent = label;
+		const input = document.createElement('input');
+		input.type = 'password';
+		input.id = 'passphrase-' + name;
+		input.name = name;
+		input.autocomplete = autocomplete;
+		input.required = true;
+		wrap.appendChild(labelEl);
+		wrap.appendChild(input);
+		return wrap;
+	};
+
+	/**
+	 * Ask for a passphrase in a dialog. With `verify`, the dialog stays open
+	 * and shows the error until verify succeeds or the user cancels.
+	 * @param {Object} options - { title, message, submitLabel, confirm: ask twice for a new passphrase,
+	 *   verify: async (passphrase) => result }
+	 * @returns {Promise<*>} verify's result, or the passphrase; null when cancelled
+	 */
+	const askPassphrase = (options) => new Promise(resolve => {
+		if (passphraseRequest) passphraseRequest.resolve(null);
+		passphraseRequest = { ...options, resolve, returnFocus: document.activeElement };
+		passphraseEl.querySelector('#passphrase-dialog-title').textContent = options.title;
+		passphraseBody.innerHTML = '';
+		const formEl = document.createElement('form');
+		formEl.className = 'vault-form';
+		const message = document.createElement('p');
+		message.className = 'provider-note';
+		message.textContent = options.message;
+		formEl.appendChild(message);
+		formEl.appendChild(passphraseField('passphrase', 'Passphrase', options.confirm ? 'new-password' : 'current-password'));
+		if (options.confirm) formEl.appendChild(passphraseField('confirm', 'Repeat passphrase', 'new-password'));
+		const error = document.createElement('p');
+		error.className = 'vault-error';
+		error.setAttribute('role', 'alert');
+		formEl.appendChild(error);
+		const actions = document.createElement('div');
+		actions.className = 'share-actions';
+		const submit = document.createElement('button');
+		submit.type = 'submit';
+		submit.className = 'primary-btn';
+		submit.textContent = options.submitLabel || 'OK';
+		const cancel = document.createElement('button');
+		cancel.type = 'button';
+		cancel.className = 'note-btn';
+		cancel.dataset.action = 'passphrase-cancel';
+		cancel.textContent = 'Cancel';
+		actions.appendChild(submit);
+		actions.appendChild(cancel);
+		formEl.appendChild(actions);
+		passphraseBody.appendChild(formEl);
+		passphraseEl.hidden = false;
+		formEl.querySelector('input').focus();
+	});
+
+	const closePassphraseDialog = (result) => {
+		const request = passphraseRequest;
+		if (!request) return;
+		passphraseRequest = null;
+		passphraseEl.hidden = true;
+		passphraseBody.innerHTML = '';
+		if (request.returnFocus instanceof HTMLElement) request.returnFocus.focus();
+		request.resolve(result);
+	};
+
+	/**
+	 * Check a new passphrase and its repetition
+	 * @returns {string} Problem, or '' when it can be used
+	 */
+	const checkNewPassphrase = (passphrase, repeated) => {
+		if (passphrase.length < MIN_PASSPHRASE_LENGTH) return 'Use at least ' + MIN_PASSPHRASE_LENGTH + ' characters.';
+		if (passphrase !== repeated) return 'The passphrases do not match.';
+		return '';
+	};
+
+	passphraseEl.addEventListener('submit', async (e) => {
+		const formEl = e.target;
+		if (!(formEl instanceof HTMLFormElement) || !passphraseRequest) return;
+		e.preventDefault();
+		const request = passphraseRequest;
+		const passphrase = formEl.elements.passphrase.value;
+		const error = formEl.querySelector('.vault-error');
+		if (request.confirm) {
+			const problem = checkNewPassphrase(passphrase, formEl.elements.confirm.value);
+			if (problem) {
+				error.textContent = problem;
+				return;
+			}
+		}
+		if (!request.verify) {
+			closePassphraseDialog(passphrase);
+			return;
+		}
+		const submit = formEl.querySelector('[type="submit"]');
+		submit.disabled = true;
+		error.textContent = '';
+		try {
+			const result = await request.verify(passphrase);
+			if (passphraseRequest === request) closePassphraseDialog(result);
+		} catch (err) {
+			error.textContent = err.message;
+			formEl.elements.passphrase.select();
+		} finally {
+			submit.disabled = false;
 		}
 	});
 
-	const setRating = (id, value) => {
-		if (value < 1 || value > 5) return;
-		const prompts = getPrompts();
-		const prompt = prompts.find(p => String(p.id) === String(id));
-		if (!prompt) return;
-		prompt.userRating = value;
-		savePrompts(prompts);
-		renderPrompts();
-	};
+	passphraseEl.addEventListener('click', (e) => {
+		const target = e.target;
+		if (target === passphraseEl || (target instanceof HTMLElement && target.dataset.action === 'passphrase-cancel')) closePassphraseDialog(null);
+	});
 
-	// Notes CRUD helpers
-	const addNote = (promptId, text) => {
-		const prompts = getPrompts();
-		const prompt = prompts.find(p => String(p.id) === String(promptId));
-		if (!prompt) return;
-		if (!Array.isArray(prompt.notes)) prompt.notes = [];
-		prompt.notes.unshift({ id: Date.now(), text, updatedAt: Date.now() });
-		savePrompts(prompts);
-		renderPrompts();
+	passphraseEl.addEventListener('keydown', (e) => {
+		if (e.key === 'Escape') closePassphraseDialog(null);
+	});
+
+	// ----- Lock screen and auto-lock -----
+
+	const showVaultLock = (message = '') => {
+		document.body.classList.add('vault-locked');
+		vaultLockEl.hidden = false;
+		vaultLockMessage.textContent = message;
+		vaultUnlockForm.querySelector('.vault-error').textContent = '';
+		vaultUnlockForm.elements.passphrase.focus();
 	};
 
-	const deleteNote = (promptId, noteId) => {
-		if (!promptId || !noteId) return;
-		const prompts = getPrompts();
-		const prompt = prompts.find(p => String(p.id) === String(promptId));
-		if (!prompt || !Array.isArray(prompt.notes)) return;
-		prompt.notes = prompt.notes.filter(n => String(n.id) !== String(noteId));
-		savePrompts(prompts);
-		renderPrompts();
+	const hideVaultLock = () => {
+		document.body.classList.remove('vault-locked');
+		vaultLockEl.hidden = true;
+		vaultUnlockForm.reset();
 	};
 
-	const updateNote = (promptId, noteId, text) => {
-		const prompts = getPrompts();
-		const prompt = prompts.find(p => String(p.id) === String(promptId));
-		if (!prompt || !Array.isArray(prompt.notes)) return;
-		const note = prompt.notes.find(n => String(n.id) === String(noteId));
-		if (!note) return;
-		note.text = text;
-		note.updatedAt = Date.now();
-		savePrompts(prompts);
+	/**
+	 * Lock the vault: decrypted prompts leave memory and the screen
+	 * @param {string} [message] - Shown on the lock screen, e.g. why it locked
+	 */
+	const lockVault = async (message = '') => {
+		clearTimeout(autoLockTimer);
+		await lockLibrary();
+		if (!isVaultLocked()) return;
+		history = { undo: [], redo: [] };
+		toastEl.hidden = true;
+		countedExpansions.clear();
+		cardCache.clear();
+		cardHeights.clear();
+		[openHistory, openUse, openRuns, openVariants, openLint].forEach(set => set.clear());
+		liveRuns.forEach(live => live.controller?.abort());
+		[historyCompare, runRatingDraft, liveRuns, variantEditing, variantCompare, useVariant].forEach(map => map.clear());
+		closeImportWizard(false);
+		if (share) closeShareDialog();
+		if (passphraseRequest) closePassphraseDialog(null);
+		if (!vaultManagerEl.hidden) closeVaultManager();
+		if (!backupManagerEl.hidden) closeBackupManager();
+		if (!statsDashboardEl.hidden) closeStatsDashboard();
 		renderPrompts();
+		renderVaultStatus();
+		showVaultLock(message);
 	};
 
-	const enterEditMode = (promptId, noteId) => {
-		const card = listEl.querySelector('.prompt-card[data-id="'+promptId+'"]');
-		const li = card?.querySelector('.note-item[data-note-id="'+noteId+'"]');
-		if (!li) return;
-		const textEl = li.querySelector('.note-text');
-		if (!textEl) return;
-		const original = textEl.textContent || '';
-		li.innerHTML = '';
-		const textarea = document.createElement('textarea');
-		textarea.className = 'note-edit';
-		textarea.value = original;
-		textarea.rows = 3;
-		li.appendChild(textarea);
-		const actions = document.createElement('div');
-		actions.className = 'note-actions';
-		const saveBtn = document.createElement('button');
-		saveBtn.type = 'button';
-		saveBtn.className = 'note-btn save-note-btn';
-		saveBtn.dataset.action = 'save-note';
-		saveBtn.dataset.id = String(promptId);
-		saveBtn.dataset.noteId = String(noteId);
-		saveBtn.textContent = 'Save';
-		const cancelBtn = document.createElement('button');
-		cancelBtn.type = 'button';
-		cancelBtn.className = 'note-btn cancel-note-btn';
-		cancelBtn.dataset.action = 'cancel-edit-note';
-		cancelBtn.textContent = 'Cancel';
-		actions.appendChild(saveBtn);
-		actions.appendChild(cancelBtn);
-		li.appendChild(actions);
-		textarea.focus();
+	// Lock once the tab has seen no input for the configured time
+	const scheduleAutoLock = () => {
+		clearTimeout(autoLockTimer);
+		const minutes = Number(getVaultSettings().autoLockMinutes);
+		if (!vault || !(minutes > 0)) return;
+		const limit = minutes * 60000;
+		autoLockTimer = setTimeout(() => {
+			if (Date.now() - lastActivity >= limit) lockVault('Locked after ' + minutes + ' minute' + (minutes === 1 ? '' : 's') + ' without activity.');
+			else scheduleAutoLock();
+		}, Math.max(0, lastActivity + limit - Date.now()));
 	};
 
-	// Initial render
+	ACTIVITY_EVENTS.forEach(type => document.addEventListener(type, () => { lastActivity = Date.now(); }, { capture: true, passive: true }));
+	// Timers are throttled in background tabs; catch up as soon as the tab is shown
+	document.addEventListener('visibilitychange', () => {
+		if (!document.hidden) scheduleAutoLock();
+	});
 
-	// ===== EXPORT / IMPORT SYSTEM =====
-	const EXPORT_VERSION = '1.0.0';
+	vaultUnlockForm.addEventListener('submit', async (e) => {
+		e.preventDefault();
+		const submit = vaultUnlockForm.querySelector('[type="submit"]');
+		const error = vaultUnlockForm.querySelector('.vault-error');
+		submit.disabled = true;
+		error.textContent = '';
+		let quarantined = 0;
+		try {
+			quarantined = await unlockLibrary(vaultUnlockForm.elements.passphrase.value);
+		} catch (err) {
+			error.textContent = err.message;
+			vaultUnlockForm.elements.passphrase.select();
+			return;
+		} finally {
+			submit.disabled = false;
+		}
+		lastActivity = Date.now();
+		hideVaultLock();
+		startLibrary(quarantined);
+	});
 
-	const formatFilename = (prefix) => {
-		const ts = new Date().toISOString().replace(/[:.]/g, '-');
-		return `${prefix}-${ts}.json`;
+	// Another tab locked us out (a new vault) or turned the vault off
+	onVaultChange = () => {
+		if (isVaultLocked()) {
+			if (libraryStarted && vaultLockEl.hidden) lockVault('The vault was changed in another tab. Enter the passphrase to continue.');
+			return;
+		}
+		renderVaultStatus();
+		if (!vaultLockEl.hidden) {
+			hideVaultLock();
+			startLibrary(0);
+		}
+		if (!vaultManagerEl.hidden) renderVaultManager('The vault was turned off in another tab.');
 	};
 
-	const computeStats = (prompts) => {
-		const totalPrompts = prompts.length;
-		let ratingSum = 0;
-		let ratingCount = 0;
-		const modelCounts = Object.create(null);
-		prompts.forEach(p => {
-			if (typeof p.userRating === 'number') { ratingSum += p.userRating; ratingCount++; }
-			const m = p.metadata?.model || 'unknown';
-			modelCounts[m] = (modelCounts[m] || 0) + 1;
+	// ----- Vault manager -----
+
+	const vaultForm = (name, title, fields, submitLabel, danger = false) => {
+		const formEl = document.createElement('form');
+		formEl.className = 'vault-form';
+		formEl.dataset.vaultForm = name;
+		const heading = document.createElement('h3');
+		heading.textContent = title;
+		formEl.appendChild(heading);
+		fields.forEach(([field, label, autocomplete]) => {
+			const wrap = passphraseField(name + '-' + field, label, autocomplete);
+			wrap.querySelector('input').name = field;
+			formEl.appendChild(wrap);
 		});
-		const averageRating = ratingCount ? +(ratingSum / ratingCount).toFixed(2) : 0;
-		let mostUsedModel = null;
-		let max = 0;
-		for (const k in modelCounts) {
-			if (modelCounts[k] > max) { max = modelCounts[k]; mostUsedModel = k; }
-		}
-		return { totalPrompts, averageRating, mostUsedModel };
+		const submit = document.createElement('button');
+		submit.type = 'submit';
+		submit.className = danger ? 'note-btn delete-note-btn' : 'primary-btn';
+		submit.textContent = submitLabel;
+		formEl.appendChild(submit);
+		return formEl;
 	};
 
-	const buildExportPayload = (prompts) => ({
-		version: EXPORT_VERSION,
-		exportedAt: new Date().toISOString(),
-		stats: computeStats(prompts),
-		prompts: prompts
-	});
+	const renderVaultManager = (statusMsg = '', isError = false) => {
+		vaultBody.innerHTML = '';
+		const intro = document.createElement('p');
+		intro.className = 'provider-note';
+		intro.textContent = vault
+			? 'The prompts, notes, backups and undo history in this browser are encrypted with your passphrase.'
+			: 'Encrypt the prompts, notes and backups stored in this browser with a passphrase (AES-GCM with a PBKDF2-derived key). ' +
+				'Without the passphrase the library cannot be opened, and the passphrase cannot be recovered.';
+		vaultBody.appendChild(intro);
+		const scope = document.createElement('p');
+		scope.className = 'provider-note';
+		scope.textContent = 'Settings, collection names and providers are not encrypted. Template values you fill in are not stored while the vault is on; they are remembered until the tab is closed or the library is locked.';
+		vaultBody.appendChild(scope);
+		const status = document.createElement('p');
+		status.className = 'vault-status backup-status';
+		status.setAttribute('aria-live', 'polite');
+		status.textContent = statusMsg;
+		if (isError) status.classList.add('vault-error');
+		vaultBody.appendChild(status);
 
-	const downloadJSON = (obj, filename) => {
-		const text = JSON.stringify(obj, null, 2);
-		const blob = new Blob([text], { type: 'application/json' });
-		const url = URL.createObjectURL(blob);
-		const a = document.createElement('a');
-		a.href = url;
-		a.download = filename;
-		a.style.display = 'none';
-		document.body.appendChild(a);
-		a.click();
-		a.remove();
-		setTimeout(() => URL.revokeObjectURL(url), 5000);
+		if (!vault) {
+			vaultBody.appendChild(vaultForm('enable', 'Turn on', [['passphrase', 'New passphrase', 'new-password'], ['confirm', 'Repeat passphrase', 'new-password']], 'Encrypt library'));
+			return;
+		}
+		const lockRow = document.createElement('div');
+		lockRow.className = 'vault-form vault-lock-row';
+		const lockBtn = document.createElement('button');
+		lockBtn.type = 'button';
+		lockBtn.className = 'primary-btn';
+		lockBtn.dataset.action = 'vault-lock';
+		lockBtn.textContent = 'Lock now';
+		lockRow.appendChild(lockBtn);
+		const autoLock = document.createElement('form');
+		autoLock.className = 'vault-auto-lock';
+		autoLock.dataset.vaultForm = 'auto-lock';
+		autoLock.innerHTML =
+			'<label for="vault-auto-lock">Lock after</label>' +
+			'<input id="vault-auto-lock" name="minutes" type="number" min="0" step="1" />' +
+			'<span>minutes without activity (0 = never)</span>' +
+			'<button type="submit" class="card-btn">Apply</button>';
+		autoLock.querySelector('[name="minutes"]').value = String(getVaultSettings().autoLockMinutes);
+		lockRow.appendChild(autoLock);
+		vaultBody.appendChild(lockRow);
+		vaultBody.appendChild(vaultForm('change', 'Change passphrase', [
+			['current', 'Current passphrase', 'current-password'],
+			['passphrase', 'New passphrase', 'new-password'],
+			['confirm', 'Repeat new passphrase', 'new-password']
+		], 'Change passphrase'));
+		vaultBody.appendChild(vaultForm('disable', 'Turn off', [['current', 'Current passphrase', 'current-password']], 'Decrypt library', true));
 	};
 
-	const setImportStatus = (msg, isError = false) => {
-		const el = document.getElementById('import-status');
-		if (!el) return;
-		el.textContent = msg;
-		el.style.color = isError ? 'var(--danger)' : '';
+	const openVaultManager = () => {
+		vaultReturnFocus = document.activeElement;
+		vaultManagerEl.hidden = false;
+		renderVaultManager();
+		vaultManagerEl.querySelector('input, button:not(.modal-close)')?.focus();
 	};
 
-	const exportPrompts = () => {
-		const prompts = getPrompts();
-		const payload = buildExportPayload(prompts);
+	const closeVaultManager = () => {
+		vaultManagerEl.hidden = true;
+		vaultBody.innerHTML = '';
+		if (vaultReturnFocus instanceof HTMLElement) vaultReturnFocus.focus();
+	};
+
+	vaultManagerEl.addEventListener('click', (e) => {
+		const target = e.target;
+		if (!(target instanceof HTMLElement)) return;
+		if (target === vaultManagerEl || target.dataset.action === 'vault-close') closeVaultManager();
+		else if (target.dataset.action === 'vault-lock') lockVault();
+	});
+
+	vaultManagerEl.addEventListener('submit', async (e) => {
+		const formEl = e.target;
+		if (!(formEl instanceof HTMLFormElement)) return;
+		e.preventDefault();
+		const value = (name) => formEl.elements[name]?.value || '';
+		const action = formEl.dataset.vaultForm;
+		if (action === 'auto-lock') {
+			const minutes = Math.floor(Number(value('minutes')));
+			if (!Number.isFinite(minutes) || minutes < 0) return;
+			saveVaultSettings({ ...getVaultSettings(), autoLockMinutes: minutes });
+			scheduleAutoLock();
+			renderVaultManager(minutes ? 'The library locks after ' + minutes + ' minute' + (minutes === 1 ? '' : 's') + ' without activity.' : 'The library only locks when you lock it.');
+			return;
+		}
+		if (action === 'enable' || action === 'change') {
+			const problem = checkNewPassphrase(value('passphrase'), value('confirm'));
+			if (problem) {
+				renderVaultManager(problem, true);
+				return;
+			}
+		}
+		formEl.querySelectorAll('button, input').forEach(el => { el.disabled = true; });
 		try {
-			downloadJSON(payload, formatFilename('prompts-export'));
-			setImportStatus('Export complete.');
+			if (action === 'enable') {
+				await enableVault(value('passphrase'));
+				exportEncryptInput.checked = true;
+				saveHistory();
+				scheduleAutoLock();
+				renderVaultManager('The library is now encrypted.');
+			} else if (action === 'change') {
+				await changeVaultPassphrase(value('current'), value('passphrase'));
+				renderVaultManager('Passphrase changed.');
+			} else if (action === 'disable') {
+				await disableVault(value('current'));
+				clearTimeout(autoLockTimer);
+				saveHistory();
+				renderVaultManager('The library is stored without encryption again.');
+			}
 		} catch (err) {
-			console.error('Export failed', err);
-			setImportStatus('Export failed: ' + String(err), true);
+			renderVaultManager(err.message, true);
 		}
+		renderVaultStatus();
+	});
+
+	vaultManagerEl.addEventListener('keydown', (e) => {
+		if (e.key === 'Escape') closeVaultManager();
+	});
+
+	// ===== END VAULT MANAGER =====
+
+	// ===== ANALYTICS DASHBOARD =====
+	// Charts are plain SVG built here; styling lives in style.css
+	const SVG_NS = 'http://www.w3.org/2000/svg';
+	const CHART_WIDTH = 640;
+	const CHART_WEEKS = 52;
+	const RATING_SEGMENTS = ['unrated', '1', '2', '3', '4', '5'];
+	const statsDashboardEl = document.getElementById('stats-dashboard');
+	const statsBody = statsDashboardEl.querySelector('.modal-body');
+	let statsReturnFocus = null;
+
+	const svgEl = (tag, attrs = {}) => {
+		const el = document.createElementNS(SVG_NS, tag);
+		Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, String(value)));
+		return el;
 	};
 
-	const validateImportPayload = (data) => {
-		const errors = [];
-		if (!data || typeof data !== 'object') errors.push('Payload must be an object');
-		if (!data.version) errors.push('Missing version');
-		if (!data.exportedAt || isNaN(new Date(data.exportedAt).getTime())) errors.push('Invalid exportedAt timestamp');
-		if (!Array.isArray(data.prompts)) errors.push('Missing prompts array');
-		return { ok: errors.length === 0, errors };
+	const svgText = (text, attrs) => {
+		const el = svgEl('text', attrs);
+		el.textContent = text;
+		return el;
 	};
 
-	const importPrompts = async (file) => {
-		if (!file) return;
-		setImportStatus('Reading file...');
-		const text = await file.text().catch(err => { throw new Error('Failed to read file: ' + err.message); });
-		let data;
-		try { data = JSON.parse(text); }
-		catch (e) { setImportStatus('Invalid JSON: ' + e.message, true); return; }
+	// Hover text for a chart mark
+	const withTooltip = (el, text) => {
+		const title = svgEl('title');
+		title.textContent = text;
+		el.appendChild(title);
+		return el;
+	};
+
+	/**
+	 * Vertical bar chart
+	 * @param {Array<{label: string, value: number, title: string}>} bars - Bars in order
+	 * @param {string} description - Accessible description
+	 * @returns {SVGElement} Chart
+	 */
+	const barChart = (bars, description) => {
+		const height = 180, top = 10, bottom = 26, left = 34, right = 8;
+		const plotWidth = CHART_WIDTH - left - right;
+		const plotHeight = height - top - bottom;
+		const maxValue = Math.max(1, ...bars.map(b => b.value));
+		const svg = svgEl('svg', { viewBox: '0 0 ' + CHART_WIDTH + ' ' + height, class: 'chart', role: 'img', 'aria-label': description });
+		[0, maxValue].forEach(value => {
+			const y = top + plotHeight - (value / maxValue) * plotHeight;
+			svg.appendChild(svgEl('line', { x1: left, x2: CHART_WIDTH - right, y1: y, y2: y, class: 'chart-grid' }));
+			svg.appendChild(svgText(String(value), { x: left - 6, y: y + 4, 'text-anchor': 'end', class: 'chart-axis' }));
+		});
+		const slot = plotWidth / Math.max(1, bars.length);
+		const labelEvery = Math.ceil(bars.length / 8);
+		bars.forEach((bar, i) => {
+			const barHeight = (bar.value / maxValue) * plotHeight;
+			const x = left + i * slot;
+			svg.appendChild(withTooltip(svgEl('rect', {
+				x: x + slot * 0.1, y: top + plotHeight - barHeight, width: Math.max(1, slot * 0.8), height: barHeight, class: 'chart-bar'
+			}), bar.title));
+			if (i % labelEvery === 0) svg.appendChild(svgText(bar.label, { x: x + slot / 2, y: height - 8, 'text-anchor': 'middle', class: 'chart-axis' }));
+		});
+		return svg;
+	};
+
+	/**
+	 * Horizontal stacked bars: one row per model, one segment per star rating
+	 * @param {Array} rows - computeStats().ratingByModel
+	 * @returns {SVGElement} Chart
+	 */
+	const ratingChart = (rows) => {
+		const rowHeight = 24, labelWidth = 160, right = 56;
+		const height = rows.length * rowHeight;
+		const maxTotal = Math.max(1, ...rows.map(r => r.total));
+		const scale = (CHART_WIDTH - labelWidth - right) / maxTotal;
+		const svg = svgEl('svg', { viewBox: '0 0 ' + CHART_WIDTH + ' ' + height, class: 'chart', role: 'img', 'aria-label': 'Rating distribution per model' });
+		rows.forEach((row, i) => {
+			const y = i * rowHeight;
+			svg.appendChild(svgText(row.model, { x: labelWidth - 8, y: y + 16, 'text-anchor': 'end', class: 'chart-label' }));
+			let x = labelWidth;
+			[row.unrated, ...row.stars].forEach((count, star) => {
+				if (!count) return;
+				const what = star ? star + (star === 1 ? ' star' : ' stars') : 'unrated';
+				svg.appendChild(withTooltip(svgEl('rect', {
+					x, y: y + 4, width: count * scale, height: rowHeight - 8, class: 'chart-seg chart-seg-' + RATING_SEGMENTS[star]
+				}), row.model + ': ' + count + ' ' + what));
+				x += count * scale;
+			});
+			svg.appendChild(svgText(row.meanRating === null ? '–' : '★ ' + row.meanRating, { x: x + 6, y: y + 16, class: 'chart-axis' }));
+		});
+		return svg;
+	};
+
+	const ratingLegend = () => {
+		const list = document.createElement('ul');
+		list.className = 'chart-legend';
+		RATING_SEGMENTS.forEach(segment => {
+			const li = document.createElement('li');
+			const swatch = document.createElement('span');
+			swatch.className = 'chart-swatch chart-seg-' + segment;
+			li.appendChild(swatch);
+			li.appendChild(document.createTextNode(segment === 'unrated' ? 'Unrated' : segment + '★'));
+			list.appendChild(li);
+		});
+		return list;
+	};
+
+	const statsList = (items, emptyText, describe) => {
+		if (!items.length) {
+			const empty = document.createElement('p');
+			empty.className = 'stats-empty';
+			empty.textContent = emptyText;
+			return empty;
+		}
+		const list = document.createElement('ol');
+		list.className = 'stats-list';
+		items.forEach(item => {
+			const li = document.createElement('li');
+			const title = document.createElement('span');
+			title.className = 'stats-item-title';
+			title.textContent = item.title;
+			const meta = document.createElement('span');
+			meta.className = 'stats-item-meta';
+			meta.textContent = describe(item);
+			li.appendChild(title);
+			li.appendChild(meta);
+			list.appendChild(li);
+		});
+		return list;
+	};
+
+	const statsSection = (heading, ...children) => {
+		const section = document.createElement('section');
+		section.className = 'stats-section';
+		const h3 = document.createElement('h3');
+		h3.textContent = heading;
+		section.appendChild(h3);
+		children.forEach(child => section.appendChild(child));
+		return section;
+	};
 
-		const v = validateImportPayload(data);
-		if (!v.ok) {
-			setImportStatus('Invalid export format: ' + v.errors.join('; '), true);
+	// "Collection 'Work', matching 'tag:email'" for the dashboard header
+	const describeView = (collections) => {
+		const special = { '': 'All prompts', [UNFILED]: 'Unfiled prompts', [ARCHIVE_VIEW]: 'Archived prompts', [TRASH_VIEW]: 'Trash' };
+		const scope = viewState.collection in special
+			? special[viewState.collection]
+			: 'Collection "' + (collections.find(c => String(c.id) === viewState.collection)?.name || viewState.collection) + '"';
+		return viewState.query ? scope + ', matching "' + viewState.query + '"' : scope;
+	};
+
+	const renderStatsDashboard = () => {
+		const collections = getCollections();
+		const stats = computeStats(filterForView(promptCache, collections).visible);
+		statsBody.innerHTML = '';
+
+		const scope = document.createElement('p');
+		scope.className = 'stats-scope';
+		scope.textContent = describeView(collections) + ' · ' + stats.totalPrompts + (stats.totalPrompts === 1 ? ' prompt' : ' prompts');
+		statsBody.appendChild(scope);
+		if (!stats.totalPrompts) {
+			const empty = document.createElement('p');
+			empty.className = 'stats-empty';
+			empty.textContent = 'No prompts in this view. Trashed prompts are not counted.';
+			statsBody.appendChild(empty);
 			return;
 		}
 
-		// Ask user for global import mode
-		let mode = window.prompt("Import mode: type 'merge' to merge (keep existing), 'replace' to overwrite, or 'ask' to resolve per-duplicate.", 'merge');
-		mode = (mode || 'merge').toLowerCase();
-		if (!['merge','replace','ask'].includes(mode)) mode = 'merge';
+		const ratedSum = stats.ratingByModel.reduce((acc, row) => acc + row.stars.reduce((s, n, i) => s + n * (i + 1), 0), 0);
+		const tiles = document.createElement('dl');
+		tiles.className = 'stats-tiles';
+		[
+			['Prompts', stats.totalPrompts],
+			['Rated', stats.ratedPrompts + ' of ' + stats.totalPrompts],
+			['Mean rating', stats.ratedPrompts ? '★ ' + (ratedSum / stats.ratedPrompts).toFixed(2) : '–'],
+			['Most used model', stats.mostUsedModel || '–']
+		].forEach(([label, value]) => {
+			const wrap = document.createElement('div');
+			const dt = document.createElement('dt');
+			dt.textContent = label;
+			const dd = document.createElement('dd');
+			dd.textContent = String(value);
+			wrap.appendChild(dt);
+			wrap.appendChild(dd);
+			tiles.appendChild(wrap);
+		});
+		statsBody.appendChild(tiles);
 
-		// Backup existing data
-		const rawExisting = localStorage.getItem(STORAGE_KEY);
-		const backupKey = STORAGE_KEY + '.backup.' + Date.now();
-		try { localStorage.setItem(backupKey, rawExisting || '[]'); }
-		catch (e) { console.warn('Failed to write backup to localStorage', e); }
+		statsBody.appendChild(statsSection('Rating distribution per model', ratingChart(stats.ratingByModel), ratingLegend()));
 
-		const existing = getPrompts();
-		const incoming = Array.isArray(data.prompts) ? data.prompts : [];
-
-		// Validate individual prompts minimally
-		for (const p of incoming) {
-			if (!p || (typeof p.id === 'undefined')) { setImportStatus('Invalid prompt object (missing id)', true); return; }
-		}
-
-		const existingMap = new Map(existing.map(p => [String(p.id), p]));
-		const result = [...existing];
-		try {
-			for (const p of incoming) {
-				const idKey = String(p.id);
-				if (existingMap.has(idKey)) {
-					if (mode === 'replace') {
-						// remove old then push new
-						const idx = result.findIndex(r => String(r.id) === idKey);
-						if (idx >= 0) result.splice(idx, 1, p);
-					} else if (mode === 'merge') {
-						// keep existing, skip incoming
-						continue;
-					} else if (mode === 'ask') {
-						const shouldReplace = window.confirm('Duplicate prompt id ' + idKey + " found. OK = replace existing, Cancel = keep existing.");
-						if (shouldReplace) {
-							const idx = result.findIndex(r => String(r.id) === idKey);
-							if (idx >= 0) result.splice(idx, 1, p);
-						}
-						// else skip
-					}
-				} else {
-					// no conflict
-					result.push(p);
-				}
-			}
-			// Final save
-			savePrompts(result);
-			setImportStatus('Import complete. Backup key: ' + backupKey);
-			renderPrompts();
-		} catch (err) {
-			console.error('Import failed, attempting rollback', err);
-			// Rollback
+		const weeks = stats.createdPerWeek.slice(-CHART_WEEKS);
+		const weekHeading = 'Prompts created per week' + (stats.createdPerWeek.length > CHART_WEEKS ? ' (last ' + CHART_WEEKS + ' weeks)' : '');
+		statsBody.appendChild(statsSection(weekHeading, barChart(weeks.map(w => ({
+			label: w.week.slice(5),
+			value: w.count,
+			title: 'Week of ' + w.week + ': ' + w.count + (w.count === 1 ? ' prompt' : ' prompts')
+		})), 'Prompts created per week')));
+
+		statsBody.appendChild(statsSection('Prompt size (tokens)', barChart(stats.tokenHistogram.map(b => {
+			const label = b.max === null ? b.min + '+' : b.min + '–' + (b.max - 1);
+			return { label, value: b.count, title: label + ' tokens: ' + b.count + (b.count === 1 ? ' prompt' : ' prompts') };
+		}), 'Token size histogram')));
+
+		const stars = (item) => '★ ' + item.rating + ' · ' + item.model;
+		const columns = document.createElement('div');
+		columns.className = 'stats-columns';
+		columns.appendChild(statsSection('Most effective', statsList(stats.mostEffective, 'No rated prompts yet.', stars)));
+		columns.appendChild(statsSection('Least effective', statsList(stats.leastEffective, 'Not enough rated prompts.', stars)));
+		statsBody.appendChild(columns);
+
+		const attentionHeading = 'Needs attention: ' + stats.unratedPrompts + ' unrated';
+		statsBody.appendChild(statsSection(attentionHeading, statsList(stats.needsAttention, 'Every prompt has a rating.',
+			(item) => item.model + ' · added ' + formatDate(item.createdAt))));
+	};
+
+	const openStatsDashboard = () => {
+		statsReturnFocus = document.activeElement;
+		statsDashboardEl.hidden = false;
+		renderStatsDashboard();
+		statsDashboardEl.querySelector('.modal-close')?.focus();
+	};
+
+	const closeStatsDashboard = () => {
+		statsDashboardEl.hidden = true;
+		statsBody.innerHTML = '';
+		if (statsReturnFocus instanceof HTMLElement) statsReturnFocus.focus();
+	};
+
+	statsDashboardEl.addEventListener('click', (e) => {
+		const target = e.target;
+		if (target === statsDashboardEl || (target instanceof HTMLElement && target.dataset.action === 'stats-close')) closeStatsDashboard();
+	});
+
+	statsDashboardEl.addEventListener('keydown', (e) => {
+		if (e.key === 'Escape') closeStatsDashboard();
+	});
+
+	// ===== END ANALYTICS DASHBOARD =====
+
+	// ===== INSTALLED APP =====
+	// sw.js keeps the app shell cached for offline use and tells the page when
+	// it has downloaded a changed version. manifest.webmanifest makes the app
+	// installable, opens .json exports with it (launchQueue) and lets other
+	// apps share text into it (?share-title=…&share-text=…&share-url=…).
+	const SHARE_TARGET_PARAMS = { title: 'share-title', text: 'share-text', url: 'share-url' };
+	const updateBannerEl = document.getElementById('app-update');
+	// Files the app was opened with before the library was loaded or unlocked
+	let launchedFiles = [];
+	// Set once the user accepts a new version, so only this page reloads into it
+	let updateRequested = false;
+
+	/**
+	 * Take text shared from another app out of the URL
+	 * @returns {Object|null} { title, content }, or null when nothing was shared
+	 */
+	const takeSharedText = () => {
+		const params = new URLSearchParams(window.location.search);
+		if (!Object.values(SHARE_TARGET_PARAMS).some(name => params.has(name))) return null;
+		const [title, text, url] = ['title', 'text', 'url'].map(key => (params.get(SHARE_TARGET_PARAMS[key]) || '').trim());
+		Object.values(SHARE_TARGET_PARAMS).forEach(name => params.delete(name));
+		const search = params.toString();
+		window.history.replaceState(null, '', window.location.pathname + (search ? '?' + search : '') + window.location.hash);
+		// Many apps repeat the link in the text
+		const content = [text, url && !text.includes(url) ? url : ''].filter(Boolean).join('\n\n');
+		return title || content ? { title, content } : null;
+	};
+
+	// Pre-fill the add form with shared text; the user picks the model and saves
+	const openSharedText = () => {
+		const shared = takeSharedText();
+		if (!shared) return;
+		titleInput.value = shared.title.slice(0, titleInput.maxLength);
+		contentInput.value = shared.content;
+		(titleInput.value ? contentInput : titleInput).focus();
+		setImportStatus('Shared text added to the form. Check it and add the prompt to save it.');
+	};
+
+	const openLaunchedFiles = () => {
+		const files = launchedFiles;
+		launchedFiles = [];
+		if (files.length) importFiles(files);
+	};
+
+	// .json exports opened with the installed app go through the import flow
+	const attachLaunchQueue = () => {
+		if (!('launchQueue' in window)) return;
+		window.launchQueue.setConsumer(async (params) => {
+			if (!params.files?.length) return;
 			try {
-				if (rawExisting === null) localStorage.removeItem(STORAGE_KEY);
-				else localStorage.setItem(STORAGE_KEY, rawExisting);
-				setImportStatus('Import failed, rolled back to previous state.', true);
-			} catch (rbErr) {
-				console.error('Rollback failed', rbErr);
-				setImportStatus('Import failed and rollback failed: ' + rbErr.message, true);
+				launchedFiles.push(...await Promise.all(params.files.map(handle => handle.getFile())));
+			} catch (err) {
+				console.error('Could not open the launched file', err);
+				setImportStatus('Could not open the file: ' + err.message, true);
+				return;
 			}
+			if (libraryStarted && vaultLockEl.hidden) openLaunchedFiles();
+		});
+	};
+
+	const registerServiceWorker = async () => {
+		if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+		navigator.serviceWorker.addEventListener('message', (e) => {
+			if (e.data?.type === 'update-ready') updateBannerEl.hidden = false;
+			else if (e.data?.type === 'update-applied' && updateRequested) window.location.reload();
+		});
+		try {
+			await navigator.serviceWorker.register('sw.js');
+		} catch (err) {
+			console.warn('Offline support is unavailable', err);
+			return;
 		}
+		navigator.serviceWorker.controller?.postMessage({ type: 'update-status' });
 	};
 
+	updateBannerEl.addEventListener('click', (e) => {
+		const target = e.target;
+		if (!(target instanceof HTMLElement)) return;
+		if (target.dataset.action === 'dismiss-update') {
+			updateBannerEl.hidden = true;
+		} else if (target.dataset.action === 'apply-update') {
+			updateRequested = true;
+			// The worker switches to the new files and answers with update-applied
+			const worker = navigator.serviceWorker?.controller;
+			if (worker) worker.postMessage({ type: 'apply-update' });
+			else window.location.reload();
+		}
+	});
+
+	attachLaunchQueue();
+	registerServiceWorker();
+
+	// ===== END INSTALLED APP =====
+
 	// Wire UI
 	const attachImportExportUI = () => {
 		const exportBtn = document.getElementById('export-btn');
 		const importBtn = document.getElementById('import-btn');
+		const backupsBtn = document.getElementById('backups-btn');
+		const modelsBtn = document.getElementById('models-btn');
+		const providersBtn = document.getElementById('providers-btn');
+		const lintRulesBtn = document.getElementById('lint-rules-btn');
+		const vaultBtn = document.getElementById('vault-btn');
+		const statsBtn = document.getElementById('stats-btn');
 		const fileInput = document.getElementById('import-file');
-		if (exportBtn) exportBtn.addEventListener('click', exportPrompts);
+		const folderBtn = document.getElementById('import-folder-btn');
+		const folderInput = document.getElementById('import-folder');
+		const exportFormat = document.getElementById('export-format');
+		const exportScope = document.getElementById('export-scope');
+		if (exportBtn) exportBtn.addEventListener('click', () => exportPrompts(exportFormat?.value, exportScope?.value, exportEncryptInput?.checked && !exportEncryptInput.disabled));
+		// Only JSON exports can be encrypted
+		if (exportFormat && exportEncryptInput) exportFormat.addEventListener('change', () => { exportEncryptInput.disabled = exportFormat.value !== 'json'; });
+		if (backupsBtn) backupsBtn.addEventListener('click', openBackupManager);
+		if (modelsBtn) modelsBtn.addEventListener('click', openModelManager);
+		if (providersBtn) providersBtn.addEventListener('click', openProviderManager);
+		if (lintRulesBtn) lintRulesBtn.addEventListener('click', openLintManager);
+		if (vaultBtn) vaultBtn.addEventListener('click', openVaultManager);
+		if (statsBtn) statsBtn.addEventListener('click', openStatsDashboard);
 		if (importBtn && fileInput) importBtn.addEventListener('click', () => fileInput.click());
-		if (fileInput) fileInput.addEventListener('change', (e) => {
-			const f = fileInput.files && fileInput.files[0];
-			if (f) importPrompts(f);
-			fileInput.value = '';
-		});
+		if (folderBtn && folderInput) folderBtn.addEventListener('click', () => folderInput.click());
+		[fileInput, folderInput].forEach(input => input && input.addEventListener('change', () => {
+			importFiles([...(input.files || [])]);
+			input.value = '';
+		}));
 	};
 
 	attachImportExportUI();
 
-	document.addEventListener('DOMContentLoaded', renderPrompts);
+	storageStatusEl.addEventListener('click', (e) => {
+		if (e.target instanceof HTMLElement && e.target.dataset.action === 'dismiss-storage-status') storageStatusEl.hidden = true;
+	});
+
+	// Follow changes other tabs make: prompts via the revision counter,
+	// localStorage-only settings via their own storage events
+	const attachSyncListeners = () => {
+		if (syncChannel) syncChannel.addEventListener('message', (e) => {
+			if (e.data?.type === 'prompts' && e.data.revision !== knownRevision) syncFromStorage();
+		});
+		window.addEventListener('storage', (e) => {
+			if (e.key === REVISION_KEY) {
+				syncFromStorage();
+			} else if (e.key === MODELS_KEY) {
+				reloadModels();
+				renderModelSuggestions();
+				onRemoteChange();
+			} else if (e.key === COLLECTIONS_KEY || e.key === MODEL_SETTINGS_KEY || e.key === TRASH_SETTINGS_KEY || e.key === PROVIDERS_KEY || e.key === LINT_SETTINGS_KEY) {
+				onRemoteChange();
+			}
+		});
+	};
+
+	/**
+	 * Show the library once it is loaded, at startup or after unlocking the vault
+	 * @param {number} quarantined - Invalid stored records moved into a backup
+	 */
+	const startLibrary = (quarantined) => {
+		libraryStarted = true;
+		if (quarantined) showStorageStatus(quarantined + ' stored prompt(s) were invalid and have been moved to a backup.');
+		if (vaultDamaged) showStorageStatus('The encrypted library could not be decrypted; it may be damaged. Nothing was changed or deleted. Restore a snapshot from Backups to replace it.');
+		migrateLibraryModels();
+		const purged = purgeExpiredTrash();
+		if (purged) setImportStatus('Permanently deleted ' + purged + (purged === 1 ? ' prompt' : ' prompts') + ' that stayed in the trash longer than ' + getTrashSettings().retentionDays + ' days.');
+		if (vault) exportEncryptInput.checked = true;
+		renderVaultStatus();
+		renderPrompts();
+		scheduleAutoLock();
+		openShareFromURL();
+		openSharedText();
+		openLaunchedFiles();
+	};
+
+	document.addEventListener('DOMContentLoaded', async () => {
+		const { backend, migrated, quarantined, locked } = await initStorage();
+		storageBackendName = backend + (LIBRARY_NAME ? ' (library "' + LIBRARY_NAME + '")' : '');
+		if (migrated) setImportStatus('Moved ' + migrated + ' prompts from localStorage to IndexedDB.');
+		renderModelSuggestions();
+		attachSyncListeners();
+		if (locked) {
+			renderVaultStatus();
+			showVaultLock();
+		} else {
+			startLibrary(quarantined);
+		}
+	});
 })();
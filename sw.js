@@ -0,0 +1,170 @@
+// Prompt Library service worker
+// Serves the app shell from a cache so the app opens offline. Each shell
+// cache is named after a hash of the files in it, so any change to them is
+// a new version: every page load revalidates the shell in the background,
+// and a changed shell is downloaded into a cache of its own and offered to
+// open pages, which reload into it when the user agrees (INSTALLED APP in
+// script.js). Prompts live in IndexedDB and are never cached here.
+const SHELL = ['./', 'index.html', 'style.css', 'core.js', 'script.js', 'manifest.webmanifest', 'icon.svg'];
+const SHELL_PREFIX = 'prompt-library-shell-';
+// Vocabularies are large and only needed for the models in use, so they are cached on first fetch
+const VOCAB_CACHE = 'prompt-library-vocab';
+// Which shell cache is served ('current') and which waits for the user ('pending')
+const META_CACHE = 'prompt-library-meta';
+
+const getMeta = async (key) => {
+	const response = await (await caches.open(META_CACHE)).match(key);
+	return response ? response.text() : null;
+};
+
+const setMeta = async (key, value) => {
+	const cache = await caches.open(META_CACHE);
+	if (value) await cache.put(key, new Response(value));
+	else await cache.delete(key);
+};
+
+/**
+ * Fetch the shell and store it in a cache named after its contents
+ * @returns {Promise<string>} Cache name
+ */
+const downloadShell = async () => {
+	// Revalidate with the server instead of trusting the HTTP cache; unchanged files cost a 304
+	const responses = await Promise.all(SHELL.map(async (url) => {
+		const response = await fetch(url, { cache: 'no-cache' });
+		if (!response.ok) throw new Error(url + ': HTTP ' + response.status);
+		return response;
+	}));
+	const bodies = await Promise.all(responses.map(r => r.clone().arrayBuffer()));
+	const all = new Uint8Array(bodies.reduce((n, body) => n + body.byteLength, 0));
+	bodies.reduce((at, body) => { all.set(new Uint8Array(body), at); return at + body.byteLength; }, 0);
+	const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', all));
+	const name = SHELL_PREFIX + [...digest.slice(0, 8)].map(b => b.toString(16).padStart(2, '0')).join('');
+	if (!(await caches.has(name))) {
+		const cache = await caches.open(name);
+		await Promise.all(SHELL.map((url, i) => cache.put(url, responses[i])));
+	}
+	return name;
+};
+
+// Delete shell caches that are neither served nor waiting
+const pruneShells = async (keep) => {
+	const names = await caches.keys();
+	await Promise.all(names.filter(name => name.startsWith(SHELL_PREFIX) && !keep.includes(name)).map(name => caches.delete(name)));
+};
+
+const notifyPages = async (message) => {
+	const pages = await self.clients.matchAll({ type: 'window' });
+	pages.forEach(page => page.postMessage(message));
+};
+
+// One check at a time, so a cache is never offered while it is still being filled
+let checking = null;
+
+/**
+ * Download the shell and, when it changed, keep it as the pending version
+ * and tell open pages. Fails quietly offline; the next page load tries again.
+ * @returns {Promise<void>}
+ */
+const checkForUpdate = () => checking || (checking = (async () => {
+	try {
+		const name = await downloadShell();
+		const current = await getMeta('current');
+		if (!current) {
+			await setMeta('current', name);
+			await pruneShells([name]);
+		} else if (name === current) {
+			await setMeta('pending', null);
+			await pruneShells([current]);
+		} else if (name !== await getMeta('pending')) {
+			await setMeta('pending', name);
+			await pruneShells([current, name]);
+			await notifyPages({ type: 'update-ready' });
+		}
+	} catch (err) {
+		console.warn('Could not check for a new version', err);
+	} finally {
+		checking = null;
+	}
+})());
+
+// Serve the pending shell from now on; pages reload into it
+const applyUpdate = async () => {
+	const pending = await getMeta('pending');
+	if (!pending) return;
+	await setMeta('current', pending);
+	await setMeta('pending', null);
+	await pruneShells([pending]);
+	// Vocabularies may have changed along with the shell
+	await caches.delete(VOCAB_CACHE);
+};
+
+self.addEventListener('install', (e) => {
+	e.waitUntil((async () => {
+		await checkForUpdate();
+		if (!(await getMeta('current'))) throw new Error('The app shell could not be cached');
+		// Which files are served is decided by the shell caches, not by the worker version
+		await self.skipWaiting();
+	})());
+});
+
+self.addEventListener('activate', (e) => {
+	e.waitUntil((async () => {
+		// Caches from earlier cache layouts
+		const names = await caches.keys();
+		await Promise.all(names.filter(name => name.startsWith('prompt-library-') && !name.startsWith(SHELL_PREFIX) && name !== VOCAB_CACHE && name !== META_CACHE)
+			.map(name => caches.delete(name)));
+		// Take over pages opened before the first install, so they work offline too
+		await self.clients.claim();
+	})());
+});
+
+self.addEventListener('message', (e) => {
+	const type = e.data?.type;
+	if (type === 'update-status') {
+		// A page just loaded; an update may have been downloaded during an earlier visit
+		e.waitUntil(getMeta('pending').then(pending => { if (pending) e.source.postMessage({ type: 'update-ready' }); }));
+	} else if (type === 'apply-update') {
+		e.waitUntil(applyUpdate().then(() => e.source.postMessage({ type: 'update-applied' })));
+	}
+});
+
+/**
+ * Cache-first fetch for a vocabulary file
+ * @param {Request} request - Request for vocab/<id>.json
+ * @returns {Promise<Response>}
+ */
+const vocabResponse = async (request) => {
+	const cache = await caches.open(VOCAB_CACHE);
+	const cached = await cache.match(request);
+	if (cached) return cached;
+	const response = await fetch(request);
+	if (response.ok) await cache.put(request, response.clone());
+	return response;
+};
+
+/**
+ * A shell file from the current version, or the network for anything else
+ * @param {Request} request - Request
+ * @param {boolean} navigation - Page loads ignore the query: ?library=, ?q= and shared text all open the same page
+ * @returns {Promise<Response>}
+ */
+const shellResponse = async (request, navigation) => {
+	const current = await getMeta('current');
+	const cached = current && await caches.match(request, { cacheName: current, ignoreSearch: navigation });
+	return cached || fetch(request);
+};
+
+self.addEventListener('fetch', (e) => {
+	const { request } = e;
+	const url = new URL(request.url);
+	// Provider APIs and other sites go straight to the network
+	if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+	const path = url.pathname.slice(new URL(self.registration.scope).pathname.length);
+	if (path.startsWith('vocab/') && path.endsWith('.json')) {
+		e.respondWith(vocabResponse(request));
+		return;
+	}
+	const navigation = request.mode === 'navigate';
+	if (navigation) e.waitUntil(checkForUpdate());
+	e.respondWith(shellResponse(request, navigation));
+});
@@ -0,0 +1,148 @@
+// Tests for the command-line tool (cli.js), run on temporary export files
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const { createLibrary, encryptExport, readExport } = require('../core.js');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-library-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const run = (args, env = {}) => {
+	const result = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', env: { ...process.env, ...env }, timeout: 30000 });
+	return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+};
+
+const writeExport = (name, payload) => {
+	const file = path.join(dir, name);
+	fs.writeFileSync(file, typeof payload === 'string' ? payload : JSON.stringify(payload));
+	return file;
+};
+
+const base = createLibrary();
+const email = base.add({ title: 'Summarize email', content: 'Summarize this email: {{input}}', model: 'gpt-4o' }, { tags: ['email'] });
+const review = base.add({ title: 'Review code', content: 'Review this code for bugs', model: 'claude-sonnet-4-5' });
+base.logRun(review.id, { input: 'x', model: 'claude-sonnet-4-5', output: 'ok', rating: 4, verdict: '' });
+const old = base.add({ title: 'Old draft', content: 'Draft', model: 'gpt-4o' });
+base.trash(old.id);
+
+const other = createLibrary({ prompts: base.prompts() });
+other.update(email.id, { content: 'Summarize this email in three bullets: {{input}}' });
+other.add({ title: 'Translate', content: 'Translate into German', model: 'gpt-4.1' });
+const otherExport = other.toExport();
+otherExport.prompts.push({ id: 'broken', title: 'Broken' });
+
+const baseFile = writeExport('base.json', base.toExport());
+const otherFile = writeExport('other.json', otherExport);
+
+test('help and unknown commands', () => {
+	assert.match(run(['help']).stdout, /Usage: node cli.js/);
+	const unknown = run(['frobnicate']);
+	assert.equal(unknown.code, 2);
+	assert.match(unknown.stderr, /unknown command "frobnicate"/);
+	assert.equal(run(['list', baseFile, '--bogus']).code, 2);
+});
+
+test('list hides trashed prompts unless --all', () => {
+	const listed = run(['list', baseFile]);
+	assert.equal(listed.code, 0);
+	assert.match(listed.stdout, /Summarize email/);
+	assert.doesNotMatch(listed.stdout, /Old draft/);
+	assert.match(run(['list', baseFile, '--all']).stdout, /Old draft \(trashed\)/);
+	const titles = JSON.parse(run(['list', baseFile, '--json', '--sort', 'title', '--dir', 'asc']).stdout).map(p => p.title);
+	assert.deepEqual(titles, ['Review code', 'Summarize email']);
+	assert.equal(run(['list', baseFile, '--sort', 'colour']).code, 2);
+});
+
+test('search uses the library query language', () => {
+	const found = JSON.parse(run(['search', baseFile, 'rating:>=4', '--json']).stdout);
+	assert.deepEqual(found.map(p => p.id), [review.id]);
+	const bad = run(['search', baseFile, 'rating:>>']);
+	assert.equal(bad.code, 2);
+	assert.match(bad.stderr, /invalid query/);
+});
+
+test('validate reports invalid records and exits with 1', () => {
+	const ok = run(['validate', baseFile]);
+	assert.equal(ok.code, 0);
+	assert.match(ok.stdout, /3 valid, 0 invalid/);
+	const invalid = run(['validate', baseFile, otherFile, writeExport('junk.json', '{ not json')]);
+	assert.equal(invalid.code, 1);
+	assert.match(invalid.stdout, /other\.json: 4 valid, 1 invalid/);
+	assert.match(invalid.stdout, /#5 \(id broken\) "Broken": content must be a non-empty string/);
+	assert.match(invalid.stdout, /junk\.json: invalid JSON/);
+	assert.match(invalid.stderr, /2 of 3 files did not validate/);
+});
+
+test('validate upgrades old exports', () => {
+	const v1 = writeExport('v1.json', {
+		version: '1.0.0',
+		exportedAt: '2025-03-01T10:00:00.000Z',
+		prompts: [{
+			id: 1,
+			title: 'Old prompt',
+			content: 'Summarize',
+			metadata: { model: 'gpt-4', createdAt: '2025-03-01T09:00:00.000Z', updatedAt: '2025-03-01T09:00:00.000Z', tokenEstimate: { min: 1, max: 2, confidence: 'high' } }
+		}]
+	});
+	const result = run(['validate', v1]);
+	assert.equal(result.code, 0);
+	assert.match(result.stdout, /1 valid, 0 invalid \(version 1\.0\.0, upgraded to 6\.0\.0\)/);
+});
+
+test('stats skip trashed prompts', () => {
+	const stats = JSON.parse(run(['stats', baseFile, '--json']).stdout);
+	assert.equal(stats.totalPrompts, 2);
+	assert.equal(stats.ratedPrompts, 1);
+	assert.match(run(['stats', baseFile]).stdout, /Prompts: 2 \(1 rated, 1 unrated\)/);
+});
+
+test('merge applies the import conflict rules', () => {
+	const kept = run(['merge', baseFile, otherFile]);
+	assert.equal(kept.code, 0);
+	assert.match(kept.stderr, /skipped 1 invalid prompt/);
+	assert.match(kept.stderr, /Merged: 1 added, 0 replaced, 0 merged, 0 kept both, 1 skipped, 2 unchanged\./);
+	const keptPrompts = readExport(JSON.parse(kept.stdout)).accepted;
+	assert.equal(keptPrompts.length, 4);
+	assert.equal(keptPrompts.find(p => p.id === email.id).content, 'Summarize this email: {{input}}');
+
+	const out = path.join(dir, 'replaced.json');
+	const replaced = run(['merge', baseFile, otherFile, '--on-conflict', 'replace', '-o', out]);
+	assert.equal(replaced.code, 0);
+	assert.equal(replaced.stdout, '');
+	const { accepted, rejected } = readExport(JSON.parse(fs.readFileSync(out, 'utf8')));
+	assert.deepEqual(rejected, []);
+	assert.equal(accepted.find(p => p.id === email.id).content, 'Summarize this email in three bullets: {{input}}');
+
+	const both = run(['merge', baseFile, otherFile, '--on-conflict', 'both']);
+	assert.equal(readExport(JSON.parse(both.stdout)).accepted.length, 5);
+	assert.match(run(['merge', baseFile, otherFile, '--on-conflict', 'merge']).stderr, /1 merged/);
+	assert.equal(run(['merge', baseFile, otherFile, '--on-conflict', 'overwrite']).code, 2);
+	assert.equal(run(['merge', baseFile]).code, 2);
+});
+
+test('encrypted exports need the passphrase', async () => {
+	const file = writeExport('encrypted.json', await encryptExport(JSON.stringify(base.toExport()), 'correct horse battery'));
+	const locked = run(['list', file], { PROMPT_LIBRARY_PASSPHRASE: '' });
+	assert.equal(locked.code, 2);
+	assert.match(locked.stderr, /is encrypted; set PROMPT_LIBRARY_PASSPHRASE/);
+	assert.match(run(['list', file], { PROMPT_LIBRARY_PASSPHRASE: 'correct horse battery' }).stdout, /Summarize email/);
+	assert.equal(run(['list', file], { PROMPT_LIBRARY_PASSPHRASE: 'wrong passphrase' }).code, 2);
+});
+
+test('unexpected errors exit with 1 and no stack trace', () => {
+	const result = run(['merge', baseFile, otherFile, '-o', dir]);
+	assert.equal(result.code, 1);
+	assert.match(result.stderr, /^error: .*EISDIR/m);
+	assert.doesNotMatch(result.stderr, /\n\s+at /);
+});
+
+test('missing files', () => {
+	const missing = run(['stats', path.join(dir, 'nope.json')]);
+	assert.equal(missing.code, 2);
+	assert.match(missing.stderr, /no such file/);
+});
@@ -0,0 +1,278 @@
+// Tests for the headless core (core.js): node --test test/
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+
+const { createLibrary, readExport, validatePromptRecord, mergeConcurrent, parseQuery, renderTemplate, expandIncludes, snippetIndex } = core;
+
+// A 1.0.0 export as the first version of the app wrote it
+const V1_EXPORT = {
+	version: '1.0.0',
+	exportedAt: '2025-03-01T10:00:00.000Z',
+	prompts: [{
+		id: 1,
+		title: 'Old prompt',
+		content: 'Summarize {{text}}',
+		userRating: 3,
+		metadata: {
+			model: 'gpt-4',
+			createdAt: '2025-03-01T09:00:00.000Z',
+			updatedAt: '2025-03-01T09:00:00.000Z',
+			tokenEstimate: { min: 2, max: 4, confidence: 'high' }
+		}
+	}]
+};
+
+const sampleLibrary = () => {
+	const library = createLibrary();
+	const email = library.add({ title: 'Summarize email', content: 'Summarize this email: {{input}}', model: 'gpt-4o' }, { tags: ['Email', 'work'] });
+	const review = library.add({ title: 'Review code', content: 'Review this code for bugs', model: 'claude-sonnet-4-5' });
+	return { library, email, review };
+};
+
+test('add builds a valid current record', () => {
+	const { library, email } = sampleLibrary();
+	const stored = library.get(email.id);
+	assert.deepEqual(validatePromptRecord(stored).errors, []);
+	assert.equal(stored.schemaVersion, core.SCHEMA_VERSION);
+	assert.deepEqual(stored.tags, ['email', 'work']);
+	assert.equal(stored.revisions.length, 1);
+	assert.equal(library.prompts().length, 2);
+});
+
+test('add rejects an invalid model and a taken snippet name', () => {
+	const { library } = sampleLibrary();
+	assert.throws(() => library.add({ title: 'x', content: 'y', model: '' }));
+	library.add({ title: 'Tone', content: 'Keep it friendly.', model: 'gpt-4o' }, { snippetName: 'tone' });
+	assert.throws(() => library.add({ title: 'Tone 2', content: 'Be brief.', model: 'gpt-4o' }, { snippetName: 'Tone' }));
+});
+
+test('reads return copies', () => {
+	const { library, email } = sampleLibrary();
+	library.get(email.id).title = 'Changed outside';
+	assert.equal(library.get(email.id).title, 'Summarize email');
+});
+
+test('update adds a revision only when the text changes', () => {
+	const { library, email } = sampleLibrary();
+	library.update(email.id, { title: 'Summarize email' });
+	assert.equal(library.get(email.id).revisions.length, 1);
+	const updated = library.update(email.id, { content: 'Summarize this email in three bullets: {{input}}' });
+	assert.equal(updated.revisions.length, 2);
+	assert.equal(updated.metadata.createdAt, email.metadata.createdAt);
+	assert.throws(() => library.update('missing', { title: 'x' }), /No prompt with id missing/);
+});
+
+test('trash, archive and purge', () => {
+	const { library, email, review } = sampleLibrary();
+	library.trash(email.id);
+	library.archive(review.id);
+	assert.deepEqual(library.search().map(p => p.id), []);
+	assert.deepEqual(library.search('', { scope: core.TRASH_VIEW }).map(p => p.id), [email.id]);
+	assert.deepEqual(library.search('', { scope: core.ARCHIVE_VIEW }).map(p => p.id), [review.id]);
+	library.restore(email.id);
+	library.archive(review.id, false);
+	assert.equal(library.search().length, 2);
+	library.purge(email.id);
+	assert.throws(() => library.get(email.id));
+});
+
+test('logRun keeps the rating in step with the runs', () => {
+	const { library, review } = sampleLibrary();
+	library.logRun(review.id, { input: 'a', model: 'claude-sonnet-4-5', output: 'ok', rating: 4, verdict: '' });
+	library.logRun(review.id, { input: 'b', model: 'claude-sonnet-4-5', output: 'meh', rating: 2, verdict: '' });
+	const stored = library.get(review.id);
+	assert.equal(stored.runs.length, 2);
+	assert.equal(stored.userRating, 3);
+});
+
+test('search uses the query language and sort options', () => {
+	const { library, email, review } = sampleLibrary();
+	library.logRun(review.id, { input: 'a', model: 'claude-sonnet-4-5', output: 'ok', rating: 5, verdict: '' });
+	assert.deepEqual(library.search('tag:email').map(p => p.id), [email.id]);
+	assert.deepEqual(library.search('rating:>=4').map(p => p.id), [review.id]);
+	assert.deepEqual(library.search('', { sort: 'title', dir: 'asc' }).map(p => p.title), ['Review code', 'Summarize email']);
+	assert.throws(() => library.search('rating:>>'));
+	assert.deepEqual(parseQuery('model:gpt-4o "two words"').errors, []);
+});
+
+test('tags and notes', () => {
+	const { library, email } = sampleLibrary();
+	library.tag(email.id, ['Urgent', 'work']);
+	assert.deepEqual(library.get(email.id).tags, ['email', 'work', 'urgent']);
+	library.untag(email.id, 'WORK');
+	assert.deepEqual(library.get(email.id).tags, ['email', 'urgent']);
+	library.addNote(email.id, 'Works best with short emails');
+	assert.equal(library.get(email.id).notes[0].text, 'Works best with short emails');
+});
+
+test('templates and includes', () => {
+	assert.equal(renderTemplate('Hi {{name=there}}, {{task}}', { task: 'summarize' }), 'Hi there, summarize');
+	const { library } = sampleLibrary();
+	library.add({ title: 'Tone', content: 'Keep it friendly.', model: 'gpt-4o' }, { snippetName: 'tone' });
+	const snippets = snippetIndex(library.prompts());
+	assert.equal(expandIncludes('Reply. {{> tone}}', snippets).text, 'Reply. Keep it friendly.');
+	assert.deepEqual(expandIncludes('{{> nope}}', snippets).missing, ['nope']);
+});
+
+test('readExport upgrades old exports and sorts out invalid records', () => {
+	const result = readExport({ ...V1_EXPORT, prompts: [...V1_EXPORT.prompts, { id: 2, title: 'No content' }] });
+	assert.equal(result.originalVersion, '1.0.0');
+	assert.equal(result.data.version, core.EXPORT_VERSION);
+	assert.equal(result.accepted.length, 1);
+	assert.equal(result.accepted[0].schemaVersion, core.SCHEMA_VERSION);
+	assert.equal(result.accepted[0].runs.length, 1, 'an old rating becomes the first run');
+	assert.equal(result.rejected.length, 1);
+	assert.equal(result.rejected[0].id, 2);
+	const markup = { ...V1_EXPORT.prompts[0], id: 'x"><img src=x onerror=alert(1)>' };
+	const unsafe = readExport({ ...V1_EXPORT, prompts: [markup, { ...V1_EXPORT.prompts[0], id: 'prompt-2.b:1' }] });
+	assert.deepEqual(unsafe.accepted.map(p => p.id), ['prompt-2.b:1']);
+	assert.match(unsafe.rejected[0].errors[0], /^id must be/, 'ids end up in markup and selectors');
+	assert.throws(() => readExport({ version: '99.0.0', prompts: [] }), /newer than this app supports/);
+	assert.throws(() => readExport({ prompts: [] }), /Unrecognised export version/);
+});
+
+test('an export reads back into the same library', () => {
+	const { library } = sampleLibrary();
+	const exported = JSON.parse(JSON.stringify(library.toExport()));
+	assert.equal(exported.stats.totalPrompts, 2);
+	const { accepted, rejected } = readExport(exported);
+	assert.deepEqual(rejected, []);
+	assert.deepEqual(accepted, library.prompts());
+});
+
+test('import resolves conflicts with keep, replace, both and merge', () => {
+	const { library, email } = sampleLibrary();
+	const other = createLibrary({ prompts: library.prompts() });
+	other.update(email.id, { content: 'Summarize this email briefly: {{input}}' });
+	other.addNote(email.id, 'From the other library');
+	other.add({ title: 'Translate', content: 'Translate into German', model: 'gpt-4.1' });
+	const incoming = other.toExport();
+
+	const expectations = {
+		keep: { added: 1, skipped: 1, count: 3, content: email.content },
+		replace: { added: 1, replaced: 1, count: 3, content: 'Summarize this email briefly: {{input}}' },
+		both: { added: 1, keptBoth: 1, count: 4, content: email.content },
+		// Merged text follows the newer updatedAt, which can tie here; notes are checked below
+		merge: { added: 1, merged: 1, count: 3 }
+	};
+	Object.entries(expectations).forEach(([action, expected]) => {
+		const target = createLibrary({ prompts: library.prompts() });
+		const summary = target.import(incoming, { action });
+		assert.equal(summary.added, expected.added, action);
+		['replaced', 'merged', 'keptBoth', 'skipped'].forEach(key => assert.equal(summary[key], expected[key] || 0, action + ' ' + key));
+		assert.equal(summary.unchanged, 1, action);
+		assert.equal(target.prompts().length, expected.count, action);
+		if (expected.content) assert.equal(target.get(email.id).content, expected.content, action);
+	});
+
+	const merged = createLibrary({ prompts: library.prompts() });
+	merged.import(incoming, { action: 'merge' });
+	assert.equal(merged.get(email.id).notes.length, 1, 'merge keeps the notes of both');
+});
+
+test('stats skip trashed prompts', () => {
+	const { library, email, review } = sampleLibrary();
+	library.logRun(review.id, { input: 'a', model: 'claude-sonnet-4-5', output: 'ok', rating: 4, verdict: '' });
+	library.trash(email.id);
+	const stats = library.stats();
+	assert.equal(stats.totalPrompts, 1);
+	assert.equal(stats.ratedPrompts, 1);
+	assert.equal(stats.mostUsedModel, 'claude-sonnet-4-5');
+	assert.equal(stats.tokenHistogram.reduce((sum, b) => sum + b.count, 0), 1);
+});
+
+test('mergeConcurrent keeps both sides of independent edits', () => {
+	const { library, email, review } = sampleLibrary();
+	const base = library.prompts();
+	const ours = createLibrary({ prompts: base });
+	ours.update(email.id, { title: 'Summarize an email' });
+	const theirs = createLibrary({ prompts: base });
+	theirs.addNote(review.id, 'Added in another tab');
+	const { prompts, conflicts } = mergeConcurrent(base, ours.prompts(), theirs.prompts());
+	assert.deepEqual(conflicts, []);
+	assert.equal(prompts.find(p => p.id === email.id).title, 'Summarize an email');
+	assert.equal(prompts.find(p => p.id === review.id).notes.length, 1);
+});
+
+test('encrypted exports round-trip with the passphrase', async () => {
+	const text = JSON.stringify(sampleLibrary().library.toExport());
+	const file = await core.encryptExport(text, 'correct horse battery');
+	assert.ok(core.isEncryptedExport(file));
+	assert.equal(await core.decryptExport(file, 'correct horse battery'), text);
+	await assert.rejects(core.decryptExport(file, 'wrong passphrase'));
+});
+
+test('diffs rebuild both texts and keep what is shared', () => {
+	const parts = core.diffLines('a\nb\nc', 'a\nc\nd');
+	assert.deepEqual(parts, [
+		{ type: 'same', text: 'a' },
+		{ type: 'del', text: 'b' },
+		{ type: 'same', text: 'c' },
+		{ type: 'add', text: 'd' }
+	]);
+	const before = 'Summarize the text in three bullets.';
+	const after = 'Summarize the article in five short bullets.';
+	const words = core.diffWords(before, after);
+	assert.equal(words.filter(p => p.type !== 'add').map(p => p.text).join(''), before);
+	assert.equal(words.filter(p => p.type !== 'del').map(p => p.text).join(''), after);
+	assert.deepEqual(words.filter(p => p.type === 'del').map(p => p.text.trim()), ['text', 'three']);
+});
+
+test('long variants diff quickly', () => {
+	const text = Array.from({ length: 10000 }, (_, i) => 'word' + (i % 700)).join(' ');
+	const edited = text.replace(/word5 /g, 'term5 ');
+	const unrelated = Array.from({ length: 10000 }, (_, i) => 'other' + (i % 300)).join(' ');
+	const started = Date.now();
+	const parts = core.diffWords(text, edited);
+	core.diffWords(text, unrelated);
+	assert.ok(Date.now() - started < 2000, 'took ' + (Date.now() - started) + ' ms');
+	assert.equal(parts.filter(p => p.type !== 'del').map(p => p.text).join(''), edited);
+});
+
+test('each lint rule finds its problem', () => {
+	const rules = (text, context = {}) => core.lintPrompt(text, context).map(f => f.rule);
+	const clean = 'Summarize the article. Respond with three bullet points.';
+	assert.deepEqual(rules(clean), []);
+	assert.deepEqual(rules('Summarize [insert topic]. Respond with a list.'), ['unfilled-placeholder']);
+	assert.deepEqual(rules('Summarize {{> missing}}. Respond with a list.'), ['unfilled-placeholder']);
+	assert.deepEqual(rules('Summarize the article.'), ['output-format']);
+	assert.deepEqual(rules('Summarize the article.', { isSnippet: true }), [], 'snippets need no output format');
+	assert.deepEqual(rules('Use emoji. Do not use emoji. Respond with a list.'), ['contradiction']);
+	assert.deepEqual(rules('Be concise. Explain in detail. Respond with a list.'), ['contradiction']);
+	assert.deepEqual(rules('Cite your sources. Respond with a list. Cite your sources.'), ['duplicate-instruction']);
+	assert.deepEqual(rules('Give some examples. Respond with a list.'), ['vague-quantifier']);
+	assert.deepEqual(rules('Respond with a list.\n```\ncode'), ['code-fence']);
+	assert.deepEqual(rules('Respond with a "list.'), ['quotes']);
+	assert.deepEqual(rules('Respond with a list. Quote `"` as is.\n```\n"\n```'), [], 'code is not prose');
+});
+
+test('lint context decides whether a prompt is too long', () => {
+	const { contextWindow } = core.resolveModel('gpt-4o');
+	const context = (tokens) => core.lintContextFor('gpt-4o', tokens, false, { contextWarnShare: 0.5, expectedOutputTokens: 1000 });
+	const clean = 'Respond with a list.';
+	assert.deepEqual(core.lintPrompt(clean, context(100)), []);
+	const long = core.lintPrompt(clean, context(contextWindow * 0.6));
+	assert.equal(long.length, 1);
+	assert.match(long[0].message, /Uses 60% of GPT-4o's context window/);
+	assert.match(core.lintPrompt(clean, context(contextWindow - 10))[0].message, /leaves no room for a 1000-token answer/);
+	assert.deepEqual(core.lintPrompt(clean, core.lintContextFor('my-own-model', 1e9, false)), [], 'unknown models have no window');
+});
+
+test('lint settings disable rules and change severity and options', () => {
+	const text = 'Give some examples.\n```';
+	assert.deepEqual(core.lintPrompt(text).map(f => [f.rule, f.severity]), [['code-fence', 'error'], ['output-format', 'warning'], ['vague-quantifier', 'info']]);
+	const settings = {
+		'output-format': { enabled: false },
+		'code-fence': { severity: 'info' },
+		'vague-quantifier': { severity: 'error', words: ['examples'] }
+	};
+	const findings = core.lintPrompt(text, {}, settings);
+	assert.deepEqual(findings.map(f => [f.rule, f.severity]), [['vague-quantifier', 'error'], ['code-fence', 'info']], 'most severe first');
+	assert.match(findings[0].message, /"examples"/);
+	assert.equal(findings[1].line, 2);
+	assert.equal(core.lintPrompt(text, {}, { 'code-fence': { severity: 'fatal' } })[0].severity, 'error', 'unknown severities fall back to the default');
+	assert.equal(core.formatLintSummary(core.lintPrompt(text)), '1 error, 1 warning, 1 info');
+	assert.equal(core.formatLintSummary([]), '');
+});
@@ -0,0 +1,85 @@
+// Tests for the provider adapters (core.js), run against a stub fetch
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PROVIDER_ADAPTERS, readEventStream, readUsage } = require('../core.js');
+
+const adapter = PROVIDER_ADAPTERS['openai-compatible'];
+const config = { id: 'p1', name: 'Local', type: 'openai-compatible', baseUrl: 'http://localhost:11434/v1/', apiKey: 'sk-test', models: [] };
+
+// A body that arrives in the given pieces, split wherever the test likes
+const streamOf = (pieces) => new ReadableStream({
+	start(controller) {
+		pieces.forEach(piece => controller.enqueue(new TextEncoder().encode(piece)));
+		controller.close();
+	}
+});
+
+const sse = (chunks) => chunks.map(c => 'data: ' + (typeof c === 'string' ? c : JSON.stringify(c)) + '\n\n').join('');
+
+// Replace fetch for one test, recording the requests
+const stubFetch = (t, respond) => {
+	const requests = [];
+	const original = globalThis.fetch;
+	globalThis.fetch = async (url, init) => {
+		requests.push({ url, init, body: JSON.parse(init.body) });
+		return respond();
+	};
+	t.after(() => { globalThis.fetch = original; });
+	return requests;
+};
+
+const run = (input = 'Say hello') => {
+	const pieces = [];
+	return adapter.run(config, { model: 'llama3', input }, { onText: (piece) => pieces.push(piece) }).then(result => ({ ...result, pieces }));
+};
+
+test('streams text and reads the usage chunk', async (t) => {
+	const body = sse([
+		{ choices: [{ delta: { role: 'assistant' } }] },
+		{ choices: [{ delta: { content: 'Hel' } }] },
+		{ choices: [{ delta: { content: 'lo!' } }] },
+		{ choices: [], usage: { prompt_tokens: 9, completion_tokens: 2 } },
+		'[DONE]'
+	]);
+	// Split mid-line so chunks have to be joined up
+	const requests = stubFetch(t, () => new Response(streamOf([body.slice(0, 70), body.slice(70, 71), body.slice(71)]), {
+		headers: { 'Content-Type': 'text/event-stream' }
+	}));
+	const result = await run();
+	assert.deepEqual(result, { text: 'Hello!', usage: { promptTokens: 9, completionTokens: 2 }, pieces: ['Hel', 'lo!'] });
+	assert.equal(requests[0].url, 'http://localhost:11434/v1/chat/completions');
+	assert.equal(requests[0].init.headers.Authorization, 'Bearer sk-test');
+	assert.deepEqual(requests[0].body.messages, [{ role: 'user', content: 'Say hello' }]);
+	assert.equal(requests[0].body.stream, true);
+});
+
+test('servers that ignore streaming answer with one completion', async (t) => {
+	stubFetch(t, () => Response.json({ choices: [{ message: { content: 'Hello!' } }], usage: { prompt_tokens: 9, completion_tokens: 'two' } }));
+	assert.deepEqual(await run(), { text: 'Hello!', usage: { promptTokens: 9, completionTokens: null }, pieces: ['Hello!'] });
+});
+
+test('errors in the stream and in the response are thrown', async (t) => {
+	let respond;
+	stubFetch(t, () => respond());
+	respond = () => new Response(streamOf([sse([{ choices: [{ delta: { content: 'Hi' } }] }, { error: { message: 'model overloaded' } }])]), {
+		headers: { 'Content-Type': 'text/event-stream; charset=utf-8' }
+	});
+	await assert.rejects(run(), /model overloaded/);
+	respond = () => Response.json({ error: { message: 'Invalid API key' } }, { status: 401, statusText: 'Unauthorized' });
+	await assert.rejects(run(), /^Error: 401 Unauthorized: Invalid API key$/);
+	respond = () => new Response('upstream down', { status: 502 });
+	await assert.rejects(run(), /^Error: 502 error: upstream down$/);
+});
+
+test('readEventStream passes data lines and ignores the rest', async () => {
+	const seen = [];
+	await readEventStream(streamOf([': keep-alive\r\nevent: message\r\ndata: one\r\n\r\ndata:two', '\n\ndata: last']), (data) => seen.push(data));
+	assert.deepEqual(seen, ['one', 'two', 'last']);
+});
+
+test('readUsage keeps only counts', () => {
+	assert.equal(readUsage(undefined), null);
+	assert.equal(readUsage('12'), null);
+	assert.deepEqual(readUsage({ prompt_tokens: 3, completion_tokens: -1 }), { promptTokens: 3, completionTokens: null });
+});